@@ -0,0 +1,383 @@
+/**
+ * 管理员账号
+ * 账号存储在 admin_users 表中，ADMIN_USERNAME / ADMIN_PASSWORD 环境变量仅用于写入初始账号
+ * 账号表尚未创建（数据库未迁移）或为空时，沿用环境变量账号，保证可以登录并执行迁移
+ * 既没有账号也未配置 ADMIN_PASSWORD 时进入首次设置模式，不接受任何默认密码
+ */
+
+import { hashPassword, verifyPassword } from './passwords.js';
+import { createRandomToken, hashToken } from './tokens.js';
+
+// 邀请链接有效期（秒）
+const INVITE_TTL = 7 * 24 * 60 * 60;
+
+// 列表中返回的账号字段（不含密码哈希和邀请令牌）
+const PUBLIC_COLUMNS = 'id, username, role, disabled_at, invite_expires_at, invited_by, created_at';
+
+/**
+ * 获取环境变量中的管理员凭据
+ * @param {object} env - 环境变量
+ * @returns {{username: string, password: string}|null} 未配置 ADMIN_PASSWORD 时返回 null
+ */
+function getEnvCredentials(env) {
+  if (!env.ADMIN_PASSWORD) return null;
+
+  return {
+    username: env.ADMIN_USERNAME || 'admin',
+    password: env.ADMIN_PASSWORD,
+  };
+}
+
+/**
+ * 与环境变量凭据比较
+ * @param {object} env - 环境变量
+ * @param {string} username
+ * @param {string} password
+ * @returns {boolean}
+ */
+function matchesEnvCredentials(env, username, password) {
+  const credentials = getEnvCredentials(env);
+  return !!credentials && username === credentials.username && password === credentials.password;
+}
+
+/**
+ * 统计管理员账号数量
+ * @param {D1Database} db
+ * @returns {Promise<number|null>} 账号表不存在时返回 null
+ */
+async function countAdminUsers(db) {
+  try {
+    const row = await db.prepare('SELECT COUNT(*) AS count FROM admin_users').first();
+    return row?.count || 0;
+  } catch (error) {
+    console.warn('读取管理员账号表失败:', error);
+    return null;
+  }
+}
+
+/**
+ * 获取账号角色，角色字段加入前（迁移 0005 之前）的账号均为 owner
+ * @param {object} user
+ * @returns {string}
+ */
+function getUserRole(user) {
+  return user.role || 'owner';
+}
+
+/**
+ * 获取账号的 Token 版本，版本字段加入前（迁移 0016 之前）均为 0
+ * @param {object} user
+ * @returns {number}
+ */
+function getTokenVersion(user) {
+  return user.token_version || 0;
+}
+
+/**
+ * Token 是否签发于账号最近一次修改密码之后
+ * 迁移 0016 之前签发的 Token 没有版本，按签发时间判断（同一秒内修改过密码也视为失效）
+ * @param {object} user
+ * @param {object} payload - Token payload
+ * @returns {boolean}
+ */
+function isCurrentSession(user, payload) {
+  if (payload.ver === undefined) return user.password_updated_at < payload.iat;
+  return payload.ver === getTokenVersion(user);
+}
+
+/**
+ * 账号是否可以登录（未停用且已设置密码）
+ * @param {object} user
+ * @returns {boolean}
+ */
+function isActiveUser(user) {
+  return !!user && !user.disabled_at && !!user.password_hash;
+}
+
+/**
+ * 转换为对外返回的账号信息
+ * @param {object} user
+ * @returns {object}
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: !!user.disabled_at,
+    invitePending: !!user.invite_expires_at,
+    inviteExpiresAt: user.invite_expires_at ? user.invite_expires_at * 1000 : null,
+    invitedBy: user.invited_by || null,
+    createdAt: user.created_at,
+  };
+}
+
+/**
+ * 按用户名查找管理员账号
+ * @param {D1Database} db
+ * @param {string} username
+ * @returns {Promise<object|null>}
+ */
+export async function findAdminUser(db, username) {
+  return db.prepare('SELECT * FROM admin_users WHERE username = ?').bind(username).first();
+}
+
+/**
+ * 设置管理员密码，账号不存在时以 owner 角色创建（仅用于环境变量账号）
+ * 已有账号的 Token 版本加一，此前签发的 Token 全部失效
+ * @param {D1Database} db
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<number>} 新的 Token 版本
+ */
+export async function setAdminPassword(db, username, password) {
+  const passwordHash = await hashPassword(password);
+  const now = Math.floor(Date.now() / 1000);
+
+  const row = await db.prepare(`
+    INSERT INTO admin_users (username, password_hash, password_updated_at, created_at, role)
+    VALUES (?, ?, ?, ?, 'owner')
+    ON CONFLICT(username) DO UPDATE SET
+      password_hash = excluded.password_hash,
+      password_updated_at = excluded.password_updated_at,
+      token_version = token_version + 1
+    RETURNING token_version
+  `).bind(username, passwordHash, now, new Date().toISOString()).first();
+
+  return row.token_version;
+}
+
+/**
+ * 账号表为空且配置了 ADMIN_PASSWORD 时，写入初始管理员账号
+ * @param {object} env - 环境变量
+ * @returns {Promise<number|null>} 写入后的账号数量，账号表不存在时返回 null
+ */
+async function seedAdminFromEnv(env) {
+  const count = await countAdminUsers(env.DB);
+  if (count !== 0 || !env.ADMIN_PASSWORD) return count;
+
+  const { username, password } = getEnvCredentials(env);
+  await setAdminPassword(env.DB, username, password);
+  return 1;
+}
+
+/**
+ * 校验登录凭据
+ * @param {object} env - 环境变量
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{username: string, role: string, tokenVersion: number}|null>} 校验通过返回账号信息
+ */
+export async function authenticateAdmin(env, username, password) {
+  const count = await seedAdminFromEnv(env);
+
+  if (count) {
+    const user = await findAdminUser(env.DB, username);
+    if (!isActiveUser(user) || !(await verifyPassword(password, user.password_hash))) return null;
+    return { username: user.username, role: getUserRole(user), tokenVersion: getTokenVersion(user) };
+  }
+
+  return matchesEnvCredentials(env, username, password) ? { username, role: 'owner', tokenVersion: 0 } : null;
+}
+
+/**
+ * 校验 Token 对应的账号是否仍然有效
+ * 账号被停用、删除或 Token 签发后修改过密码（Token 版本不一致）时返回 null
+ * @param {object} env - 环境变量
+ * @param {object} payload - Token payload
+ * @returns {Promise<{username: string, role: string, tokenVersion: number}|null>}
+ */
+export async function resolveSessionUser(env, payload) {
+  const count = await countAdminUsers(env.DB);
+
+  if (count) {
+    const user = await findAdminUser(env.DB, payload.sub);
+    if (!isActiveUser(user) || !isCurrentSession(user, payload)) return null;
+    return { id: user.id, username: user.username, role: getUserRole(user), tokenVersion: getTokenVersion(user) };
+  }
+
+  return payload.sub === getEnvCredentials(env)?.username
+    ? { username: payload.sub, role: 'owner', tokenVersion: 0 }
+    : null;
+}
+
+/**
+ * 校验账号当前密码
+ * 账号尚未写入数据库时，与环境变量凭据比较
+ * @param {object} env - 环境变量
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+export async function checkCurrentPassword(env, username, password) {
+  const user = await findAdminUser(env.DB, username);
+  if (user) {
+    return verifyPassword(password, user.password_hash);
+  }
+
+  return matchesEnvCredentials(env, username, password);
+}
+
+/**
+ * 是否处于首次设置模式（没有管理员账号且未配置 ADMIN_PASSWORD）
+ * @param {object} env - 环境变量
+ * @returns {Promise<boolean>}
+ */
+export async function isSetupRequired(env) {
+  if (env.ADMIN_PASSWORD) return false;
+  return !(await countAdminUsers(env.DB));
+}
+
+/**
+ * 创建首个管理员账号（owner），已有账号时不写入
+ * @param {D1Database} db
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<boolean>} 是否创建成功
+ */
+export async function createFirstAdmin(db, username, password) {
+  const passwordHash = await hashPassword(password);
+
+  const result = await db.prepare(`
+    INSERT INTO admin_users (username, password_hash, password_updated_at, created_at, role)
+    SELECT ?, ?, ?, ?, 'owner'
+    WHERE NOT EXISTS (SELECT 1 FROM admin_users)
+  `).bind(username, passwordHash, Math.floor(Date.now() / 1000), new Date().toISOString()).run();
+
+  return !!result.meta?.changes;
+}
+
+/**
+ * 获取所有管理员账号
+ * @param {D1Database} db
+ * @returns {Promise<object[]>}
+ */
+export async function listAdminUsers(db) {
+  const { results } = await db.prepare(
+    `SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY created_at, id`
+  ).all();
+
+  return results.map(toPublicUser);
+}
+
+/**
+ * 按 ID 获取管理员账号
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getAdminUserById(db, id) {
+  const user = await db.prepare(
+    `SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE id = ?`
+  ).bind(id).first();
+
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * 统计未停用的 owner 数量
+ * @param {D1Database} db
+ * @returns {Promise<number>}
+ */
+export async function countActiveOwners(db) {
+  const row = await db.prepare(
+    "SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL AND password_hash != ''"
+  ).first();
+
+  return row?.count || 0;
+}
+
+/**
+ * 为账号生成新的邀请令牌
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<{inviteToken: string, inviteExpiresAt: number}>}
+ */
+export async function issueInvite(db, id) {
+  const inviteToken = createRandomToken();
+  const expiresAt = Math.floor(Date.now() / 1000) + INVITE_TTL;
+
+  await db.prepare(
+    'UPDATE admin_users SET invite_token_hash = ?, invite_expires_at = ? WHERE id = ?'
+  ).bind(await hashToken(inviteToken), expiresAt, id).run();
+
+  return { inviteToken, inviteExpiresAt: expiresAt * 1000 };
+}
+
+/**
+ * 邀请新账号，账号在接受邀请并设置密码前无法登录
+ * @param {D1Database} db
+ * @param {{username: string, role: string, invitedBy: string}} options
+ * @returns {Promise<{user: object, inviteToken: string, inviteExpiresAt: number}>}
+ */
+export async function inviteAdminUser(db, { username, role, invitedBy }) {
+  const result = await db.prepare(`
+    INSERT INTO admin_users (username, password_hash, password_updated_at, created_at, role, invited_by)
+    VALUES (?, '', 0, ?, ?, ?)
+  `).bind(username, new Date().toISOString(), role, invitedBy).run();
+
+  const id = result.meta?.last_row_id;
+  const invite = await issueInvite(db, id);
+
+  return { user: await getAdminUserById(db, id), ...invite };
+}
+
+/**
+ * 按邀请令牌查找未过期的邀请
+ * @param {D1Database} db
+ * @param {string} inviteToken
+ * @returns {Promise<object|null>}
+ */
+export async function findInvite(db, inviteToken) {
+  if (!inviteToken) return null;
+
+  const user = await db.prepare(
+    'SELECT * FROM admin_users WHERE invite_token_hash = ? AND invite_expires_at > ?'
+  ).bind(await hashToken(inviteToken), Math.floor(Date.now() / 1000)).first();
+
+  return user && !user.disabled_at ? user : null;
+}
+
+/**
+ * 接受邀请：设置密码、清除邀请令牌并递增 Token 版本
+ * @param {D1Database} db
+ * @param {object} user - findInvite 返回的账号
+ * @param {string} password
+ * @returns {Promise<number>} 新的 Token 版本
+ */
+export async function acceptInvite(db, user, password) {
+  const row = await db.prepare(`
+    UPDATE admin_users
+    SET password_hash = ?, password_updated_at = ?, invite_token_hash = NULL, invite_expires_at = NULL,
+      token_version = token_version + 1
+    WHERE id = ?
+    RETURNING token_version
+  `).bind(await hashPassword(password), Math.floor(Date.now() / 1000), user.id).first();
+
+  return row.token_version;
+}
+
+/**
+ * 更新账号角色或停用状态
+ * @param {D1Database} db
+ * @param {number} id
+ * @param {{role?: string, disabled?: boolean}} updates
+ */
+export async function updateAdminUser(db, id, { role, disabled }) {
+  const statements = [];
+
+  if (role !== undefined) {
+    statements.push(db.prepare('UPDATE admin_users SET role = ? WHERE id = ?').bind(role, id));
+  }
+
+  if (disabled !== undefined) {
+    statements.push(
+      db.prepare('UPDATE admin_users SET disabled_at = ? WHERE id = ?')
+        .bind(disabled ? new Date().toISOString() : null, id)
+    );
+  }
+
+  if (statements.length > 0) {
+    await db.batch(statements);
+  }
+}
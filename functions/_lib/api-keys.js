@@ -0,0 +1,242 @@
+/**
+ * API Key
+ * 外部系统通过 X-API-Key 请求头访问接口，Key 只在创建时返回一次，数据库保存 SHA-256 哈希和用于识别的前缀
+ * 每个 Key 只能访问其权限范围（scopes）对应的接口，并按 Key 限制每分钟的请求次数
+ */
+
+import { createRandomToken, hashToken } from './tokens.js';
+
+// 请求头名称
+export const API_KEY_HEADER = 'X-API-Key';
+
+// Key 的固定前缀，便于识别和密钥扫描
+const KEY_PREFIX = 'apr_';
+
+// 列表中显示的前缀长度（含固定前缀）
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// 每分钟请求次数的默认值和上限
+export const DEFAULT_RATE_LIMIT = 60;
+export const MAX_RATE_LIMIT = 10000;
+
+// 名称最大长度
+const MAX_NAME_LENGTH = 64;
+
+// 限流统计窗口（秒）
+const RATE_WINDOW = 60;
+
+/**
+ * 权限范围
+ * - routes：可访问的方法和路径（HEAD 按 GET 处理）
+ * - role：在这些接口中按该角色处理（sync 需 owner 权限）
+ */
+export const API_KEY_SCOPES = {
+  'projects:read': {
+    label: '读取项目',
+    role: 'viewer',
+    routes: [
+      ['GET', /^\/api\/(projects|categories|tags|trending)$/],
+      ['GET', /^\/api\/projects\/[^/]+\/(history|revisions)$/],
+    ],
+  },
+  'audit:read': {
+    label: '读取操作日志',
+    role: 'viewer',
+    routes: [['GET', /^\/api\/audit$/]],
+  },
+  sync: {
+    label: '同步数据',
+    role: 'owner',
+    routes: [['POST', /^\/api\/sync$/]],
+  },
+};
+
+/**
+ * 当前时间（秒）
+ * @returns {number}
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * 请求对应的权限范围，不在任何范围内时返回 null
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getApiKeyScope(request) {
+  const method = request.method === 'HEAD' ? 'GET' : request.method;
+  const { pathname } = new URL(request.url);
+
+  const entry = Object.entries(API_KEY_SCOPES).find(([, scope]) =>
+    scope.routes.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(pathname))
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * 校验创建 Key 的参数，返回字段错误（无错误时为空对象）
+ * @param {Object} input - { name, scopes, rateLimit }
+ * @returns {Object<string, string>}
+ */
+export function validateApiKeyInput(input) {
+  const errors = {};
+  const { name, scopes, rateLimit } = input || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.name = '名称为必填项';
+  } else if (name.trim().length > MAX_NAME_LENGTH) {
+    errors.name = `名称不能超过 ${MAX_NAME_LENGTH} 个字符`;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.scopes = '至少选择一个权限范围';
+  } else if (scopes.some(scope => !API_KEY_SCOPES[scope])) {
+    errors.scopes = `权限范围必须为 ${Object.keys(API_KEY_SCOPES).join(' / ')} 之一`;
+  }
+
+  if (rateLimit !== undefined && rateLimit !== null
+    && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT)) {
+    errors.rateLimit = `每分钟请求次数必须为 1-${MAX_RATE_LIMIT} 的整数`;
+  }
+
+  return errors;
+}
+
+/**
+ * 数据库行转为 API 返回结构（不包含哈希）
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toPublicApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * 获取全部 Key，未撤销的排在前面
+ * @param {D1Database} db
+ * @returns {Promise<Object[]>}
+ */
+export async function listApiKeys(db) {
+  const { results } = await db.prepare(
+    'SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, id DESC'
+  ).all();
+
+  return results.map(toPublicApiKey);
+}
+
+/**
+ * 按 ID 获取 Key
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getApiKeyById(db, id) {
+  const row = await db.prepare('SELECT * FROM api_keys WHERE id = ?').bind(id).first();
+  return row ? toPublicApiKey(row) : null;
+}
+
+/**
+ * 创建 Key
+ * @param {D1Database} db
+ * @param {{name: string, scopes: string[], rateLimit?: number, createdBy: string}} options
+ * @returns {Promise<{apiKey: Object, key: string}>} key 为明文，只返回这一次
+ */
+export async function createApiKey(db, { name, scopes, rateLimit, createdBy }) {
+  const key = `${KEY_PREFIX}${createRandomToken()}`;
+
+  const result = await db.prepare(`
+    INSERT INTO api_keys (name, prefix, key_hash, scopes, rate_limit, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    name.trim(),
+    key.slice(0, DISPLAY_PREFIX_LENGTH),
+    await hashToken(key),
+    JSON.stringify([...new Set(scopes)]),
+    rateLimit || DEFAULT_RATE_LIMIT,
+    createdBy,
+    new Date().toISOString()
+  ).run();
+
+  return { apiKey: await getApiKeyById(db, result.meta?.last_row_id), key };
+}
+
+/**
+ * 撤销 Key
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<boolean>} 是否撤销成功（已撤销时为 false）
+ */
+export async function revokeApiKey(db, id) {
+  const result = await db.prepare(
+    'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+  ).bind(new Date().toISOString(), id).run();
+
+  return !!result.meta?.changes;
+}
+
+/**
+ * 按明文查找未撤销的 Key，表尚未创建（数据库未迁移）时视为无效
+ * @param {D1Database} db
+ * @param {string} key
+ * @returns {Promise<Object|null>} 附带 rateLimit 等字段
+ */
+export async function findActiveApiKey(db, key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  try {
+    const row = await db.prepare(
+      'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'
+    ).bind(await hashToken(key)).first();
+    return row ? toPublicApiKey(row) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 计入一次请求并检查是否超出每分钟的次数限制，同时更新最近使用时间
+ * @param {D1Database} db
+ * @param {Object} apiKey - findActiveApiKey 的返回值
+ * @returns {Promise<number>} 超出限制时返回需等待的秒数，否则为 0
+ */
+export async function consumeApiKeyQuota(db, apiKey) {
+  const now = nowSeconds();
+  const windowStart = now - (now % RATE_WINDOW);
+
+  const row = await db.prepare(`
+    UPDATE api_keys SET
+      window_requests = CASE WHEN window_start = ? THEN window_requests + 1 ELSE 1 END,
+      window_start = ?,
+      last_used_at = ?
+    WHERE id = ?
+    RETURNING window_requests
+  `).bind(windowStart, windowStart, new Date(now * 1000).toISOString(), apiKey.id).first();
+
+  return row && row.window_requests > apiKey.rateLimit ? windowStart + RATE_WINDOW - now : 0;
+}
+
+/**
+ * 生成 Key 请求使用的会话，用户名为 apikey:名称，角色由本次请求所属的权限范围决定
+ * @param {Object} apiKey
+ * @param {string} scope
+ * @returns {{username: string, role: string, apiKeyId: number, scopes: string[]}}
+ */
+export function toApiKeySession(apiKey, scope) {
+  return {
+    username: `apikey:${apiKey.name}`,
+    role: API_KEY_SCOPES[scope].role,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+}
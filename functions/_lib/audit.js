@@ -0,0 +1,69 @@
+/**
+ * 操作日志
+ * 写操作与日志写入放在同一个 DB.batch 中，保证两者同时成功或失败
+ * diff 为 { 字段: { from, to } } 形式的 JSON，只记录发生变化的字段
+ */
+
+// 不参与差异比较的字段（category 为 categories 的兼容别名）
+const IGNORED_FIELDS = new Set(['category']);
+
+/**
+ * 比较两个对象，返回发生变化的字段
+ * @param {Object|null} before - 修改前的值，新增时为 null
+ * @param {Object|null} after - 修改后的值，删除时为 null
+ * @returns {Object} { 字段: { from, to } }
+ */
+export function diffValues(before, after) {
+  const diff = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[field] = { from, to };
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * 生成写入操作日志的语句
+ * @param {D1Database} db
+ * @param {Object} entry
+ * @param {string} entry.actor - 操作者用户名
+ * @param {string} entry.action - create / update / delete / sync 等
+ * @param {string} entry.entityType - project / category / tag / user
+ * @param {string|null} entry.entityId
+ * @param {Object|null} entry.diff
+ * @returns {D1PreparedStatement}
+ */
+export function auditLogStatement(db, { actor, action, entityType, entityId, diff }) {
+  return db.prepare(`
+    INSERT INTO audit_log (actor, action, entity_type, entity_id, diff, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    actor,
+    action,
+    entityType,
+    entityId == null ? null : String(entityId),
+    diff ? JSON.stringify(diff) : null,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * 比较前后值并生成操作日志语句（供 DB.batch 展开使用），没有变化时返回空数组
+ * @param {D1Database} db
+ * @param {Object} entry - 同 auditLogStatement，以 before / after 代替 diff
+ * @returns {D1PreparedStatement[]}
+ */
+export function auditChangeStatements(db, { before, after, ...entry }) {
+  const diff = diffValues(before, after);
+  if (Object.keys(diff).length === 0) return [];
+
+  return [auditLogStatement(db, { ...entry, diff })];
+}
@@ -0,0 +1,82 @@
+/**
+ * 项目分类关联工具
+ * 项目与分类通过 project_categories 表多对多关联
+ */
+
+/**
+ * 查询项目分类 ID 数组（JSON 字符串）的子查询，需在 FROM projects 的语句中使用
+ * 回收站中的分类不返回
+ */
+export const CATEGORY_IDS_SELECT = `(
+  SELECT json_group_array(pc.category_id)
+  FROM project_categories pc
+  JOIN categories c ON c.id = pc.category_id
+  WHERE pc.project_id = projects.id AND c.deleted_at IS NULL
+) AS category_ids`;
+
+/**
+ * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function normalizeCategoryIds(value) {
+  if (Array.isArray(value)) {
+    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return normalizeCategoryIds(parsed);
+      } catch {
+        return [];
+      }
+    }
+
+    return [trimmed];
+  }
+
+  return [];
+}
+
+/**
+ * 生成替换项目分类关联的语句（供 DB.batch 使用）
+ * 不存在或在回收站中的分类 ID 会被忽略；与回收站中分类的关联保留，分类恢复后仍然有效
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @param {string[]} categoryIds
+ * @returns {D1PreparedStatement[]}
+ */
+export function replaceProjectCategoriesStatements(db, projectId, categoryIds) {
+  return [
+    db.prepare(`
+      DELETE FROM project_categories
+      WHERE project_id = ? AND category_id IN (SELECT id FROM categories WHERE deleted_at IS NULL)
+    `).bind(projectId),
+    ...categoryIds.map(categoryId => db.prepare(`
+      INSERT OR IGNORE INTO project_categories (project_id, category_id)
+      SELECT ?, id FROM categories WHERE id = ? AND deleted_at IS NULL
+    `).bind(projectId, categoryId)),
+  ];
+}
+
+/**
+ * 过滤掉不存在或在回收站中的分类 ID，保持原有顺序
+ * @param {D1Database} db
+ * @param {string[]} categoryIds
+ * @returns {Promise<string[]>}
+ */
+export async function filterExistingCategoryIds(db, categoryIds) {
+  if (categoryIds.length === 0) return [];
+
+  const { results } = await db.prepare(
+    `SELECT id FROM categories WHERE deleted_at IS NULL AND id IN (${categoryIds.map(() => '?').join(', ')})`
+  ).bind(...categoryIds).all();
+
+  const existing = new Set(results.map(row => row.id));
+  return categoryIds.filter(id => existing.has(id));
+}
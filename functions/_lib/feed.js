@@ -0,0 +1,227 @@
+/**
+ * 项目订阅源（Atom / RSS）
+ * 按最近新增或更新的时间倒序列出项目，条目链接到 GitHub 仓库，内容包含描述、星标数和标签
+ * 支持 category、language 查询参数限定范围，供 /api/feed.xml 和 /api/feed.rss 共用
+ */
+
+import { PROJECT_FIELDS_SELECT, formatProject } from './projects.js';
+
+// 订阅源标题
+const FEED_TITLE = 'Awesome Popular Repos';
+
+// 每个订阅源最多包含的项目数
+const FEED_LIMIT = 50;
+
+// 订阅源格式对应的 Content-Type
+export const FEED_CONTENT_TYPES = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+};
+
+/**
+ * 转义 XML 特殊字符
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;',
+  })[char]);
+}
+
+/**
+ * 日期字符串（YYYY-MM-DD 或 ISO）转为 Date，无效时为 null
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? new Date(time) : null;
+}
+
+/**
+ * 项目的 GitHub 地址，未填写时按所有者和名称生成
+ * @param {Object} project
+ * @returns {string}
+ */
+function getProjectUrl(project) {
+  return project.github_url || `https://github.com/${project.owner}/${project.name}`;
+}
+
+/**
+ * 条目内容 HTML：描述、星标数、语言和标签
+ * @param {Object} project
+ * @returns {string}
+ */
+function renderEntryHtml(project) {
+  const meta = [`⭐ ${(project.stars || 0).toLocaleString('en-US')}`];
+  if (project.language) meta.push(escapeXml(project.language));
+
+  return [
+    project.description ? `<p>${escapeXml(project.description)}</p>` : '',
+    `<p>${meta.join(' · ')}</p>`,
+    project.tags.length > 0 ? `<p>标签：${project.tags.map(escapeXml).join(', ')}</p>` : '',
+  ].join('');
+}
+
+/**
+ * 查询订阅源中的项目（不包括回收站中的项目），按新增或更新时间倒序
+ * @param {D1Database} db
+ * @param {{category: string|null, language: string|null}} filters
+ * @returns {Promise<Object[]>}
+ */
+async function queryFeedProjects(db, { category, language }) {
+  const conditions = ['deleted_at IS NULL'];
+  const bindings = [];
+
+  if (category) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM project_categories pc
+      WHERE pc.project_id = projects.id AND pc.category_id = ?
+    )`);
+    bindings.push(category);
+  }
+
+  if (language) {
+    conditions.push('lower(language) = lower(?)');
+    bindings.push(language);
+  }
+
+  const { results } = await db.prepare(`
+    SELECT ${PROJECT_FIELDS_SELECT} FROM projects
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY max(COALESCE(updated_at, ''), COALESCE(created_at, '')) DESC, stars DESC
+    LIMIT ?
+  `).bind(...bindings, FEED_LIMIT).all();
+
+  return results.map(formatProject);
+}
+
+/**
+ * 订阅源标题，限定范围时附加分类名称和语言
+ * @param {D1Database} db
+ * @param {{category: string|null, language: string|null}} filters
+ * @returns {Promise<string>}
+ */
+async function getFeedTitle(db, { category, language }) {
+  const parts = [FEED_TITLE];
+
+  if (category) {
+    const row = await db.prepare(
+      'SELECT name FROM categories WHERE id = ? AND deleted_at IS NULL'
+    ).bind(category).first();
+    parts.push(`分类：${row?.name || category}`);
+  }
+  if (language) {
+    parts.push(`语言：${language}`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * 生成 Atom 订阅源
+ * @param {Object} feed - { title, siteUrl, selfUrl, updated, projects }
+ * @returns {string}
+ */
+function buildAtomFeed({ title, siteUrl, selfUrl, updated, projects }) {
+  const entries = projects.map(project => {
+    const url = getProjectUrl(project);
+    const published = toDate(project.created_at) || updated;
+    const entryUpdated = toDate(project.updated_at) || published;
+
+    return `
+  <entry>
+    <id>urn:awesome-popular-repos:project:${escapeXml(project.id)}</id>
+    <title>${escapeXml(`${project.owner}/${project.name}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <published>${published.toISOString()}</published>
+    <updated>${new Date(Math.max(entryUpdated, published)).toISOString()}</updated>${project.tags.map(tag => `
+    <category term="${escapeXml(tag)}"/>`).join('')}
+    <content type="html">${escapeXml(renderEntryHtml(project))}</content>
+  </entry>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <author><name>${FEED_TITLE}</name></author>
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+/**
+ * 生成 RSS 2.0 订阅源
+ * @param {Object} feed - { title, siteUrl, selfUrl, updated, projects }
+ * @returns {string}
+ */
+function buildRssFeed({ title, siteUrl, selfUrl, updated, projects }) {
+  const items = projects.map(project => {
+    const url = getProjectUrl(project);
+    const pubDate = toDate(project.updated_at) || toDate(project.created_at) || updated;
+
+    return `
+    <item>
+      <title>${escapeXml(`${project.owner}/${project.name}`)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="false">urn:awesome-popular-repos:project:${escapeXml(project.id)}</guid>
+      <pubDate>${pubDate.toUTCString()}</pubDate>${project.tags.map(tag => `
+      <category>${escapeXml(tag)}</category>`).join('')}
+      <description>${escapeXml(renderEntryHtml(project))}</description>
+    </item>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(title)} 最近新增和更新的项目</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * 生成订阅源
+ * @param {D1Database} db
+ * @param {URL} url - 请求地址，读取 category、language 参数
+ * @param {string} format - atom / rss
+ * @returns {Promise<string>}
+ */
+export async function buildFeed(db, url, format) {
+  const filters = {
+    category: url.searchParams.get('category')?.trim() || null,
+    language: url.searchParams.get('language')?.trim() || null,
+  };
+
+  const [title, projects] = await Promise.all([
+    getFeedTitle(db, filters),
+    queryFeedProjects(db, filters),
+  ]);
+
+  const latest = projects
+    .flatMap(project => [toDate(project.updated_at), toDate(project.created_at)])
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+
+  const feed = {
+    title,
+    siteUrl: `${url.origin}/`,
+    selfUrl: url.toString(),
+    updated: latest || new Date(0),
+    projects,
+  };
+
+  return format === 'rss' ? buildRssFeed(feed) : buildAtomFeed(feed);
+}
@@ -0,0 +1,237 @@
+/**
+ * GitHub Webhook 接收
+ * GitHub 仓库的 star、watch、repository（renamed / transferred / archived / unarchived）、release（published）事件
+ * 推送到 /api/github-webhook 后，按 github_url 或所有者 + 名称找到对应项目，用事件中的仓库信息更新星标、描述、语言等字段
+ * 请求须带 X-Hub-Signature-256，以 GITHUB_WEBHOOK_SECRET 校验；未收录的仓库和不处理的事件只记录日志
+ *
+ * 同一推送（X-GitHub-Delivery）只处理一次，在 GitHub 后台重新推送不会重复写入
+ * star / watch 事件中的星标数是事件发生时的快照，仓库更新时间早于项目已应用的值时视为过期事件，不覆盖较新的数据
+ */
+
+import { parseProjectRepo } from './github.js';
+import { PROJECT_FIELDS_SELECT, formatProject } from './projects.js';
+import { toRefreshedValues, getRepoUpdatedAt, githubUpdateStatements } from './refresh.js';
+import { findProjectsWithRevisions } from './revisions.js';
+import { bumpDataVersionStatement } from './http-cache.js';
+import { dispatchWebhookEvents } from './webhooks.js';
+
+// 写入操作日志的操作者
+const WEBHOOK_ACTOR = 'github-webhook';
+
+// 处理的事件及动作
+const HANDLED_ACTIONS = {
+  star: ['created', 'deleted'],
+  watch: ['started'],
+  repository: ['renamed', 'transferred', 'archived', 'unarchived'],
+  release: ['published'],
+};
+
+// 按仓库更新时间判断先后的事件
+const ORDERED_EVENTS = ['star', 'watch'];
+
+// 推送记录保留时间（秒），GitHub 只能重新推送最近 3 天内的记录
+const DELIVERY_RETENTION = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+/**
+ * 校验 X-Hub-Signature-256（sha256=<hex>，以密钥对请求体计算的 HMAC-SHA256）
+ * @param {string} secret
+ * @param {string} body - 原始请求体
+ * @param {string|null} header
+ * @returns {Promise<boolean>}
+ */
+export async function verifyGitHubSignature(secret, body, header) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(header || '');
+  if (!match) return false;
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const signature = Uint8Array.from(match[1].match(/../g), byte => parseInt(byte, 16));
+  return crypto.subtle.verify('HMAC', key, signature, encoder.encode(body));
+}
+
+/**
+ * 记录推送 ID，已记录过时返回 false（重复推送），同时清理过期的记录
+ * @param {D1Database} db
+ * @param {string} deliveryId - X-GitHub-Delivery
+ * @param {string} event
+ * @returns {Promise<boolean>}
+ */
+export async function claimGitHubDelivery(db, deliveryId, event) {
+  const now = Math.floor(Date.now() / 1000);
+  const [claimed] = await db.batch([
+    db.prepare(`
+      INSERT INTO github_webhook_deliveries (delivery_id, event, received_at) VALUES (?, ?, ?)
+      ON CONFLICT(delivery_id) DO NOTHING
+      RETURNING delivery_id
+    `).bind(deliveryId, event, now),
+    db.prepare('DELETE FROM github_webhook_deliveries WHERE received_at <= ?').bind(now - DELIVERY_RETENTION),
+  ]);
+  return claimed.results.length > 0;
+}
+
+/**
+ * 删除推送记录（处理失败时调用，使 GitHub 的重新推送可以再次处理）
+ * @param {D1Database} db
+ * @param {string} deliveryId
+ * @returns {Promise<void>}
+ */
+export async function releaseGitHubDelivery(db, deliveryId) {
+  await db.prepare('DELETE FROM github_webhook_deliveries WHERE delivery_id = ?').bind(deliveryId).run();
+}
+
+/**
+ * 事件是否早于项目已应用的仓库数据
+ * @param {string} event
+ * @param {Object} project
+ * @param {string|null} repoUpdatedAt - getRepoUpdatedAt 的返回值
+ * @returns {boolean}
+ */
+function isStaleEvent(event, project, repoUpdatedAt) {
+  return ORDERED_EVENTS.includes(event)
+    && !!repoUpdatedAt
+    && !!project.github_updated_at
+    && repoUpdatedAt < project.github_updated_at;
+}
+
+/**
+ * 事件发生前的仓库所有者和名称（重命名、转移时取原值），用于查找项目
+ * @param {string} event
+ * @param {Object} payload
+ * @returns {{owner: string, repo: string}}
+ */
+function getPreviousRepo(event, payload) {
+  const { repository, changes } = payload;
+  let owner = repository.owner.login;
+  let repo = repository.name;
+
+  if (event === 'repository' && payload.action === 'renamed') {
+    repo = changes?.repository?.name?.from || repo;
+  }
+  if (event === 'repository' && payload.action === 'transferred') {
+    owner = changes?.owner?.from?.user?.login || changes?.owner?.from?.organization?.login || owner;
+  }
+  return { owner, repo };
+}
+
+/**
+ * 查找仓库对应的项目（不包括回收站中的项目），github_url 与所有者 + 名称均按不区分大小写比较
+ * @param {D1Database} db
+ * @param {{owner: string, repo: string}} target
+ * @returns {Promise<Object[]>}
+ */
+async function findProjectsByRepo(db, { owner, repo }) {
+  const ownerLower = owner.toLowerCase();
+  const repoLower = repo.toLowerCase();
+
+  const { results } = await db.prepare(`
+    SELECT ${PROJECT_FIELDS_SELECT} FROM projects
+    WHERE deleted_at IS NULL
+      AND (instr(lower(github_url), ?) > 0 OR (lower(owner) = ? AND lower(name) = ?))
+  `).bind(`github.com/${ownerLower}/${repoLower}`, ownerLower, repoLower).all();
+
+  // 粗筛后按解析出的仓库精确比较，排除 github_url 指向其他仓库的项目
+  return results.map(formatProject).filter(project => {
+    const parsed = parseProjectRepo(project);
+    return parsed && parsed.owner.toLowerCase() === ownerLower && parsed.repo.toLowerCase() === repoLower;
+  });
+}
+
+/**
+ * 根据事件计算项目的新值
+ * @param {string} event
+ * @param {Object} payload
+ * @param {Object} project
+ * @param {{owner: string, repo: string}} previous - 事件发生前的仓库
+ * @returns {Object}
+ */
+function toEventValues(event, payload, project, previous) {
+  const { repository, action } = payload;
+  const values = {
+    ...toRefreshedValues(project, repository),
+    name: project.name,
+    owner: project.owner,
+    github_url: project.github_url || '',
+    archived: !!repository.archived,
+  };
+
+  // 重命名、转移时，项目名称和所有者与原仓库一致才跟随修改
+  if (event === 'repository' && (action === 'renamed' || action === 'transferred')) {
+    values.github_url = repository.html_url;
+    if (project.name.toLowerCase() === previous.repo.toLowerCase()) values.name = repository.name;
+    if (project.owner.toLowerCase() === previous.owner.toLowerCase()) values.owner = repository.owner.login;
+  }
+
+  if (event === 'release' && payload.release?.published_at) {
+    values.updated_at = payload.release.published_at.split('T')[0];
+  }
+  return values;
+}
+
+/**
+ * 处理 GitHub 事件，更新对应的项目
+ * @param {Object} context - Pages Functions 上下文（使用 env.DB，并触发 project.updated Webhook）
+ * @param {string} event - X-GitHub-Event
+ * @param {Object} payload
+ * @returns {Promise<{ignored: string}|{updated: Object[], unchanged: string[], stale: string[]}>}
+ *   ignored 为忽略原因；updated 为 [{ id, fields }]；stale 为因事件过期而未更新的项目
+ */
+export async function handleGitHubEvent(context, event, payload) {
+  const { env } = context;
+
+  if (!HANDLED_ACTIONS[event]?.includes(payload.action)) {
+    return { ignored: `不处理 ${event}${payload.action ? `.${payload.action}` : ''} 事件` };
+  }
+  if (!payload.repository?.owner?.login || !payload.repository.name) {
+    return { ignored: '事件中缺少仓库信息' };
+  }
+
+  const previous = getPreviousRepo(event, payload);
+  const projects = await findProjectsByRepo(env.DB, previous);
+  if (projects.length === 0) {
+    return { ignored: `仓库 ${previous.owner}/${previous.repo} 未收录` };
+  }
+
+  const result = { updated: [], unchanged: [], stale: [] };
+  const refreshedAt = new Date().toISOString();
+  const repoUpdatedAt = getRepoUpdatedAt(payload.repository);
+  const withRevisions = await findProjectsWithRevisions(env.DB, projects.map(project => project.id));
+  const events = [];
+
+  for (const project of projects) {
+    if (isStaleEvent(event, project, repoUpdatedAt)) {
+      result.stale.push(project.id);
+      continue;
+    }
+
+    const update = githubUpdateStatements(env.DB, project, toEventValues(event, payload, project, previous), {
+      actor: WEBHOOK_ACTOR,
+      refreshedAt,
+      repoUpdatedAt,
+      hasRevisions: withRevisions.has(project.id),
+    });
+
+    if (Object.keys(update.changes).length === 0) {
+      await env.DB.batch(update.statements);
+      result.unchanged.push(project.id);
+      continue;
+    }
+
+    await env.DB.batch([...update.statements, bumpDataVersionStatement(env.DB)]);
+    events.push({
+      event: 'project.updated',
+      actor: WEBHOOK_ACTOR,
+      data: { project: update.project, changes: update.changes },
+    });
+    result.updated.push({ id: project.id, fields: update.changes });
+  }
+
+  await dispatchWebhookEvents(context, events);
+  return result;
+}
@@ -0,0 +1,88 @@
+/**
+ * GitHub API 服务端调用
+ * 使用环境变量 GITHUB_TOKEN 认证，GITHUB_API_BASE_URL 可指向本地模拟服务用于测试
+ */
+
+// 默认 API 地址
+const DEFAULT_API_BASE = 'https://api.github.com';
+
+// GitHub API 要求请求携带 User-Agent
+const USER_AGENT = 'awesome-popular-repos';
+
+/**
+ * 获取 API 地址（去掉末尾斜杠）
+ * @param {object} env
+ * @returns {string}
+ */
+export function getGitHubApiBase(env) {
+  return (env.GITHUB_API_BASE_URL || DEFAULT_API_BASE).replace(/\/+$/, '');
+}
+
+/**
+ * 从项目数据中解析仓库所有者和名称
+ * 优先使用 github_url，无法解析时使用 owner / name
+ * @param {Object} project
+ * @returns {{owner: string, repo: string}|null}
+ */
+export function parseProjectRepo(project) {
+  const url = (project.github_url || '').trim()
+    .replace(/\.git$/, '')
+    .replace(/^(https?:\/\/)?(www\.)?/, '');
+
+  if (url.startsWith('github.com/')) {
+    const [owner, repo] = url.slice('github.com/'.length).split('/').filter(Boolean);
+    if (owner && repo) return { owner, repo };
+  }
+
+  if (project.owner && project.name) {
+    return { owner: project.owner, repo: project.name };
+  }
+  return null;
+}
+
+/**
+ * 读取响应中的速率限制信息
+ * @param {Response} response
+ * @returns {{remaining: number|null, resetAt: number|null}} resetAt 为毫秒时间戳
+ */
+function readRateLimit(response) {
+  const remaining = response.headers.get('X-RateLimit-Remaining');
+  const reset = response.headers.get('X-RateLimit-Reset');
+  return {
+    remaining: remaining === null ? null : Number(remaining),
+    resetAt: reset === null ? null : Number(reset) * 1000,
+  };
+}
+
+/**
+ * 获取仓库信息
+ * @param {object} env
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {Promise<{status: number, data: Object|null, rateLimited: boolean, rateLimit: Object}>}
+ *   rateLimited 为 true 表示因速率限制被拒绝（403 / 429 且剩余次数为 0 或带 Retry-After）
+ */
+export async function fetchRepo(env, owner, repo) {
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': USER_AGENT,
+  };
+  if (env.GITHUB_TOKEN) {
+    headers['Authorization'] = `Bearer ${env.GITHUB_TOKEN}`;
+  }
+
+  const response = await fetch(
+    `${getGitHubApiBase(env)}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`,
+    { headers }
+  );
+  const rateLimit = readRateLimit(response);
+  const rateLimited = (response.status === 403 || response.status === 429)
+    && (rateLimit.remaining === 0 || response.headers.has('Retry-After'));
+
+  return {
+    status: response.status,
+    data: response.ok ? await response.json() : null,
+    rateLimited,
+    rateLimit,
+  };
+}
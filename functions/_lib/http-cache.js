@@ -0,0 +1,125 @@
+/**
+ * 公开 GET 接口的 HTTP 缓存
+ * ETag 由数据版本号和当天日期组成（星标历史、增长排行按天变化），项目、分类、标签的写操作在同一个 DB.batch 中递增版本号
+ * 响应以「URL + 版本号」为键存入 Workers Cache API，版本号变化后旧缓存不再命中，无需主动清除
+ * 浏览器每次请求都需带 If-None-Match 重新验证，未变化时返回 304；边缘缓存保留 1 天
+ * 版本表尚未创建（数据库未迁移）时不做缓存
+ */
+
+// 返回给浏览器的缓存策略（每次重新验证）
+const CLIENT_CACHE_CONTROL = 'public, max-age=0, must-revalidate';
+
+// 存入边缘缓存时的缓存策略（键中已包含版本号，可长期保留）
+const EDGE_CACHE_CONTROL = 'public, max-age=86400';
+
+/**
+ * 读取当前数据版本
+ * @param {D1Database} db
+ * @returns {Promise<{version: number, updatedAt: string}|null>} 版本表不存在时为 null
+ */
+export async function getDataVersion(db) {
+  try {
+    const row = await db.prepare('SELECT version, updated_at FROM data_version WHERE id = 1').first();
+    return row ? { version: row.version, updatedAt: row.updated_at } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 生成递增数据版本的语句，放在写操作的 DB.batch 中
+ * @param {D1Database} db
+ * @returns {D1PreparedStatement}
+ */
+export function bumpDataVersionStatement(db) {
+  return db.prepare(`
+    INSERT INTO data_version (id, version, updated_at) VALUES (1, 1, ?)
+    ON CONFLICT(id) DO UPDATE SET version = version + 1, updated_at = excluded.updated_at
+  `).bind(new Date().toISOString());
+}
+
+/**
+ * 复制响应并覆盖响应头
+ * @param {Response} response
+ * @param {Object} headers
+ * @returns {Response}
+ */
+function withHeaders(response, headers) {
+  const merged = new Headers(response.headers);
+  Object.entries(headers).forEach(([key, value]) => merged.set(key, value));
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: merged,
+  });
+}
+
+/**
+ * 请求的缓存是否仍然有效（If-None-Match 优先于 If-Modified-Since）
+ * @param {Request} request
+ * @param {string} etag
+ * @param {string} lastModified - HTTP 日期
+ * @returns {boolean}
+ */
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === etag || tag === '*');
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  return Number.isFinite(ifModifiedSince) && ifModifiedSince >= Date.parse(lastModified);
+}
+
+/**
+ * 为 GET 处理函数加上条件请求和边缘缓存
+ * 只缓存 200 响应，处理函数返回其他状态时原样返回
+ * @param {Object} context - Pages Functions 上下文
+ * @param {Function} handler - () => Promise<Response>
+ * @returns {Promise<Response>}
+ */
+export async function withHttpCache(context, handler) {
+  const { request, env } = context;
+  const dataVersion = await getDataVersion(env.DB);
+  if (!dataVersion) {
+    return handler();
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const tag = `${dataVersion.version}-${today.replace(/-/g, '')}`;
+  const headers = {
+    'ETag': `"${tag}"`,
+    'Last-Modified': new Date(Math.max(Date.parse(dataVersion.updatedAt), Date.parse(today))).toUTCString(),
+    'Cache-Control': CLIENT_CACHE_CONTROL,
+  };
+
+  if (isNotModified(request, headers.ETag, headers['Last-Modified'])) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // 本地 Node 环境等没有 Cache API 时只做条件请求
+  const cache = typeof caches !== 'undefined' ? caches.default : null;
+  const cacheUrl = new URL(request.url);
+  cacheUrl.searchParams.set('__v', tag);
+  const cacheKey = new Request(cacheUrl.toString(), { method: 'GET' });
+
+  if (cache) {
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return withHeaders(cached, headers);
+    }
+  }
+
+  const response = await handler();
+  if (response.status !== 200) {
+    return response;
+  }
+
+  const result = withHeaders(response, headers);
+  if (cache) {
+    context.waitUntil(cache.put(cacheKey, withHeaders(result.clone(), { 'Cache-Control': EDGE_CACHE_CONTROL })));
+  }
+  return result;
+}
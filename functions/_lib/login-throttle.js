@@ -0,0 +1,180 @@
+/**
+ * 登录失败限制
+ * 按 IP 和用户名分别记录失败次数，超过免费次数后按指数退避锁定（30 秒起，每次翻倍，最长 1 小时）
+ * 最后一次失败超过 24 小时后计数清零；登录成功时清除对应记录
+ * 记录表尚未创建（数据库未迁移）时不做限制，保证可以登录并执行迁移
+ */
+
+// 锁定前允许的失败次数（同一 IP 可能对应多人，阈值更宽松）
+const FREE_ATTEMPTS = {
+  ip: 10,
+  user: 5,
+};
+
+// 首次锁定时长与最长锁定时长（秒）
+const BASE_LOCK_SECONDS = 30;
+const MAX_LOCK_SECONDS = 60 * 60;
+
+// 失败计数的保留时间（秒）
+const FAILURE_WINDOW = 24 * 60 * 60;
+
+// 标识最大长度，避免超长用户名写入数据库
+const MAX_IDENTIFIER_LENGTH = 64;
+
+/**
+ * 当前时间（秒）
+ * @returns {number}
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * 计算第 failures 次失败后的锁定时长
+ * @param {string} kind - ip / user
+ * @param {number} failures
+ * @returns {number} 锁定秒数，未达到阈值时为 0
+ */
+function getLockSeconds(kind, failures) {
+  const excess = failures - FREE_ATTEMPTS[kind] - 1;
+  if (excess < 0) return 0;
+  return Math.min(BASE_LOCK_SECONDS * 2 ** excess, MAX_LOCK_SECONDS);
+}
+
+/**
+ * 获取客户端 IP
+ * 只信任 Cloudflare 设置的 CF-Connecting-IP，缺失时共用 unknown，避免伪造 X-Forwarded-For 轮换统计键
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * 生成限制记录的键，IP 始终参与统计，提供用户名时同时按用户名统计
+ * @param {Request} request
+ * @param {string} [username]
+ * @returns {Array<{key: string, kind: string, identifier: string}>}
+ */
+export function getAttemptKeys(request, username) {
+  const ip = getClientIp(request).slice(0, MAX_IDENTIFIER_LENGTH);
+  const keys = [{ key: `ip:${ip}`, kind: 'ip', identifier: ip }];
+
+  const name = typeof username === 'string' ? username.trim().toLowerCase().slice(0, MAX_IDENTIFIER_LENGTH) : '';
+  if (name) {
+    keys.push({ key: `user:${name}`, kind: 'user', identifier: name });
+  }
+
+  return keys;
+}
+
+/**
+ * 查询剩余锁定时间
+ * @param {D1Database} db
+ * @param {Array<{key: string}>} keys - getAttemptKeys 的返回值
+ * @returns {Promise<number>} 剩余秒数，未锁定时为 0
+ */
+export async function getRetryAfter(db, keys) {
+  try {
+    const row = await db.prepare(
+      `SELECT MAX(locked_until) AS locked_until FROM login_attempts WHERE key IN (${keys.map(() => '?').join(', ')})`
+    ).bind(...keys.map(({ key }) => key)).first();
+
+    return Math.max(0, (row?.locked_until || 0) - nowSeconds());
+  } catch (error) {
+    console.warn('读取登录失败记录失败:', error);
+    return 0;
+  }
+}
+
+/**
+ * 记录一次失败，并清理过期记录
+ * 失败次数在数据库内原子累加，并发的失败请求各自计数，再按累加后的次数延长锁定
+ * @param {D1Database} db
+ * @param {Array<{key: string, kind: string, identifier: string}>} keys
+ * @returns {Promise<number>} 本次失败后需要等待的秒数，未锁定时为 0
+ */
+export async function recordFailure(db, keys) {
+  const now = nowSeconds();
+  const windowStart = now - FAILURE_WINDOW;
+
+  try {
+    const counted = await db.batch(keys.map(({ key, kind, identifier }) => db.prepare(`
+      INSERT INTO login_attempts (key, kind, identifier, failures, last_failure_at, locked_until)
+      VALUES (?, ?, ?, 1, ?, 0)
+      ON CONFLICT(key) DO UPDATE SET
+        failures = CASE WHEN last_failure_at > ? THEN failures + 1 ELSE 1 END,
+        last_failure_at = excluded.last_failure_at
+      RETURNING failures
+    `).bind(key, kind, identifier, now, windowStart)));
+
+    const locks = keys
+      .map(({ key, kind }, index) => ({ key, lockSeconds: getLockSeconds(kind, counted[index].results[0].failures) }))
+      .filter(({ lockSeconds }) => lockSeconds > 0);
+
+    await db.batch([
+      ...locks.map(({ key, lockSeconds }) => db.prepare(
+        'UPDATE login_attempts SET locked_until = MAX(locked_until, ?) WHERE key = ?'
+      ).bind(now + lockSeconds, key)),
+      db.prepare('DELETE FROM login_attempts WHERE last_failure_at <= ?').bind(windowStart),
+    ]);
+
+    return Math.max(0, ...locks.map(({ lockSeconds }) => lockSeconds));
+  } catch (error) {
+    console.warn('写入登录失败记录失败:', error);
+    return 0;
+  }
+}
+
+/**
+ * 清除失败记录（登录成功后调用）
+ * @param {D1Database} db
+ * @param {Array<{key: string}>} keys
+ */
+export async function clearFailures(db, keys) {
+  try {
+    await db.prepare(
+      `DELETE FROM login_attempts WHERE key IN (${keys.map(() => '?').join(', ')})`
+    ).bind(...keys.map(({ key }) => key)).run();
+  } catch (error) {
+    console.warn('清除登录失败记录失败:', error);
+  }
+}
+
+/**
+ * 获取保留期内的失败记录，已锁定的排在前面
+ * @param {D1Database} db
+ * @returns {Promise<object[]>}
+ */
+export async function listAttempts(db) {
+  const now = nowSeconds();
+  const { results } = await db.prepare(`
+    SELECT * FROM login_attempts
+    WHERE last_failure_at > ?
+    ORDER BY locked_until > ? DESC, last_failure_at DESC
+  `).bind(now - FAILURE_WINDOW, now).all();
+
+  return results.map(row => ({
+    key: row.key,
+    kind: row.kind,
+    identifier: row.identifier,
+    failures: row.failures,
+    lastFailureAt: row.last_failure_at * 1000,
+    lockedUntil: row.locked_until > now ? row.locked_until * 1000 : null,
+  }));
+}
+
+/**
+ * 删除一条失败记录，未指定键时删除全部
+ * @param {D1Database} db
+ * @param {string|null} key
+ * @returns {Promise<number>} 删除的记录数
+ */
+export async function deleteAttempts(db, key) {
+  const result = key
+    ? await db.prepare('DELETE FROM login_attempts WHERE key = ?').bind(key).run()
+    : await db.prepare('DELETE FROM login_attempts').run();
+
+  return result.meta?.changes || 0;
+}
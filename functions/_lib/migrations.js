@@ -0,0 +1,124 @@
+/**
+ * 数据库迁移执行器
+ * 通过 schema_migrations 表记录已执行的迁移版本
+ * 供 /api/admin/migrate、中间件版本检查和本地迁移脚本共用
+ */
+
+import { MIGRATIONS, LATEST_VERSION } from '../../migrations/index.js';
+
+export { LATEST_VERSION };
+
+/**
+ * 创建迁移记录表
+ * @param {D1Database} db
+ */
+async function ensureMigrationsTable(db) {
+  await db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `).run();
+}
+
+/**
+ * 将 SQL 字符串拆分为单条语句（忽略 -- 注释行）
+ * @param {string} sql
+ * @returns {string[]}
+ */
+export function splitSqlStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*(?:\n|$)/)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 获取当前数据库结构版本
+ * 迁移记录表不存在时视为版本 0
+ * @param {D1Database} db
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion(db) {
+  try {
+    const row = await db.prepare(
+      'SELECT MAX(version) AS version FROM schema_migrations'
+    ).first();
+    return row?.version || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * 获取迁移状态
+ * @param {D1Database} db
+ * @returns {Promise<{currentVersion: number, latestVersion: number, applied: Array, pending: Array}>}
+ */
+export async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+
+  const { results } = await db.prepare(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  ).all();
+  const appliedVersions = new Set(results.map(row => row.version));
+
+  return {
+    currentVersion: results.length > 0 ? results[results.length - 1].version : 0,
+    latestVersion: LATEST_VERSION,
+    applied: results,
+    pending: MIGRATIONS
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+/**
+ * 按版本顺序执行所有未执行的迁移
+ * 遇到失败立即停止，已成功的迁移保持记录
+ * @param {D1Database} db
+ * @returns {Promise<{applied: Array, failed: Object|null, currentVersion: number, latestVersion: number}>}
+ */
+export async function applyMigrations(db) {
+  const status = await getMigrationStatus(db);
+  const pendingVersions = new Set(status.pending.map(migration => migration.version));
+  const applied = [];
+  let failed = null;
+
+  for (const migration of MIGRATIONS) {
+    if (!pendingVersions.has(migration.version)) continue;
+
+    const record = db.prepare(
+      'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+    ).bind(migration.version, migration.name, new Date().toISOString());
+
+    try {
+      if (typeof migration.up === 'function') {
+        await migration.up(db);
+        await record.run();
+      } else {
+        // SQL 迁移与版本记录在同一事务内提交
+        await db.batch([
+          ...splitSqlStatements(migration.up).map(sql => db.prepare(sql)),
+          record,
+        ]);
+      }
+      applied.push({ version: migration.version, name: migration.name });
+    } catch (error) {
+      console.error(`执行迁移 ${migration.version} 失败:`, error);
+      failed = { version: migration.version, name: migration.name, error: error.message };
+      break;
+    }
+  }
+
+  return {
+    applied,
+    failed,
+    currentVersion: await getSchemaVersion(db),
+    latestVersion: LATEST_VERSION,
+  };
+}
@@ -0,0 +1,1242 @@
+/**
+ * OpenAPI 3 接口描述
+ * 覆盖 functions/api 下的全部路由：请求参数、请求体、响应结构和统一的错误格式，由 /api/openapi.json 返回
+ * 新增或删除路由、方法和状态码后需同步修改本文件，`npm test` 会经中间件实际调用各处理函数，按本文件校验状态码和响应结构
+ */
+
+import { ROLES } from './roles.js';
+import { API_KEY_HEADER, API_KEY_SCOPES, MAX_RATE_LIMIT } from './api-keys.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from './webhooks.js';
+
+/**
+ * 引用 components/schemas 中的结构
+ * @param {string} name
+ * @returns {Object}
+ */
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * 引用 components/responses 中的响应
+ * @param {string} name
+ * @returns {Object}
+ */
+function responseRef(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+/**
+ * JSON 响应
+ * @param {string} description
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function jsonContent(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema } },
+  };
+}
+
+/**
+ * 对象结构，properties 中以 ? 结尾的键为可选字段
+ * @param {Object} properties
+ * @returns {Object}
+ */
+function object(properties) {
+  const required = [];
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(properties)) {
+    const optional = key.endsWith('?');
+    const name = optional ? key.slice(0, -1) : key;
+    if (!optional) required.push(name);
+    normalized[name] = value;
+  }
+
+  return { type: 'object', ...(required.length > 0 ? { required } : {}), properties: normalized };
+}
+
+/**
+ * 数组结构
+ * @param {Object} items
+ * @returns {Object}
+ */
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const nullableString = { type: 'string', nullable: true };
+const timestampMs = { type: 'integer', description: '毫秒时间戳' };
+
+/**
+ * 查询参数
+ * @param {string} name
+ * @param {string} description
+ * @param {Object} [options] - { required, schema }
+ * @returns {Object}
+ */
+function queryParam(name, description, { required = false, schema = string } = {}) {
+  return { name, in: 'query', required, description, schema };
+}
+
+// 路径参数：项目 ID
+const PROJECT_ID_PARAM = { name: 'id', in: 'path', required: true, description: '项目 ID', schema: string };
+
+// 公开 GET 接口的条件请求头（ETag）
+const IF_NONE_MATCH_PARAM = {
+  name: 'If-None-Match',
+  in: 'header',
+  required: false,
+  description: '上次响应的 ETag，数据未变化时返回 304',
+  schema: string,
+};
+
+// 各权限对应的安全要求和错误响应
+const AUTH_LEVELS = {
+  public: { security: [], responses: {} },
+  login: {
+    security: [{ bearerAuth: [] }],
+    responses: { 401: responseRef('Unauthorized') },
+  },
+  editor: {
+    security: [{ bearerAuth: [] }],
+    responses: { 401: responseRef('Unauthorized'), 403: responseRef('Forbidden') },
+  },
+  owner: {
+    security: [{ bearerAuth: [] }],
+    responses: { 401: responseRef('Unauthorized'), 403: responseRef('Forbidden') },
+  },
+};
+
+/**
+ * 允许 API Key 访问时的安全要求：公开接口可不带认证，其余接口可用 Token 或 Key 之一
+ * @param {Object[]} security
+ * @returns {Object[]}
+ */
+function withApiKeySecurity(security) {
+  return [...(security.length > 0 ? security : [{}]), { apiKey: [] }];
+}
+
+/**
+ * 生成接口描述
+ * 写操作附带中间件返回的 503（未完成初始化或数据库结构版本落后），需要登录的接口附带 401 / 403
+ * 允许 API Key 访问的接口标注 x-api-key-scope，并附带 Key 无效（401）、超出范围（403）和超出频率（429）
+ * @param {Object} options
+ * @param {string} options.tag - 分组
+ * @param {string} options.summary
+ * @param {string} [options.description]
+ * @param {string} options.auth - public / login / editor / owner
+ * @param {boolean} [options.write] - 是否为写操作
+ * @param {boolean} [options.cached] - 是否支持 ETag 条件请求
+ * @param {string} [options.apiKeyScope] - 可访问该接口的 API Key 权限范围
+ * @param {Object[]} [options.parameters]
+ * @param {Object} [options.body] - 请求体结构
+ * @param {Object} options.responses
+ * @returns {Object}
+ */
+function operation({
+  tag,
+  summary,
+  description,
+  auth,
+  write = false,
+  cached = false,
+  apiKeyScope,
+  parameters = [],
+  body,
+  responses,
+}) {
+  const level = AUTH_LEVELS[auth];
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    security: apiKeyScope ? withApiKeySecurity(level.security) : level.security,
+    ...(auth !== 'public' && auth !== 'login' ? { 'x-min-role': auth } : {}),
+    ...(apiKeyScope ? { 'x-api-key-scope': apiKeyScope } : {}),
+    ...(parameters.length > 0 || cached
+      ? { parameters: [...parameters, ...(cached ? [IF_NONE_MATCH_PARAM] : [])] }
+      : {}),
+    ...(body
+      ? { requestBody: { required: true, content: { 'application/json': { schema: body } } } }
+      : {}),
+    responses: {
+      ...responses,
+      ...(cached ? { 304: { description: '数据未变化' } } : {}),
+      ...level.responses,
+      ...(apiKeyScope
+        ? { 401: responseRef('Unauthorized'), 403: responseRef('Forbidden'), 429: responseRef('TooManyRequests') }
+        : {}),
+      ...(write || auth !== 'public' ? { 503: responseRef('ServiceUnavailable') } : {}),
+      500: responseRef('ServerError'),
+    },
+  };
+}
+
+// 写操作成功时的通用字段
+const SUCCESS_FIELDS = { success: { type: 'boolean', enum: [true] }, message: string };
+
+// 登录成功后返回的会话
+const SESSION_FIELDS = { token: string, expiresAt: timestampMs };
+
+const schemas = {
+  Error: object({
+    'success?': { type: 'boolean', enum: [false] },
+    error: { ...string, description: '错误信息' },
+    'details?': { ...string, description: '异常详情（仅 500）' },
+  }),
+  ValidationError: object({
+    success: { type: 'boolean', enum: [false] },
+    error: string,
+    fields: {
+      type: 'object',
+      description: '字段名到错误信息的映射',
+      additionalProperties: string,
+    },
+  }),
+  TooManyRequests: object({
+    success: { type: 'boolean', enum: [false] },
+    error: string,
+    retryAfter: { ...integer, description: '需等待的秒数' },
+  }),
+  ServiceUnavailable: object({
+    error: string,
+    'setupRequired?': boolean,
+    'currentVersion?': integer,
+    'latestVersion?': integer,
+    'missingConfig?': { ...string, description: '缺少的环境变量' },
+  }),
+  Project: object({
+    id: string,
+    name: string,
+    owner: string,
+    description: string,
+    github_url: string,
+    stars: integer,
+    language: string,
+    created_at: string,
+    updated_at: string,
+    'deleted_at?': nullableString,
+    'refreshed_at?': { ...nullableString, description: '最近一次从 GitHub 刷新的时间' },
+    'github_updated_at?': { ...nullableString, description: '最近一次应用的 GitHub 仓库更新时间（用于丢弃晚到的旧事件）' },
+    'archived?': { ...integer, enum: [0, 1], description: '仓库是否已在 GitHub 归档（由 GitHub Webhook 同步）' },
+    category: { ...arrayOf(string), description: '与 categories 相同，兼容旧版前台' },
+    categories: arrayOf(string),
+    tags: arrayOf(string),
+    'stars_gained?': { ...integer, description: '统计窗口内增长的星标数（增长排序、增长排行）' },
+    'star_history?': arrayOf(schemaRef('StarPoint')),
+  }),
+  ProjectInput: object({
+    'id?': { ...string, description: '新增时不传则自动生成' },
+    name: string,
+    owner: string,
+    'description?': string,
+    'github_url?': string,
+    'stars?': integer,
+    'language?': string,
+    'created_at?': string,
+    'categories?': arrayOf(string),
+    'tags?': arrayOf(string),
+  }),
+  Category: object({
+    id: string,
+    name: string,
+    slug: string,
+    description: string,
+    'deleted_at?': nullableString,
+  }),
+  CategoryInput: object({
+    'id?': { ...string, description: '新增时不传则使用 slug' },
+    name: string,
+    slug: string,
+    'description?': string,
+  }),
+  Tag: object({ id: integer, name: string, count: integer }),
+  StarPoint: object({ date: string, stars: integer }),
+  User: object({
+    id: integer,
+    username: string,
+    role: { type: 'string', enum: ROLES },
+    disabled: boolean,
+    invitePending: boolean,
+    inviteExpiresAt: { ...timestampMs, nullable: true },
+    invitedBy: nullableString,
+    createdAt: string,
+  }),
+  Invite: object({ inviteToken: string, inviteExpiresAt: timestampMs }),
+  Revision: object({
+    id: integer,
+    projectId: string,
+    actor: { ...nullableString, description: '为 null 时表示首次记录版本前的基线' },
+    createdAt: string,
+    snapshot: object({
+      name: string,
+      owner: string,
+      description: string,
+      github_url: string,
+      language: string,
+      categories: arrayOf(string),
+      tags: arrayOf(string),
+    }),
+  }),
+  AuditEntry: object({
+    id: integer,
+    actor: string,
+    action: {
+      type: 'string',
+      enum: ['create', 'update', 'delete', 'sync', 'refresh', 'restore', 'purge', 'revert'],
+    },
+    entityType: string,
+    entityId: string,
+    diff: { type: 'object', description: '字段名到 { from, to } 的映射', additionalProperties: true },
+    createdAt: string,
+  }),
+  SyncDiff: object({
+    added: arrayOf(object({ id: string, label: string })),
+    changed: arrayOf(object({ id: string, label: string, fields: { type: 'object', additionalProperties: true } })),
+    unchanged: integer,
+    deleted: arrayOf(object({ id: string, label: string })),
+  }),
+  Migration: object({ version: integer, name: string, 'applied_at?': string }),
+  ApiKey: object({
+    id: integer,
+    name: string,
+    prefix: { ...string, description: 'Key 的前几位，用于识别' },
+    scopes: arrayOf({ type: 'string', enum: Object.keys(API_KEY_SCOPES) }),
+    rateLimit: { ...integer, description: '每分钟最多请求次数' },
+    createdBy: nullableString,
+    createdAt: string,
+    lastUsedAt: nullableString,
+    revokedAt: nullableString,
+  }),
+  Webhook: object({
+    id: integer,
+    name: string,
+    url: string,
+    events: arrayOf({ type: 'string', enum: Object.keys(WEBHOOK_EVENTS) }),
+    active: boolean,
+    createdBy: nullableString,
+    createdAt: string,
+    lastDeliveryStatus: { type: 'string', enum: DELIVERY_STATUSES, nullable: true },
+    lastDeliveryAt: nullableString,
+  }),
+  WebhookDelivery: object({
+    id: integer,
+    webhookId: integer,
+    webhookName: string,
+    event: { type: 'string', enum: Object.keys(WEBHOOK_EVENTS) },
+    payload: object({
+      event: string,
+      occurredAt: string,
+      actor: string,
+      data: { type: 'object', additionalProperties: true },
+    }),
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: integer,
+    responseStatus: { ...integer, nullable: true },
+    responseBody: nullableString,
+    error: nullableString,
+    replayOf: { ...integer, nullable: true, description: '重放时为原推送记录 ID' },
+    createdAt: string,
+    lastAttemptAt: nullableString,
+    nextAttemptAt: { ...nullableString, description: '待重试时的下次推送时间' },
+  }),
+};
+
+const responses = {
+  BadRequest: jsonContent('请求参数错误', schemaRef('Error')),
+  Unauthorized: jsonContent('未登录、Token 已失效或 API Key 无效', schemaRef('Error')),
+  Forbidden: jsonContent('权限不足', schemaRef('Error')),
+  NotFound: jsonContent('资源不存在', schemaRef('Error')),
+  Conflict: jsonContent('与现有数据冲突', schemaRef('Error')),
+  ValidationError: jsonContent('字段校验失败', schemaRef('ValidationError')),
+  TooManyRequests: {
+    ...jsonContent('失败次数过多暂时锁定，或 API Key 超出每分钟请求次数', schemaRef('TooManyRequests')),
+    headers: { 'Retry-After': { description: '需等待的秒数', schema: integer } },
+  },
+  ServiceUnavailable: jsonContent(
+    '未配置 AUTH_SECRET、尚未完成初始化设置或数据库结构版本落后',
+    schemaRef('ServiceUnavailable')
+  ),
+  ServerError: jsonContent('服务器内部错误', schemaRef('Error')),
+};
+
+// 订阅源的查询参数
+const FEED_PARAMS = [
+  queryParam('category', '只包含指定分类的项目'),
+  queryParam('language', '只包含指定语言的项目（不区分大小写）'),
+];
+
+// 订阅源响应
+const feedResponse = (description, contentType) => ({
+  description,
+  content: { [contentType]: { schema: string } },
+});
+
+const paths = {
+  '/api/openapi.json': {
+    get: operation({
+      tag: '文档',
+      summary: '获取 OpenAPI 接口描述',
+      auth: 'public',
+      responses: { 200: jsonContent('OpenAPI 3 文档', { type: 'object' }) },
+    }),
+  },
+
+  '/api/auth': {
+    post: operation({
+      tag: '认证',
+      summary: '登录',
+      description: '同一 IP 或用户名连续失败后会被暂时锁定',
+      auth: 'public',
+      write: true,
+      body: object({ username: string, password: string }),
+      responses: {
+        200: jsonContent('登录成功', object({
+          ...SUCCESS_FIELDS,
+          ...SESSION_FIELDS,
+          user: object({ username: string, role: { type: 'string', enum: ROLES } }),
+        })),
+        400: responseRef('BadRequest'),
+        401: jsonContent('用户名或密码错误', schemaRef('Error')),
+        429: responseRef('TooManyRequests'),
+      },
+    }),
+  },
+  '/api/auth/refresh': {
+    post: operation({
+      tag: '认证',
+      summary: '续期 Token（旧 Token 随即失效）',
+      auth: 'login',
+      write: true,
+      responses: {
+        200: jsonContent('新的 Token', object({
+          success: SUCCESS_FIELDS.success,
+          ...SESSION_FIELDS,
+          user: object({ username: string }),
+        })),
+      },
+    }),
+  },
+  '/api/auth/logout': {
+    post: operation({
+      tag: '认证',
+      summary: '退出登录，注销当前 Token',
+      auth: 'login',
+      write: true,
+      responses: { 200: jsonContent('已退出', object(SUCCESS_FIELDS)) },
+    }),
+  },
+  '/api/auth/setup': {
+    get: operation({
+      tag: '认证',
+      summary: '查询是否需要创建首个管理员账号',
+      auth: 'public',
+      responses: { 200: jsonContent('设置状态', object({ setupRequired: boolean })) },
+    }),
+    post: operation({
+      tag: '认证',
+      summary: '创建首个管理员账号（owner）',
+      description: '仅在没有任何账号且未配置 ADMIN_PASSWORD 时可用',
+      auth: 'public',
+      write: true,
+      body: object({ username: string, password: string }),
+      responses: {
+        200: jsonContent('账号已创建并登录', object({
+          ...SUCCESS_FIELDS,
+          ...SESSION_FIELDS,
+          user: object({ username: string }),
+        })),
+        400: responseRef('BadRequest'),
+        409: responseRef('Conflict'),
+      },
+    }),
+  },
+  '/api/auth/password': {
+    post: operation({
+      tag: '认证',
+      summary: '修改密码',
+      description: '成功后旧 Token 全部失效，返回新的 Token；当前密码错误与登录失败共用计数，次数过多时返回 429',
+      auth: 'login',
+      write: true,
+      body: object({ currentPassword: string, newPassword: string }),
+      responses: {
+        200: jsonContent('密码已修改', object({ ...SUCCESS_FIELDS, ...SESSION_FIELDS })),
+        400: responseRef('BadRequest'),
+        422: jsonContent('当前密码错误（fields.currentPassword）', schemaRef('ValidationError')),
+        429: responseRef('TooManyRequests'),
+      },
+    }),
+  },
+  '/api/auth/me': {
+    get: operation({
+      tag: '认证',
+      summary: '获取当前账号的用户名和角色',
+      auth: 'login',
+      responses: {
+        200: jsonContent('当前账号', object({
+          user: object({ username: string, role: { type: 'string', enum: ROLES } }),
+        })),
+      },
+    }),
+  },
+  '/api/auth/invite': {
+    get: operation({
+      tag: '认证',
+      summary: '查询邀请对应的用户名和角色',
+      auth: 'public',
+      parameters: [queryParam('token', '邀请令牌', { required: true })],
+      responses: {
+        200: jsonContent('邀请信息', object({ username: string, role: { type: 'string', enum: ROLES } })),
+        404: responseRef('NotFound'),
+      },
+    }),
+    post: operation({
+      tag: '认证',
+      summary: '接受邀请并设置密码',
+      auth: 'public',
+      write: true,
+      body: object({ token: string, password: string }),
+      responses: {
+        200: jsonContent('账号已激活并登录', object({
+          ...SUCCESS_FIELDS,
+          ...SESSION_FIELDS,
+          user: object({ username: string, role: { type: 'string', enum: ROLES } }),
+        })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+
+  '/api/users': {
+    get: operation({
+      tag: '账号',
+      summary: '获取所有管理员账号',
+      auth: 'owner',
+      responses: {
+        200: jsonContent('账号列表', object({
+          users: arrayOf(schemaRef('User')),
+          roles: arrayOf(string),
+        })),
+      },
+    }),
+    post: operation({
+      tag: '账号',
+      summary: '邀请新账号，返回一次性邀请令牌',
+      auth: 'owner',
+      write: true,
+      body: object({ username: string, role: { type: 'string', enum: ROLES } }),
+      responses: {
+        200: jsonContent('邀请已创建', {
+          allOf: [object({ ...SUCCESS_FIELDS, user: schemaRef('User') }), schemaRef('Invite')],
+        }),
+        400: responseRef('BadRequest'),
+        409: responseRef('Conflict'),
+      },
+    }),
+    put: operation({
+      tag: '账号',
+      summary: '修改角色、停用 / 启用或重新生成邀请',
+      auth: 'owner',
+      write: true,
+      body: object({
+        id: integer,
+        'role?': { type: 'string', enum: ROLES },
+        'disabled?': boolean,
+        'resendInvite?': boolean,
+      }),
+      responses: {
+        200: jsonContent('账号已更新（resendInvite 时附带邀请令牌）', object({
+          ...SUCCESS_FIELDS,
+          user: schemaRef('User'),
+          'inviteToken?': string,
+          'inviteExpiresAt?': timestampMs,
+        })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+        409: responseRef('Conflict'),
+      },
+    }),
+  },
+
+  '/api/projects': {
+    get: operation({
+      tag: '项目',
+      summary: '获取项目列表',
+      description: '未传 page / limit 时返回全部匹配项目；传入时分页并附带全站统计',
+      auth: 'public',
+      apiKeyScope: 'projects:read',
+      cached: true,
+      parameters: [
+        queryParam('q', '按名称、所有者、描述、语言和标签模糊搜索'),
+        queryParam('language', '按语言筛选，all 表示不限'),
+        queryParam('category', '按分类筛选，all 表示不限'),
+        queryParam('ids', '逗号分隔的项目 ID，最多 500 个'),
+        queryParam('sort', '排序方式', {
+          schema: {
+            type: 'string',
+            enum: ['stars-desc', 'stars-asc', 'name-asc', 'name-desc', 'updated-desc', 'updated-asc', 'growth-desc'],
+            default: 'stars-desc',
+          },
+        }),
+        queryParam('page', '页码，从 1 开始', { schema: { type: 'integer', minimum: 1 } }),
+        queryParam('limit', '每页数量，默认 24，最多 100', { schema: { type: 'integer', minimum: 1, maximum: 100 } }),
+        queryParam('history', '附带最近 N 天的 star_history（最多 365）', { schema: integer }),
+      ],
+      responses: {
+        200: jsonContent('项目列表', object({
+          projects: arrayOf(schemaRef('Project')),
+          total: integer,
+          'page?': integer,
+          'limit?': integer,
+          'totalPages?': integer,
+          'stats?': object({ projects: integer, languages: integer, stars: integer }),
+        })),
+        400: responseRef('BadRequest'),
+      },
+    }),
+    post: operation({
+      tag: '项目',
+      summary: '添加项目',
+      auth: 'editor',
+      write: true,
+      body: schemaRef('ProjectInput'),
+      responses: {
+        200: jsonContent('项目已添加', object({ ...SUCCESS_FIELDS, project: schemaRef('Project') })),
+        409: jsonContent('项目 ID 已存在或在回收站中', schemaRef('Error')),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    put: operation({
+      tag: '项目',
+      summary: '更新项目',
+      auth: 'editor',
+      write: true,
+      body: { allOf: [schemaRef('ProjectInput'), object({ id: string })] },
+      responses: {
+        200: jsonContent('项目已更新', object({ ...SUCCESS_FIELDS, project: schemaRef('Project') })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    delete: operation({
+      tag: '项目',
+      summary: '删除项目（移入回收站）',
+      auth: 'editor',
+      write: true,
+      parameters: [queryParam('id', '项目 ID（也可放在请求体 { id } 中）')],
+      responses: {
+        200: jsonContent('已移入回收站', object(SUCCESS_FIELDS)),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/projects/{id}/history': {
+    get: operation({
+      tag: '项目',
+      summary: '获取项目的星标历史，每天一个点',
+      auth: 'public',
+      apiKeyScope: 'projects:read',
+      cached: true,
+      parameters: [
+        PROJECT_ID_PARAM,
+        queryParam('days', '天数，默认 90，最多 365', { schema: { type: 'integer', minimum: 1, maximum: 365 } }),
+      ],
+      responses: {
+        200: jsonContent('星标历史', object({
+          id: string,
+          stars: integer,
+          days: integer,
+          history: arrayOf(schemaRef('StarPoint')),
+        })),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/projects/{id}/revisions': {
+    get: operation({
+      tag: '项目',
+      summary: '获取项目的全部版本，最新的在前',
+      auth: 'login',
+      apiKeyScope: 'projects:read',
+      parameters: [PROJECT_ID_PARAM],
+      responses: {
+        200: jsonContent('版本列表', object({ id: string, revisions: arrayOf(schemaRef('Revision')) })),
+        404: responseRef('NotFound'),
+      },
+    }),
+    post: operation({
+      tag: '项目',
+      summary: '回滚到指定版本，星标数保持不变',
+      auth: 'editor',
+      write: true,
+      parameters: [PROJECT_ID_PARAM],
+      body: object({ revisionId: integer }),
+      responses: {
+        200: jsonContent('已回滚（内容相同时不写入）', object({ ...SUCCESS_FIELDS, project: schemaRef('Project') })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/trending': {
+    get: operation({
+      tag: '项目',
+      summary: '增长排行',
+      auth: 'public',
+      apiKeyScope: 'projects:read',
+      cached: true,
+      parameters: [
+        queryParam('window', '统计窗口', { schema: { type: 'string', enum: ['7d', '30d'], default: '7d' } }),
+        queryParam('limit', '数量，默认 20', { schema: integer }),
+      ],
+      responses: {
+        200: jsonContent('附带 stars_gained 的项目', object({
+          window: string,
+          since: string,
+          projects: arrayOf(schemaRef('Project')),
+        })),
+        400: responseRef('BadRequest'),
+      },
+    }),
+  },
+  '/api/feed.xml': {
+    get: operation({
+      tag: '订阅源',
+      summary: 'Atom 订阅源：最近新增和更新的 50 个项目',
+      auth: 'public',
+      cached: true,
+      parameters: FEED_PARAMS,
+      responses: { 200: feedResponse('Atom 文档', 'application/atom+xml') },
+    }),
+  },
+  '/api/feed.rss': {
+    get: operation({
+      tag: '订阅源',
+      summary: 'RSS 2.0 订阅源：最近新增和更新的 50 个项目',
+      auth: 'public',
+      cached: true,
+      parameters: FEED_PARAMS,
+      responses: { 200: feedResponse('RSS 文档', 'application/rss+xml') },
+    }),
+  },
+
+  '/api/categories': {
+    get: operation({
+      tag: '分类',
+      summary: '获取所有分类',
+      auth: 'public',
+      apiKeyScope: 'projects:read',
+      cached: true,
+      responses: { 200: jsonContent('分类列表', object({ categories: arrayOf(schemaRef('Category')) })) },
+    }),
+    post: operation({
+      tag: '分类',
+      summary: '添加分类',
+      auth: 'editor',
+      write: true,
+      body: schemaRef('CategoryInput'),
+      responses: {
+        200: jsonContent('分类已添加', object({ ...SUCCESS_FIELDS, category: schemaRef('Category') })),
+        409: jsonContent('分类已存在或在回收站中', schemaRef('Error')),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    put: operation({
+      tag: '分类',
+      summary: '更新分类（修改 slug 会同步更新项目引用）',
+      description: '未传的字段保持不变',
+      auth: 'editor',
+      write: true,
+      body: object({ id: string, 'name?': string, 'slug?': string, 'description?': string }),
+      responses: {
+        200: jsonContent('分类已更新', object({
+          ...SUCCESS_FIELDS,
+          previousId: string,
+          category: schemaRef('Category'),
+        })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+        409: responseRef('Conflict'),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    delete: operation({
+      tag: '分类',
+      summary: '删除分类（移入回收站）',
+      auth: 'editor',
+      write: true,
+      parameters: [
+        queryParam('id', '分类 ID', { required: true }),
+        queryParam('force', '分类下仍有项目时传 1 强制删除', { schema: { type: 'string', enum: ['1'] } }),
+      ],
+      responses: {
+        200: jsonContent('已移入回收站', object({ ...SUCCESS_FIELDS, affectedProjects: arrayOf(string) })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+        409: jsonContent('分类下仍有项目', object({
+          error: string,
+          projects: arrayOf(object({ id: string, name: string, owner: string })),
+        })),
+      },
+    }),
+  },
+
+  '/api/tags': {
+    get: operation({
+      tag: '标签',
+      summary: '获取所有标签及使用次数',
+      auth: 'public',
+      apiKeyScope: 'projects:read',
+      cached: true,
+      responses: { 200: jsonContent('标签列表', object({ tags: arrayOf(schemaRef('Tag')) })) },
+    }),
+    put: operation({
+      tag: '标签',
+      summary: '重命名或合并标签',
+      auth: 'editor',
+      write: true,
+      body: object({
+        from: { oneOf: [string, arrayOf(string)], description: '源标签，传数组时合并到目标标签（最多 100 个）' },
+        to: { ...string, description: '目标标签，最多 50 个字符' },
+      }),
+      responses: {
+        200: jsonContent('标签已更新', object({
+          ...SUCCESS_FIELDS,
+          from: arrayOf(string),
+          to: string,
+          affectedProjects: { ...integer, description: '受影响的项目数（不含回收站中的项目）' },
+        })),
+        400: jsonContent('源标签与目标标签相同', schemaRef('Error')),
+        404: responseRef('NotFound'),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    delete: operation({
+      tag: '标签',
+      summary: '从所有项目中删除标签',
+      auth: 'editor',
+      write: true,
+      parameters: [queryParam('name', '标签名称', { required: true })],
+      responses: {
+        200: jsonContent('标签已删除', object({
+          ...SUCCESS_FIELDS,
+          affectedProjects: { ...integer, description: '受影响的项目数（不含回收站中的项目）' },
+        })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+
+  '/api/sync': {
+    post: operation({
+      tag: '数据',
+      summary: '批量同步项目和分类',
+      description: '整体在一个事务中写入；dryRun 只返回差异；mirror 模式同时将云端多余的项目和分类移入回收站',
+      auth: 'owner',
+      apiKeyScope: 'sync',
+      write: true,
+      body: object({
+        'projects?': arrayOf({ allOf: [schemaRef('ProjectInput'), object({ id: string })] }),
+        'categories?': arrayOf({ allOf: [schemaRef('CategoryInput'), object({ id: string })] }),
+        'dryRun?': boolean,
+        'mode?': { type: 'string', enum: ['merge', 'mirror'], default: 'merge' },
+      }),
+      responses: {
+        200: jsonContent('同步结果或差异（dryRun）', object({
+          success: SUCCESS_FIELDS.success,
+          'message?': string,
+          'dryRun?': boolean,
+          mode: string,
+          'results?': object({
+            projects: integer,
+            categories: integer,
+            deletedProjects: integer,
+            deletedCategories: integer,
+          }),
+          diff: object({ projects: schemaRef('SyncDiff'), categories: schemaRef('SyncDiff') }),
+        })),
+        400: responseRef('BadRequest'),
+        422: jsonContent('部分数据校验失败，未写入任何数据', object({
+          success: { type: 'boolean', enum: [false] },
+          error: string,
+          errors: arrayOf(object({
+            type: { type: 'string', enum: ['project', 'category'] },
+            index: integer,
+            'id?': string,
+            fields: { type: 'object', additionalProperties: string },
+          })),
+        })),
+      },
+    }),
+  },
+  '/api/github-webhook': {
+    post: operation({
+      tag: '数据',
+      summary: '接收 GitHub 仓库事件并更新对应项目',
+      description: [
+        '以 GITHUB_WEBHOOK_SECRET 校验 X-Hub-Signature-256，按 X-GitHub-Event 处理 star、watch、',
+        'repository（renamed / transferred / archived / unarchived）和 release（published）事件；',
+        '其余事件、未收录的仓库和重复的推送（相同 X-GitHub-Delivery）返回 ignored 及原因；',
+        'star / watch 事件的仓库更新时间早于项目已应用的值时不更新，对应项目列在 stale 中',
+      ].join(''),
+      auth: 'public',
+      write: true,
+      parameters: [
+        { name: 'X-GitHub-Event', in: 'header', required: true, description: 'GitHub 事件名称', schema: string },
+        { name: 'X-Hub-Signature-256', in: 'header', required: true, description: 'sha256=<hex>', schema: string },
+        { name: 'X-GitHub-Delivery', in: 'header', description: '推送 ID，用于去重', schema: string },
+      ],
+      body: { type: 'object', description: 'GitHub Webhook 事件内容', additionalProperties: true },
+      responses: {
+        200: jsonContent('处理结果', object({
+          success: boolean,
+          'message?': string,
+          'ignored?': boolean,
+          'reason?': { ...string, description: '忽略原因' },
+          'updated?': arrayOf(object({ id: string, fields: { type: 'object', additionalProperties: true } })),
+          'unchanged?': arrayOf(string),
+          'stale?': { ...arrayOf(string), description: '事件早于已应用的仓库数据而未更新的项目' },
+        })),
+        400: responseRef('BadRequest'),
+        401: jsonContent('签名校验失败', schemaRef('Error')),
+      },
+    }),
+  },
+  '/api/refresh': {
+    post: operation({
+      tag: '数据',
+      summary: '从 GitHub 刷新星标、语言、描述、更新日期和归档状态',
+      description: '不传 ids 时按最久未刷新的顺序刷新一批；有变化的项目写入版本历史并触发 project.updated 事件',
+      auth: 'editor',
+      write: true,
+      body: object({ 'ids?': arrayOf(string) }),
+      responses: {
+        200: jsonContent('刷新结果', object({
+          ...SUCCESS_FIELDS,
+          total: integer,
+          updated: arrayOf(object({ id: string, fields: { type: 'object', additionalProperties: true } })),
+          unchanged: arrayOf(string),
+          failed: arrayOf(object({ id: string, error: string })),
+          skipped: arrayOf(string),
+          notFound: arrayOf(string),
+          rateLimit: object({ remaining: { ...integer, nullable: true }, resetAt: { ...timestampMs, nullable: true } }),
+        })),
+        400: responseRef('BadRequest'),
+      },
+    }),
+  },
+  '/api/trash': {
+    get: operation({
+      tag: '数据',
+      summary: '列出回收站中的项目和分类，并清理超过保留天数的数据',
+      auth: 'editor',
+      responses: {
+        200: jsonContent('回收站', object({
+          retentionDays: integer,
+          projects: arrayOf({ allOf: [schemaRef('Project'), object({ purge_at: nullableString })] }),
+          categories: arrayOf({
+            allOf: [schemaRef('Category'), object({ project_count: integer, purge_at: nullableString })],
+          }),
+          purged: object({ projects: arrayOf(string), categories: arrayOf(string) }),
+        })),
+      },
+    }),
+    post: operation({
+      tag: '数据',
+      summary: '从回收站恢复项目或分类',
+      auth: 'editor',
+      write: true,
+      body: object({ type: { type: 'string', enum: ['project', 'category'] }, id: string }),
+      responses: {
+        200: jsonContent('已恢复', object(SUCCESS_FIELDS)),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+    delete: operation({
+      tag: '数据',
+      summary: '彻底删除回收站中的项目或分类，不可恢复',
+      auth: 'owner',
+      write: true,
+      parameters: [
+        queryParam('type', '对象类型', { required: true, schema: { type: 'string', enum: ['project', 'category'] } }),
+        queryParam('id', 'ID', { required: true }),
+      ],
+      responses: {
+        200: jsonContent('已彻底删除', object(SUCCESS_FIELDS)),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/audit': {
+    get: operation({
+      tag: '数据',
+      summary: '查询操作日志，按时间倒序',
+      auth: 'login',
+      apiKeyScope: 'audit:read',
+      parameters: [
+        queryParam('entity', '对象类型（project / category / tag / user / lockout / api_key / webhook）'),
+        queryParam('entityId', '对象 ID'),
+        queryParam('actor', '操作者'),
+        queryParam('action', '操作类型'),
+        queryParam('page', '页码', { schema: integer }),
+        queryParam('limit', '每页数量', { schema: integer }),
+      ],
+      responses: {
+        200: jsonContent('操作日志', object({
+          entries: arrayOf(schemaRef('AuditEntry')),
+          total: integer,
+          page: integer,
+          limit: integer,
+          totalPages: integer,
+          actors: arrayOf(string),
+        })),
+      },
+    }),
+  },
+
+  '/api/api-keys': {
+    get: operation({
+      tag: '系统',
+      summary: '获取全部 API Key 及可选的权限范围',
+      auth: 'owner',
+      responses: {
+        200: jsonContent('API Key 列表', object({
+          keys: arrayOf(schemaRef('ApiKey')),
+          scopes: arrayOf(object({ id: string, label: string })),
+          defaultRateLimit: integer,
+        })),
+      },
+    }),
+    post: operation({
+      tag: '系统',
+      summary: '创建 API Key，明文 Key 只在响应中返回一次',
+      auth: 'owner',
+      write: true,
+      body: object({
+        name: string,
+        scopes: arrayOf({ type: 'string', enum: Object.keys(API_KEY_SCOPES) }),
+        'rateLimit?': { type: 'integer', minimum: 1, maximum: MAX_RATE_LIMIT, description: '每分钟最多请求次数' },
+      }),
+      responses: {
+        200: jsonContent('API Key 已创建', object({ ...SUCCESS_FIELDS, apiKey: schemaRef('ApiKey'), key: string })),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    delete: operation({
+      tag: '系统',
+      summary: '撤销 API Key，撤销后立即失效',
+      auth: 'owner',
+      write: true,
+      parameters: [queryParam('id', 'API Key ID', { required: true, schema: integer })],
+      responses: {
+        200: jsonContent('已撤销', object(SUCCESS_FIELDS)),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/webhooks': {
+    get: operation({
+      tag: '系统',
+      summary: '获取全部 Webhook 及可订阅的事件',
+      auth: 'owner',
+      responses: {
+        200: jsonContent('Webhook 列表', object({
+          webhooks: arrayOf(schemaRef('Webhook')),
+          events: arrayOf(object({ id: string, label: string })),
+        })),
+      },
+    }),
+    post: operation({
+      tag: '系统',
+      summary: '创建 Webhook，签名密钥只在响应中返回一次',
+      description: '订阅的事件发生后向 url POST JSON，X-Webhook-Signature-256 为以密钥对请求体计算的 HMAC-SHA256（sha256=<hex>）',
+      auth: 'owner',
+      write: true,
+      body: object({
+        name: string,
+        url: string,
+        events: arrayOf({ type: 'string', enum: Object.keys(WEBHOOK_EVENTS) }),
+        'active?': boolean,
+      }),
+      responses: {
+        200: jsonContent('Webhook 已创建', object({ ...SUCCESS_FIELDS, webhook: schemaRef('Webhook'), secret: string })),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    put: operation({
+      tag: '系统',
+      summary: '更新 Webhook，只修改提供的字段',
+      auth: 'owner',
+      write: true,
+      body: object({
+        id: integer,
+        'name?': string,
+        'url?': string,
+        'events?': arrayOf({ type: 'string', enum: Object.keys(WEBHOOK_EVENTS) }),
+        'active?': boolean,
+        'rotateSecret?': { ...boolean, description: '重新生成签名密钥' },
+      }),
+      responses: {
+        200: jsonContent('Webhook 已更新', object({
+          ...SUCCESS_FIELDS,
+          webhook: schemaRef('Webhook'),
+          'secret?': { ...string, description: '重新生成的签名密钥' },
+        })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+        422: responseRef('ValidationError'),
+      },
+    }),
+    delete: operation({
+      tag: '系统',
+      summary: '删除 Webhook 及其推送记录',
+      auth: 'owner',
+      write: true,
+      parameters: [queryParam('id', 'Webhook ID', { required: true, schema: integer })],
+      responses: {
+        200: jsonContent('已删除', object(SUCCESS_FIELDS)),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/webhooks/deliveries': {
+    get: operation({
+      tag: '系统',
+      summary: '查询 Webhook 推送记录，按时间倒序',
+      auth: 'owner',
+      parameters: [
+        queryParam('webhookId', 'Webhook ID', { schema: integer }),
+        queryParam('status', '推送状态', { schema: { type: 'string', enum: ['all', ...DELIVERY_STATUSES] } }),
+        queryParam('page', '页码', { schema: integer }),
+        queryParam('limit', '每页数量', { schema: integer }),
+      ],
+      responses: {
+        200: jsonContent('推送记录', object({
+          deliveries: arrayOf(schemaRef('WebhookDelivery')),
+          total: integer,
+          page: integer,
+          limit: integer,
+          totalPages: integer,
+        })),
+        400: responseRef('BadRequest'),
+      },
+    }),
+    post: operation({
+      tag: '系统',
+      summary: '重放推送：以原请求体生成新的推送记录并立即推送',
+      auth: 'owner',
+      write: true,
+      body: object({ id: integer }),
+      responses: {
+        200: jsonContent('重放结果', object({ ...SUCCESS_FIELDS, delivery: schemaRef('WebhookDelivery') })),
+        400: responseRef('BadRequest'),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/admin/lockouts': {
+    get: operation({
+      tag: '系统',
+      summary: '查看 24 小时内的登录失败记录及锁定状态',
+      auth: 'owner',
+      responses: {
+        200: jsonContent('失败记录', object({
+          attempts: arrayOf(object({
+            key: string,
+            kind: string,
+            identifier: string,
+            failures: integer,
+            lastFailureAt: timestampMs,
+            lockedUntil: { ...timestampMs, nullable: true },
+          })),
+        })),
+      },
+    }),
+    delete: operation({
+      tag: '系统',
+      summary: '清除登录失败记录（不传 key 时清除全部）',
+      auth: 'owner',
+      write: true,
+      parameters: [queryParam('key', '记录键')],
+      responses: {
+        200: jsonContent('已清除', object({ ...SUCCESS_FIELDS, cleared: integer })),
+        404: responseRef('NotFound'),
+      },
+    }),
+  },
+  '/api/admin/migrate': {
+    get: operation({
+      tag: '系统',
+      summary: '查看数据库结构版本和待执行迁移',
+      auth: 'login',
+      responses: {
+        200: jsonContent('迁移状态', object({
+          currentVersion: integer,
+          latestVersion: integer,
+          applied: arrayOf(schemaRef('Migration')),
+          pending: arrayOf(schemaRef('Migration')),
+        })),
+      },
+    }),
+    post: operation({
+      tag: '系统',
+      summary: '执行待执行的数据库迁移',
+      auth: 'owner',
+      write: true,
+      responses: {
+        200: jsonContent('迁移结果', object({
+          ...SUCCESS_FIELDS,
+          applied: arrayOf(schemaRef('Migration')),
+          failed: { type: 'object', nullable: true },
+          currentVersion: integer,
+          latestVersion: integer,
+        })),
+      },
+    }),
+  },
+};
+
+// 完整的 OpenAPI 文档（servers 由 /api/openapi.json 按请求地址填写）
+export const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Awesome Popular Repos API',
+    version: '1.0.0',
+    description: [
+      '写操作需在 Authorization 头中携带登录返回的 Token（Bearer），角色权限为 viewer < editor < owner，',
+      '所需的最低角色见各接口的 x-min-role。外部系统也可在 X-API-Key 请求头中携带 API Key，',
+      '只能访问 x-api-key-scope 在 Key 权限范围内的接口。出错时统一返回 { error, details? }，字段校验失败时返回 422 和 fields。',
+    ].join(''),
+  },
+  tags: ['文档', '认证', '账号', '项目', '订阅源', '分类', '标签', '数据', '系统'].map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'POST /api/auth 返回的 Token' },
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: API_KEY_HEADER,
+        description: `后台「系统设置」中创建的 API Key，权限范围：${Object.entries(API_KEY_SCOPES)
+          .map(([id, scope]) => `${id}（${scope.label}）`).join('、')}`,
+      },
+    },
+    schemas,
+    responses,
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * 密码哈希工具
+ * 使用 WebCrypto PBKDF2-SHA256，存储格式：pbkdf2$<迭代次数>$<盐 base64>$<哈希 base64>
+ */
+
+// Workers 运行时 PBKDF2 迭代次数上限为 100000
+const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+// 新密码最小长度
+const MIN_PASSWORD_LENGTH = 8;
+
+// 新密码至少需要包含的字符类别数（小写、大写、数字、符号）
+const MIN_CHARACTER_CLASSES = 3;
+
+// 常见弱密码，包括旧版本的默认密码
+const COMMON_PASSWORDS = new Set([
+  'admin123', 'password', 'password1', 'password123', '12345678', '123456789',
+  '1234567890', 'qwerty123', 'abc12345', 'admin1234', 'iloveyou', '11111111',
+]);
+
+const encoder = new TextEncoder();
+
+/**
+ * 字节数组转 base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * base64 转字节数组
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * 使用 PBKDF2 派生密码哈希
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * 常量时间比较两个字节数组
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * 检查新密码强度
+ * @param {string} password
+ * @param {string} [username] - 密码中不能包含用户名
+ * @returns {string|null} 不满足要求时返回错误提示
+ */
+export function checkPasswordStrength(password, username = '') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`;
+  }
+
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return '密码过于常见，请更换';
+  }
+
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return '密码不能包含用户名';
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter(re => re.test(password)).length;
+  if (classes < MIN_CHARACTER_CLASSES) {
+    return '密码需至少包含小写字母、大写字母、数字、符号中的三类';
+  }
+
+  return null;
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveHash(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+/**
+ * 校验密码是否与哈希匹配
+ * @param {string} password
+ * @param {string} stored - hashPassword 生成的哈希字符串
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'pbkdf2' || !salt || !hash) return false;
+
+  try {
+    const expected = base64ToBytes(hash);
+    const actual = await deriveHash(String(password ?? ''), base64ToBytes(salt), parseInt(iterations, 10));
+    return timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * 项目查询工具
+ * 项目的分类和标签通过关联表查询，返回时统一转换为数组
+ */
+
+import { CATEGORY_IDS_SELECT } from './categories.js';
+import { TAG_NAMES_SELECT } from './tags.js';
+
+/**
+ * 查询项目及其分类、标签的 SELECT 字段列表，需在 FROM projects 的语句中使用
+ */
+export const PROJECT_FIELDS_SELECT = `*, ${CATEGORY_IDS_SELECT}, ${TAG_NAMES_SELECT}`;
+
+/**
+ * 安全解析 JSON 数组
+ * @param {string|null|undefined} value
+ * @returns {Array}
+ */
+function parseJsonArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 数据库行转为 API 返回结构
+ * @param {Object} project
+ * @returns {Object}
+ */
+export function formatProject(project) {
+  const { category_ids: categoryIdsJson, tag_names: tagNamesJson, ...rest } = project;
+  const categories = parseJsonArray(categoryIdsJson);
+  return {
+    ...rest,
+    category: categories,
+    categories,
+    tags: parseJsonArray(tagNamesJson),
+  };
+}
+
+/**
+ * 按 ID 查询项目（不包括回收站中的项目）
+ * @param {D1Database} db
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function findProject(db, id) {
+  const row = await db.prepare(
+    `SELECT ${PROJECT_FIELDS_SELECT} FROM projects WHERE id = ? AND deleted_at IS NULL`
+  ).bind(id).first();
+
+  return row ? formatProject(row) : null;
+}
+
+/**
+ * 按 ID 批量查询项目（不包括回收站中的项目）
+ * @param {D1Database} db
+ * @param {string[]} ids
+ * @returns {Promise<Object[]>}
+ */
+export async function findProjectsByIds(db, ids) {
+  if (ids.length === 0) return [];
+
+  const { results } = await db.prepare(
+    `SELECT ${PROJECT_FIELDS_SELECT} FROM projects WHERE id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL`
+  ).bind(JSON.stringify(ids)).all();
+
+  return results.map(formatProject);
+}
@@ -0,0 +1,278 @@
+/**
+ * 从 GitHub 刷新项目数据（星标、语言、描述、更新日期、归档状态）
+ * 供 /api/refresh 和定时任务 Worker 共用；写入 GitHub 数据的语句（githubUpdateStatements）同时供 GitHub Webhook 使用，
+ * 两条途径产生的变化都会写入星标快照、版本历史和操作日志，并触发 project.updated Webhook 事件
+ *
+ * 按批并发请求 GitHub API，每批开始前根据上一批返回的剩余次数缩减批量，
+ * 剩余次数不足或被限流时停止，未处理的项目记为跳过，下次调用时继续
+ * 未指定项目时按 refreshed_at 从旧到新处理，多次调用即可轮流刷新全部项目
+ */
+
+import { fetchRepo, parseProjectRepo } from './github.js';
+import { PROJECT_FIELDS_SELECT, formatProject } from './projects.js';
+import { auditLogStatement, diffValues } from './audit.js';
+import { starSnapshotStatements } from './star-history.js';
+import { projectRevisionStatements, findProjectsWithRevisions } from './revisions.js';
+import { bumpDataVersionStatement } from './http-cache.js';
+import { dispatchWebhookEvents } from './webhooks.js';
+
+// 每批并发请求数
+const BATCH_SIZE = 10;
+
+// 单次调用默认最多刷新的项目数（Workers 免费版每次调用最多 50 个子请求）
+const DEFAULT_REFRESH_LIMIT = 40;
+
+// 为其他调用保留的 API 剩余次数
+const RATE_LIMIT_RESERVE = 10;
+
+/**
+ * 单次调用最多刷新的项目数，可通过 GITHUB_REFRESH_LIMIT 调整
+ * @param {object} env
+ * @returns {number}
+ */
+function getRefreshLimit(env) {
+  const limit = parseInt(env.GITHUB_REFRESH_LIMIT, 10);
+  return limit > 0 ? limit : DEFAULT_REFRESH_LIMIT;
+}
+
+/**
+ * 查询待刷新的项目（不包括回收站中的项目），最久未刷新的排在前面
+ * @param {D1Database} db
+ * @param {string[]|null} ids - 指定项目，为 null 时查询全部
+ * @returns {Promise<Object[]>}
+ */
+async function selectProjects(db, ids) {
+  const where = ids ? 'AND id IN (SELECT value FROM json_each(?))' : '';
+  const { results } = await db.prepare(`
+    SELECT ${PROJECT_FIELDS_SELECT}
+    FROM projects WHERE deleted_at IS NULL ${where}
+    ORDER BY refreshed_at IS NOT NULL, refreshed_at, id
+  `).bind(...(ids ? [JSON.stringify(ids)] : [])).all();
+
+  return results.map(formatProject);
+}
+
+/**
+ * 根据 GitHub 返回的数据计算新值，GitHub 没有语言或描述时保留原值（GitHub Webhook 的 repository 字段结构相同）
+ * @param {Object} project
+ * @param {Object} data - GitHub 仓库信息
+ * @returns {Object}
+ */
+export function toRefreshedValues(project, data) {
+  return {
+    stars: data.stargazers_count ?? project.stars ?? 0,
+    language: data.language || project.language || '',
+    description: data.description || project.description || '',
+    updated_at: data.updated_at ? data.updated_at.split('T')[0] : project.updated_at,
+  };
+}
+
+/**
+ * 仓库信息中的更新时间（updated_at，没有时取 pushed_at），统一为 ISO 格式以便按字符串比较
+ * pushed_at 在部分 Webhook 事件中为 Unix 时间戳（秒）
+ * @param {Object} repository - GitHub 仓库信息
+ * @returns {string|null}
+ */
+export function getRepoUpdatedAt(repository) {
+  const value = repository?.updated_at ?? repository?.pushed_at;
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 项目中与新值对应字段的当前值（缺省的文本字段按空字符串比较）
+ * @param {Object} project
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function currentGitHubValues(project, fields) {
+  return Object.fromEntries(fields.map(field => {
+    if (field === 'archived') return [field, !!project.archived];
+    if (field === 'stars' || field === 'updated_at') return [field, project[field]];
+    return [field, project[field] || ''];
+  }));
+}
+
+/**
+ * 生成将 GitHub 数据写入项目的语句（GitHub 刷新和 GitHub Webhook 共用，供 DB.batch 展开使用）
+ * 总是更新 refreshed_at，github_updated_at 只前进不后退；字段有变化时一并写入星标快照、版本历史和操作日志
+ * 调用方执行 batch 后以返回的 changes 和 project 触发 project.updated 事件
+ * @param {D1Database} db
+ * @param {Object} project - formatProject 的返回值
+ * @param {Object} values - 新值，键为 projects 表的列（stars、language、description、updated_at、archived，
+ *   重命名、转移时另有 name、owner、github_url）
+ * @param {Object} options
+ * @param {string} options.actor - 写入操作日志和版本的操作者
+ * @param {string} options.refreshedAt
+ * @param {string|null} options.repoUpdatedAt - getRepoUpdatedAt 的返回值
+ * @param {boolean} options.hasRevisions - 项目是否已有版本
+ * @returns {{statements: D1PreparedStatement[], changes: Object, project: Object}} project 为写入后的项目
+ */
+export function githubUpdateStatements(db, project, values, { actor, refreshedAt, repoUpdatedAt, hasRevisions }) {
+  const columns = Object.keys(values);
+  const changes = diffValues(currentGitHubValues(project, columns), values);
+  const stored = { ...values, ...('archived' in values ? { archived: values.archived ? 1 : 0 } : {}) };
+
+  const statements = [
+    db.prepare(`
+      UPDATE projects
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, refreshed_at = ?,
+          github_updated_at = CASE
+            WHEN github_updated_at IS NULL OR github_updated_at < ? THEN ? ELSE github_updated_at
+          END
+      WHERE id = ?
+    `).bind(...columns.map(column => stored[column]), refreshedAt, repoUpdatedAt, repoUpdatedAt, project.id),
+  ];
+
+  if (Object.keys(changes).length === 0) {
+    return { statements, changes, project };
+  }
+
+  const updated = { ...project, ...values };
+  statements.push(
+    ...starSnapshotStatements(db, project.id, project.stars, updated.stars),
+    ...projectRevisionStatements(db, {
+      projectId: project.id,
+      actor,
+      before: project,
+      after: updated,
+      hasRevisions,
+    }),
+    auditLogStatement(db, {
+      actor,
+      action: 'refresh',
+      entityType: 'project',
+      entityId: project.id,
+      diff: changes,
+    })
+  );
+  return { statements, changes, project: updated };
+}
+
+/**
+ * 请求单个项目的仓库信息
+ * @param {object} env
+ * @param {Object} project
+ * @returns {Promise<{data?: Object, error?: string, rateLimited?: boolean, rateLimit?: Object}>}
+ */
+async function fetchProjectRepo(env, project) {
+  const repo = parseProjectRepo(project);
+  if (!repo) {
+    return { error: '无法解析 GitHub 仓库地址' };
+  }
+
+  try {
+    const { status, data, rateLimited, rateLimit } = await fetchRepo(env, repo.owner, repo.repo);
+    if (rateLimited) return { rateLimited, rateLimit };
+    if (status === 404) return { error: '仓库不存在', rateLimit };
+    if (!data) return { error: `GitHub API 请求失败: ${status}`, rateLimit };
+    return { data, rateLimit };
+  } catch (error) {
+    return { error: `GitHub API 请求失败: ${error.message}` };
+  }
+}
+
+/**
+ * 刷新项目数据
+ * @param {Object} context - 上下文 { env, waitUntil }（Pages Functions 的 context，或定时任务中包装的 ctx），
+ *   env 需要 DB，可选 GITHUB_TOKEN、GITHUB_API_BASE_URL、GITHUB_REFRESH_LIMIT；waitUntil 用于推送 project.updated 事件
+ * @param {Object} options
+ * @param {string} options.actor - 写入操作日志的操作者
+ * @param {string[]|null} [options.ids] - 指定项目 ID，默认刷新全部
+ * @returns {Promise<Object>} { total, updated[{id, fields}], unchanged[id], failed[{id, error}], skipped[id], notFound[id], rateLimit }
+ */
+export async function refreshProjects(context, { actor, ids = null }) {
+  const { env } = context;
+  const projects = await selectProjects(env.DB, ids);
+  const queue = projects.slice(0, getRefreshLimit(env));
+  const result = {
+    total: projects.length,
+    updated: [],
+    unchanged: [],
+    failed: [],
+    skipped: [],
+    notFound: ids ? ids.filter(id => !projects.some(project => project.id === id)) : [],
+    rateLimit: { remaining: null, resetAt: null },
+  };
+
+  let next = 0;
+  let stopped = false;
+
+  while (next < queue.length && !stopped) {
+    let batch = queue.slice(next, next + BATCH_SIZE);
+
+    // 按上一批返回的剩余次数缩减批量
+    const { remaining } = result.rateLimit;
+    if (remaining !== null && remaining - RATE_LIMIT_RESERVE < batch.length) {
+      batch = batch.slice(0, Math.max(0, remaining - RATE_LIMIT_RESERVE));
+      stopped = true;
+    }
+    if (batch.length === 0) break;
+    next += batch.length;
+
+    const [outcomes, withRevisions] = await Promise.all([
+      Promise.all(batch.map(project => fetchProjectRepo(env, project))),
+      findProjectsWithRevisions(env.DB, batch.map(project => project.id)),
+    ]);
+    const refreshedAt = new Date().toISOString();
+    const statements = [];
+    const events = [];
+
+    batch.forEach((project, index) => {
+      const outcome = outcomes[index];
+
+      if (outcome.rateLimit?.remaining != null) {
+        result.rateLimit = {
+          remaining: Math.min(outcome.rateLimit.remaining, result.rateLimit.remaining ?? Infinity),
+          resetAt: Math.max(outcome.rateLimit.resetAt || 0, result.rateLimit.resetAt || 0) || null,
+        };
+      }
+
+      if (outcome.rateLimited) {
+        stopped = true;
+        result.skipped.push(project.id);
+        return;
+      }
+
+      // 失败的项目同样记录刷新时间，避免总是排在最前面占用后续调用的额度
+      if (outcome.error) {
+        result.failed.push({ id: project.id, error: outcome.error });
+        statements.push(
+          env.DB.prepare('UPDATE projects SET refreshed_at = ? WHERE id = ?').bind(refreshedAt, project.id)
+        );
+        return;
+      }
+
+      const update = githubUpdateStatements(
+        env.DB,
+        project,
+        { ...toRefreshedValues(project, outcome.data), archived: !!outcome.data.archived },
+        {
+          actor,
+          refreshedAt,
+          repoUpdatedAt: getRepoUpdatedAt(outcome.data),
+          hasRevisions: withRevisions.has(project.id),
+        }
+      );
+      statements.push(...update.statements);
+
+      if (Object.keys(update.changes).length > 0) {
+        result.updated.push({ id: project.id, fields: update.changes });
+        events.push({ event: 'project.updated', actor, data: { project: update.project, changes: update.changes } });
+      } else {
+        result.unchanged.push(project.id);
+      }
+    });
+
+    if (statements.length > 0) {
+      await env.DB.batch([...statements, bumpDataVersionStatement(env.DB)]);
+    }
+    await dispatchWebhookEvents(context, events);
+  }
+
+  // 被限流、额度不足及超出单次上限的项目留待下次刷新
+  result.skipped.push(...projects.slice(next).map(project => project.id));
+  return result;
+}
@@ -0,0 +1,129 @@
+/**
+ * 项目版本历史
+ * 新增、编辑、回滚项目时将保存后的状态写入 project_revisions，与写操作放在同一个 DB.batch 中
+ * 星标数来自 GitHub 且会定时刷新，不纳入版本，回滚时保留当前值
+ */
+
+import { diffValues } from './audit.js';
+
+// 纳入版本快照的字段
+export const REVISION_FIELDS = ['name', 'owner', 'description', 'github_url', 'language', 'categories', 'tags'];
+
+/**
+ * 从项目数据中提取版本快照
+ * @param {Object} project - formatProject 的返回值或保存时的数据
+ * @returns {Object}
+ */
+export function toRevisionSnapshot(project) {
+  return {
+    name: project.name,
+    owner: project.owner,
+    description: project.description || '',
+    github_url: project.github_url || '',
+    language: project.language || '',
+    categories: project.categories || [],
+    tags: project.tags || [],
+  };
+}
+
+/**
+ * 生成写入版本的语句，内容与修改前相同时返回空数组（供 DB.batch 展开使用）
+ * 项目还没有任何版本时（如通过同步导入），先补一条修改前的版本作为起点
+ * @param {D1Database} db
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {string} options.actor
+ * @param {Object|null} options.before - 修改前的项目，新增时为 null
+ * @param {Object} options.after - 修改后的项目
+ * @param {boolean} [options.hasRevisions] - 项目是否已有版本
+ * @returns {D1PreparedStatement[]}
+ */
+export function projectRevisionStatements(db, { projectId, actor, before, after, hasRevisions = true }) {
+  const snapshot = toRevisionSnapshot(after);
+  if (before && Object.keys(diffValues(toRevisionSnapshot(before), snapshot)).length === 0) {
+    return [];
+  }
+
+  const insert = (value, revisionActor) => db.prepare(`
+    INSERT INTO project_revisions (project_id, snapshot, actor, created_at)
+    VALUES (?, ?, ?, ?)
+  `).bind(String(projectId), JSON.stringify(value), revisionActor, new Date().toISOString());
+
+  return [
+    ...(before && !hasRevisions ? [insert(toRevisionSnapshot(before), null)] : []),
+    insert(snapshot, actor),
+  ];
+}
+
+/**
+ * 项目是否已有版本
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @returns {Promise<boolean>}
+ */
+export async function hasProjectRevisions(db, projectId) {
+  const row = await db.prepare(
+    'SELECT 1 AS found FROM project_revisions WHERE project_id = ? LIMIT 1'
+  ).bind(projectId).first();
+  return !!row;
+}
+
+/**
+ * 批量查询已有版本的项目（项目 ID 以 JSON 数组绑定，不受 D1 绑定参数个数限制）
+ * @param {D1Database} db
+ * @param {string[]} projectIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function findProjectsWithRevisions(db, projectIds) {
+  if (projectIds.length === 0) return new Set();
+
+  const { results } = await db.prepare(`
+    SELECT DISTINCT project_id FROM project_revisions
+    WHERE project_id IN (SELECT value FROM json_each(?))
+  `).bind(JSON.stringify(projectIds.map(String))).all();
+  return new Set(results.map(row => row.project_id));
+}
+
+/**
+ * 数据库行转为 API 返回结构
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatRevision(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    actor: row.actor,
+    createdAt: row.created_at,
+    snapshot: JSON.parse(row.snapshot),
+  };
+}
+
+/**
+ * 查询项目的全部版本，最新的排在前面
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @returns {Promise<Object[]>}
+ */
+export async function listProjectRevisions(db, projectId) {
+  const { results } = await db.prepare(`
+    SELECT * FROM project_revisions WHERE project_id = ? ORDER BY id DESC
+  `).bind(projectId).all();
+
+  return results.map(formatRevision);
+}
+
+/**
+ * 查询项目的单个版本
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @param {number} revisionId
+ * @returns {Promise<Object|null>}
+ */
+export async function findProjectRevision(db, projectId, revisionId) {
+  const row = await db.prepare(
+    'SELECT * FROM project_revisions WHERE project_id = ? AND id = ?'
+  ).bind(projectId, revisionId).first();
+
+  return row ? formatRevision(row) : null;
+}
@@ -0,0 +1,29 @@
+/**
+ * 管理员角色
+ * - viewer：只读访问后台
+ * - editor：管理项目、分类和标签
+ * - owner：另可同步 / 重置数据、执行迁移和管理用户
+ */
+
+// 按权限从低到高排列
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * 是否为有效角色
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * 判断用户是否具备指定角色（或更高权限）
+ * @param {{role: string}|null} user
+ * @param {string} role - 所需的最低角色
+ * @returns {boolean}
+ */
+export function hasRole(user, role) {
+  if (!user || !isValidRole(user.role) || !isValidRole(role)) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
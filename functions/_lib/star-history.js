@@ -0,0 +1,109 @@
+/**
+ * 星标快照
+ * 项目星标数发生变化（新增、编辑、同步、GitHub 刷新）时写入一条快照，与写操作放在同一个 DB.batch 中
+ * 增长数 = 当前星标数 - 时间窗口开始时的星标数（窗口开始前没有快照时取窗口内最早的快照）
+ */
+
+// 增长排行支持的时间窗口（天）
+export const TREND_WINDOWS = {
+  '7d': 7,
+  '30d': 30,
+};
+
+/**
+ * 计算时间窗口内增长星标数的 SELECT 表达式，需在 FROM projects 的语句中使用
+ * 包含一个绑定参数：窗口开始时间（getWindowStart 的返回值）
+ */
+export const STARS_GAINED_SELECT = `(
+  COALESCE(projects.stars, 0) - COALESCE(
+    (SELECT s.stars FROM star_snapshots s
+     WHERE s.project_id = projects.id AND s.recorded_at <= ?
+     ORDER BY s.recorded_at DESC, s.id DESC LIMIT 1),
+    (SELECT s.stars FROM star_snapshots s
+     WHERE s.project_id = projects.id
+     ORDER BY s.recorded_at ASC, s.id ASC LIMIT 1),
+    COALESCE(projects.stars, 0)
+  )
+) AS stars_gained`;
+
+/**
+ * 时间窗口的开始时间
+ * @param {number} days
+ * @returns {string} ISO 时间
+ */
+export function getWindowStart(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * 生成写入快照的语句，星标数未变化时返回空数组（供 DB.batch 展开使用）
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @param {number|null} before - 修改前的星标数，新增项目时为 null
+ * @param {number} after - 修改后的星标数
+ * @returns {D1PreparedStatement[]}
+ */
+export function starSnapshotStatements(db, projectId, before, after) {
+  const stars = after || 0;
+  if (before !== null && (before || 0) === stars) return [];
+
+  return [
+    db.prepare(
+      'INSERT INTO star_snapshots (project_id, stars, recorded_at) VALUES (?, ?, ?)'
+    ).bind(String(projectId), stars, new Date().toISOString()),
+  ];
+}
+
+/**
+ * 批量查询项目最近若干天的星标历史，每天取最后一条快照
+ * 窗口开始前的最后一条快照作为起点，保证曲线从窗口开始处连续
+ * 项目 ID 以 JSON 数组绑定，不受 D1 绑定参数个数限制
+ * @param {D1Database} db
+ * @param {string[]} projectIds
+ * @param {number} days
+ * @returns {Promise<Map<string, Array<{date: string, stars: number}>>>} 没有快照的项目不在结果中
+ */
+export async function getStarHistories(db, projectIds, days) {
+  const histories = new Map();
+  if (projectIds.length === 0) return histories;
+
+  const since = getWindowStart(days);
+  const ids = JSON.stringify(projectIds.map(String));
+  const { results } = await db.prepare(`
+    SELECT project_id, id, stars, recorded_at FROM star_snapshots
+    WHERE project_id IN (SELECT value FROM json_each(?)) AND recorded_at > ?
+    UNION ALL
+    SELECT s.project_id, s.id, s.stars, ? AS recorded_at FROM star_snapshots s
+    WHERE s.id IN (
+      SELECT (
+        SELECT s2.id FROM star_snapshots s2
+        WHERE s2.project_id = p.value AND s2.recorded_at <= ?
+        ORDER BY s2.recorded_at DESC, s2.id DESC LIMIT 1
+      ) FROM json_each(?) p
+    )
+    ORDER BY recorded_at ASC, id ASC
+  `).bind(ids, since, since, since, ids).all();
+
+  const byProject = new Map();
+  for (const row of results) {
+    if (!byProject.has(row.project_id)) byProject.set(row.project_id, new Map());
+    byProject.get(row.project_id).set(row.recorded_at.split('T')[0], row.stars);
+  }
+
+  for (const [projectId, byDate] of byProject) {
+    histories.set(projectId, [...byDate].map(([date, stars]) => ({ date, stars })));
+  }
+  return histories;
+}
+
+/**
+ * 查询单个项目的星标历史
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @param {number} days
+ * @returns {Promise<Array<{date: string, stars: number}>>}
+ */
+export async function getStarHistory(db, projectId, days) {
+  const histories = await getStarHistories(db, [projectId], days);
+  return histories.get(String(projectId)) || [];
+}
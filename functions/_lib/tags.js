@@ -0,0 +1,65 @@
+/**
+ * 项目标签关联工具
+ * 项目与标签通过 project_tags 表多对多关联，position 记录标签顺序
+ */
+
+/**
+ * 查询项目标签名数组（JSON 字符串，按顺序）的子查询，需在 FROM projects 的语句中使用
+ */
+export const TAG_NAMES_SELECT = `(
+  SELECT json_group_array(name) FROM (
+    SELECT t.name
+    FROM project_tags pt
+    JOIN tags t ON t.id = pt.tag_id
+    WHERE pt.project_id = projects.id
+    ORDER BY pt.position
+  )
+) AS tag_names`;
+
+/**
+ * 规范化标签列表：去除首尾空白、空值和重复项
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function normalizeTagNames(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * 生成清理无项目引用标签的语句
+ * @param {D1Database} db
+ * @returns {D1PreparedStatement}
+ */
+export function pruneUnusedTagsStatement(db) {
+  return db.prepare(
+    'DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM project_tags)'
+  );
+}
+
+/**
+ * 生成替换项目标签关联的语句（供 DB.batch 使用）
+ * 不存在的标签会自动创建
+ * @param {D1Database} db
+ * @param {string} projectId
+ * @param {string[]} tags
+ * @returns {D1PreparedStatement[]}
+ */
+export function replaceProjectTagsStatements(db, projectId, tags) {
+  const statements = [
+    db.prepare('DELETE FROM project_tags WHERE project_id = ?').bind(projectId),
+  ];
+
+  tags.forEach((name, position) => {
+    statements.push(
+      db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').bind(name),
+      db.prepare(`
+        INSERT OR IGNORE INTO project_tags (project_id, tag_id, position)
+        SELECT ?, id, ? FROM tags WHERE name = ?
+      `).bind(projectId, position, name)
+    );
+  });
+
+  statements.push(pruneUnusedTagsStatement(db));
+  return statements;
+}
@@ -0,0 +1,186 @@
+/**
+ * 会话 Token 工具
+ * 使用 HMAC-SHA256 签名的 JWT 格式 Token，包含 sub（用户名）、iat、exp、jti 和 ver（账号的 Token 版本）
+ * 签名密钥来自环境变量 AUTH_SECRET
+ * 另提供一次性随机令牌（如邀请链接）的生成和哈希
+ */
+
+// 默认会话有效期（秒）
+const DEFAULT_SESSION_TTL = 2 * 60 * 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * 字节数组转 base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url 转字节数组
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * 导入 HMAC 签名密钥
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function importHmacKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * 获取签名密钥
+ * @param {object} env - 环境变量
+ * @returns {string}
+ */
+function getAuthSecret(env) {
+  if (!env.AUTH_SECRET) {
+    throw new Error('未配置 AUTH_SECRET 环境变量');
+  }
+  return env.AUTH_SECRET;
+}
+
+/**
+ * 获取会话有效期（秒）
+ * @param {object} env - 环境变量
+ * @returns {number}
+ */
+function getSessionTtl(env) {
+  const ttl = parseInt(env.SESSION_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_SESSION_TTL;
+}
+
+/**
+ * 签发会话 Token
+ * @param {object} env - 环境变量
+ * @param {string} subject - 用户名
+ * @param {number} [version=0] - 账号当前的 Token 版本，修改密码后递增
+ * @returns {Promise<{token: string, payload: object}>}
+ */
+export async function createSessionToken(env, subject, version = 0) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: subject,
+    iat: now,
+    exp: now + getSessionTtl(env),
+    jti: crypto.randomUUID(),
+    ver: version,
+  };
+
+  const header = bytesToBase64Url(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const body = bytesToBase64Url(encoder.encode(JSON.stringify(payload)));
+  const key = await importHmacKey(getAuthSecret(env));
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${body}`));
+
+  return {
+    token: `${header}.${body}.${bytesToBase64Url(new Uint8Array(signature))}`,
+    payload,
+  };
+}
+
+/**
+ * 校验会话 Token 的签名和有效期
+ * @param {object} env - 环境变量
+ * @param {string} token
+ * @returns {Promise<object|null>} 校验通过返回 payload，否则返回 null
+ */
+export async function verifySessionToken(env, token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+
+  try {
+    const key = await importHmacKey(getAuthSecret(env));
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlToBytes(signature),
+      encoder.encode(`${header}.${body}`)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(decoder.decode(base64UrlToBytes(body)));
+    if (!payload.sub || !payload.jti || typeof payload.exp !== 'number') return null;
+    if (payload.exp <= Math.floor(Date.now() / 1000)) return null;
+
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 检查 Token 是否已被注销
+ * 注销表不存在（数据库尚未迁移）时视为未注销，保证仍可登录并执行迁移
+ * @param {D1Database} db
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+export async function isTokenRevoked(db, jti) {
+  try {
+    const row = await db.prepare(
+      'SELECT jti FROM revoked_tokens WHERE jti = ?'
+    ).bind(jti).first();
+    return !!row;
+  } catch (error) {
+    console.warn('检查 Token 注销状态失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 注销 Token，并顺带清理已过期的注销记录
+ * @param {D1Database} db
+ * @param {object} payload - Token payload
+ */
+export async function revokeToken(db, payload) {
+  const now = Math.floor(Date.now() / 1000);
+  await db.batch([
+    db.prepare(
+      'INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)'
+    ).bind(payload.jti, payload.exp),
+    db.prepare('DELETE FROM revoked_tokens WHERE expires_at < ?').bind(now),
+  ]);
+}
+
+/**
+ * 生成随机令牌（base64url）
+ * @param {number} [byteLength=32]
+ * @returns {string}
+ */
+export function createRandomToken(byteLength = 32) {
+  return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * 计算令牌的 SHA-256 哈希（十六进制），数据库只保存哈希值
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+export async function hashToken(value) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(value));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,186 @@
+/**
+ * 回收站
+ * 删除项目和分类时只写入 deleted_at，公开接口和后台列表不再返回；分类、标签关联和星标历史保留，恢复后原样可见
+ * 回收站中超过保留天数（TRASH_RETENTION_DAYS，默认 30 天）的数据会被彻底删除
+ */
+
+import { PROJECT_FIELDS_SELECT, formatProject } from './projects.js';
+import { pruneUnusedTagsStatement } from './tags.js';
+import { auditChangeStatements } from './audit.js';
+
+// 回收站支持的对象类型及对应的表
+export const TRASH_TABLES = {
+  project: 'projects',
+  category: 'categories',
+};
+
+// 默认保留天数
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * 回收站保留天数，可通过 TRASH_RETENTION_DAYS 调整，设为 0 时不自动清理
+ * @param {object} env
+ * @returns {number}
+ */
+export function getTrashRetentionDays(env) {
+  const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * 生成移入回收站的语句
+ * @param {D1Database} db
+ * @param {string} type - project / category
+ * @param {string} id
+ * @returns {D1PreparedStatement}
+ */
+export function softDeleteStatement(db, type, id) {
+  return db.prepare(
+    `UPDATE ${TRASH_TABLES[type]} SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL`
+  ).bind(new Date().toISOString(), id);
+}
+
+/**
+ * 生成从回收站恢复的语句
+ * @param {D1Database} db
+ * @param {string} type - project / category
+ * @param {string} id
+ * @returns {D1PreparedStatement}
+ */
+export function restoreStatement(db, type, id) {
+  return db.prepare(
+    `UPDATE ${TRASH_TABLES[type]} SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL`
+  ).bind(id);
+}
+
+/**
+ * 生成彻底删除的语句（只删除回收站中的数据），关联和星标历史通过外键级联删除
+ * @param {D1Database} db
+ * @param {string} type - project / category
+ * @param {string} id
+ * @returns {D1PreparedStatement[]}
+ */
+export function purgeStatements(db, type, id) {
+  const statements = [
+    db.prepare(`DELETE FROM ${TRASH_TABLES[type]} WHERE id = ? AND deleted_at IS NOT NULL`).bind(id),
+  ];
+
+  if (type === 'project') {
+    statements.push(pruneUnusedTagsStatement(db));
+  }
+  return statements;
+}
+
+/**
+ * 查询回收站中的单条数据
+ * @param {D1Database} db
+ * @param {string} type - project / category
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function findTrashItem(db, type, id) {
+  if (type === 'project') {
+    const row = await db.prepare(
+      `SELECT ${PROJECT_FIELDS_SELECT} FROM projects WHERE id = ? AND deleted_at IS NOT NULL`
+    ).bind(id).first();
+    return row ? formatProject(row) : null;
+  }
+
+  return db.prepare(
+    'SELECT * FROM categories WHERE id = ? AND deleted_at IS NOT NULL'
+  ).bind(id).first();
+}
+
+/**
+ * 计算彻底删除时间
+ * @param {string} deletedAt
+ * @param {number} retentionDays - 为 0 时不自动清理
+ * @returns {string|null}
+ */
+function getPurgeAt(deletedAt, retentionDays) {
+  if (retentionDays === 0) return null;
+  return new Date(Date.parse(deletedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * 列出回收站中的项目和分类，最近删除的排在前面
+ * @param {D1Database} db
+ * @param {number} retentionDays
+ * @returns {Promise<{projects: Object[], categories: Object[]}>} 每条数据附带 purge_at
+ */
+export async function listTrash(db, retentionDays) {
+  const [projectRows, categoryRows] = await Promise.all([
+    db.prepare(`
+      SELECT ${PROJECT_FIELDS_SELECT} FROM projects
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `).all(),
+    db.prepare(`
+      SELECT c.*, (
+        SELECT COUNT(*) FROM project_categories pc
+        JOIN projects p ON p.id = pc.project_id
+        WHERE pc.category_id = c.id AND p.deleted_at IS NULL
+      ) AS project_count
+      FROM categories c
+      WHERE c.deleted_at IS NOT NULL
+      ORDER BY c.deleted_at DESC
+    `).all(),
+  ]);
+
+  const withPurgeAt = item => ({ ...item, purge_at: getPurgeAt(item.deleted_at, retentionDays) });
+  return {
+    projects: projectRows.results.map(formatProject).map(withPurgeAt),
+    categories: categoryRows.results.map(withPurgeAt),
+  };
+}
+
+/**
+ * 彻底删除超过保留天数的数据，每条写入一条 purge 操作日志
+ * 回收站中的数据不对外公开，清理后无需递增数据版本
+ * @param {object} env - 需要 DB，可选 TRASH_RETENTION_DAYS
+ * @param {Object} options
+ * @param {string} options.actor - 写入操作日志的操作者
+ * @returns {Promise<{projects: string[], categories: string[]}>} 被清理的 ID
+ */
+export async function purgeExpiredTrash(env, { actor }) {
+  const result = { projects: [], categories: [] };
+  const retentionDays = getTrashRetentionDays(env);
+  if (retentionDays === 0) return result;
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const [projectRows, categoryRows] = await Promise.all([
+    env.DB.prepare(`
+      SELECT ${PROJECT_FIELDS_SELECT} FROM projects
+      WHERE deleted_at IS NOT NULL AND deleted_at <= ?
+    `).bind(cutoff).all(),
+    env.DB.prepare(
+      'SELECT * FROM categories WHERE deleted_at IS NOT NULL AND deleted_at <= ?'
+    ).bind(cutoff).all(),
+  ]);
+
+  const statements = [];
+  const expired = [
+    ...projectRows.results.map(row => ['project', formatProject(row)]),
+    ...categoryRows.results.map(row => ['category', row]),
+  ];
+
+  for (const [type, item] of expired) {
+    statements.push(
+      ...purgeStatements(env.DB, type, item.id),
+      ...auditChangeStatements(env.DB, {
+        actor,
+        action: 'purge',
+        entityType: type,
+        entityId: item.id,
+        before: item,
+        after: null,
+      })
+    );
+    result[TRASH_TABLES[type]].push(item.id);
+  }
+
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+  return result;
+}
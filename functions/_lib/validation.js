@@ -0,0 +1,236 @@
+/**
+ * 请求数据校验
+ * 校验项目、分类和标签的写入数据，返回 { 字段: 错误信息 } 形式的错误表，全部通过时返回空对象
+ * 只检查格式，不检查是否与已有数据冲突（如重复的 Slug）
+ */
+
+// 字段长度上限
+const MAX_LENGTHS = {
+  id: 100,
+  name: 100,
+  owner: 100,
+  description: 1000,
+  github_url: 500,
+  language: 50,
+  tag: 50,
+  slug: 50,
+  categoryName: 50,
+  categoryDescription: 500,
+};
+
+// 每个项目最多的标签数和分类数
+const MAX_TAGS = 20;
+const MAX_CATEGORIES = 20;
+
+// 一次合并最多的源标签数
+const MAX_MERGE_TAGS = 100;
+
+// Slug 只能包含小写字母、数字和连字符（与后台分类表单一致）
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+// 日期格式（YYYY-MM-DD，允许附带时间）
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * 字段是否未提供
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * 校验字符串字段
+ * @param {Object} errors - 错误表，校验失败时写入
+ * @param {string} field - 字段名
+ * @param {*} value
+ * @param {Object} rule
+ * @param {string} rule.label - 错误信息中的字段名称
+ * @param {number} rule.max - 最大长度
+ * @param {boolean} [rule.required] - 是否必填（不能为空字符串）
+ */
+function checkString(errors, field, value, { label, max, required = false }) {
+  if (isMissing(value) || value === '') {
+    if (required) errors[field] = `${label}为必填项`;
+    return;
+  }
+
+  if (typeof value !== 'string') {
+    errors[field] = `${label}必须为字符串`;
+  } else if (required && !value.trim()) {
+    errors[field] = `${label}为必填项`;
+  } else if (value.length > max) {
+    errors[field] = `${label}不能超过 ${max} 个字符`;
+  }
+}
+
+/**
+ * 是否为 http / https 地址
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 校验字符串数组字段
+ * @param {Object} errors
+ * @param {string} field
+ * @param {*} value
+ * @param {Object} rule
+ * @param {string} rule.label
+ * @param {number} rule.maxItems - 最大元素数
+ * @param {number} rule.maxLength - 每个元素的最大长度
+ */
+function checkStringArray(errors, field, value, { label, maxItems, maxLength }) {
+  if (isMissing(value)) return;
+
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    errors[field] = `${label}必须为字符串数组`;
+  } else if (value.length > maxItems) {
+    errors[field] = `${label}最多 ${maxItems} 个`;
+  } else if (value.some(item => item.trim().length > maxLength)) {
+    errors[field] = `每个${label}不能超过 ${maxLength} 个字符`;
+  }
+}
+
+/**
+ * 校验项目数据（POST / PUT /api/projects）
+ * @param {Object} project - 请求体
+ * @returns {Object} 错误表
+ */
+export function validateProject(project) {
+  const errors = {};
+
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    return { body: '请求体必须为 JSON 对象' };
+  }
+
+  if (!isMissing(project.id) && typeof project.id !== 'number') {
+    checkString(errors, 'id', project.id, { label: '项目 ID', max: MAX_LENGTHS.id });
+  }
+  checkString(errors, 'name', project.name, { label: '项目名称', max: MAX_LENGTHS.name, required: true });
+  checkString(errors, 'owner', project.owner, { label: '所有者', max: MAX_LENGTHS.owner, required: true });
+  checkString(errors, 'description', project.description, { label: '描述', max: MAX_LENGTHS.description });
+  checkString(errors, 'language', project.language, { label: '语言', max: MAX_LENGTHS.language });
+  checkString(errors, 'github_url', project.github_url, { label: 'GitHub URL', max: MAX_LENGTHS.github_url });
+
+  if (!errors.github_url && project.github_url && !isHttpUrl(project.github_url)) {
+    errors.github_url = 'GitHub URL 必须是以 http:// 或 https:// 开头的有效地址';
+  }
+
+  if (!isMissing(project.stars) && !(Number.isInteger(project.stars) && project.stars >= 0)) {
+    errors.stars = '星标数必须为非负整数';
+  }
+
+  for (const field of ['created_at', 'updated_at']) {
+    const value = project[field];
+    if (!isMissing(value) && value !== '' && (typeof value !== 'string' || !DATE_PATTERN.test(value))) {
+      errors[field] = '日期格式必须为 YYYY-MM-DD';
+    }
+  }
+
+  // categories 优先，兼容旧字段 category（单个字符串或数组）
+  const categoryField = isMissing(project.categories) ? 'category' : 'categories';
+  const categories = project[categoryField];
+  checkStringArray(errors, categoryField, typeof categories === 'string' ? [categories] : categories, {
+    label: '分类',
+    maxItems: MAX_CATEGORIES,
+    maxLength: MAX_LENGTHS.slug,
+  });
+
+  checkStringArray(errors, 'tags', project.tags, {
+    label: '标签',
+    maxItems: MAX_TAGS,
+    maxLength: MAX_LENGTHS.tag,
+  });
+
+  return errors;
+}
+
+/**
+ * 校验分类数据（POST / PUT /api/categories）
+ * @param {Object} category - 请求体
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - 部分更新时未提供的字段不视为缺失
+ * @param {boolean} [options.checkSlugFormat] - 是否检查 Slug 字符（同步时保留旧数据中的 Slug，不检查）
+ * @returns {Object} 错误表
+ */
+export function validateCategory(category, { partial = false, checkSlugFormat = true } = {}) {
+  const errors = {};
+
+  if (!category || typeof category !== 'object' || Array.isArray(category)) {
+    return { body: '请求体必须为 JSON 对象' };
+  }
+
+  const required = field => !partial || !isMissing(category[field]);
+
+  checkString(errors, 'name', category.name, {
+    label: '分类名称',
+    max: MAX_LENGTHS.categoryName,
+    required: required('name'),
+  });
+  checkString(errors, 'description', category.description, {
+    label: '描述',
+    max: MAX_LENGTHS.categoryDescription,
+  });
+
+  // 新增时 slug 可由 id 代替
+  const slugField = !partial && isMissing(category.slug) && !isMissing(category.id) ? 'id' : 'slug';
+  checkString(errors, 'slug', category[slugField], {
+    label: 'Slug',
+    max: MAX_LENGTHS.slug,
+    required: required(slugField),
+  });
+
+  if (checkSlugFormat && !errors.slug && typeof category[slugField] === 'string' && category[slugField]
+    && !SLUG_PATTERN.test(category[slugField].trim())) {
+    errors.slug = 'Slug 只能包含小写字母、数字和连字符';
+  }
+
+  return errors;
+}
+
+/**
+ * 校验标签重命名或合并（PUT /api/tags）
+ * 目标标签与项目中的标签使用相同的长度限制，避免写入项目新增或编辑时会被拒绝的标签
+ * @param {Object} body - 请求体 { from: string | string[], to: string }
+ * @returns {Object} 错误表
+ */
+export function validateTagRename(body) {
+  const errors = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { body: '请求体必须为 JSON 对象' };
+  }
+
+  checkString(errors, 'to', body.to, { label: '目标标签', max: MAX_LENGTHS.tag, required: true });
+
+  if (isMissing(body.from) || (Array.isArray(body.from) && body.from.length === 0)) {
+    errors.from = '源标签为必填项';
+  } else {
+    checkStringArray(errors, 'from', typeof body.from === 'string' ? [body.from] : body.from, {
+      label: '源标签',
+      maxItems: MAX_MERGE_TAGS,
+      maxLength: MAX_LENGTHS.tag,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 错误表是否为空
+ * @param {Object} errors
+ * @returns {boolean}
+ */
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,473 @@
+/**
+ * Webhook
+ * 项目和分类写入成功后，向订阅了对应事件的地址 POST JSON，请求头附带 HMAC-SHA256 签名
+ * 每次推送记录在 webhook_deliveries 中：失败后按退避间隔重试，超过次数记为失败，可在后台重放
+ *
+ * 推送请求头：
+ *   X-Webhook-Event           - 事件名称，如 project.created
+ *   X-Webhook-Delivery        - 推送记录 ID
+ *   X-Webhook-Signature-256   - sha256=<hex>，以 Webhook 密钥对请求体计算的 HMAC-SHA256
+ */
+
+import { createRandomToken } from './tokens.js';
+import { isHttpUrl } from './validation.js';
+
+// 可订阅的事件
+export const WEBHOOK_EVENTS = {
+  'project.created': '添加项目',
+  'project.updated': '更新项目',
+  'project.deleted': '删除项目',
+  'category.created': '添加分类',
+  'category.updated': '更新分类',
+  'category.deleted': '删除分类',
+  'sync.completed': '数据同步',
+};
+
+// 推送记录状态
+export const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// 密钥的固定前缀
+const SECRET_PREFIX = 'whsec_';
+
+// 名称最大长度
+const MAX_NAME_LENGTH = 64;
+
+// 地址最大长度
+const MAX_URL_LENGTH = 500;
+
+// 失败后的重试间隔（秒），依次为 1 分钟、5 分钟、30 分钟、2 小时、6 小时，用完后记为失败
+const RETRY_DELAYS = [60, 300, 1800, 7200, 21600];
+
+// 单次请求超时（毫秒）
+const REQUEST_TIMEOUT = 10000;
+
+// 领取推送后的占用时长（秒），期间其他调用不会重复推送，超时未完成时视为中断并重新推送
+const CLAIM_LEASE = 60;
+
+// 单次调用最多推送的记录数（Workers 免费版每次调用最多 50 个子请求）
+const DEFAULT_DELIVERY_LIMIT = 20;
+
+// 记录的响应内容最大长度
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const encoder = new TextEncoder();
+
+/**
+ * 当前时间之后若干秒的 ISO 时间
+ * @param {number} seconds
+ * @returns {string}
+ */
+function isoAfter(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+/**
+ * 校验 Webhook 参数，返回字段错误（无错误时为空对象）
+ * @param {Object} input - { name, url, events, active }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - 部分更新，只校验提供的字段
+ * @returns {Object<string, string>}
+ */
+export function validateWebhookInput(input, { partial = false } = {}) {
+  const errors = {};
+  const { name, url, events, active } = input || {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.name = '名称为必填项';
+    } else if (name.trim().length > MAX_NAME_LENGTH) {
+      errors.name = `名称不能超过 ${MAX_NAME_LENGTH} 个字符`;
+    }
+  }
+
+  if (!partial || url !== undefined) {
+    if (typeof url !== 'string' || !url.trim()) {
+      errors.url = '推送地址为必填项';
+    } else if (url.trim().length > MAX_URL_LENGTH) {
+      errors.url = `推送地址不能超过 ${MAX_URL_LENGTH} 个字符`;
+    } else if (!isHttpUrl(url.trim())) {
+      errors.url = '推送地址必须为 http(s) 地址';
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.events = '至少订阅一个事件';
+    } else if (events.some(event => !WEBHOOK_EVENTS[event])) {
+      errors.events = `事件必须为 ${Object.keys(WEBHOOK_EVENTS).join(' / ')} 之一`;
+    }
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    errors.active = '启用状态必须为布尔值';
+  }
+
+  return errors;
+}
+
+/**
+ * 数据库行转为 API 返回结构（不包含密钥）
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toPublicWebhook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: JSON.parse(row.events),
+    active: !!row.active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastDeliveryStatus: row.last_delivery_status ?? null,
+    lastDeliveryAt: row.last_delivery_at ?? null,
+  };
+}
+
+/**
+ * 推送记录行转为 API 返回结构
+ * @param {Object} row
+ * @returns {Object}
+ */
+function toPublicDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    webhookName: row.webhook_name ?? null,
+    event: row.event,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    error: row.error,
+    replayOf: row.replay_of,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  };
+}
+
+// 列表查询附带的最近一次推送
+const WEBHOOK_SELECT = `
+  SELECT w.*,
+    (SELECT status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_delivery_status,
+    (SELECT created_at FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_delivery_at
+  FROM webhooks w
+`;
+
+/**
+ * 获取全部 Webhook
+ * @param {D1Database} db
+ * @returns {Promise<Object[]>}
+ */
+export async function listWebhooks(db) {
+  const { results } = await db.prepare(`${WEBHOOK_SELECT} ORDER BY w.id DESC`).all();
+  return results.map(toPublicWebhook);
+}
+
+/**
+ * 按 ID 获取 Webhook
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhookById(db, id) {
+  const row = await db.prepare(`${WEBHOOK_SELECT} WHERE w.id = ?`).bind(id).first();
+  return row ? toPublicWebhook(row) : null;
+}
+
+/**
+ * 创建 Webhook
+ * @param {D1Database} db
+ * @param {{name: string, url: string, events: string[], active?: boolean, createdBy: string}} options
+ * @returns {Promise<{webhook: Object, secret: string}>} secret 为签名密钥，只返回这一次
+ */
+export async function createWebhook(db, { name, url, events, active = true, createdBy }) {
+  const secret = `${SECRET_PREFIX}${createRandomToken()}`;
+
+  const result = await db.prepare(`
+    INSERT INTO webhooks (name, url, secret, events, active, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    name.trim(),
+    url.trim(),
+    secret,
+    JSON.stringify([...new Set(events)]),
+    active ? 1 : 0,
+    createdBy,
+    new Date().toISOString()
+  ).run();
+
+  return { webhook: await getWebhookById(db, result.meta?.last_row_id), secret };
+}
+
+/**
+ * 更新 Webhook，未提供的字段保持不变
+ * @param {D1Database} db
+ * @param {Object} existing - getWebhookById 的返回值
+ * @param {{name?: string, url?: string, events?: string[], active?: boolean, rotateSecret?: boolean}} updates
+ * @returns {Promise<{webhook: Object, secret: string|null}>} 重新生成密钥时 secret 为新密钥
+ */
+export async function updateWebhook(db, existing, { name, url, events, active, rotateSecret = false }) {
+  const secret = rotateSecret ? `${SECRET_PREFIX}${createRandomToken()}` : null;
+
+  await db.prepare(`
+    UPDATE webhooks SET name = ?, url = ?, events = ?, active = ?, secret = COALESCE(?, secret)
+    WHERE id = ?
+  `).bind(
+    name?.trim() ?? existing.name,
+    url?.trim() ?? existing.url,
+    JSON.stringify(events ? [...new Set(events)] : existing.events),
+    (active ?? existing.active) ? 1 : 0,
+    secret,
+    existing.id
+  ).run();
+
+  return { webhook: await getWebhookById(db, existing.id), secret };
+}
+
+/**
+ * 删除 Webhook，推送记录通过外键级联删除
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteWebhook(db, id) {
+  const result = await db.prepare('DELETE FROM webhooks WHERE id = ?').bind(id).run();
+  return !!result.meta?.changes;
+}
+
+/**
+ * 查询推送记录，按时间倒序
+ * @param {D1Database} db
+ * @param {{webhookId?: number|null, status?: string|null, page: number, limit: number}} options
+ * @returns {Promise<{deliveries: Object[], total: number}>}
+ */
+export async function listWebhookDeliveries(db, { webhookId = null, status = null, page, limit }) {
+  const conditions = [];
+  const bindings = [];
+
+  if (webhookId) {
+    conditions.push('d.webhook_id = ?');
+    bindings.push(webhookId);
+  }
+  if (status) {
+    conditions.push('d.status = ?');
+    bindings.push(status);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [{ results }, countRow] = await Promise.all([
+    db.prepare(`
+      SELECT d.*, w.name AS webhook_name
+      FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+      ${where} ORDER BY d.id DESC LIMIT ? OFFSET ?
+    `).bind(...bindings, limit, (page - 1) * limit).all(),
+    db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries d ${where}`).bind(...bindings).first(),
+  ]);
+
+  return { deliveries: results.map(toPublicDelivery), total: countRow?.total || 0 };
+}
+
+/**
+ * 按 ID 获取推送记录
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getDeliveryById(db, id) {
+  const row = await db.prepare(`
+    SELECT d.*, w.name AS webhook_name
+    FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ?
+  `).bind(id).first();
+  return row ? toPublicDelivery(row) : null;
+}
+
+/**
+ * 计算请求体签名
+ * @param {string} secret
+ * @param {string} body
+ * @returns {Promise<string>} 十六进制 HMAC-SHA256
+ */
+export async function signWebhookPayload(secret, body) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+  return [...signature].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 推送一条记录并写入结果：2xx 为成功，否则按退避间隔安排重试，重试次数用完后记为失败
+ * @param {D1Database} db
+ * @param {Object} delivery - webhook_deliveries 行，附带 url、secret
+ * @returns {Promise<string>} 推送后的状态
+ */
+async function attemptDelivery(db, delivery) {
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'awesome-popular-repos-webhook',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature-256': `sha256=${await signWebhookPayload(delivery.secret, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `请求超时（${REQUEST_TIMEOUT / 1000} 秒）` : err.message;
+  }
+
+  const retryDelay = RETRY_DELAYS[attempts - 1];
+  const status = !error ? 'success' : retryDelay === undefined ? 'failed' : 'pending';
+
+  await db.prepare(`
+    UPDATE webhook_deliveries SET
+      status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+      last_attempt_at = ?, next_attempt_at = ?
+    WHERE id = ?
+  `).bind(
+    status,
+    attempts,
+    responseStatus,
+    responseBody,
+    error,
+    new Date().toISOString(),
+    status === 'pending' ? isoAfter(retryDelay) : null,
+    delivery.id
+  ).run();
+
+  return status;
+}
+
+/**
+ * 推送到期的记录（新记录和到达重试时间的记录），只处理启用中的 Webhook
+ * 先将记录的下次推送时间推迟 CLAIM_LEASE 秒再推送，并发调用时不会重复领取
+ * @param {D1Database} db
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 最多推送的记录数
+ * @returns {Promise<{success: number, pending: number, failed: number}>}
+ */
+export async function deliverDueWebhooks(db, { limit = DEFAULT_DELIVERY_LIMIT } = {}) {
+  const now = new Date().toISOString();
+  const { results: claimed } = await db.prepare(`
+    UPDATE webhook_deliveries SET next_attempt_at = ?
+    WHERE id IN (
+      SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at, d.id LIMIT ?
+    )
+    RETURNING *
+  `).bind(isoAfter(CLAIM_LEASE), now, limit).all();
+
+  const summary = { success: 0, pending: 0, failed: 0 };
+  if (claimed.length === 0) return summary;
+
+  const webhookIds = [...new Set(claimed.map(delivery => delivery.webhook_id))];
+  const { results: webhooks } = await db.prepare(
+    `SELECT id, url, secret FROM webhooks WHERE id IN (${webhookIds.map(() => '?').join(', ')})`
+  ).bind(...webhookIds).all();
+  const webhookById = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+
+  const statuses = await Promise.all(claimed.map(delivery => {
+    const { url, secret } = webhookById.get(delivery.webhook_id);
+    return attemptDelivery(db, { ...delivery, url, secret });
+  }));
+  statuses.forEach(status => summary[status]++);
+  return summary;
+}
+
+/**
+ * 触发事件：为订阅该事件的启用中 Webhook 写入推送记录，并在响应返回后推送
+ * 在写操作成功后调用，任何错误只记录日志，不影响写操作的响应
+ * @param {Object} context - Pages Functions 上下文（使用 env.DB 和 waitUntil）
+ * @param {string} event - WEBHOOK_EVENTS 中的事件
+ * @param {{actor: string, data: Object}} options
+ * @returns {Promise<number>} 写入的推送记录数
+ */
+export function dispatchWebhookEvent(context, event, { actor, data }) {
+  return dispatchWebhookEvents(context, [{ event, actor, data }]);
+}
+
+/**
+ * 一次触发多个事件（如标签合并影响的每个项目），只查询一次 Webhook 并在同一批次中写入推送记录
+ * @param {Object} context - Pages Functions 上下文（使用 env.DB 和 waitUntil）
+ * @param {Array<{event: string, actor: string, data: Object}>} events
+ * @returns {Promise<number>} 写入的推送记录数
+ */
+export async function dispatchWebhookEvents(context, events) {
+  const { env } = context;
+  if (events.length === 0) return 0;
+
+  try {
+    const { results } = await env.DB.prepare(
+      'SELECT id, events FROM webhooks WHERE active = 1'
+    ).all();
+    const webhooks = results.map(webhook => ({ id: webhook.id, events: JSON.parse(webhook.events) }));
+
+    const now = new Date().toISOString();
+    const statements = events.flatMap(({ event, actor, data }) => {
+      const payload = JSON.stringify({ event, occurredAt: now, actor, data });
+      return webhooks
+        .filter(webhook => webhook.events.includes(event))
+        .map(webhook => env.DB.prepare(`
+          INSERT INTO webhook_deliveries (webhook_id, event, payload, status, created_at, next_attempt_at)
+          VALUES (?, ?, ?, 'pending', ?, ?)
+        `).bind(webhook.id, event, payload, now, now));
+    });
+    if (statements.length === 0) return 0;
+
+    await env.DB.batch(statements);
+
+    context.waitUntil(
+      deliverDueWebhooks(env.DB).catch(error => console.error('Webhook 推送失败:', error))
+    );
+    return statements.length;
+  } catch (error) {
+    const names = [...new Set(events.map(({ event }) => event))].join('、');
+    console.error(`触发 Webhook 事件 ${names} 失败:`, error);
+    return 0;
+  }
+}
+
+/**
+ * 重放推送记录：以原请求体生成一条新记录并立即推送（不受 Webhook 启用状态限制）
+ * @param {D1Database} db
+ * @param {number} id - 原推送记录 ID
+ * @returns {Promise<Object|null>} 新的推送记录，原记录不存在时返回 null
+ */
+export async function replayWebhookDelivery(db, id) {
+  const original = await db.prepare(`
+    SELECT d.webhook_id, d.event, d.payload, w.url, w.secret
+    FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ?
+  `).bind(id).first();
+  if (!original) return null;
+
+  const now = new Date().toISOString();
+  const row = await db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload, status, replay_of, created_at, next_attempt_at)
+    VALUES (?, ?, ?, 'pending', ?, ?, ?)
+    RETURNING *
+  `).bind(original.webhook_id, original.event, original.payload, id, now, isoAfter(CLAIM_LEASE)).first();
+
+  await attemptDelivery(db, { ...row, url: original.url, secret: original.secret });
+  return getDeliveryById(db, row.id);
+}
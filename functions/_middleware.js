@@ -1,34 +1,168 @@
 /**
  * Cloudflare Pages 中间件
- * 处理 CORS 和通用请求逻辑
+ * 处理 CORS、安全响应头、首次设置锁定、数据库结构版本检查、无效 Token 限制、API Key 认证和通用请求逻辑
  */
 
-// CORS 响应头
-const corsHeaders = {
+import { getSchemaVersion, LATEST_VERSION } from './_lib/migrations.js';
+import { verifySessionToken, isTokenRevoked } from './_lib/tokens.js';
+import { resolveSessionUser, isSetupRequired } from './_lib/admin-users.js';
+import { getAttemptKeys, getRetryAfter, recordFailure } from './_lib/login-throttle.js';
+import {
+  API_KEY_HEADER,
+  findActiveApiKey,
+  getApiKeyScope,
+  consumeApiKeyQuota,
+  toApiKeySession,
+} from './_lib/api-keys.js';
+
+export { hasRole } from './_lib/roles.js';
+
+// 数据库结构版本落后时仍允许写操作的路由（登录和执行迁移）
+const SCHEMA_CHECK_EXEMPT_PATHS = ['/api/auth', '/api/admin/migrate'];
+
+// 豁免路由下仍需检查版本的写操作（修改密码写入迁移后才有的 token_version）
+const SCHEMA_CHECK_REQUIRED_PATHS = ['/api/auth/password'];
+
+// 首次设置完成前唯一允许的写操作（创建首个管理员账号）
+const SETUP_PATH = '/api/auth/setup';
+
+// 登录接口自行按 IP 和用户名统计失败次数，不重复计入无效 Token
+const LOGIN_PATH = '/api/auth';
+
+// 当前 isolate 是否已确认数据库结构为最新，确认后不再重复查询
+let schemaUpToDate = false;
+
+// 当前 isolate 是否已确认存在管理员账号，确认后不再重复查询
+let setupCompleted = false;
+
+// 中间件校验通过的 API Key 请求及其会话，供 verifyAuth 读取
+const apiKeySessions = new WeakMap();
+
+// 任意来源均可跨域读取的公开接口（仅 GET / HEAD，不带 Authorization）
+const PUBLIC_GET_PATHS = [
+  '/api/projects',
+  '/api/categories',
+  '/api/tags',
+  '/api/trending',
+  '/api/feed.xml',
+  '/api/feed.rss',
+  '/api/openapi.json',
+];
+const PUBLIC_GET_PATTERNS = [/^\/api\/projects\/[^/]+\/history$/];
+
+// 允许来源（CORS_ALLOWED_ORIGINS）可使用全部方法和请求头
+const ALLOWED_ORIGIN_CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified, Retry-After',
+  'Access-Control-Max-Age': '86400',
+};
+
+// 其他来源只能读取公开接口
+const PUBLIC_CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified',
   'Access-Control-Max-Age': '86400',
 };
 
+// HTML 页面的安全响应头（Google Fonts 样式和字体、GitHub API 请求需放行）
+const HTML_SECURITY_HEADERS = {
+  'Content-Security-Policy': [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data: https:",
+    "connect-src 'self' https://api.github.com",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join('; '),
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'X-Frame-Options': 'DENY',
+};
+
 /**
- * 处理 OPTIONS 预检请求
+ * 解析允许跨域访问的来源列表（逗号或空白分隔）
+ * @param {object} env
+ * @returns {Set<string>}
  */
-function handleOptions(request) {
-  return new Response(null, {
-    status: 204,
-    headers: corsHeaders,
-  });
+function getAllowedOrigins(env) {
+  return new Set(
+    (env.CORS_ALLOWED_ORIGINS || '')
+      .split(/[\s,]+/)
+      .map(origin => origin.trim().replace(/\/+$/, ''))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * 判断请求是否为公开接口的只读请求（预检请求按其声明的方法和请求头判断）
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isPublicReadRequest(request) {
+  const preflight = request.method === 'OPTIONS';
+  const method = preflight ? request.headers.get('Access-Control-Request-Method') : request.method;
+  if (!['GET', 'HEAD'].includes(method)) return false;
+
+  const requestedHeaders = preflight
+    ? (request.headers.get('Access-Control-Request-Headers') || '').toLowerCase()
+    : '';
+  if (requestedHeaders.includes('authorization') || request.headers.has('Authorization')) return false;
+
+  const { pathname } = new URL(request.url);
+  return PUBLIC_GET_PATHS.includes(pathname) || PUBLIC_GET_PATTERNS.some(pattern => pattern.test(pathname));
 }
 
 /**
- * 添加 CORS 头到响应
+ * 根据请求来源生成 CORS 响应头
+ * 允许列表中的来源原样回显，其他来源只能访问公开只读接口，不匹配时不返回 CORS 头（浏览器拦截）
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Object}
  */
-function addCorsHeaders(response) {
+function getCorsHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin) return {};
+
+  if (getAllowedOrigins(env).has(origin)) {
+    return { 'Access-Control-Allow-Origin': origin, ...ALLOWED_ORIGIN_CORS_HEADERS };
+  }
+  return isPublicReadRequest(request) ? PUBLIC_CORS_HEADERS : {};
+}
+
+/**
+ * 添加 CORS 头和安全响应头
+ * @param {Request} request
+ * @param {object} env
+ * @param {Response} response
+ * @returns {Response}
+ */
+function addResponseHeaders(request, env, response) {
   const newHeaders = new Headers(response.headers);
-  Object.entries(corsHeaders).forEach(([key, value]) => {
-    newHeaders.set(key, value);
-  });
+  const isApi = new URL(request.url).pathname.startsWith('/api/');
+
+  if (isApi) {
+    Object.entries(getCorsHeaders(request, env)).forEach(([key, value]) => {
+      newHeaders.set(key, value);
+    });
+    // CORS 头随 Origin 变化，避免缓存混用
+    newHeaders.append('Vary', 'Origin');
+  }
+
+  if ((newHeaders.get('Content-Type') || '').includes('text/html')) {
+    Object.entries(HTML_SECURITY_HEADERS).forEach(([key, value]) => {
+      newHeaders.set(key, value);
+    });
+  } else {
+    newHeaders.set('X-Content-Type-Options', 'nosniff');
+  }
+
   return new Response(response.body, {
     status: response.status,
     statusText: response.statusText,
@@ -38,28 +172,33 @@ function addCorsHeaders(response) {
 
 /**
  * 验证管理员认证
+ * 校验 Authorization: Bearer <token> 的签名、有效期、注销状态及对应账号
+ * 携带 X-API-Key 时改为读取中间件校验 Key 后生成的会话（用户名为 apikey:名称，角色由权限范围决定）
  * @param {Request} request - 请求对象
  * @param {object} env - 环境变量
- * @returns {boolean} 是否认证通过
+ * @returns {Promise<object|null>} 认证通过返回 Token payload 及 username、role，否则返回 null
  */
-export function verifyAuth(request, env) {
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return false;
+export async function verifyAuth(request, env) {
+  if (request.headers.has(API_KEY_HEADER)) {
+    return apiKeySessions.get(request) || null;
   }
 
-  try {
-    const base64Credentials = authHeader.slice(6);
-    const credentials = atob(base64Credentials);
-    const [username, password] = credentials.split(':');
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
 
-    const adminUsername = env.ADMIN_USERNAME || 'admin';
-    const adminPassword = env.ADMIN_PASSWORD || 'admin123';
+  const payload = await verifySessionToken(env, authHeader.slice(7).trim());
+  if (!payload) {
+    return null;
+  }
 
-    return username === adminUsername && password === adminPassword;
-  } catch (e) {
-    return false;
+  if (await isTokenRevoked(env.DB, payload.jti)) {
+    return null;
   }
+
+  const user = await resolveSessionUser(env, payload);
+  return user ? { ...payload, ...user } : null;
 }
 
 /**
@@ -70,7 +209,53 @@ export function unauthorizedResponse() {
     status: 401,
     headers: {
       'Content-Type': 'application/json',
-      ...corsHeaders,
+    },
+  });
+}
+
+/**
+ * 返回权限不足响应
+ */
+export function forbiddenResponse() {
+  return new Response(JSON.stringify({ error: '权限不足' }), {
+    status: 403,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+/**
+ * 返回数据校验失败响应
+ * @param {Object} fields - { 字段: 错误信息 }
+ */
+export function validationErrorResponse(fields) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: '提交的数据有误，请检查标记的字段',
+    fields,
+  }), {
+    status: 422,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+/**
+ * 返回尝试次数过多响应
+ * @param {number} retryAfter - 需要等待的秒数
+ */
+export function tooManyRequestsResponse(retryAfter) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: `尝试次数过多，请在 ${retryAfter} 秒后重试`,
+    retryAfter,
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter),
     },
   });
 }
@@ -83,25 +268,184 @@ export function jsonResponse(data, status = 200) {
     status,
     headers: {
       'Content-Type': 'application/json',
-      ...corsHeaders,
     },
   });
 }
 
+/**
+ * 判断请求是否为 API 写操作
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isWriteApiRequest(request) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(request.method)) return false;
+  return new URL(request.url).pathname.startsWith('/api/');
+}
+
+/**
+ * 判断请求是否为需要检查数据库结构版本的写操作
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isMutatingApiRequest(request) {
+  if (!isWriteApiRequest(request)) return false;
+
+  const { pathname } = new URL(request.url);
+  if (SCHEMA_CHECK_REQUIRED_PATHS.includes(pathname)) return true;
+  return !SCHEMA_CHECK_EXEMPT_PATHS.some(path => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+/**
+ * 判断请求是否为携带 Token 的写操作（无效 Token 按 IP 计入失败次数）
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isTokenWriteRequest(request) {
+  if (!isWriteApiRequest(request) || !request.headers.has('Authorization')) return false;
+  return new URL(request.url).pathname !== LOGIN_PATH;
+}
+
+/**
+ * 检查是否已完成首次设置（存在管理员账号或配置了 ADMIN_PASSWORD）
+ * @param {object} env - 环境变量
+ * @returns {Promise<boolean>}
+ */
+async function checkSetupCompleted(env) {
+  if (!setupCompleted) {
+    setupCompleted = !(await isSetupRequired(env));
+  }
+  return setupCompleted;
+}
+
+/**
+ * 检查数据库结构是否为最新版本
+ * @param {object} env - 环境变量
+ * @returns {Promise<{upToDate: boolean, currentVersion: number}>}
+ */
+async function checkSchemaVersion(env) {
+  if (schemaUpToDate) {
+    return { upToDate: true, currentVersion: LATEST_VERSION };
+  }
+
+  const currentVersion = await getSchemaVersion(env.DB);
+  schemaUpToDate = currentVersion >= LATEST_VERSION;
+  return { upToDate: schemaUpToDate, currentVersion };
+}
+
+/**
+ * 校验 API Key：Key 有效、请求在其权限范围内且未超出每分钟请求次数时记录会话
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<Response|null>} 校验失败时返回错误响应
+ */
+async function authenticateApiKey(request, env) {
+  const apiKey = await findActiveApiKey(env.DB, request.headers.get(API_KEY_HEADER).trim());
+  if (!apiKey) {
+    return jsonResponse({ error: 'API Key 无效或已撤销' }, 401);
+  }
+
+  const scope = getApiKeyScope(request);
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    return jsonResponse({ error: 'API Key 无权访问该接口' }, 403);
+  }
+
+  const retryAfter = await consumeApiKeyQuota(env.DB, apiKey);
+  if (retryAfter > 0) {
+    return tooManyRequestsResponse(retryAfter);
+  }
+
+  apiKeySessions.set(request, toApiKeySession(apiKey, scope));
+  return null;
+}
+
 /**
  * 中间件入口
  */
 export async function onRequest(context) {
-  const { request, next } = context;
+  const { request, env } = context;
+  const response = await handleRequest(context);
+
+  // 添加 CORS 头和安全响应头
+  return addResponseHeaders(request, env, response);
+}
+
+/**
+ * 判断请求是否需要签发或校验登录 Token（写操作和携带 Token 的请求）
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function needsAuthSecret(request) {
+  if (isWriteApiRequest(request)) return true;
+  return request.headers.has('Authorization') && new URL(request.url).pathname.startsWith('/api/');
+}
 
-  // 处理 OPTIONS 预检请求
+/**
+ * 处理请求（预检、配置检查、设置锁定、版本检查、API Key 认证、无效 Token 限制）
+ * @param {object} context
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(context) {
+  const { request, env, next } = context;
+
+  // 处理 OPTIONS 预检请求（CORS 头由 addResponseHeaders 按来源添加）
   if (request.method === 'OPTIONS') {
-    return handleOptions(request);
+    return new Response(null, { status: 204 });
+  }
+
+  // 未配置 Token 签名密钥时无法登录和校验 Token，明确返回配置错误
+  if (!env.AUTH_SECRET && needsAuthSecret(request)) {
+    return jsonResponse({
+      error: '服务端未配置 AUTH_SECRET 环境变量，无法签发或校验登录 Token',
+      missingConfig: 'AUTH_SECRET',
+    }, 503);
+  }
+
+  // 首次设置完成前锁定所有写操作，只允许创建首个管理员账号
+  if (isWriteApiRequest(request) && new URL(request.url).pathname !== SETUP_PATH) {
+    if (!(await checkSetupCompleted(env))) {
+      return jsonResponse({
+        error: '尚未创建管理员账号，请先完成初始化设置',
+        setupRequired: true,
+      }, 503);
+    }
+  }
+
+  // 数据库结构版本落后时拒绝写操作，避免写入旧结构
+  if (isMutatingApiRequest(request)) {
+    const { upToDate, currentVersion } = await checkSchemaVersion(env);
+    if (!upToDate) {
+      return jsonResponse({
+        error: '数据库结构版本落后，请先执行迁移',
+        currentVersion,
+        latestVersion: LATEST_VERSION,
+      }, 503);
+    }
+  }
+
+  // 携带 API Key 的请求只能访问 Key 权限范围内的接口，并按 Key 限制请求频率
+  if (request.headers.has(API_KEY_HEADER)) {
+    const rejected = await authenticateApiKey(request, env);
+    if (rejected) {
+      return rejected;
+    }
+  }
+
+  // 同一 IP 多次使用无效 Token 写入时，与登录失败共用锁定
+  const tokenWrite = isTokenWriteRequest(request);
+  const attemptKeys = tokenWrite ? getAttemptKeys(request) : null;
+  if (tokenWrite) {
+    const retryAfter = await getRetryAfter(env.DB, attemptKeys);
+    if (retryAfter > 0) {
+      return tooManyRequestsResponse(retryAfter);
+    }
   }
 
   // 继续处理请求
   const response = await next();
 
-  // 添加 CORS 头
-  return addCorsHeaders(response);
+  if (tokenWrite && response.status === 401) {
+    await recordFailure(env.DB, attemptKeys);
+  }
+
+  return response;
 }
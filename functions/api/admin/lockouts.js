@@ -0,0 +1,79 @@
+/**
+ * 登录锁定管理 API（均需 owner 权限）
+ * GET    /api/admin/lockouts          - 查看 24 小时内的登录失败记录及锁定状态
+ * DELETE /api/admin/lockouts?key=xxx  - 清除指定 IP / 用户名的失败记录，不传 key 时清除全部
+ */
+
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../../_middleware.js';
+import { listAttempts, deleteAttempts } from '../../_lib/login-throttle.js';
+import { auditLogStatement } from '../../_lib/audit.js';
+
+/**
+ * GET - 查看登录失败记录
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const attempts = await listAttempts(env.DB);
+    return jsonResponse({ attempts });
+  } catch (error) {
+    console.error('获取登录锁定失败:', error);
+    return jsonResponse({ error: '获取登录锁定失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 清除登录失败记录
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const key = new URL(request.url).searchParams.get('key');
+    const cleared = await deleteAttempts(env.DB, key);
+
+    if (key && cleared === 0) {
+      return jsonResponse({ error: '记录不存在' }, 404);
+    }
+
+    await auditLogStatement(env.DB, {
+      actor: session.username,
+      action: 'delete',
+      entityType: 'lockout',
+      entityId: key || 'all',
+      diff: { records: { from: cleared, to: 0 } },
+    }).run();
+
+    return jsonResponse({
+      success: true,
+      message: '登录锁定已清除',
+      cleared,
+    });
+  } catch (error) {
+    console.error('清除登录锁定失败:', error);
+    return jsonResponse({ error: '清除登录锁定失败', details: error.message }, 500);
+  }
+}
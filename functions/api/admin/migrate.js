@@ -0,0 +1,70 @@
+/**
+ * 数据库迁移 API
+ * GET  /api/admin/migrate - 查看当前结构版本和待执行的迁移（需认证）
+ * POST /api/admin/migrate - 按顺序执行待执行的迁移（需 owner 权限）
+ */
+
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../../_middleware.js';
+import { getMigrationStatus, applyMigrations } from '../../_lib/migrations.js';
+
+/**
+ * GET - 查看迁移状态
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  if (!(await verifyAuth(request, env))) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const status = await getMigrationStatus(env.DB);
+    return jsonResponse(status);
+  } catch (error) {
+    console.error('获取迁移状态失败:', error);
+    return jsonResponse({ error: '获取迁移状态失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 执行待执行的迁移
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const result = await applyMigrations(env.DB);
+
+    if (result.failed) {
+      return jsonResponse({
+        success: false,
+        error: `迁移 ${result.failed.version} (${result.failed.name}) 执行失败`,
+        details: result.failed.error,
+        ...result,
+      }, 500);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: result.applied.length > 0
+        ? `已执行 ${result.applied.length} 个迁移`
+        : '数据库已是最新版本',
+      ...result,
+    });
+  } catch (error) {
+    console.error('执行迁移失败:', error);
+    return jsonResponse({ error: '执行迁移失败', details: error.message }, 500);
+  }
+}
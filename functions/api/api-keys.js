@@ -0,0 +1,155 @@
+/**
+ * API Key 管理 API（均需 owner 权限）
+ * GET    /api/api-keys        - 获取全部 Key 及可选的权限范围
+ * POST   /api/api-keys        - 创建 Key，请求体 { name, scopes, rateLimit? }，明文 Key 只在响应中返回一次
+ * DELETE /api/api-keys?id=xxx - 撤销 Key，撤销后立即失效
+ */
+
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  validationErrorResponse,
+  jsonResponse,
+} from '../_middleware.js';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  validateApiKeyInput,
+  listApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey,
+} from '../_lib/api-keys.js';
+import { auditLogStatement, diffValues } from '../_lib/audit.js';
+import { hasErrors } from '../_lib/validation.js';
+
+/**
+ * GET - 获取全部 Key
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const keys = await listApiKeys(env.DB);
+
+    return jsonResponse({
+      keys,
+      scopes: Object.entries(API_KEY_SCOPES).map(([id, scope]) => ({ id, label: scope.label })),
+      defaultRateLimit: DEFAULT_RATE_LIMIT,
+    });
+  } catch (error) {
+    console.error('获取 API Key 失败:', error);
+    return jsonResponse({ error: '获取 API Key 失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 创建 Key
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const errors = validateApiKeyInput(body);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const { apiKey, key } = await createApiKey(env.DB, {
+      name: body.name,
+      scopes: body.scopes,
+      rateLimit: body.rateLimit,
+      createdBy: session.username,
+    });
+
+    await auditLogStatement(env.DB, {
+      actor: session.username,
+      action: 'create',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      diff: diffValues(null, { name: apiKey.name, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit }),
+    }).run();
+
+    return jsonResponse({
+      success: true,
+      message: 'API Key 已创建，请立即复制保存，关闭后将无法再次查看',
+      apiKey,
+      key,
+    });
+  } catch (error) {
+    console.error('创建 API Key 失败:', error);
+    return jsonResponse({ error: '创建 API Key 失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 撤销 Key
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const id = parseInt(new URL(request.url).searchParams.get('id'), 10);
+    if (!Number.isInteger(id)) {
+      return jsonResponse({ error: '缺少 API Key ID' }, 400);
+    }
+
+    const existing = await getApiKeyById(env.DB, id);
+    if (!existing || !(await revokeApiKey(env.DB, id))) {
+      return jsonResponse({ error: 'API Key 不存在或已撤销' }, 404);
+    }
+
+    await auditLogStatement(env.DB, {
+      actor: session.username,
+      action: 'delete',
+      entityType: 'api_key',
+      entityId: id,
+      diff: diffValues({ name: existing.name, scopes: existing.scopes, rateLimit: existing.rateLimit }, null),
+    }).run();
+
+    return jsonResponse({
+      success: true,
+      message: 'API Key 已撤销',
+    });
+  } catch (error) {
+    console.error('撤销 API Key 失败:', error);
+    return jsonResponse({ error: '撤销 API Key 失败', details: error.message }, 500);
+  }
+}
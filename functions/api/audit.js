@@ -0,0 +1,119 @@
+/**
+ * 操作日志 API
+ * GET /api/audit - 查询操作日志（需认证）
+ * 查询参数：entity（project/category/tag/user）、entityId、actor、action、page、limit
+ */
+
+import { verifyAuth, unauthorizedResponse, jsonResponse } from '../_middleware.js';
+
+// 分页参数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 解析正整数查询参数
+ * @param {string|null} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * 安全解析 diff 字段
+ * @param {string|null} value
+ * @returns {Object|null}
+ */
+function parseDiff(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 根据查询参数构建 WHERE 子句
+ * @param {URLSearchParams} params
+ * @returns {{ where: string, bindings: Array }}
+ */
+function buildAuditFilters(params) {
+  const conditions = [];
+  const bindings = [];
+
+  const filters = {
+    entity: 'entity_type',
+    entityId: 'entity_id',
+    actor: 'actor',
+    action: 'action',
+  };
+
+  for (const [param, column] of Object.entries(filters)) {
+    const value = params.get(param)?.trim();
+    if (value && value !== 'all') {
+      conditions.push(`${column} = ?`);
+      bindings.push(value);
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    bindings,
+  };
+}
+
+/**
+ * GET - 查询操作日志，按时间倒序
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  if (!(await verifyAuth(request, env))) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const { where, bindings } = buildAuditFilters(params);
+    const page = parsePositiveInt(params.get('page'), 1);
+    const limit = Math.min(parsePositiveInt(params.get('limit'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    const [{ results }, countRow, actorRows] = await Promise.all([
+      env.DB.prepare(
+        `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+      ).bind(...bindings, limit, (page - 1) * limit).all(),
+      env.DB.prepare(
+        `SELECT COUNT(*) AS total FROM audit_log ${where}`
+      ).bind(...bindings).first(),
+      env.DB.prepare(
+        'SELECT DISTINCT actor FROM audit_log ORDER BY actor'
+      ).all(),
+    ]);
+
+    const total = countRow?.total || 0;
+
+    return jsonResponse({
+      entries: results.map(entry => ({
+        id: entry.id,
+        actor: entry.actor,
+        action: entry.action,
+        entityType: entry.entity_type,
+        entityId: entry.entity_id,
+        diff: parseDiff(entry.diff),
+        createdAt: entry.created_at,
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      actors: actorRows.results.map(row => row.actor),
+    });
+  } catch (error) {
+    console.error('获取操作日志失败:', error);
+    return jsonResponse({ error: '获取操作日志失败', details: error.message }, 500);
+  }
+}
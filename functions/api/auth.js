@@ -1,9 +1,13 @@
 /**
  * 管理员认证 API
- * POST /api/auth - 验证用户名和密码
+ * POST /api/auth - 验证用户名和密码，签发会话 Token
+ * 同一 IP 或用户名连续失败后按指数退避锁定，锁定期间返回 429 和 Retry-After
  */
 
-import { jsonResponse } from '../_middleware.js';
+import { jsonResponse, tooManyRequestsResponse } from '../_middleware.js';
+import { createSessionToken } from '../_lib/tokens.js';
+import { authenticateAdmin } from '../_lib/admin-users.js';
+import { getAttemptKeys, getRetryAfter, recordFailure, clearFailures } from '../_lib/login-throttle.js';
 
 /**
  * 处理认证请求
@@ -11,33 +15,51 @@ import { jsonResponse } from '../_middleware.js';
 export async function onRequestPost(context) {
   const { request, env } = context;
 
+  let username, password;
   try {
-    const { username, password } = await request.json();
+    ({ username, password } = await request.json());
+  } catch (error) {
+    return jsonResponse({
+      success: false,
+      error: '请求格式错误',
+    }, 400);
+  }
 
-    // 从环境变量获取管理员凭据
-    const adminUsername = env.ADMIN_USERNAME || 'admin';
-    const adminPassword = env.ADMIN_PASSWORD || 'admin123';
+  try {
+    // 锁定期间不校验密码
+    const attemptKeys = getAttemptKeys(request, username);
+    const lockedFor = await getRetryAfter(env.DB, attemptKeys);
+    if (lockedFor > 0) {
+      return tooManyRequestsResponse(lockedFor);
+    }
 
     // 验证凭据
-    if (username === adminUsername && password === adminPassword) {
-      // 生成 Base64 凭据用于后续 API 调用
-      const credentials = btoa(`${username}:${password}`);
+    const user = await authenticateAdmin(env, username, password);
+    if (!user) {
+      const retryAfter = await recordFailure(env.DB, attemptKeys);
+      if (retryAfter > 0) {
+        return tooManyRequestsResponse(retryAfter);
+      }
 
-      return jsonResponse({
-        success: true,
-        message: '登录成功',
-        token: credentials,
-      });
-    } else {
       return jsonResponse({
         success: false,
         error: '用户名或密码错误',
       }, 401);
     }
-  } catch (error) {
+
+    await clearFailures(env.DB, attemptKeys);
+
+    const { token, payload } = await createSessionToken(env, user.username, user.tokenVersion);
+
     return jsonResponse({
-      success: false,
-      error: '请求格式错误',
-    }, 400);
+      success: true,
+      message: '登录成功',
+      token,
+      expiresAt: payload.exp * 1000,
+      user: { username: user.username, role: user.role },
+    });
+  } catch (error) {
+    console.error('登录失败:', error);
+    return jsonResponse({ success: false, error: '登录失败', details: error.message }, 500);
   }
 }
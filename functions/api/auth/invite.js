@@ -0,0 +1,66 @@
+/**
+ * 接受邀请 API
+ * GET  /api/auth/invite?token=xxx - 查询邀请对应的用户名和角色
+ * POST /api/auth/invite           - 设置密码并登录，请求体：{ token, password }
+ */
+
+import { jsonResponse } from '../../_middleware.js';
+import { findInvite, acceptInvite } from '../../_lib/admin-users.js';
+import { checkPasswordStrength } from '../../_lib/passwords.js';
+import { createSessionToken } from '../../_lib/tokens.js';
+
+/**
+ * GET - 查询邀请
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  try {
+    const token = new URL(request.url).searchParams.get('token');
+    const user = await findInvite(env.DB, token);
+
+    if (!user) {
+      return jsonResponse({ error: '邀请链接无效或已过期' }, 404);
+    }
+
+    return jsonResponse({ username: user.username, role: user.role });
+  } catch (error) {
+    console.error('查询邀请失败:', error);
+    return jsonResponse({ error: '查询邀请失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 接受邀请并设置密码
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const { token, password } = await request.json();
+    const user = await findInvite(env.DB, token);
+
+    if (!user) {
+      return jsonResponse({ error: '邀请链接无效或已过期' }, 404);
+    }
+
+    const weakness = checkPasswordStrength(password, user.username);
+    if (weakness) {
+      return jsonResponse({ error: weakness }, 400);
+    }
+
+    const tokenVersion = await acceptInvite(env.DB, user, password);
+    const session = await createSessionToken(env, user.username, tokenVersion);
+
+    return jsonResponse({
+      success: true,
+      message: '账号已激活',
+      token: session.token,
+      expiresAt: session.payload.exp * 1000,
+      user: { username: user.username, role: user.role },
+    });
+  } catch (error) {
+    console.error('接受邀请失败:', error);
+    return jsonResponse({ error: '接受邀请失败', details: error.message }, 500);
+  }
+}
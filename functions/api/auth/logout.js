@@ -0,0 +1,32 @@
+/**
+ * 退出登录 API
+ * POST /api/auth/logout - 注销当前 Token（需认证）
+ */
+
+import { verifyAuth, unauthorizedResponse, jsonResponse } from '../../_middleware.js';
+import { revokeToken } from '../../_lib/tokens.js';
+
+/**
+ * POST - 注销当前会话
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    await revokeToken(env.DB, session);
+
+    return jsonResponse({
+      success: true,
+      message: '已退出登录',
+    });
+  } catch (error) {
+    console.error('退出登录失败:', error);
+    return jsonResponse({ error: '退出登录失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * 当前账号 API
+ * GET /api/auth/me - 获取当前登录账号的用户名和角色（需认证）
+ */
+
+import { verifyAuth, unauthorizedResponse, jsonResponse } from '../../_middleware.js';
+
+/**
+ * GET - 获取当前账号
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  return jsonResponse({
+    user: { username: session.username, role: session.role },
+  });
+}
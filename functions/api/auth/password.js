@@ -0,0 +1,74 @@
+/**
+ * 修改密码 API
+ * POST /api/auth/password - 校验当前密码后设置新密码（需认证）
+ * 修改成功后此前签发的 Token 全部失效，响应中返回新的 Token
+ * 当前密码错误与登录失败共用计数（按 IP 和用户名），超过次数后暂时锁定
+ */
+
+import {
+  verifyAuth,
+  unauthorizedResponse,
+  jsonResponse,
+  validationErrorResponse,
+  tooManyRequestsResponse,
+} from '../../_middleware.js';
+import { createSessionToken } from '../../_lib/tokens.js';
+import { checkCurrentPassword, setAdminPassword } from '../../_lib/admin-users.js';
+import { checkPasswordStrength } from '../../_lib/passwords.js';
+import { getAttemptKeys, getRetryAfter, recordFailure, clearFailures } from '../../_lib/login-throttle.js';
+
+/**
+ * POST - 修改当前账号密码
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { currentPassword, newPassword } = await request.json();
+
+    // 锁定期间不校验密码
+    const attemptKeys = getAttemptKeys(request, session.username);
+    const lockedFor = await getRetryAfter(env.DB, attemptKeys);
+    if (lockedFor > 0) {
+      return tooManyRequestsResponse(lockedFor);
+    }
+
+    if (!(await checkCurrentPassword(env, session.username, currentPassword))) {
+      const retryAfter = await recordFailure(env.DB, attemptKeys);
+      if (retryAfter > 0) {
+        return tooManyRequestsResponse(retryAfter);
+      }
+      return validationErrorResponse({ currentPassword: '当前密码错误' });
+    }
+
+    await clearFailures(env.DB, attemptKeys);
+
+    if (newPassword === currentPassword) {
+      return jsonResponse({ error: '新密码不能与当前密码相同' }, 400);
+    }
+
+    const weakness = checkPasswordStrength(newPassword, session.username);
+    if (weakness) {
+      return jsonResponse({ error: weakness }, 400);
+    }
+
+    const tokenVersion = await setAdminPassword(env.DB, session.username, newPassword);
+    const { token, payload } = await createSessionToken(env, session.username, tokenVersion);
+
+    return jsonResponse({
+      success: true,
+      message: '密码修改成功',
+      token,
+      expiresAt: payload.exp * 1000,
+    });
+  } catch (error) {
+    console.error('修改密码失败:', error);
+    return jsonResponse({ error: '修改密码失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * 会话续期 API
+ * POST /api/auth/refresh - 用未过期的 Token 换取新 Token，旧 Token 随即注销（需认证）
+ */
+
+import { verifyAuth, unauthorizedResponse, jsonResponse } from '../../_middleware.js';
+import { createSessionToken, revokeToken } from '../../_lib/tokens.js';
+
+/**
+ * POST - 续期会话 Token
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { token, payload } = await createSessionToken(env, session.sub, session.tokenVersion);
+    await revokeToken(env.DB, session);
+
+    return jsonResponse({
+      success: true,
+      token,
+      expiresAt: payload.exp * 1000,
+      user: { username: session.sub },
+    });
+  } catch (error) {
+    console.error('续期 Token 失败:', error);
+    return jsonResponse({ error: '续期 Token 失败', details: error.message }, 500);
+  }
+}
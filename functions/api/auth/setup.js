@@ -0,0 +1,79 @@
+/**
+ * 首次设置 API
+ * GET  /api/auth/setup - 查询是否需要创建首个管理员账号
+ * POST /api/auth/setup - 创建首个管理员账号并登录（仅在没有账号且未配置 ADMIN_PASSWORD 时可用）
+ */
+
+import { jsonResponse } from '../../_middleware.js';
+import { isSetupRequired, createFirstAdmin } from '../../_lib/admin-users.js';
+import { applyMigrations } from '../../_lib/migrations.js';
+import { checkPasswordStrength } from '../../_lib/passwords.js';
+import { createSessionToken } from '../../_lib/tokens.js';
+
+// 用户名格式：3-32 位字母、数字、下划线、点或短横线
+const USERNAME_PATTERN = /^[\w.-]{3,32}$/;
+
+/**
+ * GET - 查询首次设置状态
+ */
+export async function onRequestGet(context) {
+  const { env } = context;
+
+  try {
+    return jsonResponse({ setupRequired: await isSetupRequired(env) });
+  } catch (error) {
+    console.error('获取设置状态失败:', error);
+    return jsonResponse({ error: '获取设置状态失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 创建首个管理员账号
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    if (!(await isSetupRequired(env))) {
+      return jsonResponse({ error: '管理员账号已存在，请直接登录' }, 409);
+    }
+
+    const { username, password } = await request.json();
+    const name = typeof username === 'string' ? username.trim() : '';
+
+    if (!USERNAME_PATTERN.test(name)) {
+      return jsonResponse({ error: '用户名需为 3-32 位字母、数字、下划线、点或短横线' }, 400);
+    }
+
+    const weakness = checkPasswordStrength(password, name);
+    if (weakness) {
+      return jsonResponse({ error: weakness }, 400);
+    }
+
+    // 新数据库尚无账号表，创建账号前先执行迁移
+    const migration = await applyMigrations(env.DB);
+    if (migration.failed) {
+      return jsonResponse({
+        error: `迁移 ${migration.failed.version} (${migration.failed.name}) 执行失败`,
+        details: migration.failed.error,
+      }, 500);
+    }
+
+    if (!(await createFirstAdmin(env.DB, name, password))) {
+      return jsonResponse({ error: '管理员账号已存在，请直接登录' }, 409);
+    }
+
+    const { token, payload } = await createSessionToken(env, name);
+
+    return jsonResponse({
+      success: true,
+      message: '管理员账号创建成功',
+      token,
+      expiresAt: payload.exp * 1000,
+      user: { username: name },
+    });
+  } catch (error) {
+    console.error('创建管理员账号失败:', error);
+    return jsonResponse({ error: '创建管理员账号失败', details: error.message }, 500);
+  }
+}
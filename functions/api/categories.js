@@ -1,20 +1,59 @@
 /**
  * 分类管理 API
- * GET  /api/categories - 获取所有分类
- * POST /api/categories - 添加分类（需认证）
+ * GET    /api/categories - 获取所有分类
+ * POST   /api/categories - 添加分类（需 editor 权限）
+ * PUT    /api/categories - 更新分类（需 editor 权限）
+ * DELETE /api/categories?id=xxx[&force=1] - 删除分类，移入回收站（需 editor 权限）
  */
 
-import { verifyAuth, unauthorizedResponse, jsonResponse } from '../_middleware.js';
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  validationErrorResponse,
+  jsonResponse,
+} from '../_middleware.js';
+import { auditChangeStatements, diffValues } from '../_lib/audit.js';
+import { validateCategory, hasErrors } from '../_lib/validation.js';
+import { withHttpCache, bumpDataVersionStatement } from '../_lib/http-cache.js';
+import { softDeleteStatement } from '../_lib/trash.js';
+import { dispatchWebhookEvent } from '../_lib/webhooks.js';
 
 /**
- * GET - 获取所有分类
+ * 查找关联了指定分类的项目（不包括回收站中的项目）
+ * @param {D1Database} db
+ * @param {string} categoryId
+ * @returns {Promise<Array<{id: string, name: string, owner: string}>>}
  */
-export async function onRequestGet(context) {
+async function findProjectsInCategory(db, categoryId) {
+  const { results } = await db.prepare(`
+    SELECT p.id, p.name, p.owner
+    FROM projects p
+    JOIN project_categories pc ON pc.project_id = p.id
+    WHERE pc.category_id = ? AND p.deleted_at IS NULL
+    ORDER BY p.name
+  `).bind(categoryId).all();
+
+  return results;
+}
+
+/**
+ * GET - 获取分类列表（支持 ETag 条件请求和边缘缓存）
+ */
+export function onRequestGet(context) {
+  return withHttpCache(context, () => listCategories(context));
+}
+
+/**
+ * 获取所有分类（不包括回收站中的分类）
+ */
+async function listCategories(context) {
   const { env } = context;
 
   try {
     const { results } = await env.DB.prepare(
-      'SELECT * FROM categories ORDER BY name'
+      'SELECT * FROM categories WHERE deleted_at IS NULL ORDER BY name'
     ).all();
 
     return jsonResponse({ categories: results });
@@ -31,32 +70,242 @@ export async function onRequestPost(context) {
   const { request, env } = context;
 
   // 验证认证
-  if (!verifyAuth(request, env)) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
     return unauthorizedResponse();
   }
 
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
   try {
     const category = await request.json();
 
-    const id = category.id || category.slug || Date.now().toString();
+    const errors = validateCategory(category);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const id = String(category.id || category.slug).trim();
+
+    const conflict = await env.DB.prepare('SELECT deleted_at FROM categories WHERE id = ?').bind(id).first();
+    if (conflict) {
+      return jsonResponse({
+        error: conflict.deleted_at ? `分类 "${id}" 在回收站中，请先恢复或彻底删除` : `分类 "${id}" 已存在`,
+      }, 409);
+    }
 
-    await env.DB.prepare(`
-      INSERT INTO categories (id, name, slug, description)
-      VALUES (?, ?, ?, ?)
-    `).bind(
+    const created = {
       id,
-      category.name,
-      category.slug || id,
-      category.description || ''
-    ).run();
+      name: category.name.trim(),
+      slug: category.slug?.trim() || id,
+      description: category.description || '',
+    };
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO categories (id, name, slug, description)
+        VALUES (?, ?, ?, ?)
+      `).bind(created.id, created.name, created.slug, created.description),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'create',
+        entityType: 'category',
+        entityId: id,
+        before: null,
+        after: created,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchWebhookEvent(context, 'category.created', {
+      actor: session.username,
+      data: { category: created },
+    });
 
     return jsonResponse({
       success: true,
       message: '分类添加成功',
-      category: { ...category, id }
+      category: created
     });
   } catch (error) {
     console.error('添加分类失败:', error);
     return jsonResponse({ error: '添加分类失败', details: error.message }, 500);
   }
 }
+
+/**
+ * PUT - 更新分类
+ * 修改 slug 时，若分类 ID 由 slug 生成，则一并迁移 ID（项目关联通过外键级联更新）
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const { id, ...updates } = await request.json();
+
+    if (!id) {
+      return jsonResponse({ error: '缺少分类 ID' }, 400);
+    }
+
+    const errors = validateCategory(updates, { partial: true });
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const existing = await env.DB.prepare(
+      'SELECT * FROM categories WHERE id = ? AND deleted_at IS NULL'
+    ).bind(id).first();
+
+    if (!existing) {
+      return jsonResponse({ error: '分类不存在' }, 404);
+    }
+
+    const name = updates.name ?? existing.name;
+    const slug = (updates.slug ?? existing.slug ?? id).trim();
+    const description = updates.description ?? existing.description ?? '';
+
+    if (!name || !slug) {
+      return jsonResponse({ error: '分类名称和 Slug 为必填项' }, 400);
+    }
+
+    // ID 由 slug 生成时，重命名 slug 需要同步迁移 ID
+    const idFollowsSlug = id === (existing.slug || existing.id);
+    const newId = idFollowsSlug ? slug : id;
+
+    if (slug !== existing.slug || newId !== id) {
+      const conflict = await env.DB.prepare(
+        'SELECT id FROM categories WHERE (id = ? OR slug = ?) AND id != ?'
+      ).bind(newId, slug, id).first();
+
+      if (conflict) {
+        return jsonResponse({ error: `分类 Slug "${slug}" 已存在` }, 409);
+      }
+    }
+
+    const updated = { id: newId, name, slug, description };
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE categories SET id = ?, name = ?, slug = ?, description = ? WHERE id = ?
+      `).bind(newId, name, slug, description, id),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'update',
+        entityType: 'category',
+        entityId: newId,
+        before: existing,
+        after: updated,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    const changes = diffValues(existing, updated);
+    if (Object.keys(changes).length > 0) {
+      await dispatchWebhookEvent(context, 'category.updated', {
+        actor: session.username,
+        data: { category: updated, previousId: id, changes },
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      message: '分类更新成功',
+      previousId: id,
+      category: updated
+    });
+  } catch (error) {
+    console.error('更新分类失败:', error);
+    return jsonResponse({ error: '更新分类失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 删除分类
+ * 分类下仍有项目时拒绝删除并返回受影响的项目，传入 force=1 则仍然删除
+ * 分类移入回收站后不再出现在项目的分类中，项目关联保留，恢复分类后重新生效
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const url = new URL(request.url);
+    const id = url.searchParams.get('id');
+    const force = url.searchParams.get('force') === '1';
+
+    if (!id) {
+      return jsonResponse({ error: '缺少分类 ID' }, 400);
+    }
+
+    const existing = await env.DB.prepare(
+      'SELECT * FROM categories WHERE id = ? AND deleted_at IS NULL'
+    ).bind(id).first();
+
+    if (!existing) {
+      return jsonResponse({ error: '分类不存在' }, 404);
+    }
+
+    const affected = await findProjectsInCategory(env.DB, id);
+
+    if (affected.length > 0 && !force) {
+      return jsonResponse({
+        error: `该分类下有 ${affected.length} 个项目，无法删除`,
+        projects: affected.map(project => ({ id: project.id, name: project.name, owner: project.owner })),
+      }, 409);
+    }
+
+    await env.DB.batch([
+      softDeleteStatement(env.DB, 'category', id),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'delete',
+        entityType: 'category',
+        entityId: id,
+        before: { ...existing, projects: affected.map(project => project.id) },
+        after: null,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchWebhookEvent(context, 'category.deleted', {
+      actor: session.username,
+      data: {
+        category: { id, name: existing.name, slug: existing.slug, description: existing.description },
+        affectedProjects: affected.map(project => project.id),
+      },
+    });
+
+    return jsonResponse({
+      success: true,
+      message: '分类已移入回收站',
+      affectedProjects: affected.map(project => project.id),
+    });
+  } catch (error) {
+    console.error('删除分类失败:', error);
+    return jsonResponse({ error: '删除分类失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * RSS 2.0 订阅源
+ * GET /api/feed.rss?category=xxx&language=xxx - 最近新增和更新的项目（最多 50 个），可按分类和语言限定范围
+ */
+
+import { jsonResponse } from '../_middleware.js';
+import { buildFeed, FEED_CONTENT_TYPES } from '../_lib/feed.js';
+import { withHttpCache } from '../_lib/http-cache.js';
+
+/**
+ * GET - 获取订阅源（支持 ETag 条件请求和边缘缓存）
+ */
+export function onRequestGet(context) {
+  return withHttpCache(context, () => renderFeed(context));
+}
+
+/**
+ * 生成 RSS 2.0 订阅源
+ */
+async function renderFeed(context) {
+  const { request, env } = context;
+
+  try {
+    const body = await buildFeed(env.DB, new URL(request.url), 'rss');
+    return new Response(body, {
+      headers: { 'Content-Type': FEED_CONTENT_TYPES.rss },
+    });
+  } catch (error) {
+    console.error('生成订阅源失败:', error);
+    return jsonResponse({ error: '生成订阅源失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * GitHub Webhook 接收 API
+ * POST /api/github-webhook - 接收 GitHub 仓库事件并更新对应项目（以 X-Hub-Signature-256 校验，不需要登录）
+ * 处理 star、watch、repository（renamed / transferred / archived / unarchived）和 release（published）事件，
+ * 其余事件、未收录的仓库及重复的推送（相同 X-GitHub-Delivery）返回 200 并记录忽略原因，避免 GitHub 判定为推送失败
+ */
+
+import { jsonResponse } from '../_middleware.js';
+import {
+  verifyGitHubSignature,
+  claimGitHubDelivery,
+  releaseGitHubDelivery,
+  handleGitHubEvent,
+} from '../_lib/github-webhook.js';
+
+/**
+ * 解析请求体，兼容 GitHub 的 application/x-www-form-urlencoded 格式（JSON 在 payload 字段中）
+ * @param {Request} request
+ * @param {string} body
+ * @returns {Object}
+ */
+function parsePayload(request, body) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return JSON.parse(new URLSearchParams(body).get('payload'));
+  }
+  return JSON.parse(body);
+}
+
+/**
+ * POST - 接收 GitHub 事件
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  if (!env.GITHUB_WEBHOOK_SECRET) {
+    return jsonResponse({ error: '未配置 GITHUB_WEBHOOK_SECRET 环境变量' }, 503);
+  }
+
+  try {
+    const body = await request.text();
+
+    // 验证签名
+    const signature = request.headers.get('X-Hub-Signature-256');
+    if (!(await verifyGitHubSignature(env.GITHUB_WEBHOOK_SECRET, body, signature))) {
+      return jsonResponse({ error: '签名校验失败' }, 401);
+    }
+
+    const event = request.headers.get('X-GitHub-Event') || '';
+    if (event === 'ping') {
+      return jsonResponse({ success: true, message: 'pong' });
+    }
+
+    let payload;
+    try {
+      payload = parsePayload(request, body);
+    } catch {
+      return jsonResponse({ error: '请求体不是有效的 JSON' }, 400);
+    }
+
+    // 同一推送只处理一次，处理失败时删除记录，GitHub 重新推送时可以再次处理
+    const deliveryId = request.headers.get('X-GitHub-Delivery');
+    if (deliveryId && !(await claimGitHubDelivery(env.DB, deliveryId, event))) {
+      console.log(`忽略 GitHub 事件 ${event}（${deliveryId}）：重复的推送`);
+      return jsonResponse({ success: true, ignored: true, reason: `推送 ${deliveryId} 已处理` });
+    }
+
+    let result;
+    try {
+      result = await handleGitHubEvent(context, event, payload || {});
+    } catch (error) {
+      if (deliveryId) await releaseGitHubDelivery(env.DB, deliveryId);
+      throw error;
+    }
+
+    if (result.ignored) {
+      console.log(`忽略 GitHub 事件 ${event}（${deliveryId || '-'}）：${result.ignored}`);
+      return jsonResponse({ success: true, ignored: true, reason: result.ignored });
+    }
+
+    return jsonResponse({
+      success: true,
+      message: `已更新 ${result.updated.length} 个项目`,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      stale: result.stale,
+    });
+  } catch (error) {
+    console.error('处理 GitHub 事件失败:', error);
+    return jsonResponse({ error: '处理 GitHub 事件失败', details: error.message }, 500);
+  }
+}
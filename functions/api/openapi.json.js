@@ -0,0 +1,19 @@
+/**
+ * OpenAPI 接口描述
+ * GET /api/openapi.json - 获取全部接口的 OpenAPI 3 描述（公开，供后台「接口文档」页面和外部工具使用）
+ */
+
+import { jsonResponse } from '../_middleware.js';
+import { OPENAPI_SPEC } from '../_lib/openapi.js';
+
+/**
+ * GET - 获取 OpenAPI 文档，servers 指向当前站点
+ */
+export function onRequestGet(context) {
+  const { request } = context;
+
+  return jsonResponse({
+    ...OPENAPI_SPEC,
+    servers: [{ url: new URL(request.url).origin }],
+  });
+}
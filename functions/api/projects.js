@@ -1,75 +1,230 @@
 /**
  * 项目管理 API
- * GET    /api/projects     - 获取所有项目
- * POST   /api/projects     - 添加项目（需认证）
- * PUT    /api/projects     - 更新项目（需认证）
- * DELETE /api/projects     - 删除项目（需认证）
+ * GET    /api/projects     - 获取项目列表（支持筛选、排序、分页）
+ * POST   /api/projects     - 添加项目（需 editor 权限）
+ * PUT    /api/projects     - 更新项目（需 editor 权限）
+ * DELETE /api/projects     - 删除项目，移入回收站（需 editor 权限）
  */
 
-import { verifyAuth, unauthorizedResponse, jsonResponse } from '../_middleware.js';
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  validationErrorResponse,
+  jsonResponse,
+} from '../_middleware.js';
+import {
+  normalizeCategoryIds,
+  filterExistingCategoryIds,
+  replaceProjectCategoriesStatements,
+} from '../_lib/categories.js';
+import { normalizeTagNames, replaceProjectTagsStatements } from '../_lib/tags.js';
+import { PROJECT_FIELDS_SELECT, formatProject, findProject } from '../_lib/projects.js';
+import { auditChangeStatements, diffValues } from '../_lib/audit.js';
+import {
+  STARS_GAINED_SELECT,
+  getWindowStart,
+  getStarHistories,
+  starSnapshotStatements,
+} from '../_lib/star-history.js';
+import { validateProject, hasErrors } from '../_lib/validation.js';
+import { withHttpCache, bumpDataVersionStatement } from '../_lib/http-cache.js';
+import { softDeleteStatement } from '../_lib/trash.js';
+import { projectRevisionStatements, hasProjectRevisions } from '../_lib/revisions.js';
+import { dispatchWebhookEvent } from '../_lib/webhooks.js';
+
+// 排序选项（与前台 FilterPanel 的取值保持一致）
+const SORT_CLAUSES = {
+  'stars-desc': 'stars DESC, name COLLATE NOCASE ASC',
+  'stars-asc': 'stars ASC, name COLLATE NOCASE ASC',
+  'name-asc': 'name COLLATE NOCASE ASC',
+  'name-desc': 'name COLLATE NOCASE DESC',
+  'updated-desc': 'updated_at DESC, stars DESC',
+  'updated-asc': 'updated_at ASC, stars DESC',
+  'growth-desc': 'stars_gained DESC, stars DESC',
+};
+
+// 按增长排序时统计的天数
+const GROWTH_SORT_DAYS = 7;
+
+// 附带星标历史时最多查询的天数
+const MAX_HISTORY_DAYS = 365;
+
+// 分页参数
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// ids 筛选最多的项目数（前台收藏列表）
+const MAX_FILTER_IDS = 500;
+
+/**
+ * 转义 LIKE 通配符
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * 解析正整数查询参数
+ * @param {string|null} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * 为项目附带星标历史（star_history，没有快照时为空数组）
+ * @param {D1Database} db
+ * @param {Object[]} projects - formatProject 的返回值
+ * @param {number} days
+ * @returns {Promise<Object[]>}
+ */
+async function attachStarHistory(db, projects, days) {
+  const histories = await getStarHistories(db, projects.map(project => project.id), days);
+  return projects.map(project => ({ ...project, star_history: histories.get(project.id) || [] }));
+}
 
 /**
- * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
- * @param {string|string[]|null|undefined} value
- * @returns {string[]}
+ * 解析 ids 查询参数（逗号分隔）
+ * @param {URLSearchParams} params
+ * @returns {string[]|null} 未传 ids 时返回 null
  */
-function normalizeCategoryIds(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+function parseIdsParam(params) {
+  const ids = params.get('ids');
+  if (ids === null) return null;
+  return [...new Set(ids.split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+/**
+ * 根据查询参数构建 WHERE 子句，始终排除回收站中的项目
+ * 支持 q（名称/所有者/描述/语言/标签模糊搜索）、language、category、ids
+ * ids 整体作为一个 JSON 参数绑定，不受 D1 单条语句参数数量的限制
+ * @param {URLSearchParams} params
+ * @returns {{ where: string, bindings: Array }}
+ */
+function buildProjectFilters(params) {
+  const conditions = ['deleted_at IS NULL'];
+  const bindings = [];
+
+  const q = params.get('q')?.trim();
+  if (q) {
+    const pattern = `%${escapeLike(q.toLowerCase())}%`;
+    conditions.push(`(
+      lower(name) LIKE ? ESCAPE '\\' OR lower(owner) LIKE ? ESCAPE '\\'
+      OR lower(description) LIKE ? ESCAPE '\\' OR lower(language) LIKE ? ESCAPE '\\'
+      OR EXISTS (
+        SELECT 1 FROM project_tags pt JOIN tags t ON t.id = pt.tag_id
+        WHERE pt.project_id = projects.id AND lower(t.name) LIKE ? ESCAPE '\\'
+      )
+    )`);
+    bindings.push(pattern, pattern, pattern, pattern, pattern);
   }
 
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-
-    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        return normalizeCategoryIds(parsed);
-      } catch {
-        return [];
-      }
-    }
+  const language = params.get('language');
+  if (language && language !== 'all') {
+    conditions.push('language = ?');
+    bindings.push(language);
+  }
+
+  const category = params.get('category');
+  if (category && category !== 'all') {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM project_categories pc
+      WHERE pc.project_id = projects.id AND pc.category_id = ?
+    )`);
+    bindings.push(category);
+  }
 
-    return [trimmed];
+  const idList = parseIdsParam(params);
+  if (idList) {
+    conditions.push('id IN (SELECT value FROM json_each(?))');
+    bindings.push(JSON.stringify(idList));
   }
 
-  return [];
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    bindings,
+  };
 }
 
 /**
- * 安全解析 JSON 数组
- * @param {string|null|undefined} value
- * @returns {Array}
+ * GET - 获取项目列表（支持 ETag 条件请求和边缘缓存）
  */
-function parseJsonArray(value) {
-  if (!value) return [];
-  try {
-    const parsed = JSON.parse(value);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
+export function onRequestGet(context) {
+  return withHttpCache(context, () => listProjects(context));
 }
 
 /**
- * GET - 获取所有项目
+ * 获取项目列表
+ * 查询参数：q、language、category、ids、sort（stars-desc/name-asc/updated-desc/growth-desc 等）、page、limit
+ * sort=growth-desc 按最近 7 天增长的星标数排序，返回的项目附带 stars_gained
+ * history=天数 时返回的项目附带 star_history（每天一个点，最多 365 天）
+ * 未传 page/limit 时返回全部匹配项目（供后台和同步使用）
  */
-export async function onRequestGet(context) {
-  const { env } = context;
+async function listProjects(context) {
+  const { request, env } = context;
 
   try {
-    const { results } = await env.DB.prepare(
-      'SELECT * FROM projects ORDER BY stars DESC'
-    ).all();
+    const params = new URL(request.url).searchParams;
+    if (parseIdsParam(params)?.length > MAX_FILTER_IDS) {
+      return jsonResponse({ error: `ids 最多 ${MAX_FILTER_IDS} 个` }, 400);
+    }
+
+    const { where, bindings } = buildProjectFilters(params);
+    const sort = SORT_CLAUSES[params.get('sort')] ? params.get('sort') : 'stars-desc';
+    const orderBy = SORT_CLAUSES[sort];
+    const paginated = params.has('page') || params.has('limit');
+
+    // 按增长排序时附带最近 7 天的增长星标数
+    const growth = sort === 'growth-desc';
+    const fields = growth ? `${PROJECT_FIELDS_SELECT}, ${STARS_GAINED_SELECT}` : PROJECT_FIELDS_SELECT;
+    const selectBindings = growth ? [getWindowStart(GROWTH_SORT_DAYS), ...bindings] : bindings;
+    const historyDays = Math.min(parsePositiveInt(params.get('history'), 0), MAX_HISTORY_DAYS);
+    const withHistory = rows => {
+      const projects = rows.map(formatProject);
+      return historyDays > 0 ? attachStarHistory(env.DB, projects, historyDays) : projects;
+    };
+
+    if (!paginated) {
+      const { results } = await env.DB.prepare(
+        `SELECT ${fields} FROM projects ${where} ORDER BY ${orderBy}`
+      ).bind(...selectBindings).all();
 
-    const projects = results.map(project => ({
-      ...project,
-      categories: normalizeCategoryIds(project.category),
-      tags: parseJsonArray(project.tags),
-    }));
+      return jsonResponse({ projects: await withHistory(results), total: results.length });
+    }
+
+    const page = parsePositiveInt(params.get('page'), 1);
+    const limit = Math.min(parsePositiveInt(params.get('limit'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    const [{ results }, countRow, statsRow] = await Promise.all([
+      env.DB.prepare(
+        `SELECT ${fields} FROM projects ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`
+      ).bind(...selectBindings, limit, (page - 1) * limit).all(),
+      env.DB.prepare(
+        `SELECT COUNT(*) AS total FROM projects ${where}`
+      ).bind(...bindings).first(),
+      env.DB.prepare(`
+        SELECT COUNT(*) AS projects, COUNT(DISTINCT NULLIF(language, '')) AS languages, COALESCE(SUM(stars), 0) AS stars
+        FROM projects WHERE deleted_at IS NULL
+      `).first(),
+    ]);
 
-    return jsonResponse({ projects });
+    const total = countRow?.total || 0;
+
+    return jsonResponse({
+      projects: await withHistory(results),
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      stats: statsRow,
+    });
   } catch (error) {
     console.error('获取项目失败:', error);
     return jsonResponse({ error: '获取项目失败', details: error.message }, 500);
@@ -83,40 +238,99 @@ export async function onRequestPost(context) {
   const { request, env } = context;
 
   // 验证认证
-  if (!verifyAuth(request, env)) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
     return unauthorizedResponse();
   }
 
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
   try {
     const project = await request.json();
-    const categoryIds = normalizeCategoryIds(project.categories ?? project.category);
-    const tags = Array.isArray(project.tags) ? project.tags : [];
+
+    const errors = validateProject(project);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const categoryIds = await filterExistingCategoryIds(
+      env.DB,
+      normalizeCategoryIds(project.categories ?? project.category)
+    );
+    const tags = normalizeTagNames(project.tags);
 
     // 生成唯一 ID
-    const id = project.id || Date.now().toString();
+    const id = String(project.id || Date.now());
     const now = new Date().toISOString().split('T')[0];
 
-    await env.DB.prepare(`
-      INSERT INTO projects (id, name, owner, description, github_url, stars, language, category, tags, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
+    const conflict = await env.DB.prepare('SELECT deleted_at FROM projects WHERE id = ?').bind(id).first();
+    if (conflict) {
+      return jsonResponse({
+        error: conflict.deleted_at ? `项目 ID "${id}" 在回收站中，请先恢复或彻底删除` : `项目 ID "${id}" 已存在`,
+      }, 409);
+    }
+
+    const created = {
       id,
-      project.name,
-      project.owner,
-      project.description || '',
-      project.github_url || '',
-      project.stars || 0,
-      project.language || '',
-      JSON.stringify(categoryIds),
-      JSON.stringify(tags),
-      project.created_at || now,
-      now
-    ).run();
+      name: project.name.trim(),
+      owner: project.owner.trim(),
+      description: project.description || '',
+      github_url: project.github_url || '',
+      stars: project.stars || 0,
+      language: project.language || '',
+      created_at: project.created_at || now,
+      updated_at: now,
+      categories: categoryIds,
+      tags,
+    };
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO projects (id, name, owner, description, github_url, stars, language, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        id,
+        created.name,
+        created.owner,
+        created.description,
+        created.github_url,
+        created.stars,
+        created.language,
+        created.created_at,
+        created.updated_at
+      ),
+      ...replaceProjectCategoriesStatements(env.DB, id, categoryIds),
+      ...replaceProjectTagsStatements(env.DB, id, tags),
+      ...starSnapshotStatements(env.DB, id, null, created.stars),
+      ...projectRevisionStatements(env.DB, {
+        projectId: id,
+        actor: session.username,
+        before: null,
+        after: created,
+      }),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'create',
+        entityType: 'project',
+        entityId: id,
+        before: null,
+        after: created,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchWebhookEvent(context, 'project.created', {
+      actor: session.username,
+      data: { project: created },
+    });
 
     return jsonResponse({
       success: true,
       message: '项目添加成功',
-      project: { ...project, id, category: categoryIds, categories: categoryIds, tags }
+      project: { ...created, category: categoryIds }
     });
   } catch (error) {
     console.error('添加项目失败:', error);
@@ -131,43 +345,103 @@ export async function onRequestPut(context) {
   const { request, env } = context;
 
   // 验证认证
-  if (!verifyAuth(request, env)) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
     return unauthorizedResponse();
   }
 
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
   try {
     const { id, ...updates } = await request.json();
-    const categoryIds = normalizeCategoryIds(updates.categories ?? updates.category);
-    const tags = Array.isArray(updates.tags) ? updates.tags : [];
 
     if (!id) {
       return jsonResponse({ error: '缺少项目 ID' }, 400);
     }
 
+    const errors = validateProject(updates);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const existing = await findProject(env.DB, id);
+    if (!existing) {
+      return jsonResponse({ error: '项目不存在' }, 404);
+    }
+    const hasRevisions = await hasProjectRevisions(env.DB, id);
+
+    const categoryIds = await filterExistingCategoryIds(
+      env.DB,
+      normalizeCategoryIds(updates.categories ?? updates.category)
+    );
+    const tags = normalizeTagNames(updates.tags);
     const now = new Date().toISOString().split('T')[0];
 
-    await env.DB.prepare(`
-      UPDATE projects 
-      SET name = ?, owner = ?, description = ?, github_url = ?, stars = ?, 
-          language = ?, category = ?, tags = ?, updated_at = ?
-      WHERE id = ?
-    `).bind(
-      updates.name,
-      updates.owner,
-      updates.description || '',
-      updates.github_url || '',
-      updates.stars || 0,
-      updates.language || '',
-      JSON.stringify(categoryIds),
-      JSON.stringify(tags),
-      now,
-      id
-    ).run();
+    const updated = {
+      ...existing,
+      name: updates.name.trim(),
+      owner: updates.owner.trim(),
+      description: updates.description || '',
+      github_url: updates.github_url || '',
+      stars: updates.stars || 0,
+      language: updates.language || '',
+      updated_at: now,
+      categories: categoryIds,
+      tags,
+    };
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE projects 
+        SET name = ?, owner = ?, description = ?, github_url = ?, stars = ?, 
+            language = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(
+        updated.name,
+        updated.owner,
+        updated.description,
+        updated.github_url,
+        updated.stars,
+        updated.language,
+        updated.updated_at,
+        id
+      ),
+      ...replaceProjectCategoriesStatements(env.DB, id, categoryIds),
+      ...replaceProjectTagsStatements(env.DB, id, tags),
+      ...starSnapshotStatements(env.DB, id, existing.stars, updated.stars),
+      ...projectRevisionStatements(env.DB, {
+        projectId: id,
+        actor: session.username,
+        before: existing,
+        after: updated,
+        hasRevisions,
+      }),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'update',
+        entityType: 'project',
+        entityId: id,
+        before: existing,
+        after: updated,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    const changes = diffValues(existing, updated);
+    if (Object.keys(changes).length > 0) {
+      await dispatchWebhookEvent(context, 'project.updated', {
+        actor: session.username,
+        data: { project: updated, changes },
+      });
+    }
 
     return jsonResponse({
       success: true,
       message: '项目更新成功',
-      project: { id, ...updates, category: categoryIds, categories: categoryIds, tags }
+      project: { ...updated, category: categoryIds }
     });
   } catch (error) {
     console.error('更新项目失败:', error);
@@ -177,33 +451,58 @@ export async function onRequestPut(context) {
 
 /**
  * DELETE - 删除项目
+ * 项目移入回收站，分类、标签和星标历史保留，可在回收站中恢复
  */
 export async function onRequestDelete(context) {
   const { request, env } = context;
 
   // 验证认证
-  if (!verifyAuth(request, env)) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
     return unauthorizedResponse();
   }
 
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
   try {
     const url = new URL(request.url);
-    const id = url.searchParams.get('id');
+    // 优先使用查询参数，其次尝试从请求体获取
+    const id = url.searchParams.get('id')
+      || (await request.json().catch(() => ({}))).id;
 
     if (!id) {
-      // 尝试从请求体获取
-      const body = await request.json().catch(() => ({}));
-      if (!body.id) {
-        return jsonResponse({ error: '缺少项目 ID' }, 400);
-      }
-      await env.DB.prepare('DELETE FROM projects WHERE id = ?').bind(body.id).run();
-    } else {
-      await env.DB.prepare('DELETE FROM projects WHERE id = ?').bind(id).run();
+      return jsonResponse({ error: '缺少项目 ID' }, 400);
+    }
+
+    const existing = await findProject(env.DB, id);
+    if (!existing) {
+      return jsonResponse({ error: '项目不存在' }, 404);
     }
 
+    await env.DB.batch([
+      softDeleteStatement(env.DB, 'project', id),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'delete',
+        entityType: 'project',
+        entityId: id,
+        before: existing,
+        after: null,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchWebhookEvent(context, 'project.deleted', {
+      actor: session.username,
+      data: { project: existing },
+    });
+
     return jsonResponse({
       success: true,
-      message: '项目删除成功'
+      message: '项目已移入回收站'
     });
   } catch (error) {
     console.error('删除项目失败:', error);
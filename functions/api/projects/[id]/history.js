@@ -0,0 +1,49 @@
+/**
+ * 项目星标历史 API
+ * GET /api/projects/:id/history?days=90 - 获取项目最近若干天的星标数变化（每天一个点）
+ */
+
+import { jsonResponse } from '../../../_middleware.js';
+import { getStarHistory } from '../../../_lib/star-history.js';
+import { withHttpCache } from '../../../_lib/http-cache.js';
+
+// 查询天数
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+/**
+ * GET - 获取星标历史（支持 ETag 条件请求和边缘缓存）
+ */
+export function onRequestGet(context) {
+  return withHttpCache(context, () => getHistory(context));
+}
+
+/**
+ * 获取星标历史
+ */
+async function getHistory(context) {
+  const { request, env, params } = context;
+
+  try {
+    const project = await env.DB.prepare(
+      'SELECT id, stars FROM projects WHERE id = ? AND deleted_at IS NULL'
+    ).bind(params.id).first();
+
+    if (!project) {
+      return jsonResponse({ error: '项目不存在' }, 404);
+    }
+
+    const parsed = parseInt(new URL(request.url).searchParams.get('days'), 10);
+    const days = Math.min(parsed > 0 ? parsed : DEFAULT_DAYS, MAX_DAYS);
+
+    return jsonResponse({
+      id: project.id,
+      stars: project.stars || 0,
+      days,
+      history: await getStarHistory(env.DB, project.id, days),
+    });
+  } catch (error) {
+    console.error('获取星标历史失败:', error);
+    return jsonResponse({ error: '获取星标历史失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * 项目版本历史 API
+ * GET  /api/projects/:id/revisions - 获取项目的全部版本（最新的在前，需登录）
+ * POST /api/projects/:id/revisions - 回滚到指定版本，请求体 { revisionId }（需 editor 权限）
+ *
+ * 回滚会恢复名称、所有者、描述、地址、语言、分类和标签，星标数保留当前值，并写入一条新版本
+ */
+
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  jsonResponse,
+} from '../../../_middleware.js';
+import { filterExistingCategoryIds, replaceProjectCategoriesStatements } from '../../../_lib/categories.js';
+import { normalizeTagNames, replaceProjectTagsStatements } from '../../../_lib/tags.js';
+import { findProject } from '../../../_lib/projects.js';
+import { auditChangeStatements, diffValues } from '../../../_lib/audit.js';
+import { bumpDataVersionStatement } from '../../../_lib/http-cache.js';
+import { dispatchWebhookEvent } from '../../../_lib/webhooks.js';
+import {
+  listProjectRevisions,
+  findProjectRevision,
+  projectRevisionStatements,
+} from '../../../_lib/revisions.js';
+
+/**
+ * GET - 获取版本列表
+ */
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const project = await findProject(env.DB, params.id);
+    if (!project) {
+      return jsonResponse({ error: '项目不存在' }, 404);
+    }
+
+    const revisions = await listProjectRevisions(env.DB, project.id);
+    return jsonResponse({ id: project.id, revisions });
+  } catch (error) {
+    console.error('获取版本历史失败:', error);
+    return jsonResponse({ error: '获取版本历史失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 回滚到指定版本
+ * 版本中已不存在（或在回收站中）的分类会被忽略
+ */
+export async function onRequestPost(context) {
+  const { request, env, params } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const { revisionId } = await request.json().catch(() => ({}));
+    if (!Number.isInteger(revisionId)) {
+      return jsonResponse({ error: 'revisionId 必须为整数' }, 400);
+    }
+
+    const existing = await findProject(env.DB, params.id);
+    if (!existing) {
+      return jsonResponse({ error: '项目不存在' }, 404);
+    }
+
+    const revision = await findProjectRevision(env.DB, existing.id, revisionId);
+    if (!revision) {
+      return jsonResponse({ error: '版本不存在' }, 404);
+    }
+
+    const { snapshot } = revision;
+    const id = existing.id;
+    const categoryIds = await filterExistingCategoryIds(env.DB, snapshot.categories || []);
+    const tags = normalizeTagNames(snapshot.tags);
+
+    const restored = {
+      ...existing,
+      name: snapshot.name,
+      owner: snapshot.owner,
+      description: snapshot.description || '',
+      github_url: snapshot.github_url || '',
+      language: snapshot.language || '',
+      updated_at: new Date().toISOString().split('T')[0],
+      categories: categoryIds,
+      tags,
+    };
+
+    const revisionStatements = projectRevisionStatements(env.DB, {
+      projectId: id,
+      actor: session.username,
+      before: existing,
+      after: restored,
+    });
+
+    if (revisionStatements.length === 0) {
+      return jsonResponse({
+        success: true,
+        message: '当前内容与该版本相同，无需回滚',
+        project: existing,
+      });
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE projects
+        SET name = ?, owner = ?, description = ?, github_url = ?, language = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(
+        restored.name,
+        restored.owner,
+        restored.description,
+        restored.github_url,
+        restored.language,
+        restored.updated_at,
+        id
+      ),
+      ...replaceProjectCategoriesStatements(env.DB, id, categoryIds),
+      ...replaceProjectTagsStatements(env.DB, id, tags),
+      ...revisionStatements,
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'revert',
+        entityType: 'project',
+        entityId: id,
+        before: existing,
+        after: restored,
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    const project = { ...restored, category: categoryIds };
+    const changes = diffValues(existing, project);
+    if (Object.keys(changes).length > 0) {
+      await dispatchWebhookEvent(context, 'project.updated', {
+        actor: session.username,
+        data: { project, changes },
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      message: '已回滚到所选版本',
+      project,
+    });
+  } catch (error) {
+    console.error('回滚版本失败:', error);
+    return jsonResponse({ error: '回滚版本失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * GitHub 数据刷新 API
+ * POST /api/refresh - 从 GitHub 重新获取项目的星标、语言、描述、更新日期和归档状态（需 editor 权限）
+ * 有变化的项目写入版本历史并触发 project.updated Webhook 事件
+ *
+ * 请求体（可选）：{ ids? }
+ * - ids: 要刷新的项目 ID，省略时按最久未刷新的顺序刷新全部项目（单次调用有数量上限）
+ * 使用服务端的 GITHUB_TOKEN 请求 GitHub API，定时任务 Worker 直接调用同一个刷新函数
+ */
+
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../_middleware.js';
+import { refreshProjects } from '../_lib/refresh.js';
+
+// 单次请求最多指定的项目数（每个项目一次 GitHub API 子请求）
+const MAX_IDS = 100;
+
+/**
+ * POST - 刷新项目数据
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const ids = body?.ids ?? null;
+
+    if (ids !== null) {
+      if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+        return jsonResponse({ error: 'ids 必须为非空的字符串数组' }, 400);
+      }
+      if (ids.length > MAX_IDS) {
+        return jsonResponse({ error: `ids 最多 ${MAX_IDS} 个` }, 400);
+      }
+    }
+
+    const result = await refreshProjects(context, {
+      actor: session.username,
+      ids: ids && [...new Set(ids)],
+    });
+
+    return jsonResponse({
+      success: true,
+      message: `已刷新 ${result.updated.length + result.unchanged.length} 个项目`,
+      ...result,
+    });
+  } catch (error) {
+    console.error('刷新 GitHub 数据失败:', error);
+    return jsonResponse({ error: '刷新 GitHub 数据失败', details: error.message }, 500);
+  }
+}
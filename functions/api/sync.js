@@ -1,38 +1,186 @@
 /**
  * 数据同步 API
- * POST /api/sync - 批量导入数据（需认证）
+ * POST /api/sync - 批量导入数据（需 owner 权限）
  * 用于将本地数据同步到 D1 数据库
+ *
+ * 请求体：{ projects, categories, dryRun?, mode? }
+ * - dryRun: true 时只返回差异（新增 / 修改的字段 / 未变化 / 将删除），不写入
+ * - mode: "merge"（默认）只新增和更新；"mirror" 同时将云端存在但请求中没有的项目和分类移入回收站
+ * 回收站中的数据不参与比较，请求中包含回收站中的 ID 时视为新增并从回收站恢复
+ * 所有写入在同一个 DB.batch 中执行，任何一条失败则整体回滚
+ * 有数据写入时触发 sync.completed Webhook 事件，附带本次的差异
  */
 
-import { verifyAuth, unauthorizedResponse, jsonResponse } from '../_middleware.js';
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../_middleware.js';
+import { normalizeCategoryIds, replaceProjectCategoriesStatements } from '../_lib/categories.js';
+import { normalizeTagNames, pruneUnusedTagsStatement, replaceProjectTagsStatements } from '../_lib/tags.js';
+import { PROJECT_FIELDS_SELECT, formatProject } from '../_lib/projects.js';
+import { auditChangeStatements, diffValues } from '../_lib/audit.js';
+import { validateProject, validateCategory, hasErrors } from '../_lib/validation.js';
+import { starSnapshotStatements } from '../_lib/star-history.js';
+import { bumpDataVersionStatement } from '../_lib/http-cache.js';
+import { softDeleteStatement } from '../_lib/trash.js';
+import { dispatchWebhookEvent } from '../_lib/webhooks.js';
+
+// 同步模式
+const SYNC_MODES = ['merge', 'mirror'];
 
 /**
- * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
- * @param {string|string[]|null|undefined} value
- * @returns {string[]}
+ * 转换为写入数据库的分类数据
+ * @param {Object} category
+ * @returns {Object}
  */
-function normalizeCategoryIds(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
-  }
+function toSyncedCategory(category) {
+  const id = String(category.id).trim();
+  return {
+    id,
+    name: category.name.trim(),
+    slug: category.slug?.trim() || id,
+    description: category.description || '',
+  };
+}
 
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
+/**
+ * 转换为写入数据库的项目数据
+ * @param {Object} project
+ * @returns {Object}
+ */
+function toSyncedProject(project) {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    id: String(project.id).trim(),
+    name: project.name.trim(),
+    owner: project.owner.trim(),
+    description: project.description || '',
+    github_url: project.github_url || '',
+    stars: project.stars || 0,
+    language: project.language || '',
+    created_at: project.created_at || today,
+    updated_at: project.updated_at || today,
+    categories: normalizeCategoryIds(project.categories ?? project.category),
+    tags: normalizeTagNames(project.tags),
+  };
+}
 
-    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        return normalizeCategoryIds(parsed);
-      } catch {
-        return [];
-      }
+/**
+ * 只保留同步数据中存在的字段，忽略数据库中的废弃列
+ * 数据库中为 NULL 的文本字段按空字符串比较（与写入时的默认值一致）
+ * @param {Object} row
+ * @param {Object} shape
+ * @returns {Object}
+ */
+function pickFields(row, shape) {
+  return Object.fromEntries(Object.keys(shape).map(field => [
+    field,
+    row[field] ?? (typeof shape[field] === 'string' ? '' : row[field]),
+  ]));
+}
+
+/**
+ * 校验同步数据，返回逐条的错误
+ * @param {string} type - project / category
+ * @param {Array} items
+ * @param {Function} validate - 返回错误表的校验函数
+ * @returns {Array<{type: string, index: number, id: string|null, fields: Object}>}
+ */
+function collectItemErrors(type, items, validate) {
+  const errors = [];
+  const seen = new Set();
+
+  items.forEach((item, index) => {
+    const fields = validate(item);
+    const id = item && typeof item === 'object' ? item.id : undefined;
+
+    if (id === undefined || id === null || String(id).trim() === '') {
+      fields.id = 'ID 为必填项';
+    } else if (seen.has(String(id).trim())) {
+      fields.id = `ID "${id}" 重复`;
+    } else {
+      seen.add(String(id).trim());
+    }
+
+    if (hasErrors(fields)) {
+      errors.push({ type, index, id: id ?? null, fields });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 是否为普通对象
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 校验项目引用的分类在同步后存在
+ * 错误合并到该项目已有的错误中（分类字段已有格式错误时不再重复），没有时按项目顺序插入
+ * @param {Array} projects
+ * @param {Set<string>} categoryIds - 同步后存在的分类 ID
+ * @param {Array} errors - collectItemErrors 的返回值，原地修改
+ */
+function collectCategoryReferenceErrors(projects, categoryIds, errors) {
+  projects.forEach((project, index) => {
+    if (!isPlainObject(project)) return;
+
+    const missing = normalizeCategoryIds(project.categories ?? project.category).filter(id => !categoryIds.has(id));
+    if (missing.length === 0) return;
+
+    const message = `分类 ${missing.join('、')} 不存在`;
+    const existing = errors.find(error => error.type === 'project' && error.index === index);
+    if (existing) {
+      if (!existing.fields.categories && !existing.fields.category) existing.fields.categories = message;
+      return;
+    }
+
+    const position = errors.findIndex(error => error.type === 'project' && error.index > index);
+    const error = { type: 'project', index, id: project.id ?? null, fields: { categories: message } };
+    errors.splice(position === -1 ? errors.length : position, 0, error);
+  });
+}
+
+/**
+ * 比较同步数据与云端数据
+ * @param {Object[]} incoming - 转换后的同步数据
+ * @param {Map<string, Object>} existing - 云端数据（按 ID 索引）
+ * @param {boolean} mirror - 是否删除请求中没有的数据
+ * @param {Function} label - 生成显示名称
+ * @returns {{added: Object[], changed: Object[], unchanged: number, deleted: Object[]}}
+ */
+function diffItems(incoming, existing, mirror, label) {
+  const result = { added: [], changed: [], unchanged: 0, deleted: [] };
+  const incomingIds = new Set();
+
+  for (const item of incoming) {
+    incomingIds.add(item.id);
+    const before = existing.get(item.id);
+
+    if (!before) {
+      result.added.push({ id: item.id, label: label(item) });
+      continue;
     }
 
-    return [trimmed];
+    const fields = diffValues(pickFields(before, item), item);
+    if (Object.keys(fields).length > 0) {
+      result.changed.push({ id: item.id, label: label(item), fields });
+    } else {
+      result.unchanged++;
+    }
   }
 
-  return [];
+  if (mirror) {
+    for (const [id, row] of existing) {
+      if (!incomingIds.has(id)) {
+        result.deleted.push({ id, label: label(row) });
+      }
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -42,68 +190,200 @@ export async function onRequestPost(context) {
   const { request, env } = context;
 
   // 验证认证
-  if (!verifyAuth(request, env)) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
     return unauthorizedResponse();
   }
 
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
   try {
-    const { projects, categories } = await request.json();
-    const results = { projects: 0, categories: 0 };
-
-    // 同步分类
-    if (categories && Array.isArray(categories)) {
-      for (const category of categories) {
-        try {
-          await env.DB.prepare(`
-            INSERT OR REPLACE INTO categories (id, name, slug, description)
-            VALUES (?, ?, ?, ?)
-          `).bind(
-            category.id,
-            category.name,
-            category.slug || category.id,
-            category.description || ''
-          ).run();
-          results.categories++;
-        } catch (e) {
-          console.error('同步分类失败:', category.id, e);
-        }
-      }
+    const body = await request.json();
+    const mode = body.mode || 'merge';
+    const dryRun = !!body.dryRun;
+    const mirror = mode === 'mirror';
+
+    if (!SYNC_MODES.includes(mode)) {
+      return jsonResponse({ error: `mode 必须为 ${SYNC_MODES.join(' / ')} 之一` }, 400);
     }
 
-    // 同步项目
-    if (projects && Array.isArray(projects)) {
-      for (const project of projects) {
-        try {
-          const categoryIds = normalizeCategoryIds(project.categories ?? project.category);
-
-          await env.DB.prepare(`
-            INSERT OR REPLACE INTO projects 
-            (id, name, owner, description, github_url, stars, language, category, tags, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `).bind(
-            project.id,
-            project.name,
-            project.owner,
-            project.description || '',
-            project.github_url || '',
-            project.stars || 0,
-            project.language || '',
-            JSON.stringify(categoryIds),
-            JSON.stringify(project.tags || []),
-            project.created_at || new Date().toISOString().split('T')[0],
-            project.updated_at || new Date().toISOString().split('T')[0]
-          ).run();
-          results.projects++;
-        } catch (e) {
-          console.error('同步项目失败:', project.id, e);
-        }
+    for (const field of ['projects', 'categories']) {
+      if (body[field] !== undefined && !Array.isArray(body[field])) {
+        return jsonResponse({ error: `${field} 必须为数组` }, 400);
       }
     }
 
+    // 镜像模式下缺少的列表视为空列表，会删除云端全部数据，要求显式提供
+    if (mirror && (!Array.isArray(body.projects) || !Array.isArray(body.categories))) {
+      return jsonResponse({ error: 'mirror 模式需要同时提供 projects 和 categories' }, 400);
+    }
+
+    const projects = body.projects || [];
+    const categories = body.categories || [];
+
+    // 逐条校验，有任何错误时不写入
+    const errors = [
+      ...collectItemErrors('category', categories, item => validateCategory(item, { checkSlugFormat: false })),
+      ...collectItemErrors('project', projects, validateProject),
+    ];
+
+    const [categoryRows, projectRows] = await Promise.all([
+      env.DB.prepare('SELECT * FROM categories WHERE deleted_at IS NULL').all(),
+      env.DB.prepare(`SELECT ${PROJECT_FIELDS_SELECT} FROM projects WHERE deleted_at IS NULL`).all(),
+    ]);
+    const existingCategories = new Map(categoryRows.results.map(row => [row.id, row]));
+    const existingProjects = new Map(projectRows.results.map(row => [row.id, formatProject(row)]));
+
+    // 项目引用的分类必须在同步后存在（与字段错误一并返回）
+    const incomingCategoryIds = categories
+      .filter(isPlainObject)
+      .map(category => String(category.id ?? '').trim())
+      .filter(Boolean);
+    const finalCategoryIds = new Set(mirror
+      ? incomingCategoryIds
+      : [...existingCategories.keys(), ...incomingCategoryIds]);
+    collectCategoryReferenceErrors(projects, finalCategoryIds, errors);
+
+    if (errors.length > 0) {
+      return jsonResponse({
+        success: false,
+        error: `${errors.length} 条数据校验失败，未写入任何数据`,
+        errors,
+      }, 422);
+    }
+
+    const syncedCategories = categories.map(toSyncedCategory);
+    const syncedProjects = projects.map(toSyncedProject);
+
+    const diff = {
+      categories: diffItems(syncedCategories, existingCategories, mirror, category => category.name),
+      projects: diffItems(syncedProjects, existingProjects, mirror, project => `${project.owner}/${project.name}`),
+    };
+
+    if (dryRun) {
+      return jsonResponse({ success: true, dryRun: true, mode, diff });
+    }
+
+    // 只写入新增和修改的数据
+    const pendingIds = type => new Set([...diff[type].added, ...diff[type].changed].map(item => item.id));
+    const pendingCategoryIds = pendingIds('categories');
+    const pendingProjectIds = pendingIds('projects');
+    const audit = {
+      actor: session.username,
+      action: 'sync',
+    };
+
+    const statements = [];
+
+    // 使用 UPSERT 而非 INSERT OR REPLACE，避免删除旧行时级联清空项目分类关联
+    for (const category of syncedCategories.filter(item => pendingCategoryIds.has(item.id))) {
+      statements.push(
+        env.DB.prepare(`
+          INSERT INTO categories (id, name, slug, description)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            name = excluded.name, slug = excluded.slug, description = excluded.description,
+            deleted_at = NULL
+        `).bind(category.id, category.name, category.slug, category.description),
+        ...auditChangeStatements(env.DB, {
+          ...audit,
+          entityType: 'category',
+          entityId: category.id,
+          before: existingCategories.get(category.id) || null,
+          after: category,
+        })
+      );
+    }
+
+    for (const project of syncedProjects.filter(item => pendingProjectIds.has(item.id))) {
+      const before = existingProjects.get(project.id);
+      statements.push(
+        env.DB.prepare(`
+          INSERT INTO projects
+          (id, name, owner, description, github_url, stars, language, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            name = excluded.name, owner = excluded.owner, description = excluded.description,
+            github_url = excluded.github_url, stars = excluded.stars, language = excluded.language,
+            created_at = excluded.created_at, updated_at = excluded.updated_at,
+            deleted_at = NULL
+        `).bind(
+          project.id,
+          project.name,
+          project.owner,
+          project.description,
+          project.github_url,
+          project.stars,
+          project.language,
+          project.created_at,
+          project.updated_at
+        ),
+        ...replaceProjectCategoriesStatements(env.DB, project.id, project.categories),
+        ...replaceProjectTagsStatements(env.DB, project.id, project.tags),
+        ...starSnapshotStatements(env.DB, project.id, before ? before.stars : null, project.stars),
+        ...auditChangeStatements(env.DB, {
+          ...audit,
+          entityType: 'project',
+          entityId: project.id,
+          before: before ? pickFields(before, project) : null,
+          after: project,
+        })
+      );
+    }
+
+    // 镜像模式：项目和分类移入回收站
+    for (const { id } of diff.projects.deleted) {
+      statements.push(
+        softDeleteStatement(env.DB, 'project', id),
+        ...auditChangeStatements(env.DB, {
+          ...audit,
+          entityType: 'project',
+          entityId: id,
+          before: existingProjects.get(id),
+          after: null,
+        })
+      );
+    }
+
+    for (const { id } of diff.categories.deleted) {
+      statements.push(
+        softDeleteStatement(env.DB, 'category', id),
+        ...auditChangeStatements(env.DB, {
+          ...audit,
+          entityType: 'category',
+          entityId: id,
+          before: existingCategories.get(id),
+          after: null,
+        })
+      );
+    }
+
+    const results = {
+      projects: pendingProjectIds.size,
+      categories: pendingCategoryIds.size,
+      deletedProjects: diff.projects.deleted.length,
+      deletedCategories: diff.categories.deleted.length,
+    };
+
+    if (statements.length > 0) {
+      statements.push(pruneUnusedTagsStatement(env.DB), bumpDataVersionStatement(env.DB));
+      await env.DB.batch(statements);
+
+      await dispatchWebhookEvent(context, 'sync.completed', {
+        actor: session.username,
+        data: { mode, results, diff },
+      });
+    }
+
     return jsonResponse({
       success: true,
       message: '数据同步完成',
-      results
+      mode,
+      results,
+      diff,
     });
   } catch (error) {
     console.error('数据同步失败:', error);
@@ -0,0 +1,227 @@
+/**
+ * 标签管理 API
+ * GET    /api/tags            - 获取所有标签及使用次数
+ * PUT    /api/tags            - 重命名或合并标签（需 editor 权限）
+ * DELETE /api/tags?name=xxx   - 从所有项目中删除标签（需 editor 权限）
+ *
+ * 重命名、合并和删除后，为标签有变化的每个项目触发 project.updated Webhook 事件
+ */
+
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  validationErrorResponse,
+  jsonResponse,
+} from '../_middleware.js';
+import { normalizeTagNames, pruneUnusedTagsStatement } from '../_lib/tags.js';
+import { findProjectsByIds } from '../_lib/projects.js';
+import { validateTagRename, hasErrors } from '../_lib/validation.js';
+import { auditLogStatement, diffValues } from '../_lib/audit.js';
+import { withHttpCache, bumpDataVersionStatement } from '../_lib/http-cache.js';
+import { dispatchWebhookEvents } from '../_lib/webhooks.js';
+
+/**
+ * 查询关联了指定标签的项目（不包括回收站中的项目）
+ * 标签名整体作为一个 JSON 参数绑定，不受 D1 单条语句参数数量的限制
+ * @param {D1Database} db
+ * @param {string[]} names
+ * @returns {Promise<Object[]>}
+ */
+async function findTaggedProjects(db, names) {
+  const { results } = await db.prepare(`
+    SELECT DISTINCT pt.project_id AS id
+    FROM project_tags pt
+    JOIN tags t ON t.id = pt.tag_id
+    JOIN projects p ON p.id = pt.project_id AND p.deleted_at IS NULL
+    WHERE t.name IN (SELECT value FROM json_each(?))
+  `).bind(JSON.stringify(names)).all();
+
+  return findProjectsByIds(db, results.map(row => row.id));
+}
+
+/**
+ * 为标签有变化的项目触发 project.updated 事件
+ * @param {Object} context
+ * @param {string} actor
+ * @param {Object[]} before - 修改前的项目
+ */
+async function dispatchProjectUpdates(context, actor, before) {
+  const after = new Map(
+    (await findProjectsByIds(context.env.DB, before.map(project => project.id))).map(project => [project.id, project])
+  );
+
+  await dispatchWebhookEvents(context, before.flatMap(existing => {
+    const project = after.get(existing.id);
+    const changes = project ? diffValues(existing, project) : {};
+    return Object.keys(changes).length > 0
+      ? [{ event: 'project.updated', actor, data: { project, changes } }]
+      : [];
+  }));
+}
+
+/**
+ * GET - 获取标签列表（支持 ETag 条件请求和边缘缓存）
+ */
+export function onRequestGet(context) {
+  return withHttpCache(context, () => listTags(context));
+}
+
+/**
+ * 获取所有标签及使用次数（不统计回收站中的项目，只被这些项目使用的标签不返回）
+ */
+async function listTags(context) {
+  const { env } = context;
+
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT t.id, t.name, COUNT(p.id) AS count
+      FROM tags t
+      JOIN project_tags pt ON pt.tag_id = t.id
+      JOIN projects p ON p.id = pt.project_id AND p.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+    `).all();
+
+    return jsonResponse({ tags: results });
+  } catch (error) {
+    console.error('获取标签失败:', error);
+    return jsonResponse({ error: '获取标签失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * PUT - 重命名或合并标签
+ * 请求体：{ from: string | string[], to: string }，标签名的长度限制与项目中的标签相同
+ * 目标标签已存在时将源标签合并进去（如 ml → machine-learning），所有操作在一个事务内完成
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const body = await request.json();
+
+    const errors = validateTagRename(body);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const to = body.to.trim();
+    const from = normalizeTagNames([].concat(body.from)).filter(name => name !== to);
+
+    if (from.length === 0) {
+      return jsonResponse({ error: '请提供源标签和目标标签' }, 400);
+    }
+
+    const projects = await findTaggedProjects(env.DB, from);
+    if (projects.length === 0) {
+      return jsonResponse({ error: '源标签不存在或未被使用' }, 404);
+    }
+
+    const fromNames = JSON.stringify(from);
+
+    await env.DB.batch([
+      env.DB.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').bind(to),
+      // 已带有目标标签的项目保留原位置，其余项目继承源标签的位置
+      env.DB.prepare(`
+        INSERT OR IGNORE INTO project_tags (project_id, tag_id, position)
+        SELECT pt.project_id, (SELECT id FROM tags WHERE name = ?), MIN(pt.position)
+        FROM project_tags pt
+        JOIN tags t ON t.id = pt.tag_id
+        WHERE t.name IN (SELECT value FROM json_each(?))
+        GROUP BY pt.project_id
+      `).bind(to, fromNames),
+      env.DB.prepare('DELETE FROM tags WHERE name IN (SELECT value FROM json_each(?))').bind(fromNames),
+      pruneUnusedTagsStatement(env.DB),
+      auditLogStatement(env.DB, {
+        actor: session.username,
+        action: 'update',
+        entityType: 'tag',
+        entityId: to,
+        diff: { name: { from: from.length > 1 ? from : from[0], to } },
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchProjectUpdates(context, session.username, projects);
+
+    return jsonResponse({
+      success: true,
+      message: from.length > 1 ? '标签合并成功' : '标签更新成功',
+      from,
+      to,
+      affectedProjects: projects.length,
+    });
+  } catch (error) {
+    console.error('更新标签失败:', error);
+    return jsonResponse({ error: '更新标签失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 从所有项目中删除标签
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const name = new URL(request.url).searchParams.get('name')?.trim();
+
+    if (!name) {
+      return jsonResponse({ error: '缺少标签名称' }, 400);
+    }
+
+    const existing = await env.DB.prepare('SELECT id FROM tags WHERE name = ?').bind(name).first();
+    if (!existing) {
+      return jsonResponse({ error: '标签不存在' }, 404);
+    }
+
+    const projects = await findTaggedProjects(env.DB, [name]);
+
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM tags WHERE name = ?').bind(name),
+      auditLogStatement(env.DB, {
+        actor: session.username,
+        action: 'delete',
+        entityType: 'tag',
+        entityId: name,
+        diff: { name: { from: name, to: null } },
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    await dispatchProjectUpdates(context, session.username, projects);
+
+    return jsonResponse({
+      success: true,
+      message: '标签删除成功',
+      affectedProjects: projects.length,
+    });
+  } catch (error) {
+    console.error('删除标签失败:', error);
+    return jsonResponse({ error: '删除标签失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * 回收站 API
+ * GET    /api/trash                       - 列出回收站中的项目和分类（需 editor 权限）
+ * POST   /api/trash                       - 恢复项目或分类，请求体 { type, id }（需 editor 权限）
+ * DELETE /api/trash?type=project&id=xxx   - 彻底删除，不可恢复（需 owner 权限）
+ *
+ * 恢复后对 Webhook 订阅者相当于重新添加，触发 project.created / category.created 事件
+ * 超过保留天数（TRASH_RETENTION_DAYS）的数据由定时任务 Worker 清理，查看回收站时也会顺带清理
+ */
+
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../_middleware.js';
+import { auditChangeStatements } from '../_lib/audit.js';
+import { bumpDataVersionStatement } from '../_lib/http-cache.js';
+import { dispatchWebhookEvent } from '../_lib/webhooks.js';
+import {
+  TRASH_TABLES,
+  getTrashRetentionDays,
+  findTrashItem,
+  listTrash,
+  purgeExpiredTrash,
+  purgeStatements,
+  restoreStatement,
+} from '../_lib/trash.js';
+
+// 自动清理写入操作日志的操作者
+const PURGE_ACTOR = 'system';
+
+// 对象类型的显示名称
+const TYPE_LABELS = {
+  project: '项目',
+  category: '分类',
+};
+
+/**
+ * 校验对象类型和 ID，返回错误信息
+ * @param {string} type
+ * @param {string} id
+ * @returns {string|null}
+ */
+function validateTarget(type, id) {
+  if (!TRASH_TABLES[type]) {
+    return `type 必须为 ${Object.keys(TRASH_TABLES).join(' / ')} 之一`;
+  }
+  if (!id) {
+    return '缺少 ID';
+  }
+  return null;
+}
+
+/**
+ * GET - 列出回收站
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const purged = await purgeExpiredTrash(env, { actor: PURGE_ACTOR });
+    const retentionDays = getTrashRetentionDays(env);
+    const trash = await listTrash(env.DB, retentionDays);
+
+    return jsonResponse({ retentionDays, ...trash, purged });
+  } catch (error) {
+    console.error('获取回收站失败:', error);
+    return jsonResponse({ error: '获取回收站失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 从回收站恢复
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'editor')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const { type, id } = await request.json().catch(() => ({}));
+
+    const invalid = validateTarget(type, id);
+    if (invalid) {
+      return jsonResponse({ error: invalid }, 400);
+    }
+
+    const item = await findTrashItem(env.DB, type, id);
+    if (!item) {
+      return jsonResponse({ error: `回收站中没有该${TYPE_LABELS[type]}` }, 404);
+    }
+
+    await env.DB.batch([
+      restoreStatement(env.DB, type, id),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'restore',
+        entityType: type,
+        entityId: id,
+        before: { deleted_at: item.deleted_at },
+        after: { deleted_at: null },
+      }),
+      bumpDataVersionStatement(env.DB),
+    ]);
+
+    const restored = type === 'project'
+      ? { ...item, deleted_at: null }
+      : { id: item.id, name: item.name, slug: item.slug, description: item.description };
+    await dispatchWebhookEvent(context, `${type}.created`, {
+      actor: session.username,
+      data: { [type]: restored },
+    });
+
+    return jsonResponse({
+      success: true,
+      message: `${TYPE_LABELS[type]}已恢复`,
+    });
+  } catch (error) {
+    console.error('恢复失败:', error);
+    return jsonResponse({ error: '恢复失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 彻底删除
+ * 回收站中的数据不对外公开，彻底删除后无需递增数据版本
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const type = params.get('type');
+    const id = params.get('id');
+
+    const invalid = validateTarget(type, id);
+    if (invalid) {
+      return jsonResponse({ error: invalid }, 400);
+    }
+
+    const item = await findTrashItem(env.DB, type, id);
+    if (!item) {
+      return jsonResponse({ error: `回收站中没有该${TYPE_LABELS[type]}` }, 404);
+    }
+
+    await env.DB.batch([
+      ...purgeStatements(env.DB, type, id),
+      ...auditChangeStatements(env.DB, {
+        actor: session.username,
+        action: 'purge',
+        entityType: type,
+        entityId: id,
+        before: item,
+        after: null,
+      }),
+    ]);
+
+    return jsonResponse({
+      success: true,
+      message: `${TYPE_LABELS[type]}已彻底删除`,
+    });
+  } catch (error) {
+    console.error('彻底删除失败:', error);
+    return jsonResponse({ error: '彻底删除失败', details: error.message }, 500);
+  }
+}
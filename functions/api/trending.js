@@ -0,0 +1,57 @@
+/**
+ * 增长排行 API
+ * GET /api/trending?window=7d|30d&limit=20 - 按时间窗口内增长的星标数排序的项目列表
+ * 只返回有增长的项目，每个项目附带 stars_gained
+ */
+
+import { jsonResponse } from '../_middleware.js';
+import { PROJECT_FIELDS_SELECT, formatProject } from '../_lib/projects.js';
+import { STARS_GAINED_SELECT, TREND_WINDOWS, getWindowStart } from '../_lib/star-history.js';
+import { withHttpCache } from '../_lib/http-cache.js';
+
+// 返回数量
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * GET - 获取增长排行（支持 ETag 条件请求和边缘缓存）
+ */
+export function onRequestGet(context) {
+  return withHttpCache(context, () => listTrending(context));
+}
+
+/**
+ * 获取增长排行
+ */
+async function listTrending(context) {
+  const { request, env } = context;
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const windowKey = params.get('window') || '7d';
+
+    if (!TREND_WINDOWS[windowKey]) {
+      return jsonResponse({ error: `window 必须为 ${Object.keys(TREND_WINDOWS).join(' / ')} 之一` }, 400);
+    }
+
+    const parsed = parseInt(params.get('limit'), 10);
+    const limit = Math.min(parsed > 0 ? parsed : DEFAULT_LIMIT, MAX_LIMIT);
+    const since = getWindowStart(TREND_WINDOWS[windowKey]);
+
+    const { results } = await env.DB.prepare(`
+      SELECT * FROM (SELECT ${PROJECT_FIELDS_SELECT}, ${STARS_GAINED_SELECT} FROM projects WHERE deleted_at IS NULL)
+      WHERE stars_gained > 0
+      ORDER BY stars_gained DESC, stars DESC
+      LIMIT ?
+    `).bind(since, limit).all();
+
+    return jsonResponse({
+      window: windowKey,
+      since,
+      projects: results.map(formatProject),
+    });
+  } catch (error) {
+    console.error('获取增长排行失败:', error);
+    return jsonResponse({ error: '获取增长排行失败', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * 管理员账号管理 API（均需 owner 权限）
+ * GET  /api/users - 获取所有账号
+ * POST /api/users - 邀请新账号，返回一次性邀请令牌
+ * PUT  /api/users - 修改角色、停用 / 启用账号或重新生成邀请令牌
+ */
+
+import { verifyAuth, hasRole, unauthorizedResponse, forbiddenResponse, jsonResponse } from '../_middleware.js';
+import {
+  findAdminUser,
+  listAdminUsers,
+  getAdminUserById,
+  countActiveOwners,
+  inviteAdminUser,
+  issueInvite,
+  updateAdminUser,
+} from '../_lib/admin-users.js';
+import { ROLES, isValidRole } from '../_lib/roles.js';
+import { auditLogStatement, diffValues } from '../_lib/audit.js';
+
+// 用户名格式：3-32 位字母、数字、下划线、点或短横线
+const USERNAME_PATTERN = /^[\w.-]{3,32}$/;
+
+/**
+ * 验证 owner 权限
+ * @returns {Promise<{session: object|null, response: Response|null}>}
+ */
+async function requireOwner(request, env) {
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return { session, response: unauthorizedResponse() };
+  }
+  if (!hasRole(session, 'owner')) {
+    return { session, response: forbiddenResponse() };
+  }
+  return { session, response: null };
+}
+
+/**
+ * GET - 获取所有账号
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const { response } = await requireOwner(request, env);
+  if (response) {
+    return response;
+  }
+
+  try {
+    const users = await listAdminUsers(env.DB);
+    return jsonResponse({ users, roles: ROLES });
+  } catch (error) {
+    console.error('获取账号失败:', error);
+    return jsonResponse({ error: '获取账号失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 邀请新账号
+ * 请求体：{ username, role }
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const { session, response } = await requireOwner(request, env);
+  if (response) {
+    return response;
+  }
+
+  try {
+    const body = await request.json();
+    const username = typeof body.username === 'string' ? body.username.trim() : '';
+    const role = body.role || 'editor';
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return jsonResponse({ error: '用户名需为 3-32 位字母、数字、下划线、点或短横线' }, 400);
+    }
+
+    if (!isValidRole(role)) {
+      return jsonResponse({ error: `角色必须为 ${ROLES.join(' / ')} 之一` }, 400);
+    }
+
+    if (await findAdminUser(env.DB, username)) {
+      return jsonResponse({ error: `用户名 "${username}" 已存在` }, 409);
+    }
+
+    const invite = await inviteAdminUser(env.DB, { username, role, invitedBy: session.username });
+
+    await auditLogStatement(env.DB, {
+      actor: session.username,
+      action: 'create',
+      entityType: 'user',
+      entityId: invite.user.id,
+      diff: diffValues(null, { username, role }),
+    }).run();
+
+    return jsonResponse({
+      success: true,
+      message: '邀请已创建',
+      ...invite,
+    });
+  } catch (error) {
+    console.error('邀请账号失败:', error);
+    return jsonResponse({ error: '邀请账号失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * PUT - 修改账号
+ * 请求体：{ id, role?, disabled?, resendInvite? }
+ * 不能修改自己的角色或停用自己，且至少保留一个可用的 owner
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const { session, response } = await requireOwner(request, env);
+  if (response) {
+    return response;
+  }
+
+  try {
+    const { id, role, disabled, resendInvite } = await request.json();
+
+    if (!id) {
+      return jsonResponse({ error: '缺少账号 ID' }, 400);
+    }
+
+    const user = await getAdminUserById(env.DB, id);
+    if (!user) {
+      return jsonResponse({ error: '账号不存在' }, 404);
+    }
+
+    if (role !== undefined && !isValidRole(role)) {
+      return jsonResponse({ error: `角色必须为 ${ROLES.join(' / ')} 之一` }, 400);
+    }
+
+    const changesRole = role !== undefined && role !== user.role;
+    const changesDisabled = disabled !== undefined && !!disabled !== user.disabled;
+
+    if (user.username === session.username && (changesRole || (changesDisabled && disabled))) {
+      return jsonResponse({ error: '不能修改自己的角色或停用自己的账号' }, 400);
+    }
+
+    // 降级或停用一个可用的 owner 前，确认还有其他 owner
+    const removesOwner = user.role === 'owner' && !user.disabled && !user.invitePending
+      && ((changesRole && role !== 'owner') || (changesDisabled && disabled));
+    if (removesOwner && (await countActiveOwners(env.DB)) <= 1) {
+      return jsonResponse({ error: '至少需要保留一个可用的 owner 账号' }, 409);
+    }
+
+    if (resendInvite && !user.invitePending) {
+      return jsonResponse({ error: '该账号已接受邀请' }, 409);
+    }
+
+    await updateAdminUser(env.DB, id, {
+      role: changesRole ? role : undefined,
+      disabled: changesDisabled ? !!disabled : undefined,
+    });
+
+    const invite = resendInvite ? await issueInvite(env.DB, id) : {};
+    const updated = await getAdminUserById(env.DB, id);
+
+    const diff = diffValues(
+      { role: user.role, disabled: user.disabled, inviteExpiresAt: user.inviteExpiresAt },
+      { role: updated.role, disabled: updated.disabled, inviteExpiresAt: updated.inviteExpiresAt }
+    );
+    if (Object.keys(diff).length > 0) {
+      await auditLogStatement(env.DB, {
+        actor: session.username,
+        action: 'update',
+        entityType: 'user',
+        entityId: id,
+        diff,
+      }).run();
+    }
+
+    return jsonResponse({
+      success: true,
+      message: '账号更新成功',
+      user: updated,
+      ...invite,
+    });
+  } catch (error) {
+    console.error('更新账号失败:', error);
+    return jsonResponse({ error: '更新账号失败', details: error.message }, 500);
+  }
+}
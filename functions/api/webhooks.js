@@ -0,0 +1,230 @@
+/**
+ * Webhook 管理 API（均需 owner 权限）
+ * GET    /api/webhooks        - 获取全部 Webhook 及可订阅的事件
+ * POST   /api/webhooks        - 创建 Webhook，请求体 { name, url, events, active? }，签名密钥只在响应中返回一次
+ * PUT    /api/webhooks        - 更新 Webhook，请求体 { id, name?, url?, events?, active?, rotateSecret? }
+ * DELETE /api/webhooks?id=xxx - 删除 Webhook 及其推送记录
+ */
+
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  validationErrorResponse,
+  jsonResponse,
+} from '../_middleware.js';
+import {
+  WEBHOOK_EVENTS,
+  validateWebhookInput,
+  listWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+} from '../_lib/webhooks.js';
+import { auditChangeStatements } from '../_lib/audit.js';
+import { hasErrors } from '../_lib/validation.js';
+
+/**
+ * 操作日志中记录的字段（不含密钥）
+ * @param {Object|null} webhook
+ * @returns {Object|null}
+ */
+function toAuditValues(webhook) {
+  return webhook && { name: webhook.name, url: webhook.url, events: webhook.events, active: webhook.active };
+}
+
+/**
+ * GET - 获取全部 Webhook
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const webhooks = await listWebhooks(env.DB);
+
+    return jsonResponse({
+      webhooks,
+      events: Object.entries(WEBHOOK_EVENTS).map(([id, label]) => ({ id, label })),
+    });
+  } catch (error) {
+    console.error('获取 Webhook 失败:', error);
+    return jsonResponse({ error: '获取 Webhook 失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 创建 Webhook
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const errors = validateWebhookInput(body);
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const { webhook, secret } = await createWebhook(env.DB, {
+      name: body.name,
+      url: body.url,
+      events: body.events,
+      active: body.active,
+      createdBy: session.username,
+    });
+
+    await env.DB.batch(auditChangeStatements(env.DB, {
+      actor: session.username,
+      action: 'create',
+      entityType: 'webhook',
+      entityId: webhook.id,
+      before: null,
+      after: toAuditValues(webhook),
+    }));
+
+    return jsonResponse({
+      success: true,
+      message: 'Webhook 已创建，请保存签名密钥，关闭后将无法再次查看',
+      webhook,
+      secret,
+    });
+  } catch (error) {
+    console.error('创建 Webhook 失败:', error);
+    return jsonResponse({ error: '创建 Webhook 失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * PUT - 更新 Webhook
+ */
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const { id, rotateSecret, ...updates } = await request.json().catch(() => ({}));
+
+    if (!Number.isInteger(id)) {
+      return jsonResponse({ error: '缺少 Webhook ID' }, 400);
+    }
+
+    const errors = validateWebhookInput(updates, { partial: true });
+    if (hasErrors(errors)) {
+      return validationErrorResponse(errors);
+    }
+
+    const existing = await getWebhookById(env.DB, id);
+    if (!existing) {
+      return jsonResponse({ error: 'Webhook 不存在' }, 404);
+    }
+
+    const { webhook, secret } = await updateWebhook(env.DB, existing, {
+      ...updates,
+      rotateSecret: rotateSecret === true,
+    });
+
+    const statements = auditChangeStatements(env.DB, {
+      actor: session.username,
+      action: 'update',
+      entityType: 'webhook',
+      entityId: id,
+      before: toAuditValues(existing),
+      after: secret ? { ...toAuditValues(webhook), secret: '已重新生成' } : toAuditValues(webhook),
+    });
+    if (statements.length > 0) {
+      await env.DB.batch(statements);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: secret ? 'Webhook 已更新，请保存新的签名密钥' : 'Webhook 已更新',
+      webhook,
+      ...(secret && { secret }),
+    });
+  } catch (error) {
+    console.error('更新 Webhook 失败:', error);
+    return jsonResponse({ error: '更新 Webhook 失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * DELETE - 删除 Webhook
+ */
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const id = parseInt(new URL(request.url).searchParams.get('id'), 10);
+    if (!Number.isInteger(id)) {
+      return jsonResponse({ error: '缺少 Webhook ID' }, 400);
+    }
+
+    const existing = await getWebhookById(env.DB, id);
+    if (!existing || !(await deleteWebhook(env.DB, id))) {
+      return jsonResponse({ error: 'Webhook 不存在' }, 404);
+    }
+
+    await env.DB.batch(auditChangeStatements(env.DB, {
+      actor: session.username,
+      action: 'delete',
+      entityType: 'webhook',
+      entityId: id,
+      before: toAuditValues(existing),
+      after: null,
+    }));
+
+    return jsonResponse({
+      success: true,
+      message: 'Webhook 已删除',
+    });
+  } catch (error) {
+    console.error('删除 Webhook 失败:', error);
+    return jsonResponse({ error: '删除 Webhook 失败', details: error.message }, 500);
+  }
+}
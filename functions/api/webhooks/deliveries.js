@@ -0,0 +1,121 @@
+/**
+ * Webhook 推送记录 API（均需 owner 权限）
+ * GET  /api/webhooks/deliveries - 查询推送记录，支持 webhookId、status（pending/success/failed）、page、limit 参数
+ * POST /api/webhooks/deliveries - 重放推送，请求体 { id }，以原请求体生成新记录并立即推送
+ */
+
+import {
+  verifyAuth,
+  hasRole,
+  unauthorizedResponse,
+  forbiddenResponse,
+  jsonResponse,
+} from '../../_middleware.js';
+import {
+  DELIVERY_STATUSES,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+} from '../../_lib/webhooks.js';
+
+// 分页参数
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 解析正整数查询参数
+ * @param {string|null} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * GET - 查询推送记录，按时间倒序
+ */
+export async function onRequestGet(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const status = params.get('status');
+    if (status && status !== 'all' && !DELIVERY_STATUSES.includes(status)) {
+      return jsonResponse({ error: `status 必须为 ${DELIVERY_STATUSES.join(' / ')} 之一` }, 400);
+    }
+
+    const page = parsePositiveInt(params.get('page'), 1);
+    const limit = Math.min(parsePositiveInt(params.get('limit'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    const { deliveries, total } = await listWebhookDeliveries(env.DB, {
+      webhookId: parsePositiveInt(params.get('webhookId'), null),
+      status: status === 'all' ? null : status,
+      page,
+      limit,
+    });
+
+    return jsonResponse({
+      deliveries,
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (error) {
+    console.error('获取推送记录失败:', error);
+    return jsonResponse({ error: '获取推送记录失败', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST - 重放推送
+ */
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  // 验证认证
+  const session = await verifyAuth(request, env);
+  if (!session) {
+    return unauthorizedResponse();
+  }
+
+  // 验证权限
+  if (!hasRole(session, 'owner')) {
+    return forbiddenResponse();
+  }
+
+  try {
+    const { id } = await request.json().catch(() => ({}));
+    if (!Number.isInteger(id)) {
+      return jsonResponse({ error: '缺少推送记录 ID' }, 400);
+    }
+
+    const delivery = await replayWebhookDelivery(env.DB, id);
+    if (!delivery) {
+      return jsonResponse({ error: '推送记录不存在' }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      message: delivery.status === 'success'
+        ? `重放成功（HTTP ${delivery.responseStatus}）`
+        : `重放失败：${delivery.error}，将按退避间隔自动重试`,
+      delivery,
+    });
+  } catch (error) {
+    console.error('重放推送失败:', error);
+    return jsonResponse({ error: '重放推送失败', details: error.message }, 500);
+  }
+}
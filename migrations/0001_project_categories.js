@@ -0,0 +1,55 @@
+/**
+ * 迁移 0001：项目分类由 projects.category JSON 字段改为 project_categories 关联表
+ * 可重复执行（新库由 schema.sql 创建时已包含这些表）
+ */
+
+export const version = 1;
+export const name = 'project_categories';
+
+export const up = `
+-- 项目-分类关联表
+CREATE TABLE IF NOT EXISTS project_categories (
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  category_id TEXT NOT NULL REFERENCES categories(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  PRIMARY KEY (project_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_categories_category ON project_categories(category_id);
+
+-- 补齐项目引用但不存在的分类，避免迁移时丢失数据
+-- category 可能是 JSON 数组、JSON 字符串或旧的纯字符串
+WITH legacy AS (
+  SELECT p.id AS project_id, trim(CAST(j.value AS TEXT)) AS category_id
+  FROM projects p, json_each(p.category) j
+  WHERE json_valid(p.category)
+  UNION
+  SELECT p.id, trim(p.category)
+  FROM projects p
+  WHERE p.category IS NOT NULL AND NOT json_valid(p.category)
+)
+INSERT OR IGNORE INTO categories (id, name, slug, description)
+SELECT DISTINCT category_id, category_id, category_id, ''
+FROM legacy
+WHERE category_id != '';
+
+-- 转换现有项目的分类
+WITH legacy AS (
+  SELECT p.id AS project_id, trim(CAST(j.value AS TEXT)) AS category_id
+  FROM projects p, json_each(p.category) j
+  WHERE json_valid(p.category)
+  UNION
+  SELECT p.id, trim(p.category)
+  FROM projects p
+  WHERE p.category IS NOT NULL AND NOT json_valid(p.category)
+)
+INSERT OR IGNORE INTO project_categories (project_id, category_id)
+SELECT project_id, category_id
+FROM legacy
+WHERE category_id != '';
+
+-- 清空旧字段，保证重复执行不会恢复已移除的关联
+UPDATE projects SET category = NULL WHERE category IS NOT NULL;
+
+-- JSON 字段上的索引已无意义
+DROP INDEX IF EXISTS idx_projects_category;
+`;
@@ -0,0 +1,36 @@
+/**
+ * 迁移 0002：项目标签由 projects.tags JSON 字段改为 tags + project_tags 关联表
+ * 可重复执行（新库由 schema.sql 创建时已包含这些表）
+ */
+
+export const version = 2;
+export const name = 'project_tags';
+
+export const up = `
+-- 项目-标签关联表
+CREATE TABLE IF NOT EXISTS project_tags (
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (project_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_tags_tag ON project_tags(tag_id);
+
+-- 写入标签
+INSERT OR IGNORE INTO tags (name)
+SELECT DISTINCT trim(CAST(j.value AS TEXT))
+FROM projects p, json_each(p.tags) j
+WHERE json_valid(p.tags) AND json_type(p.tags) = 'array'
+  AND trim(CAST(j.value AS TEXT)) != '';
+
+-- 转换现有项目的标签，保留原有顺序
+INSERT OR IGNORE INTO project_tags (project_id, tag_id, position)
+SELECT p.id, t.id, j.key
+FROM projects p, json_each(p.tags) j
+JOIN tags t ON t.name = trim(CAST(j.value AS TEXT))
+WHERE json_valid(p.tags) AND json_type(p.tags) = 'array';
+
+-- 清空旧字段，保证重复执行不会恢复已移除的关联
+UPDATE projects SET tags = NULL WHERE tags IS NOT NULL;
+`;
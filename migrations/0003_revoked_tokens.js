@@ -0,0 +1,16 @@
+/**
+ * 迁移 0003：记录已注销的会话 Token（退出登录、续期后的旧 Token）
+ * 过期时间之后的记录可以安全清理
+ */
+
+export const version = 3;
+export const name = 'revoked_tokens';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens(expires_at);
+`;
@@ -0,0 +1,17 @@
+/**
+ * 迁移 0004：管理员账号表，密码以 PBKDF2 哈希存储
+ * 表为空时首次登录会用 ADMIN_USERNAME / ADMIN_PASSWORD 环境变量写入初始账号
+ */
+
+export const version = 4;
+export const name = 'admin_users';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS admin_users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  password_updated_at INTEGER NOT NULL,
+  created_at TEXT NOT NULL
+);
+`;
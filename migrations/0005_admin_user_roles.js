@@ -0,0 +1,19 @@
+/**
+ * 迁移 0005：管理员账号增加角色、停用状态和邀请信息
+ * 已有账号（此前共用的管理员）全部设为 owner
+ */
+
+export const version = 5;
+export const name = 'admin_user_roles';
+
+export const up = `
+ALTER TABLE admin_users ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer';
+ALTER TABLE admin_users ADD COLUMN disabled_at TEXT;
+ALTER TABLE admin_users ADD COLUMN invite_token_hash TEXT;
+ALTER TABLE admin_users ADD COLUMN invite_expires_at INTEGER;
+ALTER TABLE admin_users ADD COLUMN invited_by TEXT;
+
+UPDATE admin_users SET role = 'owner';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_invite ON admin_users(invite_token_hash);
+`;
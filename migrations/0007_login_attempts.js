@@ -0,0 +1,19 @@
+/**
+ * 迁移 0007：登录失败记录，按 IP 和用户名分别统计失败次数及锁定截止时间
+ */
+
+export const version = 7;
+export const name = 'login_attempts';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  identifier TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at INTEGER NOT NULL,
+  locked_until INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_last_failure ON login_attempts(last_failure_at);
+`;
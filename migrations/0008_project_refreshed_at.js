@@ -0,0 +1,12 @@
+/**
+ * 迁移 0008：项目增加最近一次从 GitHub 刷新数据的时间，定时刷新时优先处理最久未刷新的项目
+ */
+
+export const version = 8;
+export const name = 'project_refreshed_at';
+
+export const up = `
+ALTER TABLE projects ADD COLUMN refreshed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_projects_refreshed_at ON projects(refreshed_at);
+`;
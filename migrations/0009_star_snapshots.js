@@ -0,0 +1,21 @@
+/**
+ * 迁移 0009：星标快照，记录项目星标数的变化，用于历史曲线和增长排行
+ * 以各项目当前的星标数写入初始快照
+ */
+
+export const version = 9;
+export const name = 'star_snapshots';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS star_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  stars INTEGER NOT NULL,
+  recorded_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_star_snapshots_project ON star_snapshots(project_id, recorded_at);
+
+INSERT INTO star_snapshots (project_id, stars, recorded_at)
+SELECT id, COALESCE(stars, 0), strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM projects;
+`;
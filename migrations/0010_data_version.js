@@ -0,0 +1,17 @@
+/**
+ * 迁移 0010：公开数据版本号，项目、分类、标签发生变化时递增，用于 ETag 和边缘缓存失效
+ */
+
+export const version = 10;
+export const name = 'data_version';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS data_version (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  version INTEGER NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+INSERT OR IGNORE INTO data_version (id, version, updated_at)
+VALUES (1, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+`;
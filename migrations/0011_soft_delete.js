@@ -0,0 +1,14 @@
+/**
+ * 迁移 0011：项目和分类软删除，删除时写入 deleted_at，进入回收站
+ */
+
+export const version = 11;
+export const name = 'soft_delete';
+
+export const up = `
+ALTER TABLE projects ADD COLUMN deleted_at TEXT;
+ALTER TABLE categories ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_categories_deleted_at ON categories(deleted_at);
+`;
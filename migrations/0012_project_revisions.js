@@ -0,0 +1,38 @@
+/**
+ * 迁移 0012：项目版本历史，每次保存项目时记录一份快照（JSON），可回滚到任一版本
+ * 为已有项目写入当前状态作为初始版本
+ */
+
+export const version = 12;
+export const name = 'project_revisions';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS project_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  snapshot TEXT NOT NULL,
+  actor TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_revisions_project ON project_revisions(project_id, id);
+
+INSERT INTO project_revisions (project_id, snapshot, actor, created_at)
+SELECT p.id, json_object(
+  'name', p.name,
+  'owner', p.owner,
+  'description', COALESCE(p.description, ''),
+  'github_url', COALESCE(p.github_url, ''),
+  'language', COALESCE(p.language, ''),
+  'categories', json((
+    SELECT json_group_array(pc.category_id) FROM project_categories pc WHERE pc.project_id = p.id
+  )),
+  'tags', json((
+    SELECT json_group_array(name) FROM (
+      SELECT t.name FROM project_tags pt JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.project_id = p.id ORDER BY pt.position
+    )
+  ))
+), NULL, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM projects p;
+`;
@@ -0,0 +1,24 @@
+/**
+ * 迁移 0013：API Key，供外部系统通过 X-API-Key 请求头访问接口
+ * 只保存 Key 的 SHA-256 哈希和前缀；scopes 为 JSON 数组，window_start / window_requests 记录当前分钟的请求次数
+ */
+
+export const version = 13;
+export const name = 'api_keys';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  rate_limit INTEGER NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT,
+  window_start INTEGER NOT NULL DEFAULT 0,
+  window_requests INTEGER NOT NULL DEFAULT 0
+);
+`;
@@ -0,0 +1,10 @@
+/**
+ * 迁移 0015：项目归档状态，由 GitHub Webhook 的 repository 事件同步
+ */
+
+export const version = 15;
+export const name = 'project_archived';
+
+export const up = `
+ALTER TABLE projects ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+`;
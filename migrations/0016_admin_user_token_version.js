@@ -0,0 +1,10 @@
+/**
+ * 迁移 0016：管理员账号增加 Token 版本，修改密码时递增，版本不一致的 Token 失效
+ */
+
+export const version = 16;
+export const name = 'admin_user_token_version';
+
+export const up = `
+ALTER TABLE admin_users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+`;
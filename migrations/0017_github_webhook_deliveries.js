@@ -0,0 +1,19 @@
+/**
+ * 迁移 0017：记录已处理的 GitHub Webhook 推送（按 X-GitHub-Delivery 去重），
+ * 项目增加最近一次应用的仓库更新时间，晚到的 star / watch 事件不再覆盖较新的数据
+ */
+
+export const version = 17;
+export const name = 'github_webhook_deliveries';
+
+export const up = `
+CREATE TABLE IF NOT EXISTS github_webhook_deliveries (
+  delivery_id TEXT PRIMARY KEY,
+  event TEXT NOT NULL,
+  received_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_github_webhook_deliveries_received ON github_webhook_deliveries(received_at);
+
+ALTER TABLE projects ADD COLUMN github_updated_at TEXT;
+`;
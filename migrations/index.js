@@ -0,0 +1,50 @@
+/**
+ * 数据库迁移清单
+ * 新增迁移时在此目录创建 NNNN_name.js 并按版本顺序加入下方列表
+ *
+ * 每个迁移模块导出：
+ * - version {number} 版本号，从 1 开始递增
+ * - name    {string} 迁移名称
+ * - up      {string|Function} SQL 字符串（语句以分号结尾，在同一事务内执行）
+ *                             或 async (db) => {} 形式的 JS 迁移
+ */
+
+import * as m0001 from './0001_project_categories.js';
+import * as m0002 from './0002_project_tags.js';
+import * as m0003 from './0003_revoked_tokens.js';
+import * as m0004 from './0004_admin_users.js';
+import * as m0005 from './0005_admin_user_roles.js';
+import * as m0006 from './0006_audit_log.js';
+import * as m0007 from './0007_login_attempts.js';
+import * as m0008 from './0008_project_refreshed_at.js';
+import * as m0009 from './0009_star_snapshots.js';
+import * as m0010 from './0010_data_version.js';
+import * as m0011 from './0011_soft_delete.js';
+import * as m0012 from './0012_project_revisions.js';
+import * as m0013 from './0013_api_keys.js';
+import * as m0014 from './0014_webhooks.js';
+import * as m0015 from './0015_project_archived.js';
+import * as m0016 from './0016_admin_user_token_version.js';
+import * as m0017 from './0017_github_webhook_deliveries.js';
+
+export const MIGRATIONS = [
+  m0001,
+  m0002,
+  m0003,
+  m0004,
+  m0005,
+  m0006,
+  m0007,
+  m0008,
+  m0009,
+  m0010,
+  m0011,
+  m0012,
+  m0013,
+  m0014,
+  m0015,
+  m0016,
+  m0017,
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
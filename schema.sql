@@ -1,5 +1,6 @@
 -- Awesome Popular Repos - D1 数据库 Schema
 -- 运行命令: wrangler d1 execute awesome-repos-db --file=./schema.sql
+-- 此文件仅用于初始化新数据库，后续结构变更请在 migrations/ 目录中新增迁移
 
 -- 项目表
 CREATE TABLE IF NOT EXISTS projects (
@@ -10,8 +11,8 @@ CREATE TABLE IF NOT EXISTS projects (
   github_url TEXT,
   stars INTEGER DEFAULT 0,
   language TEXT,
-  category TEXT,
-  tags TEXT,  -- JSON 数组格式存储
+  category TEXT,  -- 已废弃，分类改由 project_categories 关联表存储
+  tags TEXT,  -- 已废弃，标签改由 project_tags 关联表存储
   created_at TEXT,
   updated_at TEXT
 );
@@ -24,14 +25,30 @@ CREATE TABLE IF NOT EXISTS categories (
   description TEXT
 );
 
+-- 项目-分类关联表
+CREATE TABLE IF NOT EXISTS project_categories (
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  category_id TEXT NOT NULL REFERENCES categories(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  PRIMARY KEY (project_id, category_id)
+);
+
 -- 标签表
 CREATE TABLE IF NOT EXISTS tags (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name TEXT UNIQUE NOT NULL
 );
 
+-- 项目-标签关联表（position 记录标签顺序）
+CREATE TABLE IF NOT EXISTS project_tags (
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (project_id, tag_id)
+);
+
 -- 创建索引以提升查询性能
-CREATE INDEX IF NOT EXISTS idx_projects_category ON projects(category);
+CREATE INDEX IF NOT EXISTS idx_project_categories_category ON project_categories(category_id);
+CREATE INDEX IF NOT EXISTS idx_project_tags_tag ON project_tags(tag_id);
 CREATE INDEX IF NOT EXISTS idx_projects_language ON projects(language);
 CREATE INDEX IF NOT EXISTS idx_projects_stars ON projects(stars DESC);
 
@@ -0,0 +1,32 @@
+/**
+ * 本地 D1 数据库迁移脚本
+ * 通过 wrangler 的 getPlatformProxy 连接本地 D1（读取 wrangler.toml 中的 DB 绑定）
+ *
+ * 用法:
+ *   npm run db:migrate:local          执行待执行的迁移
+ *   npm run db:migrate:status:local   查看迁移状态
+ */
+
+import { getPlatformProxy } from 'wrangler';
+import { getMigrationStatus, applyMigrations } from '../functions/_lib/migrations.js';
+
+const statusOnly = process.argv.includes('--status');
+const { env, dispose } = await getPlatformProxy();
+
+try {
+  if (statusOnly) {
+    const status = await getMigrationStatus(env.DB);
+    console.log(`当前版本: ${status.currentVersion} / 最新版本: ${status.latestVersion}`);
+    status.pending.forEach(m => console.log(`  待执行: ${m.version} ${m.name}`));
+  } else {
+    const result = await applyMigrations(env.DB);
+    result.applied.forEach(m => console.log(`  已执行: ${m.version} ${m.name}`));
+    if (result.failed) {
+      console.error(`迁移 ${result.failed.version} (${result.failed.name}) 执行失败: ${result.failed.error}`);
+      process.exitCode = 1;
+    }
+    console.log(`当前版本: ${result.currentVersion} / 最新版本: ${result.latestVersion}`);
+  }
+} finally {
+  await dispose();
+}
@@ -14,6 +14,7 @@ import {
   getCategories,
   setCategories,
   getTags,
+  setTags,
   exportAllData,
   importData,
   KEYS,
@@ -23,6 +24,13 @@ import {
   setSettings
 } from './utils/storage.js';
 import { getRepoInfoFromUrl, batchGetRepoInfo, formatStars } from './utils/github-api.js';
+import {
+  normalizeCategoryIds,
+  getProjectCategoryIds,
+  normalizeProjectForClient
+} from './utils/categories.js';
+import { checkPasswordStrength, scorePassword } from './utils/password-strength.js';
+import { createStarTrend, SPARKLINE_DAYS } from './components/Sparkline.js';
 
 // 导入默认数据
 import defaultData from './data/projects.json';
@@ -32,6 +40,30 @@ const API_BASE = '/api';
 
 // 认证 Token 存储键
 const AUTH_TOKEN_KEY = 'awesome_repos_auth_token';
+const AUTH_EXPIRES_KEY = 'awesome_repos_auth_expires';
+
+// Token 到期前多久自动续期（毫秒）
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// 自动续期定时器
+let tokenRefreshTimer = null;
+
+// 管理页面事件是否已绑定（重新登录后不重复绑定）
+let adminEventsBound = false;
+
+// 登录锁定倒计时
+let loginCountdownTimer = null;
+
+// 当前登录账号 { username, role }
+let currentUser = null;
+
+// 角色按权限从低到高排列（与服务端 functions/_lib/roles.js 一致）
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// 首次设置页的模式，inviteToken 存在时用于接受邀请
+const setupMode = {
+  inviteToken: null
+};
 
 // 项目分类多选状态
 const projectCategoryMultiSelect = {
@@ -40,76 +72,53 @@ const projectCategoryMultiSelect = {
   selectedIds: []
 };
 
+// ===== API 辅助函数 =====
+
 /**
- * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
- * @param {string|string[]|null|undefined} value
- * @returns {string[]}
+ * 获取认证 Token
  */
-function normalizeCategoryIds(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
-  }
-
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-
-    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        return normalizeCategoryIds(parsed);
-      } catch {
-        return [];
-      }
-    }
-
-    return [trimmed];
-  }
-
-  return [];
+function getAuthToken() {
+  return sessionStorage.getItem(AUTH_TOKEN_KEY);
 }
 
 /**
- * 获取项目的分类 ID 列表
- * @param {Object} project
- * @returns {string[]}
+ * 获取 Token 过期时间（毫秒时间戳）
  */
-function getProjectCategoryIds(project) {
-  if (!project) return [];
-  if (Array.isArray(project.categories)) {
-    return normalizeCategoryIds(project.categories);
-  }
-  return normalizeCategoryIds(project.category);
+function getAuthExpiresAt() {
+  return parseInt(sessionStorage.getItem(AUTH_EXPIRES_KEY), 10) || 0;
 }
 
 /**
- * 规范化项目分类字段，统一供前端消费
- * @param {Object} project
- * @returns {Object}
+ * 解析当前 Token 的 payload（仅用于界面展示，不做签名校验）
+ * @returns {object|null}
  */
-function normalizeProjectForClient(project) {
-  const categories = getProjectCategoryIds(project);
-  return {
-    ...project,
-    category: categories,
-    categories
-  };
-}
+function getTokenPayload() {
+  const token = getAuthToken();
+  if (!token) return null;
 
-// ===== API 辅助函数 =====
+  try {
+    const body = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(body), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
 
 /**
- * 获取认证 Token
+ * 获取当前登录的用户名
  */
-function getAuthToken() {
-  return sessionStorage.getItem(AUTH_TOKEN_KEY);
+function getCurrentUsername() {
+  return getTokenPayload()?.sub || '';
 }
 
 /**
  * 设置认证 Token
  */
-function setAuthToken(token) {
+function setAuthToken(token, expiresAt) {
   sessionStorage.setItem(AUTH_TOKEN_KEY, token);
+  sessionStorage.setItem(AUTH_EXPIRES_KEY, String(expiresAt || 0));
+  scheduleTokenRefresh();
 }
 
 /**
@@ -117,10 +126,53 @@ function setAuthToken(token) {
  */
 function clearAuthToken() {
   sessionStorage.removeItem(AUTH_TOKEN_KEY);
+  sessionStorage.removeItem(AUTH_EXPIRES_KEY);
+  clearTimeout(tokenRefreshTimer);
+  tokenRefreshTimer = null;
+}
+
+/**
+ * 会话失效时返回登录页
+ */
+function handleSessionExpired() {
+  // 并发请求同时返回 401 时只提示一次
+  if (!getAuthToken()) return;
+
+  clearAuthToken();
+  showLoginPage();
+  showToast('登录已过期，请重新登录', 'error');
+}
+
+/**
+ * 在 Token 到期前自动续期
+ */
+function scheduleTokenRefresh() {
+  clearTimeout(tokenRefreshTimer);
+
+  const expiresAt = getAuthExpiresAt();
+  if (!expiresAt) return;
+
+  const delay = Math.max(expiresAt - Date.now() - TOKEN_REFRESH_MARGIN, 0);
+  tokenRefreshTimer = setTimeout(refreshAuthToken, delay);
+}
+
+/**
+ * 续期认证 Token
+ */
+async function refreshAuthToken() {
+  try {
+    const result = await apiRequest('/auth/refresh', { method: 'POST' });
+    if (result.success && result.token) {
+      setAuthToken(result.token, result.expiresAt);
+    }
+  } catch (error) {
+    console.warn('[Admin] Token 续期失败:', error);
+  }
 }
 
 /**
  * 发起 API 请求
+ * 已登录状态下收到 401 时清除 Token 并返回登录页
  */
 async function apiRequest(endpoint, options = {}) {
   const token = getAuthToken();
@@ -130,7 +182,7 @@ async function apiRequest(endpoint, options = {}) {
   };
 
   if (token) {
-    headers['Authorization'] = `Basic ${token}`;
+    headers['Authorization'] = `Bearer ${token}`;
   }
 
   const response = await fetch(`${API_BASE}${endpoint}`, {
@@ -138,19 +190,25 @@ async function apiRequest(endpoint, options = {}) {
     headers,
   });
 
+  if (response.status === 401 && token) {
+    handleSessionExpired();
+  }
+
   return response.json();
 }
 
 /**
  * 从 API 获取项目列表
+ * @param {Object} [options]
+ * @param {boolean} [options.history] - 是否附带星标历史（star_history，不写入本地缓存）
  */
-async function fetchProjectsFromApi() {
+async function fetchProjectsFromApi({ history = false } = {}) {
   try {
-    const result = await apiRequest('/projects');
+    const result = await apiRequest(history ? `/projects?history=${SPARKLINE_DAYS}` : '/projects');
     if (result.projects) {
       const normalizedProjects = result.projects.map(normalizeProjectForClient);
       // 更新本地缓存
-      setProjects(normalizedProjects);
+      setProjects(normalizedProjects.map(({ star_history, ...project }) => project));
       return normalizedProjects;
     }
   } catch (error) {
@@ -243,8 +301,11 @@ async function deleteProjectFromApi(id) {
 
 /**
  * 同步数据到 D1
+ * @param {Object} options
+ * @param {boolean} options.dryRun - 只计算差异，不写入
+ * @param {string} options.mode - merge / mirror
  */
-async function syncDataToD1() {
+async function syncDataToD1({ dryRun = false, mode = 'merge' } = {}) {
   try {
     const data = exportAllData();
     const result = await apiRequest('/sync', {
@@ -252,6 +313,8 @@ async function syncDataToD1() {
       body: JSON.stringify({
         projects: data.projects,
         categories: data.categories,
+        dryRun,
+        mode,
       }),
     });
     return result;
@@ -261,6 +324,22 @@ async function syncDataToD1() {
   }
 }
 
+/**
+ * 从 GitHub 刷新项目数据
+ * @param {string[]|null} ids - 指定项目，为 null 时由服务端按最久未刷新的顺序刷新
+ */
+async function refreshProjectsFromGitHub(ids = null) {
+  try {
+    return await apiRequest('/refresh', {
+      method: 'POST',
+      body: JSON.stringify(ids ? { ids } : {}),
+    });
+  } catch (error) {
+    console.error('[Admin] 刷新 GitHub 数据失败:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // ===== 登录相关 =====
 
 /**
@@ -268,7 +347,15 @@ async function syncDataToD1() {
  */
 function checkAuth() {
   const token = getAuthToken();
-  return !!token;
+  const expiresAt = getAuthExpiresAt();
+
+  if (!token || (expiresAt && expiresAt <= Date.now())) {
+    clearAuthToken();
+    return false;
+  }
+
+  scheduleTokenRefresh();
+  return true;
 }
 
 /**
@@ -276,6 +363,16 @@ function checkAuth() {
  */
 function showLoginPage() {
   document.getElementById('loginPage').style.display = 'flex';
+  document.getElementById('setupPage').style.display = 'none';
+  document.getElementById('adminPage').style.display = 'none';
+}
+
+/**
+ * 显示首次设置页面
+ */
+function showSetupPage() {
+  document.getElementById('loginPage').style.display = 'none';
+  document.getElementById('setupPage').style.display = 'flex';
   document.getElementById('adminPage').style.display = 'none';
 }
 
@@ -284,10 +381,140 @@ function showLoginPage() {
  */
 function showAdminPage() {
   document.getElementById('loginPage').style.display = 'none';
+  document.getElementById('setupPage').style.display = 'none';
   document.getElementById('adminPage').style.display = 'flex';
   initAdminPage();
 }
 
+/**
+ * 查询是否需要首次设置
+ * @returns {Promise<boolean>}
+ */
+async function fetchSetupRequired() {
+  try {
+    const result = await apiRequest('/auth/setup');
+    return !!result.setupRequired;
+  } catch (error) {
+    console.warn('[Admin] 获取设置状态失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 在登录卡片中显示错误信息
+ * @param {string} elementId - 错误提示元素 ID
+ * @param {string} message
+ */
+function showFormError(elementId, message) {
+  const errorEl = document.getElementById(elementId);
+  errorEl.textContent = message;
+  errorEl.classList.add('show');
+  clearTimeout(errorEl._hideTimer);
+  errorEl._hideTimer = setTimeout(() => {
+    errorEl.classList.remove('show');
+  }, 3000);
+}
+
+// 服务端校验字段与表单控件的对应关系
+const PROJECT_FIELD_INPUTS = {
+  name: 'projectName',
+  owner: 'projectOwner',
+  description: 'projectDescription',
+  github_url: 'projectUrl',
+  language: 'projectLanguage',
+  stars: 'projectStars',
+  categories: 'projectCategoryTrigger',
+  category: 'projectCategoryTrigger',
+  tags: 'projectTags',
+};
+
+const CATEGORY_FIELD_INPUTS = {
+  name: 'categoryName',
+  slug: 'categorySlug',
+  description: 'categoryDescription',
+};
+
+/**
+ * 清除表单中的字段错误标记
+ * @param {string} formId
+ */
+function clearFieldErrors(formId) {
+  const form = document.getElementById(formId);
+  form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+  form.querySelectorAll('.field-error').forEach(el => el.remove());
+}
+
+/**
+ * 清除单个控件的错误标记
+ * @param {HTMLElement} input
+ */
+function clearFieldError(input) {
+  if (!input.classList.contains('input-error')) return;
+  input.classList.remove('input-error');
+  input.closest('.form-group')?.querySelector('.field-error')?.remove();
+}
+
+/**
+ * 根据服务端返回的错误表标记对应的表单控件
+ * @param {string} formId
+ * @param {Object} fieldInputs - { 字段: 控件 ID }
+ * @param {Object} fields - { 字段: 错误信息 }
+ * @returns {string[]} 无法对应到控件的错误信息
+ */
+function showFieldErrors(formId, fieldInputs, fields) {
+  clearFieldErrors(formId);
+  const unmatched = [];
+  let firstInput = null;
+
+  Object.entries(fields).forEach(([field, message]) => {
+    const input = fieldInputs[field] && document.getElementById(fieldInputs[field]);
+    if (!input) {
+      unmatched.push(message);
+      return;
+    }
+
+    input.classList.add('input-error');
+    const hint = document.createElement('div');
+    hint.className = 'field-error';
+    hint.textContent = message;
+    input.closest('.form-group').appendChild(hint);
+    firstInput = firstInput || input;
+  });
+
+  firstInput?.focus();
+  return unmatched;
+}
+
+/**
+ * 登录被锁定时倒计时显示剩余等待时间，结束前禁用登录按钮
+ * @param {HTMLButtonElement} loginBtn
+ * @param {number} seconds
+ */
+function startLoginCountdown(loginBtn, seconds) {
+  const until = Date.now() + seconds * 1000;
+  clearInterval(loginCountdownTimer);
+
+  const tick = () => {
+    const remaining = Math.ceil((until - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(loginCountdownTimer);
+      loginCountdownTimer = null;
+      loginBtn.disabled = false;
+      loginBtn.textContent = '登录';
+      return;
+    }
+
+    const minutes = Math.floor(remaining / 60);
+    const wait = minutes > 0 ? `${minutes} 分 ${remaining % 60} 秒` : `${remaining} 秒`;
+    showFormError('loginError', `尝试次数过多，请在 ${wait} 后重试`);
+    loginBtn.disabled = true;
+    loginBtn.textContent = `请等待 ${wait}`;
+  };
+
+  tick();
+  loginCountdownTimer = setInterval(tick, 1000);
+}
+
 /**
  * 处理登录
  */
@@ -297,7 +524,6 @@ async function handleLogin(e) {
   const username = document.getElementById('username').value;
   const password = document.getElementById('password').value;
   const loginBtn = e.target.querySelector('button[type="submit"]');
-  const errorEl = document.getElementById('loginError');
 
   // 禁用按钮，显示加载状态
   loginBtn.disabled = true;
@@ -311,31 +537,209 @@ async function handleLogin(e) {
     });
 
     if (result.success && result.token) {
-      setAuthToken(result.token);
+      setAuthToken(result.token, result.expiresAt);
       showAdminPage();
+    } else if (result.setupRequired) {
+      showSetupPage();
+    } else if (result.retryAfter) {
+      startLoginCountdown(loginBtn, result.retryAfter);
     } else {
-      errorEl.classList.add('show');
-      setTimeout(() => {
-        errorEl.classList.remove('show');
-      }, 3000);
+      showFormError('loginError', result.error || '用户名或密码错误，请重试');
     }
   } catch (error) {
     console.error('[Admin] 登录请求失败:', error);
-    // 如果 API 不可用（本地开发），尝试本地验证
-    const localCredentials = btoa(`${username}:${password}`);
-    // 默认本地密码验证（仅开发用）
-    if (username === 'admin' && password === 'admin123') {
-      setAuthToken(localCredentials);
+    showFormError('loginError', '无法连接服务器，请稍后重试');
+  } finally {
+    if (!loginCountdownTimer) {
+      loginBtn.disabled = false;
+      loginBtn.textContent = '登录';
+    }
+  }
+}
+
+/**
+ * 更新首次设置页的密码强度提示
+ */
+function updateSetupStrength() {
+  const username = document.getElementById('setupUsername').value.trim();
+  const password = document.getElementById('setupPassword').value;
+  const labels = ['', '弱', '弱', '良好', '强'];
+  const score = scorePassword(password, username);
+
+  document.getElementById('setupStrength').dataset.score = String(score);
+  document.getElementById('setupStrengthHint').textContent = password
+    ? checkPasswordStrength(password, username) || `密码强度：${labels[score]}`
+    : '';
+}
+
+/**
+ * 显示接受邀请页面（复用首次设置页）
+ * @param {string} inviteToken
+ */
+async function showInvitePage(inviteToken) {
+  let invite;
+  try {
+    invite = await apiRequest(`/auth/invite?token=${encodeURIComponent(inviteToken)}`);
+  } catch (error) {
+    invite = { error: '无法连接服务器，请稍后重试' };
+  }
+
+  if (!invite.username) {
+    history.replaceState(null, '', location.pathname);
+    showLoginPage();
+    showFormError('loginError', invite.error || '邀请链接无效或已过期');
+    return;
+  }
+
+  setupMode.inviteToken = inviteToken;
+  document.getElementById('setupTitle').textContent = '✉️ 接受邀请';
+  document.getElementById('setupDescription').textContent =
+    `你被邀请以 ${invite.role} 角色加入管理后台，请为账号设置密码。`;
+  document.getElementById('setupSubmitBtn').textContent = '设置密码并登录';
+
+  const usernameInput = document.getElementById('setupUsername');
+  usernameInput.value = invite.username;
+  usernameInput.readOnly = true;
+
+  showSetupPage();
+}
+
+/**
+ * 从地址栏读取邀请令牌（admin.html#invite=xxx）
+ * @returns {string|null}
+ */
+function getInviteTokenFromHash() {
+  const match = location.hash.match(/^#invite=(.+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * 处理首次设置或接受邀请
+ */
+async function handleSetup(e) {
+  e.preventDefault();
+
+  const username = document.getElementById('setupUsername').value.trim();
+  const password = document.getElementById('setupPassword').value;
+  const confirmPassword = document.getElementById('setupConfirmPassword').value;
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+
+  const weakness = checkPasswordStrength(password, username);
+  if (weakness) {
+    showFormError('setupError', weakness);
+    return;
+  }
+
+  if (password !== confirmPassword) {
+    showFormError('setupError', '两次输入的密码不一致');
+    return;
+  }
+
+  submitBtn.disabled = true;
+
+  try {
+    const result = setupMode.inviteToken
+      ? await apiRequest('/auth/invite', {
+        method: 'POST',
+        body: JSON.stringify({ token: setupMode.inviteToken, password }),
+      })
+      : await apiRequest('/auth/setup', {
+        method: 'POST',
+        body: JSON.stringify({ username, password }),
+      });
+
+    if (result.success && result.token) {
+      setAuthToken(result.token, result.expiresAt);
+      e.target.reset();
+      updateSetupStrength();
+      if (setupMode.inviteToken) {
+        setupMode.inviteToken = null;
+        history.replaceState(null, '', location.pathname);
+      }
       showAdminPage();
+      showToast(result.message || '管理员账号创建成功', 'success');
+    } else if (setupMode.inviteToken) {
+      showFormError('setupError', result.error || '接受邀请失败');
+    } else if (!(await fetchSetupRequired())) {
+      // 已有其他人完成设置
+      showLoginPage();
+      showToast(result.error || '管理员账号已存在，请直接登录', 'info');
+    } else {
+      showFormError('setupError', result.error || '创建管理员账号失败');
+    }
+  } catch (error) {
+    console.error('[Admin] 创建管理员账号失败:', error);
+    showFormError('setupError', '无法连接服务器，请稍后重试');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+/**
+ * 退出登录
+ */
+async function handleLogout() {
+  try {
+    await apiRequest('/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.warn('[Admin] 注销 Token 失败:', error);
+  }
+
+  clearAuthToken();
+  showLoginPage();
+  showToast('已退出登录', 'success');
+}
+
+/**
+ * 修改管理密码
+ */
+async function handleChangePassword() {
+  const currentInput = document.getElementById('currentPassword');
+  const newInput = document.getElementById('newPassword');
+  const confirmInput = document.getElementById('confirmPassword');
+  const btn = document.getElementById('changePasswordBtn');
+
+  if (!currentInput.value || !newInput.value) {
+    showToast('请输入当前密码和新密码', 'error');
+    return;
+  }
+
+  const weakness = checkPasswordStrength(newInput.value, getCurrentUsername());
+  if (weakness) {
+    showToast(weakness, 'error');
+    return;
+  }
+
+  if (newInput.value !== confirmInput.value) {
+    showToast('两次输入的新密码不一致', 'error');
+    return;
+  }
+
+  btn.disabled = true;
+
+  try {
+    const result = await apiRequest('/auth/password', {
+      method: 'POST',
+      body: JSON.stringify({
+        currentPassword: currentInput.value,
+        newPassword: newInput.value,
+      }),
+    });
+
+    if (result.success && result.token) {
+      setAuthToken(result.token, result.expiresAt);
+      currentInput.value = '';
+      newInput.value = '';
+      confirmInput.value = '';
+      showToast('密码修改成功', 'success');
     } else {
-      errorEl.classList.add('show');
-      setTimeout(() => {
-        errorEl.classList.remove('show');
-      }, 3000);
+      showToast(result.fields?.currentPassword || result.error || '修改密码失败', 'error');
     }
+  } catch (error) {
+    console.error('[Admin] 修改密码失败:', error);
+    showToast('修改密码失败，请检查网络连接', 'error');
   } finally {
-    loginBtn.disabled = false;
-    loginBtn.textContent = '登录';
+    btn.disabled = false;
   }
 }
 
@@ -345,6 +749,9 @@ async function handleLogin(e) {
  * 初始化管理页面
  */
 async function initAdminPage() {
+  // 加载当前账号并按角色显示操作
+  await loadCurrentUser();
+
   // 初始化存储
   await initStorage(defaultData);
 
@@ -360,12 +767,66 @@ async function initAdminPage() {
   // 加载分类表格
   await loadCategoriesTable();
 
-  // 绑定事件
+  // 加载标签表格
+  await loadTagsTable();
+
+  // 加载用户表格、登录锁定和 API Key（仅 owner）
+  if (hasRole('owner')) {
+    await loadUsersTable();
+    await loadLockoutsTable();
+    await loadApiKeysTable();
+  }
+
+  // 绑定事件（会话过期重新登录后不再重复绑定）
+  if (adminEventsBound) return;
+  adminEventsBound = true;
+
   bindNavigationEvents();
   bindProjectEvents();
   bindImportEvents();
   bindSettingsEvents();
   bindCategoryEvents();
+  bindTagEvents();
+  bindUserEvents();
+  bindTrashEvents();
+  bindWebhookEvents();
+  bindActivityEvents();
+}
+
+/**
+ * 判断当前账号是否具备指定角色（或更高权限）
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(role) {
+  return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * 加载当前登录账号，按角色隐藏无权限的操作
+ */
+async function loadCurrentUser() {
+  try {
+    const result = await apiRequest('/auth/me');
+    currentUser = result.user || null;
+  } catch (error) {
+    console.warn('[Admin] 获取当前账号失败:', error);
+    currentUser = null;
+  }
+
+  if (currentUser) {
+    document.body.dataset.role = currentUser.role;
+    document.getElementById('currentUserInfo').textContent = `👤 ${currentUser.username} · ${currentUser.role}`;
+  } else {
+    delete document.body.dataset.role;
+    document.getElementById('currentUserInfo').textContent = '';
+  }
+
+  // 当前页面对新账号不可见时回到数据概览
+  const activeNav = document.querySelector('.nav-item.active');
+  if (activeNav?.dataset.minRole && !hasRole(activeNav.dataset.minRole)) {
+    document.querySelector('.nav-item[data-page="dashboard"]').click();
+  }
 }
 
 /**
@@ -414,7 +875,7 @@ async function loadRecentProjects() {
  * 加载项目表格
  */
 async function loadProjectsTable() {
-  const projects = await fetchProjectsFromApi();
+  const projects = await fetchProjectsFromApi({ history: true });
   const categories = await fetchCategoriesFromApi();
   const categoryMap = new Map(categories.map(c => [c.id, c.name]));
 
@@ -435,8 +896,10 @@ async function loadProjectsTable() {
         <td>${escapeHtml(p.language || '-')}</td>
         <td>${categoryHtml}</td>
         <td>⭐ ${formatStars(p.stars || 0)}</td>
+        <td><div class="table-trend">${createStarTrend(p, { width: 96, height: 24 }) || '-'}</div></td>
         <td>
-          <div class="table-actions">
+          <div class="table-actions" data-min-role="editor">
+            <button class="action-btn refresh" title="从 GitHub 刷新" data-action="refresh">🔄</button>
             <button class="action-btn edit" title="编辑" data-action="edit">✏️</button>
             <button class="action-btn delete" title="删除" data-action="delete">🗑️</button>
           </div>
@@ -468,7 +931,7 @@ async function loadCategoriesTable() {
         <td>${escapeHtml(c.description || '-')}</td>
         <td>${count}</td>
         <td>
-          <div class="table-actions">
+          <div class="table-actions" data-min-role="editor">
             <button class="action-btn edit" title="编辑" data-action="editCategory">✏️</button>
             <button class="action-btn delete" title="删除" data-action="deleteCategory">🗑️</button>
           </div>
@@ -495,6 +958,17 @@ function bindCategoryEvents() {
   const cancelBtn = document.getElementById('categoryModalCancel');
   const saveBtn = document.getElementById('categoryModalSave');
 
+  // 刷新全部项目的 GitHub 数据
+  const refreshBtn = document.getElementById('refreshGitHubBtn');
+  refreshBtn.addEventListener('click', async () => {
+    refreshBtn.disabled = true;
+    try {
+      await runGitHubRefresh();
+    } finally {
+      refreshBtn.disabled = false;
+    }
+  });
+
   // 打开添加模态框
   addBtn.addEventListener('click', () => {
     resetCategoryForm();
@@ -509,6 +983,11 @@ function bindCategoryEvents() {
     if (e.target === modal) modal.classList.remove('active');
   });
 
+  // 修改后清除该字段的错误标记
+  document.getElementById('categoryForm').addEventListener('input', (e) => {
+    clearFieldError(e.target);
+  });
+
   // 自动生成 slug
   document.getElementById('categoryName').addEventListener('input', (e) => {
     const editId = document.getElementById('editCategoryId').value;
@@ -552,15 +1031,19 @@ function bindCategoryEvents() {
     saveBtn.textContent = '保存中...';
 
     try {
-      if (editId) {
-        await updateCategoryToApi(editId, categoryData);
-        showToast('分类已更新', 'success');
-      } else {
-        // 新增分类时使用 slug 作为 id
-        categoryData.id = categoryData.slug;
-        await addCategoryToApi(categoryData);
-        showToast('分类已添加', 'success');
+      // 新增分类时使用 slug 作为 id
+      const result = editId
+        ? await updateCategoryToApi(editId, categoryData)
+        : await addCategoryToApi({ ...categoryData, id: categoryData.slug });
+
+      if (result.fields) {
+        const unmatched = showFieldErrors('categoryForm', CATEGORY_FIELD_INPUTS, result.fields);
+        throw new Error([result.error, ...unmatched].join('；'));
+      }
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
       }
+      showToast(editId ? '分类已更新' : '分类已添加', 'success');
 
       modal.classList.remove('active');
       await loadCategoriesTable();
@@ -590,21 +1073,23 @@ async function handleCategoryAction(e) {
     const projects = await fetchProjectsFromApi();
     const projectsInCategory = projects.filter(p => getProjectCategoryIds(p).includes(categoryId));
 
-    if (projectsInCategory.length > 0) {
-      return showToast(`该分类下有 ${projectsInCategory.length} 个项目，无法删除`, 'error');
-    }
-
     const confirmed = await showConfirm({
       title: '删除分类',
-      message: '确定要删除这个分类吗？此操作不可撤销。',
+      message: projectsInCategory.length > 0
+        ? `该分类下有 ${projectsInCategory.length} 个项目，删除后这些项目将不再显示该分类，在回收站中恢复分类后重新生效。确定要删除吗？`
+        : '确定要删除这个分类吗？分类将移入回收站，可在回收站中恢复。',
       icon: '🗑️',
       confirmText: '删除',
       cancelText: '取消'
     });
 
     if (confirmed) {
-      await deleteCategoryFromApi(categoryId);
-      showToast('分类已删除', 'success');
+      const result = await deleteCategoryFromApi(categoryId, { force: projectsInCategory.length > 0 });
+      if (!result.success) {
+        return showToast('删除失败: ' + (result.error || '未知错误'), 'error');
+      }
+      showToast('分类已移入回收站', 'success');
+      await loadProjectsTable();
       await loadCategoriesTable();
       await loadCategoryOptions();
       await loadDashboardStats();
@@ -620,6 +1105,7 @@ async function editCategory(categoryId) {
   const category = categories.find(c => c.id === categoryId);
   if (!category) return;
 
+  clearFieldErrors('categoryForm');
   document.getElementById('editCategoryId').value = categoryId;
   document.getElementById('categoryName').value = category.name || '';
   document.getElementById('categorySlug').value = category.slug || category.id;
@@ -633,6 +1119,7 @@ async function editCategory(categoryId) {
  * 重置分类表单
  */
 function resetCategoryForm() {
+  clearFieldErrors('categoryForm');
   document.getElementById('editCategoryId').value = '';
   document.getElementById('categoryName').value = '';
   document.getElementById('categorySlug').value = '';
@@ -651,6 +1138,26 @@ function generateSlug(text) {
     .trim();
 }
 
+/**
+ * 在本地项目缓存中替换或移除分类 ID
+ * @param {string} categoryId - 原分类 ID
+ * @param {string|null} replacementId - 新分类 ID，为 null 时直接移除
+ */
+function reassignLocalProjectCategory(categoryId, replacementId = null) {
+  const projects = getProjects().map(project => {
+    const categoryIds = getProjectCategoryIds(project);
+    if (!categoryIds.includes(categoryId)) return project;
+
+    return normalizeProjectForClient({
+      ...project,
+      categories: categoryIds
+        .map(id => (id === categoryId ? replacementId : id))
+        .filter(Boolean)
+    });
+  });
+  setProjects(projects);
+}
+
 /**
  * 添加分类到 API
  */
@@ -687,13 +1194,17 @@ async function updateCategoryToApi(id, updates) {
       body: JSON.stringify({ id, ...updates }),
     });
     if (result.success) {
-      // 同步到本地
+      // 同步到本地（slug 变更可能导致分类 ID 迁移）
+      const category = result.category || { id, ...updates };
       const categories = getCategories();
       const index = categories.findIndex(c => c.id === id);
       if (index !== -1) {
-        categories[index] = { ...categories[index], ...updates };
+        categories[index] = { ...categories[index], ...category };
         setCategories(categories);
       }
+      if (category.id !== id) {
+        reassignLocalProjectCategory(id, category.id);
+      }
       return result;
     }
     return result;
@@ -711,10 +1222,13 @@ async function updateCategoryToApi(id, updates) {
 
 /**
  * 从 API 删除分类
+ * @param {string} id - 分类 ID
+ * @param {Object} options
+ * @param {boolean} options.force - 分类下有项目时是否强制删除（项目不再显示该分类）
  */
-async function deleteCategoryFromApi(id) {
+async function deleteCategoryFromApi(id, { force = false } = {}) {
   try {
-    const result = await apiRequest(`/categories?id=${id}`, {
+    const result = await apiRequest(`/categories?id=${encodeURIComponent(id)}${force ? '&force=1' : ''}`, {
       method: 'DELETE',
     });
     if (result.success) {
@@ -725,6 +1239,7 @@ async function deleteCategoryFromApi(id) {
         categories.splice(index, 1);
         setCategories(categories);
       }
+      reassignLocalProjectCategory(id);
       return result;
     }
     return result;
@@ -736,18 +1251,1277 @@ async function deleteCategoryFromApi(id) {
       categories.splice(index, 1);
       setCategories(categories);
     }
+    reassignLocalProjectCategory(id);
     return { success: true, local: true };
   }
 }
 
-// ===== 导航 =====
+// ===== 标签管理 =====
 
 /**
- * 绑定导航事件
+ * 从 API 获取标签列表（含使用次数）
  */
-function bindNavigationEvents() {
-  const navItems = document.querySelectorAll('.nav-item');
-  const pages = document.querySelectorAll('.page-content');
+async function fetchTagsFromApi() {
+  try {
+    const result = await apiRequest('/tags');
+    if (result.tags) {
+      // 更新本地缓存
+      setTags(result.tags);
+      return result.tags;
+    }
+  } catch (error) {
+    console.warn('[Admin] API 请求失败，使用本地数据:', error);
+  }
+  return getTags();
+}
+
+/**
+ * 加载标签表格
+ */
+async function loadTagsTable() {
+  const tags = await fetchTagsFromApi();
+
+  const tbody = document.getElementById('tagsTable');
+  if (tags.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" style="text-align: center; color: var(--text-muted);">暂无标签</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = tags.map(t => `
+    <tr data-name="${escapeHtml(t.name)}">
+      <td><span class="table-category-tag">${escapeHtml(t.name)}</span></td>
+      <td>${t.count ?? 0}</td>
+      <td>
+        <div class="table-actions" data-min-role="editor">
+          <button class="action-btn edit" title="重命名 / 合并" data-action="renameTag">✏️</button>
+          <button class="action-btn delete" title="删除" data-action="deleteTag">🗑️</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  // 绑定标签行操作事件
+  tbody.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', handleTagAction);
+  });
+}
+
+/**
+ * 绑定标签管理事件
+ */
+function bindTagEvents() {
+  const modal = document.getElementById('tagModal');
+  const saveBtn = document.getElementById('tagModalSave');
+
+  // 打开合并模态框
+  document.getElementById('mergeTagsBtn').addEventListener('click', () => openTagModal());
+
+  // 关闭模态框
+  document.getElementById('tagModalClose').addEventListener('click', () => modal.classList.remove('active'));
+  document.getElementById('tagModalCancel').addEventListener('click', () => modal.classList.remove('active'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('active');
+  });
+
+  // 保存重命名 / 合并
+  saveBtn.addEventListener('click', async () => {
+    const from = document.getElementById('tagSourceNames').value
+      .split(',').map(t => t.trim()).filter(Boolean);
+    const to = document.getElementById('tagTargetName').value.trim();
+
+    if (from.length === 0 || !to) {
+      return showToast('源标签和目标标签为必填项', 'error');
+    }
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = '保存中...';
+
+    try {
+      const result = await apiRequest('/tags', {
+        method: 'PUT',
+        body: JSON.stringify({ from, to }),
+      });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+
+      showToast(`${result.message}，影响 ${result.affectedProjects} 个项目`, 'success');
+      modal.classList.remove('active');
+      await loadTagsTable();
+      await loadProjectsTable();
+    } catch (error) {
+      showToast('保存失败: ' + error.message, 'error');
+    } finally {
+      saveBtn.disabled = false;
+      saveBtn.textContent = '保存';
+    }
+  });
+}
+
+/**
+ * 打开标签模态框
+ * @param {string} sourceName - 预填的源标签（重命名时）
+ */
+function openTagModal(sourceName = '') {
+  document.getElementById('tagSourceNames').value = sourceName;
+  document.getElementById('tagTargetName').value = sourceName;
+  document.getElementById('tagModalTitle').textContent = sourceName ? '重命名标签' : '合并标签';
+  document.getElementById('tagModal').classList.add('active');
+}
+
+/**
+ * 处理标签表格操作
+ */
+async function handleTagAction(e) {
+  const action = e.target.closest('[data-action]').dataset.action;
+  const tagName = e.target.closest('tr').dataset.name;
+
+  if (action === 'renameTag') {
+    openTagModal(tagName);
+  } else if (action === 'deleteTag') {
+    const confirmed = await showConfirm({
+      title: '删除标签',
+      message: `确定要从所有项目中移除标签「${tagName}」吗？此操作不可撤销。`,
+      icon: '🗑️',
+      confirmText: '删除',
+      cancelText: '取消'
+    });
+
+    if (confirmed) {
+      try {
+        const result = await apiRequest(`/tags?name=${encodeURIComponent(tagName)}`, {
+          method: 'DELETE',
+        });
+        if (!result.success) {
+          throw new Error(result.error || '未知错误');
+        }
+        showToast(`标签已删除，影响 ${result.affectedProjects} 个项目`, 'success');
+        await loadTagsTable();
+        await loadProjectsTable();
+      } catch (error) {
+        showToast('删除失败: ' + error.message, 'error');
+      }
+    }
+  }
+}
+
+// ===== 用户管理 =====
+
+/**
+ * 从 API 获取账号列表
+ */
+async function fetchUsersFromApi() {
+  const result = await apiRequest('/users');
+  if (!result.users) {
+    throw new Error(result.error || '获取账号失败');
+  }
+  return result.users;
+}
+
+/**
+ * 加载用户表格
+ */
+async function loadUsersTable() {
+  const tbody = document.getElementById('usersTable');
+
+  let users;
+  try {
+    users = await fetchUsersFromApi();
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = users.map(u => {
+    const isSelf = u.username === currentUser?.username;
+    const status = u.disabled
+      ? '<span style="color: var(--accent-pink);">已停用</span>'
+      : u.invitePending
+        ? (u.inviteExpiresAt > Date.now() ? '待接受邀请' : '<span style="color: var(--text-muted);">邀请已过期</span>')
+        : '正常';
+    const roleOptions = ROLES.map(role => `
+      <option value="${role}" ${role === u.role ? 'selected' : ''}>${role}</option>
+    `).join('');
+
+    return `
+      <tr data-id="${u.id}">
+        <td><strong>${escapeHtml(u.username)}</strong>${isSelf ? ' <small>(我)</small>' : ''}</td>
+        <td>
+          ${isSelf
+            ? `<span class="role-badge ${u.role}">${u.role}</span>`
+            : `<select class="form-input" data-action="changeRole" style="padding: 4px 8px; width: auto;">${roleOptions}</select>`}
+        </td>
+        <td>${status}</td>
+        <td>${escapeHtml(u.invitedBy || '-')}</td>
+        <td>${u.createdAt ? new Date(u.createdAt).toLocaleDateString() : '-'}</td>
+        <td>
+          <div class="table-actions">
+            ${u.invitePending && !u.disabled ? '<button class="action-btn edit" title="重新生成邀请链接" data-action="resendInvite">✉️</button>' : ''}
+            ${isSelf ? '' : u.disabled
+              ? '<button class="action-btn edit" title="启用" data-action="enableUser">✅</button>'
+              : '<button class="action-btn delete" title="停用" data-action="disableUser">🚫</button>'}
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  // 绑定用户行操作事件
+  tbody.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', handleUserAction);
+  });
+  tbody.querySelectorAll('select[data-action]').forEach(select => {
+    select.addEventListener('change', handleUserAction);
+  });
+}
+
+/**
+ * 更新账号
+ * @param {object} payload - { id, role?, disabled?, resendInvite? }
+ */
+async function updateUserToApi(payload) {
+  const result = await apiRequest('/users', {
+    method: 'PUT',
+    body: JSON.stringify(payload),
+  });
+  if (!result.success) {
+    throw new Error(result.error || '未知错误');
+  }
+  return result;
+}
+
+/**
+ * 在邀请模态框中显示邀请链接
+ * @param {string} username
+ * @param {{inviteToken: string, inviteExpiresAt: number}} invite
+ */
+function showInviteLink(username, invite) {
+  const link = `${location.origin}/admin.html#invite=${encodeURIComponent(invite.inviteToken)}`;
+
+  document.getElementById('userModalTitle').textContent = `邀请 ${username}`;
+  document.getElementById('userForm').style.display = 'none';
+  document.getElementById('userModalSave').style.display = 'none';
+  document.getElementById('userInviteResult').style.display = 'block';
+  document.getElementById('userInviteCopy').style.display = '';
+  document.getElementById('userInviteLink').value = link;
+  document.getElementById('userInviteExpires').textContent =
+    `有效期至 ${new Date(invite.inviteExpiresAt).toLocaleString()}，对方打开链接后设置密码即可登录`;
+  document.getElementById('userModal').classList.add('active');
+}
+
+/**
+ * 打开邀请用户模态框
+ */
+function openUserModal() {
+  document.getElementById('userModalTitle').textContent = '邀请用户';
+  document.getElementById('userForm').style.display = '';
+  document.getElementById('userForm').reset();
+  document.getElementById('userModalSave').style.display = '';
+  document.getElementById('userInviteResult').style.display = 'none';
+  document.getElementById('userInviteCopy').style.display = 'none';
+  document.getElementById('userModal').classList.add('active');
+}
+
+/**
+ * 绑定用户管理事件
+ */
+function bindUserEvents() {
+  const modal = document.getElementById('userModal');
+  const saveBtn = document.getElementById('userModalSave');
+
+  // 打开邀请模态框
+  document.getElementById('inviteUserBtn').addEventListener('click', openUserModal);
+
+  // 关闭模态框
+  document.getElementById('userModalClose').addEventListener('click', () => modal.classList.remove('active'));
+  document.getElementById('userModalCancel').addEventListener('click', () => modal.classList.remove('active'));
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.remove('active');
+  });
+
+  // 复制邀请链接
+  document.getElementById('userInviteCopy').addEventListener('click', async () => {
+    const input = document.getElementById('userInviteLink');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showToast('邀请链接已复制', 'success');
+    } catch (error) {
+      input.select();
+      showToast('复制失败，请手动复制', 'error');
+    }
+  });
+
+  // 创建邀请
+  saveBtn.addEventListener('click', async () => {
+    const username = document.getElementById('userUsername').value.trim();
+    const role = document.getElementById('userRole').value;
+
+    if (!username) {
+      return showToast('用户名为必填项', 'error');
+    }
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = '创建中...';
+
+    try {
+      const result = await apiRequest('/users', {
+        method: 'POST',
+        body: JSON.stringify({ username, role }),
+      });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+
+      showInviteLink(username, result);
+      await loadUsersTable();
+    } catch (error) {
+      showToast('邀请失败: ' + error.message, 'error');
+    } finally {
+      saveBtn.disabled = false;
+      saveBtn.textContent = '创建邀请';
+    }
+  });
+}
+
+/**
+ * 处理用户表格操作
+ */
+async function handleUserAction(e) {
+  const target = e.target.closest('[data-action]');
+  const action = target.dataset.action;
+  const row = target.closest('tr');
+  const id = Number(row.dataset.id);
+  const username = row.querySelector('strong').textContent;
+
+  try {
+    if (action === 'changeRole') {
+      await updateUserToApi({ id, role: target.value });
+      showToast(`已将 ${username} 的角色改为 ${target.value}`, 'success');
+    } else if (action === 'disableUser') {
+      const confirmed = await showConfirm({
+        title: '停用账号',
+        message: `确定要停用账号「${username}」吗？该账号将立即退出登录且无法再登录。`,
+        icon: '🚫',
+        confirmText: '停用',
+        cancelText: '取消'
+      });
+      if (!confirmed) return;
+
+      await updateUserToApi({ id, disabled: true });
+      showToast(`账号 ${username} 已停用`, 'success');
+    } else if (action === 'enableUser') {
+      await updateUserToApi({ id, disabled: false });
+      showToast(`账号 ${username} 已启用`, 'success');
+    } else if (action === 'resendInvite') {
+      const result = await updateUserToApi({ id, resendInvite: true });
+      showInviteLink(username, result);
+    }
+  } catch (error) {
+    showToast('操作失败: ' + error.message, 'error');
+  }
+
+  await loadUsersTable();
+}
+
+// ===== 回收站 =====
+
+// 回收站对象类型的显示名称
+const TRASH_TYPE_LABELS = {
+  project: '项目',
+  category: '分类',
+};
+
+/**
+ * 生成回收站行操作按钮 HTML（彻底删除仅 owner 可见）
+ * @returns {string}
+ */
+function renderTrashActions() {
+  return `
+    <div class="table-actions">
+      <button class="action-btn edit" title="恢复" data-action="restore">↩️</button>
+      <button class="action-btn delete" title="彻底删除" data-action="purge" data-min-role="owner">❌</button>
+    </div>
+  `;
+}
+
+/**
+ * 格式化自动清理时间，未开启自动清理时显示「不清理」
+ * @param {string|null} purgeAt
+ * @returns {string}
+ */
+function formatPurgeAt(purgeAt) {
+  return purgeAt ? new Date(purgeAt).toLocaleDateString() : '不清理';
+}
+
+/**
+ * 加载回收站表格
+ */
+async function loadTrashTable() {
+  const projectsBody = document.getElementById('trashProjectsTable');
+  const categoriesBody = document.getElementById('trashCategoriesTable');
+  const emptyRow = (colspan, message) =>
+    `<tr><td colspan="${colspan}" style="text-align: center; color: var(--text-muted);">${escapeHtml(message)}</td></tr>`;
+
+  let result;
+  try {
+    result = await apiRequest('/trash');
+    if (!result.projects) {
+      throw new Error(result.error || '获取回收站失败');
+    }
+  } catch (error) {
+    projectsBody.innerHTML = emptyRow(5, error.message);
+    categoriesBody.innerHTML = emptyRow(6, error.message);
+    return;
+  }
+
+  document.getElementById('trashRetentionInfo').textContent = result.retentionDays > 0
+    ? `删除的项目和分类保留 ${result.retentionDays} 天，到期后自动彻底删除`
+    : '删除的项目和分类会一直保留，直到手动彻底删除';
+
+  projectsBody.innerHTML = result.projects.length === 0
+    ? emptyRow(5, '回收站中没有项目')
+    : result.projects.map(p => `
+      <tr data-type="project" data-id="${escapeHtml(p.id)}">
+        <td><strong>${escapeHtml(p.name)}</strong></td>
+        <td>${escapeHtml(p.owner)}</td>
+        <td style="white-space: nowrap;">${new Date(p.deleted_at).toLocaleString()}</td>
+        <td>${formatPurgeAt(p.purge_at)}</td>
+        <td>${renderTrashActions()}</td>
+      </tr>
+    `).join('');
+
+  categoriesBody.innerHTML = result.categories.length === 0
+    ? emptyRow(6, '回收站中没有分类')
+    : result.categories.map(c => `
+      <tr data-type="category" data-id="${escapeHtml(c.id)}">
+        <td><strong>${escapeHtml(c.name)}</strong></td>
+        <td><code>${escapeHtml(c.slug || c.id)}</code></td>
+        <td>${c.project_count ?? 0}</td>
+        <td style="white-space: nowrap;">${new Date(c.deleted_at).toLocaleString()}</td>
+        <td>${formatPurgeAt(c.purge_at)}</td>
+        <td>${renderTrashActions()}</td>
+      </tr>
+    `).join('');
+
+  // 绑定回收站行操作事件
+  [projectsBody, categoriesBody].forEach(tbody => {
+    tbody.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', handleTrashAction);
+    });
+  });
+}
+
+/**
+ * 处理回收站表格操作
+ */
+async function handleTrashAction(e) {
+  const action = e.target.closest('[data-action]').dataset.action;
+  const row = e.target.closest('tr');
+  const { type, id } = row.dataset;
+  const name = row.querySelector('strong').textContent;
+  const label = TRASH_TYPE_LABELS[type];
+
+  try {
+    if (action === 'restore') {
+      const result = await apiRequest('/trash', {
+        method: 'POST',
+        body: JSON.stringify({ type, id }),
+      });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+      showToast(`${label}「${name}」已恢复`, 'success');
+
+      await loadProjectsTable();
+      await loadCategoriesTable();
+      await loadCategoryOptions();
+      await loadTagsTable();
+      await loadDashboardStats();
+    } else if (action === 'purge') {
+      const confirmed = await showConfirm({
+        title: '彻底删除',
+        message: `确定要彻底删除${label}「${name}」吗？此操作不可撤销。`,
+        icon: '❌',
+        confirmText: '彻底删除',
+        cancelText: '取消'
+      });
+      if (!confirmed) return;
+
+      const result = await apiRequest(`/trash?type=${type}&id=${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+      showToast(`${label}「${name}」已彻底删除`, 'success');
+    }
+  } catch (error) {
+    showToast('操作失败: ' + error.message, 'error');
+  }
+
+  await loadTrashTable();
+}
+
+/**
+ * 绑定回收站事件
+ */
+function bindTrashEvents() {
+  document.getElementById('trashRefreshBtn').addEventListener('click', loadTrashTable);
+}
+
+// ===== Webhook =====
+
+// Webhook 页面状态（可订阅的事件来自 /api/webhooks）
+const webhookState = {
+  events: [],
+  page: 1,
+  totalPages: 1,
+};
+
+// 推送状态的显示名称
+const WEBHOOK_STATUS_LABELS = {
+  pending: '待重试',
+  success: '成功',
+  failed: '失败',
+};
+
+/**
+ * 生成推送状态 HTML
+ * @param {string|null} status
+ * @returns {string}
+ */
+function renderWebhookStatus(status) {
+  if (!status) return '-';
+  return `<span class="webhook-status ${status}">${WEBHOOK_STATUS_LABELS[status] || escapeHtml(status)}</span>`;
+}
+
+/**
+ * 加载 Webhook 页面（Webhook 列表和推送记录）
+ */
+async function loadWebhooksPage() {
+  await loadWebhooksTable();
+  await loadDeliveriesTable();
+}
+
+/**
+ * 加载 Webhook 表格，并更新推送记录的 Webhook 筛选项
+ */
+async function loadWebhooksTable() {
+  const tbody = document.getElementById('webhooksTable');
+
+  let result;
+  try {
+    result = await apiRequest('/webhooks');
+    if (!result.webhooks) {
+      throw new Error(result.error || '获取 Webhook 失败');
+    }
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  webhookState.events = result.events;
+  const eventLabels = Object.fromEntries(result.events.map(event => [event.id, event.label]));
+
+  // 更新 Webhook 筛选项，保留当前选择
+  const filter = document.getElementById('deliveryWebhookFilter');
+  const selected = filter.value;
+  filter.innerHTML = '<option value="all">全部 Webhook</option>' + result.webhooks.map(webhook => `
+    <option value="${webhook.id}" ${String(webhook.id) === selected ? 'selected' : ''}>${escapeHtml(webhook.name)}</option>
+  `).join('');
+
+  if (result.webhooks.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">还没有添加 Webhook</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = result.webhooks.map(webhook => `
+    <tr data-id="${webhook.id}">
+      <td><strong>${escapeHtml(webhook.name)}</strong><br><small>${escapeHtml(webhook.url)}</small></td>
+      <td>${webhook.events.map(event => escapeHtml(eventLabels[event] || event)).join('、')}</td>
+      <td>${webhook.active ? '启用' : '<span style="color: var(--text-muted);">已停用</span>'}</td>
+      <td>
+        ${renderWebhookStatus(webhook.lastDeliveryStatus)}
+        ${webhook.lastDeliveryAt ? `<br><small>${new Date(webhook.lastDeliveryAt).toLocaleString()}</small>` : ''}
+      </td>
+      <td>
+        <div class="table-actions">
+          <button class="action-btn edit" title="编辑" data-action="editWebhook">✏️</button>
+          <button class="action-btn edit" title="${webhook.active ? '停用' : '启用'}" data-action="toggleWebhook">${webhook.active ? '⏸️' : '▶️'}</button>
+          <button class="action-btn edit" title="推送记录" data-action="showDeliveries">📜</button>
+          <button class="action-btn delete" title="删除" data-action="deleteWebhook">🗑️</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('button[data-action]').forEach(btn => {
+    const webhook = result.webhooks.find(item => item.id === Number(btn.closest('tr').dataset.id));
+    btn.addEventListener('click', () => handleWebhookAction(btn.dataset.action, webhook));
+  });
+}
+
+/**
+ * 打开 Webhook 模态框
+ * @param {Object|null} webhook - 编辑的 Webhook，为 null 时添加
+ */
+function openWebhookModal(webhook = null) {
+  const subscribed = new Set(webhook?.events || []);
+
+  document.getElementById('webhookModalTitle').textContent = webhook ? `编辑 ${webhook.name}` : '添加 Webhook';
+  document.getElementById('webhookForm').style.display = '';
+  document.getElementById('webhookForm').reset();
+  document.getElementById('webhookId').value = webhook?.id || '';
+  document.getElementById('webhookName').value = webhook?.name || '';
+  document.getElementById('webhookUrl').value = webhook?.url || '';
+  document.getElementById('webhookActive').checked = webhook ? webhook.active : true;
+  document.getElementById('webhookRotateSecretOption').style.display = webhook ? '' : 'none';
+  document.getElementById('webhookEvents').innerHTML = webhookState.events.map(event => `
+    <label><input type="checkbox" value="${escapeHtml(event.id)}" ${subscribed.has(event.id) ? 'checked' : ''}> ${escapeHtml(event.label)} <code>${escapeHtml(event.id)}</code></label>
+  `).join('');
+
+  document.getElementById('webhookModalSave').style.display = '';
+  document.getElementById('webhookSecretResult').style.display = 'none';
+  document.getElementById('webhookSecretCopy').style.display = 'none';
+  document.getElementById('webhookModal').classList.add('active');
+}
+
+/**
+ * 在 Webhook 模态框中显示签名密钥
+ * @param {string} secret
+ */
+function showWebhookSecret(secret) {
+  document.getElementById('webhookForm').style.display = 'none';
+  document.getElementById('webhookModalSave').style.display = 'none';
+  document.getElementById('webhookSecretResult').style.display = 'block';
+  document.getElementById('webhookSecretCopy').style.display = '';
+  document.getElementById('webhookSecret').value = secret;
+}
+
+/**
+ * 保存 Webhook 表单，新建或重新生成密钥后显示签名密钥
+ */
+async function saveWebhookFromForm() {
+  const saveBtn = document.getElementById('webhookModalSave');
+  const id = Number(document.getElementById('webhookId').value) || null;
+  const payload = {
+    name: document.getElementById('webhookName').value,
+    url: document.getElementById('webhookUrl').value,
+    events: [...document.querySelectorAll('#webhookEvents input:checked')].map(input => input.value),
+    active: document.getElementById('webhookActive').checked,
+  };
+  if (id) {
+    payload.id = id;
+    payload.rotateSecret = document.getElementById('webhookRotateSecret').checked;
+  }
+
+  saveBtn.disabled = true;
+  try {
+    const result = await apiRequest('/webhooks', {
+      method: id ? 'PUT' : 'POST',
+      body: JSON.stringify(payload),
+    });
+    if (!result.success) {
+      throw new Error(result.fields ? Object.values(result.fields).join('；') : (result.error || '未知错误'));
+    }
+
+    showToast(result.message, 'success');
+    if (result.secret) {
+      showWebhookSecret(result.secret);
+    } else {
+      document.getElementById('webhookModal').classList.remove('active');
+    }
+    await loadWebhooksTable();
+  } catch (error) {
+    showToast('保存失败: ' + error.message, 'error');
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+/**
+ * 处理 Webhook 表格操作
+ * @param {string} action
+ * @param {Object} webhook
+ */
+async function handleWebhookAction(action, webhook) {
+  if (action === 'editWebhook') {
+    openWebhookModal(webhook);
+    return;
+  }
+
+  if (action === 'showDeliveries') {
+    document.getElementById('deliveryWebhookFilter').value = String(webhook.id);
+    webhookState.page = 1;
+    await loadDeliveriesTable();
+    return;
+  }
+
+  try {
+    if (action === 'toggleWebhook') {
+      const result = await apiRequest('/webhooks', {
+        method: 'PUT',
+        body: JSON.stringify({ id: webhook.id, active: !webhook.active }),
+      });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+      showToast(`Webhook ${webhook.name} 已${webhook.active ? '停用' : '启用'}`, 'success');
+    } else if (action === 'deleteWebhook') {
+      const confirmed = await showConfirm({
+        title: '删除 Webhook',
+        message: `确定要删除「${webhook.name}」吗？其推送记录将一并删除，且不可恢复。`,
+        icon: '🗑️',
+        confirmText: '删除',
+        cancelText: '取消'
+      });
+      if (!confirmed) return;
+
+      const result = await apiRequest(`/webhooks?id=${webhook.id}`, { method: 'DELETE' });
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
+      }
+      showToast(result.message, 'success');
+    }
+  } catch (error) {
+    showToast('操作失败: ' + error.message, 'error');
+  }
+
+  await loadWebhooksPage();
+}
+
+/**
+ * 加载推送记录表格
+ */
+async function loadDeliveriesTable() {
+  const tbody = document.getElementById('deliveriesTable');
+  const params = new URLSearchParams({ page: webhookState.page, limit: 50 });
+
+  const webhookId = document.getElementById('deliveryWebhookFilter').value;
+  const status = document.getElementById('deliveryStatusFilter').value;
+  if (webhookId !== 'all') params.set('webhookId', webhookId);
+  if (status !== 'all') params.set('status', status);
+
+  let result;
+  try {
+    result = await apiRequest(`/webhooks/deliveries?${params}`);
+    if (!result.deliveries) {
+      throw new Error(result.error || '获取推送记录失败');
+    }
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="6" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  webhookState.totalPages = result.totalPages;
+  document.getElementById('deliveriesPageInfo').textContent =
+    `第 ${result.page} / ${result.totalPages} 页 · 共 ${result.total} 条`;
+  document.getElementById('deliveriesPrevBtn').disabled = result.page <= 1;
+  document.getElementById('deliveriesNextBtn').disabled = result.page >= result.totalPages;
+
+  if (result.deliveries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--text-muted);">暂无推送记录</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = result.deliveries.map(delivery => `
+    <tr data-id="${delivery.id}">
+      <td style="white-space: nowrap;">
+        ${new Date(delivery.createdAt).toLocaleString()}
+        ${delivery.replayOf ? `<br><small>重放自 #${delivery.replayOf}</small>` : ''}
+      </td>
+      <td>${escapeHtml(delivery.webhookName)}</td>
+      <td><code>${escapeHtml(delivery.event)}</code></td>
+      <td>
+        ${renderWebhookStatus(delivery.status)}
+        <br><small>已尝试 ${delivery.attempts} 次${delivery.nextAttemptAt ? `，下次 ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ''}</small>
+      </td>
+      <td>
+        ${delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : escapeHtml(delivery.error || '-')}
+        <details class="webhook-payload">
+          <summary>详情</summary>
+          <pre>${escapeHtml(JSON.stringify(delivery.payload, null, 2))}</pre>
+          ${delivery.responseBody ? `<pre>${escapeHtml(delivery.responseBody)}</pre>` : ''}
+        </details>
+      </td>
+      <td>
+        <div class="table-actions">
+          <button class="action-btn edit" title="重放" data-action="replayDelivery">🔁</button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('button[data-action="replayDelivery"]').forEach(btn => {
+    btn.addEventListener('click', () => replayDelivery(Number(btn.closest('tr').dataset.id)));
+  });
+}
+
+/**
+ * 重放推送记录
+ * @param {number} id
+ */
+async function replayDelivery(id) {
+  try {
+    const result = await apiRequest('/webhooks/deliveries', {
+      method: 'POST',
+      body: JSON.stringify({ id }),
+    });
+    if (!result.success) {
+      throw new Error(result.error || '未知错误');
+    }
+    showToast(result.message, result.delivery.status === 'success' ? 'success' : 'error');
+  } catch (error) {
+    showToast('重放失败: ' + error.message, 'error');
+  }
+
+  webhookState.page = 1;
+  await loadWebhooksPage();
+}
+
+/**
+ * 绑定 Webhook 事件
+ */
+function bindWebhookEvents() {
+  const modal = document.getElementById('webhookModal');
+  const closeModal = () => modal.classList.remove('active');
+
+  document.getElementById('addWebhookBtn').addEventListener('click', () => openWebhookModal());
+  document.getElementById('webhookModalSave').addEventListener('click', saveWebhookFromForm);
+  document.getElementById('webhookModalClose').addEventListener('click', closeModal);
+  document.getElementById('webhookModalCancel').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  // 复制签名密钥
+  document.getElementById('webhookSecretCopy').addEventListener('click', async () => {
+    const input = document.getElementById('webhookSecret');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showToast('签名密钥已复制', 'success');
+    } catch {
+      input.select();
+      showToast('复制失败，请手动复制', 'error');
+    }
+  });
+
+  // 推送记录筛选与分页
+  const reload = () => {
+    webhookState.page = 1;
+    loadDeliveriesTable();
+  };
+  document.getElementById('deliveryWebhookFilter').addEventListener('change', reload);
+  document.getElementById('deliveryStatusFilter').addEventListener('change', reload);
+  document.getElementById('deliveriesRefreshBtn').addEventListener('click', loadWebhooksPage);
+
+  document.getElementById('deliveriesPrevBtn').addEventListener('click', () => {
+    if (webhookState.page > 1) {
+      webhookState.page--;
+      loadDeliveriesTable();
+    }
+  });
+  document.getElementById('deliveriesNextBtn').addEventListener('click', () => {
+    if (webhookState.page < webhookState.totalPages) {
+      webhookState.page++;
+      loadDeliveriesTable();
+    }
+  });
+}
+
+// ===== 接口文档 =====
+
+// 接口文档状态（OpenAPI 文档只在首次进入页面时加载）
+const apiDocsState = {
+  spec: null,
+  operations: [],
+  selected: null,
+};
+
+// 接口文档中展示的 HTTP 方法
+const API_DOC_METHODS = ['get', 'post', 'put', 'delete'];
+
+/**
+ * 解析 OpenAPI 文档内的 $ref
+ * @param {Object} node
+ * @returns {Object}
+ */
+function resolveApiRef(node) {
+  if (!node?.$ref) return node;
+  return node.$ref.slice(2).split('/').reduce((current, key) => current?.[key], apiDocsState.spec) || {};
+}
+
+/**
+ * 按结构生成示例值，用于预填请求体
+ * @param {Object} schema
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function buildSchemaExample(schema, depth = 0) {
+  const resolved = resolveApiRef(schema) || {};
+  if (depth > 4) return null;
+
+  if (resolved.allOf) {
+    return Object.assign({}, ...resolved.allOf.map(part => buildSchemaExample(part, depth + 1)));
+  }
+  if (resolved.oneOf) return buildSchemaExample(resolved.oneOf[0], depth + 1);
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.enum) return resolved.enum[0];
+
+  switch (resolved.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(resolved.properties || {})
+        .filter(([name]) => (resolved.required || []).includes(name))
+        .map(([name, property]) => [name, buildSchemaExample(property, depth + 1)]));
+    case 'array':
+      return [];
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return '';
+  }
+}
+
+/**
+ * 加载 OpenAPI 文档并渲染接口列表
+ */
+async function loadApiDocs() {
+  if (apiDocsState.spec) return;
+
+  const list = document.getElementById('apiOperationList');
+
+  try {
+    const response = await fetch(`${API_BASE}/openapi.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    apiDocsState.spec = await response.json();
+  } catch (error) {
+    list.innerHTML = `<li class="revision-empty">获取接口文档失败: ${escapeHtml(error.message)}</li>`;
+    return;
+  }
+
+  const { spec } = apiDocsState;
+  apiDocsState.operations = Object.entries(spec.paths).flatMap(([path, item]) =>
+    API_DOC_METHODS.filter(method => item[method]).map(method => ({ path, method, ...item[method] }))
+  );
+
+  document.getElementById('apiDocsIntro').textContent = spec.info.description || '';
+
+  // 按文档中的分组顺序排列
+  const groups = spec.tags.map(tag => tag.name);
+  list.innerHTML = groups.map(group => {
+    const items = apiDocsState.operations
+      .map((operation, index) => ({ operation, index }))
+      .filter(({ operation }) => operation.tags[0] === group);
+    if (items.length === 0) return '';
+
+    return `
+      <li class="api-operation-group">${escapeHtml(group)}</li>
+      ${items.map(({ operation, index }) => `
+        <li class="api-operation-item" data-index="${index}" title="${escapeHtml(operation.summary)}">
+          <span class="api-method api-method-${operation.method}">${operation.method.toUpperCase()}</span>
+          <span>${escapeHtml(operation.path.replace(/^\/api/, ''))}</span>
+        </li>
+      `).join('')}
+    `;
+  }).join('');
+
+  list.querySelectorAll('.api-operation-item').forEach(item => {
+    item.addEventListener('click', () => selectApiOperation(Number(item.dataset.index)));
+  });
+}
+
+/**
+ * 显示接口说明和请求表单
+ * @param {number} index
+ */
+function selectApiOperation(index) {
+  const operation = apiDocsState.operations[index];
+  apiDocsState.selected = operation;
+
+  document.querySelectorAll('.api-operation-item').forEach(item => {
+    item.classList.toggle('active', Number(item.dataset.index) === index);
+  });
+
+  const access = operation['x-min-role']
+    ? `需要 ${operation['x-min-role']} 权限`
+    : operation.security?.length > 0 ? '需要登录' : '公开';
+  const parameters = (operation.parameters || []).filter(param => param.in !== 'header');
+  const bodySchema = operation.requestBody?.content['application/json']?.schema;
+  const statuses = Object.entries(operation.responses)
+    .map(([status, response]) => `${status} ${resolveApiRef(response).description || ''}`);
+
+  document.getElementById('apiOperationDetail').innerHTML = `
+    <h3 class="api-operation-title">
+      <span class="api-method api-method-${operation.method}">${operation.method.toUpperCase()}</span>
+      <code>${escapeHtml(operation.path)}</code>
+    </h3>
+    <p>${escapeHtml(operation.summary)}</p>
+    <p class="api-operation-meta">
+      ${escapeHtml(access)}${operation.description ? ` · ${escapeHtml(operation.description)}` : ''}
+    </p>
+    <div class="api-status-list">响应：${statuses.map(escapeHtml).join('；')}</div>
+    ${parameters.map(param => `
+      <div class="form-group">
+        <label class="form-label">
+          ${escapeHtml(param.name)}${param.required ? ' *' : ''}
+          <span style="color: var(--text-muted); font-weight: normal;">${escapeHtml(param.description || '')}</span>
+        </label>
+        <input type="text" class="form-input" data-param="${escapeHtml(param.name)}" data-in="${param.in}"
+          placeholder="${escapeHtml(param.schema?.enum ? param.schema.enum.join(' / ') : '')}">
+      </div>
+    `).join('')}
+    ${bodySchema ? `
+      <div class="form-group">
+        <label class="form-label">请求体（JSON）</label>
+        <textarea class="form-input api-body-input" id="apiRequestBody">${escapeHtml(
+          JSON.stringify(buildSchemaExample(bodySchema), null, 2)
+        )}</textarea>
+      </div>
+    ` : ''}
+    <button class="btn btn-primary" id="apiSendBtn">发送请求</button>
+    <div class="api-response-status" id="apiResponseStatus"></div>
+    <pre class="api-response-body" id="apiResponseBody" style="display: none;"></pre>
+  `;
+
+  document.getElementById('apiSendBtn').addEventListener('click', sendApiExplorerRequest);
+}
+
+/**
+ * 按表单发送当前接口的请求（携带当前登录的 Token），显示状态码和响应内容
+ */
+async function sendApiExplorerRequest() {
+  const operation = apiDocsState.selected;
+  const detail = document.getElementById('apiOperationDetail');
+  const statusEl = document.getElementById('apiResponseStatus');
+  const bodyEl = document.getElementById('apiResponseBody');
+
+  let path = operation.path;
+  const query = new URLSearchParams();
+  const missing = [];
+
+  detail.querySelectorAll('[data-param]').forEach(input => {
+    const { param, in: location } = input.dataset;
+    const value = input.value.trim();
+    const required = (operation.parameters || []).find(p => p.name === param)?.required;
+
+    if (!value) {
+      if (required) missing.push(param);
+      return;
+    }
+    if (location === 'path') {
+      path = path.replace(`{${param}}`, encodeURIComponent(value));
+    } else {
+      query.append(param, value);
+    }
+  });
+
+  if (missing.length > 0) {
+    showToast(`请填写 ${missing.join('、')}`, 'error');
+    return;
+  }
+
+  const options = { method: operation.method.toUpperCase(), headers: {} };
+  const bodyInput = document.getElementById('apiRequestBody');
+  if (bodyInput) {
+    try {
+      options.body = JSON.stringify(JSON.parse(bodyInput.value || '{}'));
+    } catch (error) {
+      showToast('请求体不是有效的 JSON: ' + error.message, 'error');
+      return;
+    }
+    options.headers['Content-Type'] = 'application/json';
+  }
+
+  const token = getAuthToken();
+  if (token && operation.security?.length > 0) {
+    options.headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const url = `${path}${query.toString() ? `?${query}` : ''}`;
+  const startedAt = performance.now();
+  statusEl.textContent = `请求中… ${options.method} ${url}`;
+  statusEl.classList.remove('is-error');
+
+  try {
+    const response = await fetch(url, options);
+    const text = await response.text();
+    let formatted = text;
+    try {
+      formatted = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // 非 JSON 响应（如订阅源）原样显示
+    }
+
+    statusEl.textContent = `${response.status} ${response.statusText} · ${Math.round(performance.now() - startedAt)} ms`;
+    statusEl.classList.toggle('is-error', !response.ok);
+    bodyEl.textContent = formatted;
+    bodyEl.style.display = 'block';
+  } catch (error) {
+    statusEl.textContent = `请求失败: ${error.message}`;
+    statusEl.classList.add('is-error');
+    bodyEl.style.display = 'none';
+  }
+}
+
+// ===== 活动记录 =====
+
+// 活动记录筛选与分页状态
+const activityState = {
+  page: 1,
+  totalPages: 1,
+};
+
+// 操作与对象类型的显示名称
+const ACTIVITY_ACTION_LABELS = {
+  create: '新增',
+  update: '修改',
+  delete: '删除',
+  sync: '同步',
+  refresh: 'GitHub 刷新',
+  revert: '回滚版本',
+  restore: '恢复',
+  purge: '彻底删除',
+};
+
+const ACTIVITY_ENTITY_LABELS = {
+  project: '项目',
+  category: '分类',
+  tag: '标签',
+  user: '用户',
+  lockout: '登录锁定',
+  api_key: 'API Key',
+  webhook: 'Webhook',
+};
+
+/**
+ * 格式化变更值
+ * @param {*} value
+ * @returns {string}
+ */
+function formatActivityValue(value) {
+  if (value === null || value === undefined || value === '') return '∅';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '∅';
+  return String(value);
+}
+
+/**
+ * 生成变更列表 HTML（字段: 旧值 → 新值），新增只显示新值，删除只显示旧值
+ * @param {Object|null} diff
+ * @returns {string}
+ */
+function renderActivityDiff(diff) {
+  if (!diff) return '-';
+
+  const items = Object.entries(diff).map(([field, { from, to }]) => {
+    const fromHtml = `<span class="diff-from">${escapeHtml(formatActivityValue(from))}</span>`;
+    const toHtml = `<span class="diff-to">${escapeHtml(formatActivityValue(to))}</span>`;
+    const change = from === null ? toHtml : to === null ? fromHtml : `${fromHtml} → ${toHtml}`;
+
+    return `<li><strong>${escapeHtml(field)}</strong>: ${change}</li>`;
+  });
+
+  return `<ul class="activity-diff">${items.join('')}</ul>`;
+}
+
+/**
+ * 加载活动记录表格
+ */
+async function loadActivityTable() {
+  const tbody = document.getElementById('activityTable');
+  const params = new URLSearchParams({ page: activityState.page, limit: 50 });
+
+  const entity = document.getElementById('activityEntityFilter').value;
+  const entityId = document.getElementById('activityEntityIdFilter').value.trim();
+  const actorSelect = document.getElementById('activityActorFilter');
+  const actor = actorSelect.value;
+
+  if (entity !== 'all') params.set('entity', entity);
+  if (entityId) params.set('entityId', entityId);
+  if (actor !== 'all') params.set('actor', actor);
+
+  let result;
+  try {
+    result = await apiRequest(`/audit?${params}`);
+    if (!result.entries) {
+      throw new Error(result.error || '获取活动记录失败');
+    }
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  // 更新操作者下拉选项，保留当前选择
+  actorSelect.innerHTML = '<option value="all">全部操作者</option>' + result.actors.map(name => `
+    <option value="${escapeHtml(name)}" ${name === actor ? 'selected' : ''}>${escapeHtml(name)}</option>
+  `).join('');
+
+  activityState.totalPages = result.totalPages;
+  document.getElementById('activityPageInfo').textContent =
+    `第 ${result.page} / ${result.totalPages} 页 · 共 ${result.total} 条`;
+  document.getElementById('activityPrevBtn').disabled = result.page <= 1;
+  document.getElementById('activityNextBtn').disabled = result.page >= result.totalPages;
+
+  if (result.entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">暂无活动记录</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = result.entries.map(entry => `
+    <tr>
+      <td style="white-space: nowrap;">${new Date(entry.createdAt).toLocaleString()}</td>
+      <td>${escapeHtml(entry.actor)}</td>
+      <td>${ACTIVITY_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+      <td>
+        ${ACTIVITY_ENTITY_LABELS[entry.entityType] || escapeHtml(entry.entityType)}
+        <code>${escapeHtml(entry.entityId || '')}</code>
+      </td>
+      <td>${renderActivityDiff(entry.diff)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * 绑定活动记录事件
+ */
+function bindActivityEvents() {
+  const reload = () => {
+    activityState.page = 1;
+    loadActivityTable();
+  };
+
+  document.getElementById('activityEntityFilter').addEventListener('change', reload);
+  document.getElementById('activityActorFilter').addEventListener('change', reload);
+  document.getElementById('activityEntityIdFilter').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') reload();
+  });
+  document.getElementById('activityRefreshBtn').addEventListener('click', loadActivityTable);
+
+  document.getElementById('activityPrevBtn').addEventListener('click', () => {
+    if (activityState.page > 1) {
+      activityState.page--;
+      loadActivityTable();
+    }
+  });
+  document.getElementById('activityNextBtn').addEventListener('click', () => {
+    if (activityState.page < activityState.totalPages) {
+      activityState.page++;
+      loadActivityTable();
+    }
+  });
+}
+
+// ===== 导航 =====
+
+/**
+ * 绑定导航事件
+ */
+function bindNavigationEvents() {
+  const navItems = document.querySelectorAll('.nav-item');
+  const pages = document.querySelectorAll('.page-content');
 
   navItems.forEach(item => {
     item.addEventListener('click', () => {
@@ -763,6 +2537,17 @@ function bindNavigationEvents() {
       if (targetPage) {
         targetPage.style.display = 'block';
       }
+
+      // 活动记录、回收站和 Webhook 每次进入时刷新，接口文档首次进入时加载
+      if (pageName === 'activity') {
+        loadActivityTable();
+      } else if (pageName === 'trash') {
+        loadTrashTable();
+      } else if (pageName === 'webhooks') {
+        loadWebhooksPage();
+      } else if (pageName === 'apiDocs') {
+        loadApiDocs();
+      }
     });
   });
 }
@@ -791,6 +2576,12 @@ function bindProjectEvents() {
     modal.classList.add('active');
   });
 
+  // 切换基本信息 / 历史版本
+  document.getElementById('projectModalTabs').addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-tab]');
+    if (tab) switchProjectModalTab(tab.dataset.tab);
+  });
+
   // 关闭模态框
   closeBtn.addEventListener('click', () => modal.classList.remove('active'));
   cancelBtn.addEventListener('click', () => modal.classList.remove('active'));
@@ -798,6 +2589,11 @@ function bindProjectEvents() {
     if (e.target === modal) modal.classList.remove('active');
   });
 
+  // 修改后清除该字段的错误标记
+  document.getElementById('projectForm').addEventListener('input', (e) => {
+    clearFieldError(e.target);
+  });
+
   // 获取 GitHub 信息
   fetchBtn.addEventListener('click', async () => {
     const url = document.getElementById('projectUrl').value;
@@ -858,18 +2654,24 @@ function bindProjectEvents() {
     saveBtn.textContent = '保存中...';
 
     try {
-      if (editId) {
-        await updateProjectToApi(editId, projectData);
-        showToast('项目已更新', 'success');
-      } else {
-        await addProjectToApi(projectData);
-        showToast('项目已添加', 'success');
+      const result = editId
+        ? await updateProjectToApi(editId, projectData)
+        : await addProjectToApi(projectData);
+
+      if (result.fields) {
+        const unmatched = showFieldErrors('projectForm', PROJECT_FIELD_INPUTS, result.fields);
+        throw new Error([result.error, ...unmatched].join('；'));
+      }
+      if (!result.success) {
+        throw new Error(result.error || '未知错误');
       }
+      showToast(editId ? '项目已更新' : '项目已添加', 'success');
 
       modal.classList.remove('active');
       await loadProjectsTable();
       await loadDashboardStats();
       await loadRecentProjects();
+      await loadTagsTable();
     } catch (error) {
       showToast('保存失败: ' + error.message, 'error');
     } finally {
@@ -887,12 +2689,15 @@ async function handleProjectAction(e) {
   const row = e.target.closest('tr');
   const projectId = row.dataset.id;
 
-  if (action === 'edit') {
+  if (action === 'refresh') {
+    e.target.closest('[data-action]').disabled = true;
+    await runGitHubRefresh([projectId]);
+  } else if (action === 'edit') {
     editProject(projectId);
   } else if (action === 'delete') {
     const confirmed = await showConfirm({
       title: '删除项目',
-      message: '确定要删除这个项目吗？此操作不可撤销。',
+      message: '确定要删除这个项目吗？项目将移入回收站，可在回收站中恢复。',
       icon: '🗑️',
       confirmText: '删除',
       cancelText: '取消'
@@ -900,13 +2705,42 @@ async function handleProjectAction(e) {
 
     if (confirmed) {
       await deleteProjectFromApi(projectId);
-      showToast('项目已删除', 'success');
+      showToast('项目已移入回收站', 'success');
       await loadProjectsTable();
       await loadDashboardStats();
+      await loadTagsTable();
     }
   }
 }
 
+/**
+ * 刷新 GitHub 数据并提示结果
+ * @param {string[]|null} ids
+ */
+async function runGitHubRefresh(ids = null) {
+  const result = await refreshProjectsFromGitHub(ids);
+
+  if (!result.success) {
+    showToast(result.error || '刷新 GitHub 数据失败', 'error');
+    return;
+  }
+
+  const parts = [`更新 ${result.updated.length} 个`, `未变化 ${result.unchanged.length} 个`];
+  if (result.failed.length > 0) parts.push(`失败 ${result.failed.length} 个`);
+  if (result.skipped.length > 0) parts.push(`跳过 ${result.skipped.length} 个`);
+  let message = `GitHub 数据已刷新：${parts.join('，')}`;
+
+  // 被限流时提示额度恢复时间
+  if (result.skipped.length > 0 && result.rateLimit?.resetAt && result.rateLimit.remaining < result.skipped.length) {
+    message += `（API 额度将于 ${new Date(result.rateLimit.resetAt).toLocaleTimeString('zh-CN')} 恢复）`;
+  }
+  result.failed.forEach(({ id, error }) => console.warn(`[Admin] 刷新 ${id} 失败: ${error}`));
+
+  showToast(message, result.failed.length > 0 ? 'warning' : 'success');
+  await loadProjectsTable();
+  await loadDashboardStats();
+}
+
 /**
  * 编辑项目
  */
@@ -916,7 +2750,21 @@ async function editProject(projectId) {
   if (!project) return;
   await loadCategoryOptions();
 
+  clearFieldErrors('projectForm');
   document.getElementById('editProjectId').value = projectId;
+  fillProjectForm(project);
+  document.getElementById('projectModalTabs').style.display = '';
+  switchProjectModalTab('form');
+
+  document.getElementById('modalTitle').textContent = '编辑项目';
+  document.getElementById('projectModal').classList.add('active');
+}
+
+/**
+ * 将项目数据填入表单
+ * @param {Object} project
+ */
+function fillProjectForm(project) {
   document.getElementById('projectUrl').value = project.github_url || '';
   document.getElementById('projectName').value = project.name;
   document.getElementById('projectOwner').value = project.owner;
@@ -925,15 +2773,13 @@ async function editProject(projectId) {
   document.getElementById('projectStars').value = project.stars || 0;
   setProjectCategorySelection(getProjectCategoryIds(project));
   document.getElementById('projectTags').value = (project.tags || []).join(', ');
-
-  document.getElementById('modalTitle').textContent = '编辑项目';
-  document.getElementById('projectModal').classList.add('active');
 }
 
 /**
  * 重置项目表单
  */
 function resetProjectForm() {
+  clearFieldErrors('projectForm');
   document.getElementById('editProjectId').value = '';
   document.getElementById('projectUrl').value = '';
   document.getElementById('projectName').value = '';
@@ -943,6 +2789,213 @@ function resetProjectForm() {
   document.getElementById('projectStars').value = '';
   setProjectCategorySelection([]);
   document.getElementById('projectTags').value = '';
+
+  // 新增项目没有历史版本
+  document.getElementById('projectModalTabs').style.display = 'none';
+  switchProjectModalTab('form');
+}
+
+// ===== 项目版本历史 =====
+
+// 当前编辑项目的版本列表和对比状态
+const projectRevisionState = {
+  revisions: [],
+  selectedId: null,
+  baseId: null,
+};
+
+// 版本字段的显示名称
+const REVISION_FIELD_LABELS = {
+  name: '项目名称',
+  owner: '所有者',
+  description: '描述',
+  github_url: 'GitHub URL',
+  language: '语言',
+  categories: '分类',
+  tags: '标签',
+};
+
+/**
+ * 切换项目模态框的标签页
+ * @param {string} tab - form / revisions
+ */
+function switchProjectModalTab(tab) {
+  const showRevisions = tab === 'revisions';
+
+  document.querySelectorAll('#projectModalTabs .modal-tab').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tab === tab);
+  });
+  document.getElementById('projectForm').style.display = showRevisions ? 'none' : '';
+  document.getElementById('projectRevisionPanel').style.display = showRevisions ? '' : 'none';
+  document.getElementById('modalSave').style.display = showRevisions ? 'none' : '';
+  document.querySelector('#projectModal .modal').classList.toggle('revisions-open', showRevisions);
+
+  if (showRevisions) {
+    loadProjectRevisions();
+  }
+}
+
+/**
+ * 加载当前编辑项目的版本列表，默认选中最新版本并与上一版本对比
+ */
+async function loadProjectRevisions() {
+  const projectId = document.getElementById('editProjectId').value;
+  const list = document.getElementById('projectRevisionList');
+  const compare = document.getElementById('projectRevisionCompare');
+  list.innerHTML = '<li class="revision-empty">加载中...</li>';
+  compare.innerHTML = '';
+
+  try {
+    const result = await apiRequest(`/projects/${encodeURIComponent(projectId)}/revisions`);
+    if (!result.revisions) {
+      throw new Error(result.error || '获取版本历史失败');
+    }
+    projectRevisionState.revisions = result.revisions;
+  } catch (error) {
+    list.innerHTML = `<li class="revision-empty">${escapeHtml(error.message)}</li>`;
+    return;
+  }
+
+  const [latest, previous] = projectRevisionState.revisions;
+  projectRevisionState.selectedId = latest?.id ?? null;
+  projectRevisionState.baseId = previous?.id ?? null;
+  renderProjectRevisions();
+}
+
+/**
+ * 格式化版本字段值，分类显示为名称
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatRevisionValue(field, value) {
+  if (field === 'categories' && Array.isArray(value)) {
+    const categoryMap = new Map(getCategories().map(c => [c.id, c.name]));
+    return formatActivityValue(value.map(id => categoryMap.get(id) || id));
+  }
+  return formatActivityValue(value);
+}
+
+/**
+ * 渲染版本列表和左右对比
+ */
+function renderProjectRevisions() {
+  const { revisions, selectedId, baseId } = projectRevisionState;
+  const list = document.getElementById('projectRevisionList');
+  const compare = document.getElementById('projectRevisionCompare');
+
+  if (revisions.length === 0) {
+    list.innerHTML = '<li class="revision-empty">暂无历史版本</li>';
+    compare.innerHTML = '';
+    return;
+  }
+
+  const revisionLabel = revision => `${new Date(revision.createdAt).toLocaleString()} · ${revision.actor || '初始版本'}`;
+
+  list.innerHTML = revisions.map((revision, index) => `
+    <li class="revision-item ${revision.id === selectedId ? 'active' : ''}" data-id="${revision.id}">
+      <span>${escapeHtml(revisionLabel(revision))}</span>
+      ${index === 0 ? '<span class="revision-current">当前</span>' : ''}
+    </li>
+  `).join('');
+
+  const selected = revisions.find(revision => revision.id === selectedId);
+  const base = revisions.find(revision => revision.id === baseId);
+  const baseOptions = revisions
+    .filter(revision => revision.id !== selectedId)
+    .map(revision => `
+      <option value="${revision.id}" ${revision.id === baseId ? 'selected' : ''}>${escapeHtml(revisionLabel(revision))}</option>
+    `).join('');
+
+  const rows = Object.entries(REVISION_FIELD_LABELS).map(([field, label]) => {
+    const before = base ? base.snapshot[field] : undefined;
+    const after = selected.snapshot[field];
+    const changed = !!base && JSON.stringify(before ?? null) !== JSON.stringify(after ?? null);
+
+    return `
+      <tr class="${changed ? 'revision-changed' : ''}">
+        <th>${label}</th>
+        <td>${base ? escapeHtml(formatRevisionValue(field, before)) : '-'}</td>
+        <td>${escapeHtml(formatRevisionValue(field, after))}</td>
+      </tr>
+    `;
+  }).join('');
+
+  compare.innerHTML = `
+    <div class="revision-compare-header">
+      <select class="form-input" id="revisionBaseSelect">
+        <option value="" ${base ? '' : 'selected'}>不对比</option>
+        ${baseOptions}
+      </select>
+      <button class="btn btn-outline" id="revisionRestoreBtn" data-min-role="editor"
+              ${selected.id === revisions[0].id ? 'disabled title="已是当前版本"' : ''}>↩️ 恢复此版本</button>
+    </div>
+    <table class="data-table revision-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>${base ? escapeHtml(revisionLabel(base)) : '对比版本'}</th>
+          <th>${escapeHtml(revisionLabel(selected))}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  // 选择版本时默认与它的上一版本对比
+  list.querySelectorAll('.revision-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const index = revisions.findIndex(revision => revision.id === Number(item.dataset.id));
+      projectRevisionState.selectedId = revisions[index].id;
+      projectRevisionState.baseId = revisions[index + 1]?.id ?? null;
+      renderProjectRevisions();
+    });
+  });
+
+  document.getElementById('revisionBaseSelect').addEventListener('change', (e) => {
+    projectRevisionState.baseId = e.target.value ? Number(e.target.value) : null;
+    renderProjectRevisions();
+  });
+
+  document.getElementById('revisionRestoreBtn').addEventListener('click', () => restoreProjectRevision(selected));
+}
+
+/**
+ * 回滚到指定版本
+ * @param {Object} revision
+ */
+async function restoreProjectRevision(revision) {
+  const confirmed = await showConfirm({
+    title: '恢复历史版本',
+    message: `确定要将项目恢复到 ${new Date(revision.createdAt).toLocaleString()} 的版本吗？星标数保持不变，当前内容会保存为新版本。`,
+    icon: '↩️',
+    confirmText: '恢复',
+    cancelText: '取消'
+  });
+  if (!confirmed) return;
+
+  const projectId = document.getElementById('editProjectId').value;
+
+  try {
+    const result = await apiRequest(`/projects/${encodeURIComponent(projectId)}/revisions`, {
+      method: 'POST',
+      body: JSON.stringify({ revisionId: revision.id }),
+    });
+    if (!result.success) {
+      throw new Error(result.error || '未知错误');
+    }
+    showToast(result.message, 'success');
+
+    if (result.project) {
+      fillProjectForm(normalizeProjectForClient(result.project));
+    }
+    await loadProjectRevisions();
+    await loadProjectsTable();
+    await loadRecentProjects();
+    await loadTagsTable();
+  } catch (error) {
+    showToast('恢复失败: ' + error.message, 'error');
+  }
 }
 
 /**
@@ -1159,6 +3212,9 @@ function bindImportEvents() {
  * 绑定设置事件
  */
 function bindSettingsEvents() {
+  // 修改密码
+  document.getElementById('changePasswordBtn').addEventListener('click', handleChangePassword);
+
   // 导出数据
   document.getElementById('exportDataBtn').addEventListener('click', () => {
     const data = exportAllData();
@@ -1197,9 +3253,9 @@ function bindSettingsEvents() {
         if (confirmed) {
           importData(data);
 
-          // 同步到 D1
+          // 同步到 D1（覆盖云端数据）
           showToast('正在同步到云端...', 'info');
-          const syncResult = await syncDataToD1();
+          const syncResult = await syncDataToD1({ mode: 'mirror' });
 
           await loadProjectsTable();
           await loadCategoriesTable();
@@ -1233,8 +3289,8 @@ function bindSettingsEvents() {
       setProjects(defaultData.projects);
       setCategories(defaultData.categories);
 
-      // 同步到 D1
-      await syncDataToD1();
+      // 同步到 D1（覆盖云端数据）
+      await syncDataToD1({ mode: 'mirror' });
 
       await loadProjectsTable();
       await loadCategoriesTable();
@@ -1251,26 +3307,394 @@ function bindSettingsEvents() {
   syncBtn.id = 'syncToCloudBtn';
   syncBtn.textContent = '☁️ 同步到云端';
   syncBtn.style.marginLeft = 'var(--spacing-md)';
-  syncBtn.addEventListener('click', async () => {
-    syncBtn.disabled = true;
-    syncBtn.textContent = '同步中...';
+  syncBtn.dataset.minRole = 'owner';
+  syncBtn.addEventListener('click', openSyncPreview);
+  bindSyncModalEvents();
+
+  // 添加到数据管理区域
+  const dataManagementDiv = settingsPage.querySelector('div[style*="display: flex"]');
+  if (dataManagementDiv && !document.getElementById('syncToCloudBtn')) {
+    dataManagementDiv.appendChild(syncBtn);
+  }
+
+  // 数据库迁移
+  const migrateBtn = document.getElementById('runMigrationsBtn');
+  migrateBtn.addEventListener('click', async () => {
+    migrateBtn.disabled = true;
+    migrateBtn.textContent = '迁移中...';
+
+    try {
+      const result = await apiRequest('/admin/migrate', { method: 'POST' });
+      if (result.success) {
+        showToast(result.message, 'success');
+      } else {
+        showToast('迁移失败: ' + (result.details || result.error || '未知错误'), 'error');
+      }
+    } catch (error) {
+      showToast('迁移失败: ' + error.message, 'error');
+    } finally {
+      migrateBtn.textContent = '🛠️ 执行迁移';
+      await loadSchemaStatus();
+    }
+  });
+
+  loadSchemaStatus();
+
+  // 登录锁定
+  document.getElementById('refreshLockoutsBtn').addEventListener('click', loadLockoutsTable);
+  document.getElementById('clearLockoutsBtn').addEventListener('click', async () => {
+    const confirmed = await showConfirm({
+      title: '清除登录锁定',
+      message: '确定要清除所有登录失败记录吗？被锁定的 IP 和用户名将立即可以重新登录。',
+      icon: '🔓',
+      confirmText: '清除',
+      cancelText: '取消'
+    });
+    if (confirmed) {
+      await clearLockout(null);
+    }
+  });
+
+  // API Key
+  document.getElementById('createApiKeyBtn').addEventListener('click', createApiKeyFromForm);
+  document.getElementById('copyApiKeyBtn').addEventListener('click', async () => {
+    const input = document.getElementById('apiKeyValue');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showToast('API Key 已复制', 'success');
+    } catch {
+      input.select();
+      showToast('复制失败，请手动复制', 'error');
+    }
+  });
+}
 
-    const result = await syncDataToD1();
+/**
+ * 加载登录锁定表格
+ */
+async function loadLockoutsTable() {
+  const tbody = document.getElementById('lockoutsTable');
+
+  try {
+    const result = await apiRequest('/admin/lockouts');
+    if (!result.attempts) {
+      throw new Error(result.error || '获取登录锁定失败');
+    }
+
+    if (result.attempts.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">24 小时内没有登录失败记录</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = result.attempts.map(attempt => `
+      <tr data-key="${escapeHtml(attempt.key)}">
+        <td>${attempt.kind === 'ip' ? 'IP' : '用户名'} <code>${escapeHtml(attempt.identifier)}</code></td>
+        <td>${attempt.failures}</td>
+        <td>${new Date(attempt.lastFailureAt).toLocaleString()}</td>
+        <td>${attempt.lockedUntil
+          ? `<span style="color: var(--accent-pink);">锁定至 ${new Date(attempt.lockedUntil).toLocaleTimeString()}</span>`
+          : '未锁定'}</td>
+        <td>
+          <div class="table-actions">
+            <button class="action-btn edit" title="清除" data-action="clearLockout">🔓</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('button[data-action="clearLockout"]').forEach(btn => {
+      btn.addEventListener('click', () => clearLockout(btn.closest('tr').dataset.key));
+    });
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+  }
+}
+
+/**
+ * 清除登录失败记录
+ * @param {string|null} key - 记录键，为 null 时清除全部
+ */
+async function clearLockout(key) {
+  try {
+    const query = key ? `?key=${encodeURIComponent(key)}` : '';
+    const result = await apiRequest(`/admin/lockouts${query}`, { method: 'DELETE' });
+    if (!result.success) {
+      throw new Error(result.error || '未知错误');
+    }
+    showToast(result.message, 'success');
+  } catch (error) {
+    showToast('清除失败: ' + error.message, 'error');
+  }
+
+  await loadLockoutsTable();
+}
+
+/**
+ * 加载 API Key 表格，首次加载时生成权限范围选项
+ */
+async function loadApiKeysTable() {
+  const tbody = document.getElementById('apiKeysTable');
+
+  try {
+    const result = await apiRequest('/api-keys');
+    if (!result.keys) {
+      throw new Error(result.error || '获取 API Key 失败');
+    }
+
+    const scopeLabels = Object.fromEntries(result.scopes.map(scope => [scope.id, scope.label]));
+    const scopesContainer = document.getElementById('apiKeyScopes');
+    if (!scopesContainer.children.length) {
+      scopesContainer.innerHTML = result.scopes.map(scope => `
+        <label><input type="checkbox" value="${escapeHtml(scope.id)}"> ${escapeHtml(scope.label)} <code>${escapeHtml(scope.id)}</code></label>
+      `).join('');
+      document.getElementById('apiKeyRateLimit').placeholder = result.defaultRateLimit;
+    }
+
+    if (result.keys.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">还没有创建 API Key</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = result.keys.map(key => `
+      <tr data-id="${key.id}" data-name="${escapeHtml(key.name)}"${key.revokedAt ? ' style="opacity: 0.5;"' : ''}>
+        <td>${escapeHtml(key.name)}<br><code>${escapeHtml(key.prefix)}…</code></td>
+        <td>${key.scopes.map(scope => escapeHtml(scopeLabels[scope] || scope)).join('、')}</td>
+        <td>${key.rateLimit}</td>
+        <td>${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : '从未使用'}</td>
+        <td>${key.revokedAt
+          ? '已撤销'
+          : `<div class="table-actions">
+              <button class="action-btn delete" title="撤销" data-action="revokeApiKey">🚫</button>
+            </div>`}</td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('button[data-action="revokeApiKey"]').forEach(btn => {
+      const row = btn.closest('tr');
+      btn.addEventListener('click', () => revokeApiKeyRow(row.dataset.id, row.dataset.name));
+    });
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center; color: var(--text-muted);">${escapeHtml(error.message)}</td></tr>`;
+  }
+}
+
+/**
+ * 按表单创建 API Key，明文 Key 只在创建后显示一次
+ */
+async function createApiKeyFromForm() {
+  const nameInput = document.getElementById('apiKeyName');
+  const rateLimitInput = document.getElementById('apiKeyRateLimit');
+  const scopes = [...document.querySelectorAll('#apiKeyScopes input:checked')].map(input => input.value);
+
+  try {
+    const result = await apiRequest('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: nameInput.value,
+        scopes,
+        rateLimit: rateLimitInput.value ? Number(rateLimitInput.value) : undefined,
+      }),
+    });
+    if (!result.success) {
+      throw new Error(result.fields ? Object.values(result.fields).join('；') : (result.error || '未知错误'));
+    }
+
+    nameInput.value = '';
+    rateLimitInput.value = '';
+    document.querySelectorAll('#apiKeyScopes input:checked').forEach(input => { input.checked = false; });
+    document.getElementById('apiKeyValue').value = result.key;
+    document.getElementById('apiKeyCreated').style.display = '';
+    showToast(result.message, 'success');
+  } catch (error) {
+    showToast('创建失败: ' + error.message, 'error');
+  }
+
+  await loadApiKeysTable();
+}
+
+/**
+ * 撤销 API Key
+ * @param {string} id
+ * @param {string} name
+ */
+async function revokeApiKeyRow(id, name) {
+  const confirmed = await showConfirm({
+    title: '撤销 API Key',
+    message: `确定要撤销「${name}」吗？使用该 Key 的外部系统将立即无法访问接口。`,
+    icon: '🚫',
+    confirmText: '撤销',
+    cancelText: '取消'
+  });
+  if (!confirmed) return;
+
+  try {
+    const result = await apiRequest(`/api-keys?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!result.success) {
+      throw new Error(result.error || '未知错误');
+    }
+    showToast(result.message, 'success');
+  } catch (error) {
+    showToast('撤销失败: ' + error.message, 'error');
+  }
+
+  await loadApiKeysTable();
+}
+
+// 同步差异中每类最多列出的条数
+const SYNC_DIFF_LIST_LIMIT = 50;
+
+/**
+ * 生成同步差异中的一组条目
+ * @param {Object[]} items
+ * @param {string} className
+ * @param {Function} render - 生成单条内容
+ * @returns {string}
+ */
+function renderSyncDiffItems(items, className, render) {
+  if (items.length === 0) return '';
+
+  const shown = items.slice(0, SYNC_DIFF_LIST_LIMIT).map(item => `<li class="${className}">${render(item)}</li>`);
+  if (items.length > SYNC_DIFF_LIST_LIMIT) {
+    shown.push(`<li class="sync-diff-more">… 另有 ${items.length - SYNC_DIFF_LIST_LIMIT} 项</li>`);
+  }
+  return shown.join('');
+}
+
+/**
+ * 生成同步差异 HTML
+ * @param {Object} diff - /api/sync dryRun 返回的 diff
+ * @returns {string}
+ */
+function renderSyncDiff(diff) {
+  const sections = [['categories', '分类'], ['projects', '项目']];
+
+  return sections.map(([type, title]) => {
+    const { added, changed, unchanged, deleted } = diff[type];
+    const items = [
+      renderSyncDiffItems(added, 'sync-diff-added', item => `+ ${escapeHtml(item.label)}`),
+      renderSyncDiffItems(changed, 'sync-diff-changed', item => `~ ${escapeHtml(item.label)}${renderActivityDiff(item.fields)}`),
+      renderSyncDiffItems(deleted, 'sync-diff-deleted', item => `− ${escapeHtml(item.label)}`),
+    ].join('');
+
+    return `
+      <h4>${title}：新增 ${added.length} · 修改 ${changed.length} · 未变化 ${unchanged} · 删除 ${deleted.length}</h4>
+      ${items ? `<ul>${items}</ul>` : ''}
+    `;
+  }).join('');
+}
+
+/**
+ * 生成同步校验错误 HTML
+ * @param {Object[]} errors - /api/sync 返回的逐条错误
+ * @returns {string}
+ */
+function renderSyncErrors(errors) {
+  const typeLabels = { project: '项目', category: '分类' };
+  const items = renderSyncDiffItems(errors, 'sync-diff-deleted', error => `
+    ${typeLabels[error.type]} #${error.index + 1}${error.id ? ` (${escapeHtml(error.id)})` : ''}：
+    ${Object.values(error.fields).map(escapeHtml).join('；')}
+  `);
+
+  return `<h4>以下数据校验失败，请修正后再同步</h4><ul>${items}</ul>`;
+}
+
+/**
+ * 计算同步差异并显示确认模态框
+ */
+async function openSyncPreview() {
+  const modal = document.getElementById('syncModal');
+  const diffEl = document.getElementById('syncDiff');
+  const confirmBtn = document.getElementById('syncModalConfirm');
+  const mode = document.getElementById('syncMirrorMode').checked ? 'mirror' : 'merge';
+
+  diffEl.innerHTML = '<p style="color: var(--text-muted);">正在计算差异...</p>';
+  confirmBtn.disabled = true;
+  modal.classList.add('active');
+
+  const result = await syncDataToD1({ dryRun: true, mode });
+
+  if (result.errors) {
+    diffEl.innerHTML = renderSyncErrors(result.errors);
+    return;
+  }
+  if (!result.success) {
+    diffEl.innerHTML = `<p style="color: var(--accent-pink);">${escapeHtml(result.error || '未知错误')}</p>`;
+    return;
+  }
+
+  const { categories, projects } = result.diff;
+  const changeCount = [categories, projects]
+    .reduce((sum, d) => sum + d.added.length + d.changed.length + d.deleted.length, 0);
+
+  diffEl.innerHTML = renderSyncDiff(result.diff)
+    + (changeCount === 0 ? '<p style="color: var(--text-muted);">云端数据已是最新，无需同步</p>' : '');
+  confirmBtn.disabled = changeCount === 0;
+}
+
+/**
+ * 绑定同步确认模态框事件
+ */
+function bindSyncModalEvents() {
+  const modal = document.getElementById('syncModal');
+  const confirmBtn = document.getElementById('syncModalConfirm');
+  const close = () => modal.classList.remove('active');
+
+  document.getElementById('syncModalClose').addEventListener('click', close);
+  document.getElementById('syncModalCancel').addEventListener('click', close);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) close();
+  });
+
+  // 切换模式后重新计算差异
+  document.getElementById('syncMirrorMode').addEventListener('change', openSyncPreview);
+
+  confirmBtn.addEventListener('click', async () => {
+    const mode = document.getElementById('syncMirrorMode').checked ? 'mirror' : 'merge';
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = '同步中...';
+
+    const result = await syncDataToD1({ mode });
+
+    confirmBtn.textContent = '确认同步';
 
     if (result.success) {
-      showToast(`同步成功：${result.results?.projects || 0} 个项目，${result.results?.categories || 0} 个分类`, 'success');
+      const { projects = 0, categories = 0, deletedProjects = 0, deletedCategories = 0 } = result.results || {};
+      const deletedText = deletedProjects + deletedCategories > 0
+        ? `，${deletedProjects} 个项目、${deletedCategories} 个分类移入回收站`
+        : '';
+      showToast(`同步成功：写入 ${projects} 个项目，${categories} 个分类${deletedText}`, 'success');
+      close();
+    } else if (result.errors) {
+      document.getElementById('syncDiff').innerHTML = renderSyncErrors(result.errors);
     } else {
-      showToast('同步失败: ' + (result.error || '未知错误'), 'error');
+      showToast('同步失败: ' + (result.details || result.error || '未知错误'), 'error');
+      confirmBtn.disabled = false;
     }
-
-    syncBtn.disabled = false;
-    syncBtn.textContent = '☁️ 同步到云端';
   });
+}
 
-  // 添加到数据管理区域
-  const dataManagementDiv = settingsPage.querySelector('div[style*="display: flex"]');
-  if (dataManagementDiv && !document.getElementById('syncToCloudBtn')) {
-    dataManagementDiv.appendChild(syncBtn);
+/**
+ * 加载数据库结构版本状态
+ */
+async function loadSchemaStatus() {
+  const info = document.getElementById('schemaVersionInfo');
+  const migrateBtn = document.getElementById('runMigrationsBtn');
+
+  try {
+    const status = await apiRequest('/admin/migrate');
+    if (status.error) {
+      throw new Error(status.error);
+    }
+
+    const pendingText = status.pending.length > 0
+      ? `，待执行 ${status.pending.length} 个迁移：${status.pending.map(m => `${m.version} ${m.name}`).join('、')}`
+      : '，已是最新';
+    info.textContent = `当前版本 ${status.currentVersion} / 最新版本 ${status.latestVersion}${pendingText}`;
+    migrateBtn.disabled = status.pending.length === 0;
+  } catch (error) {
+    console.warn('[Admin] 获取数据库版本失败:', error);
+    info.textContent = '无法获取数据库版本（云端 API 不可用）';
+    migrateBtn.disabled = true;
   }
 }
 
@@ -1437,16 +3861,29 @@ function updateThemeButton(theme) {
 
 // ===== 初始化 =====
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   // 初始化主题
   initTheme();
 
   // 绑定登录表单
   document.getElementById('loginForm').addEventListener('submit', handleLogin);
 
-  // 检查登录状态
-  if (checkAuth()) {
+  // 绑定首次设置表单
+  document.getElementById('setupForm').addEventListener('submit', handleSetup);
+  document.getElementById('setupPassword').addEventListener('input', updateSetupStrength);
+  document.getElementById('setupUsername').addEventListener('input', updateSetupStrength);
+
+  // 绑定退出登录
+  document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+
+  // 检查登录状态，邀请链接优先，尚未创建管理员账号时进入首次设置
+  const inviteToken = getInviteTokenFromHash();
+  if (inviteToken) {
+    await showInvitePage(inviteToken);
+  } else if (checkAuth()) {
     showAdminPage();
+  } else if (await fetchSetupRequired()) {
+    showSetupPage();
   } else {
     showLoginPage();
   }
@@ -7,16 +7,19 @@ import {
   initStorage,
   getProjects,
   getCategories,
-  setProjects,
   setCategories,
   getFavorites,
   getSettings,
-  setSettings
+  setSettings,
+  getEtag,
+  setEtag
 } from './utils/storage.js';
 import { formatStars } from './utils/github-api.js';
+import { normalizeProjectForClient } from './utils/categories.js';
 import { createProjectCard, renderProjectCards, createSkeletonCards } from './components/ProjectCard.js';
 import { createSearchBar, searchProjects } from './components/SearchBar.js';
 import { createFilterPanel, applyFilters } from './components/FilterPanel.js';
+import { SPARKLINE_DAYS } from './components/Sparkline.js';
 
 // 导入默认数据
 import defaultData from './data/projects.json';
@@ -24,6 +27,9 @@ import defaultData from './data/projects.json';
 // API 基础路径
 const API_BASE = '/api';
 
+// 每页加载的项目数量
+const PAGE_SIZE = 24;
+
 // 全局状态
 const state = {
   projects: [],
@@ -35,88 +41,137 @@ const state = {
     category: 'all',
     sort: 'stars-desc',
     showFavorites: false
-  }
+  },
+  // 服务端分页状态（remote 为 false 时表示使用本地数据筛选）
+  pagination: {
+    remote: false,
+    page: 1,
+    totalPages: 1,
+    total: 0
+  },
+  // 服务端返回的全站统计
+  stats: null
 };
 
+// 最近一次列表请求的序号，用于丢弃过期的响应
+let latestListRequest = 0;
+
+// 响应缓存最多保留的条目数（项目分页按查询参数区分），超出时淘汰最久未用的
+const RESPONSE_CACHE_SIZE = 50;
+
+// 项目分页响应缓存：查询参数 -> { etag, result }，再次请求同一页时发送条件请求，304 时沿用
+const projectPageCache = new Map();
+
 /**
- * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
- * @param {string|string[]|null|undefined} value
- * @returns {string[]}
+ * 前台请求 API
+ * @param {string} endpoint
+ * @param {Object} [options]
+ * @param {boolean} [options.conditional] - 携带上次的 ETag 发送条件请求，数据未变化时返回 null
+ * @param {Map<string, {etag: string, result: *}>} [options.cache] - 按接口路径缓存响应，
+ *   携带缓存的 ETag 发送条件请求，数据未变化时返回缓存的响应
+ * @returns {Promise<any>}
  */
-function normalizeCategoryIds(value) {
-  if (Array.isArray(value)) {
-    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
-  }
+async function fetchApi(endpoint, { conditional = false, cache = null } = {}) {
+  const cached = cache?.get(endpoint);
+  const etag = cached ? cached.etag : (conditional ? getEtag(endpoint) : null);
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    headers: etag ? { 'If-None-Match': etag } : {}
+  });
 
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-
-    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        return normalizeCategoryIds(parsed);
-      } catch {
-        return [];
-      }
+  if (response.status === 304) {
+    if (cached) {
+      cache.delete(endpoint);
+      cache.set(endpoint, cached);
+      return cached.result;
     }
-
-    return [trimmed];
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`API ${endpoint} 请求失败: ${response.status}`);
   }
 
-  return [];
+  const result = await response.json();
+  if (conditional) {
+    setEtag(endpoint, response.headers.get('ETag'));
+  }
+  if (cache) {
+    cacheResponse(cache, endpoint, response.headers.get('ETag'), result);
+  }
+  return result;
 }
 
 /**
- * 规范化项目结构，确保分类字段兼容
- * @param {Object} project
- * @returns {Object}
+ * 写入响应缓存，没有 ETag 的响应不缓存
+ * @param {Map<string, {etag: string, result: *}>} cache
+ * @param {string} endpoint
+ * @param {string|null} etag
+ * @param {*} result
  */
-function normalizeProjectForClient(project) {
-  const categories = normalizeCategoryIds(project?.categories ?? project?.category);
-  return {
-    ...project,
-    category: categories,
-    categories
-  };
+function cacheResponse(cache, endpoint, etag, result) {
+  cache.delete(endpoint);
+  if (!etag) return;
+
+  cache.set(endpoint, { etag, result });
+  if (cache.size > RESPONSE_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
 }
 
 /**
- * 前台请求 API
- * @param {string} endpoint
- * @returns {Promise<any>}
+ * 尝试从云端拉取最新分类（失败静默回退本地）
+ * 本地已有分类时发送条件请求，服务端返回 304 时沿用本地缓存
+ * 项目列表改为按页从服务端获取，见 refreshProjects
  */
-async function fetchApi(endpoint) {
-  const response = await fetch(`${API_BASE}${endpoint}`);
-  if (!response.ok) {
-    throw new Error(`API ${endpoint} 请求失败: ${response.status}`);
+async function hydrateDataFromApi() {
+  try {
+    // 本地缓存被清空时不能沿用 304
+    if (getCategories().length === 0) setEtag('/categories', null);
+
+    const result = await fetchApi('/categories', { conditional: true });
+    if (result && Array.isArray(result.categories)) {
+      state.categories = result.categories;
+      setCategories(state.categories);
+    }
+  } catch (error) {
+    console.warn('[App] 获取云端分类失败，使用本地数据:', error);
   }
-  return response.json();
 }
 
 /**
- * 尝试从云端拉取最新数据（失败静默回退本地）
+ * 根据当前搜索和筛选状态构建列表查询参数
+ * @param {number} page - 页码
+ * @returns {string}
  */
-async function hydrateDataFromApi() {
-  const [projectsRes, categoriesRes] = await Promise.allSettled([
-    fetchApi('/projects'),
-    fetchApi('/categories')
-  ]);
-
-  if (projectsRes.status === 'fulfilled' && Array.isArray(projectsRes.value.projects)) {
-    const projects = projectsRes.value.projects.map(normalizeProjectForClient);
-    state.projects = projects;
-    setProjects(projects);
-  } else if (projectsRes.status === 'rejected') {
-    console.warn('[App] 获取云端项目失败，使用本地数据:', projectsRes.reason);
-  }
+function buildProjectQuery(page) {
+  const params = new URLSearchParams({
+    page: String(page),
+    limit: String(PAGE_SIZE),
+    sort: state.filters.sort,
+    history: String(SPARKLINE_DAYS)
+  });
+
+  if (state.searchQuery) params.set('q', state.searchQuery);
+  if (state.filters.language !== 'all') params.set('language', state.filters.language);
+  if (state.filters.category !== 'all') params.set('category', state.filters.category);
+  if (state.filters.showFavorites) params.set('ids', getFavorites().join(','));
 
-  if (categoriesRes.status === 'fulfilled' && Array.isArray(categoriesRes.value.categories)) {
-    state.categories = categoriesRes.value.categories;
-    setCategories(state.categories);
-  } else if (categoriesRes.status === 'rejected') {
-    console.warn('[App] 获取云端分类失败，使用本地数据:', categoriesRes.reason);
+  return params.toString();
+}
+
+/**
+ * 从服务端获取一页项目（同一查询在本次会话中再次请求时发送条件请求）
+ * @param {number} page - 页码
+ * @returns {Promise<Object>}
+ */
+async function fetchProjectsPage(page) {
+  const result = await fetchApi(`/projects?${buildProjectQuery(page)}`, { cache: projectPageCache });
+  if (!Array.isArray(result.projects)) {
+    throw new Error('API /projects 返回格式错误');
   }
+  return {
+    ...result,
+    projects: result.projects.map(normalizeProjectForClient)
+  };
 }
 
 /**
@@ -138,25 +193,28 @@ async function initApp() {
     state.categories = defaultData.categories;
   }
 
-  // 尝试用云端最新数据覆盖本地缓存（失败静默回退）
+  // 尝试用云端最新分类覆盖本地缓存（失败静默回退）
   await hydrateDataFromApi();
 
   // 初始化主题
   initTheme();
 
-  // 更新统计数据
-  updateStats();
-
   // 初始化搜索组件
   initSearchBar();
 
   // 初始化筛选组件
   initFilterPanel();
 
-  // 渲染项目列表
-  refreshProjects();
+  // 初始化加载更多
+  initLoadMore();
+
+  // 渲染项目列表（优先服务端分页，失败回退本地）
+  await refreshProjects();
+
+  // 更新统计数据
+  updateStats();
 
-  console.log(`[App] 加载完成，共 ${state.projects.length} 个项目`);
+  console.log(`[App] 加载完成，共 ${state.stats?.projects ?? state.projects.length} 个项目`);
 }
 
 /**
@@ -198,20 +256,20 @@ function updateStats() {
   const languageCount = document.getElementById('languageCount');
   const totalStars = document.getElementById('totalStars');
 
-  // 项目总数
-  projectCount.textContent = state.projects.length;
-
-  // 语言数量
-  const languages = new Set(state.projects.map(p => p.language).filter(Boolean));
-  languageCount.textContent = languages.size;
+  // 优先使用服务端统计，否则基于本地数据计算
+  const stats = state.stats || {
+    projects: state.projects.length,
+    languages: new Set(state.projects.map(p => p.language).filter(Boolean)).size,
+    stars: state.projects.reduce((sum, p) => sum + (p.stars || 0), 0)
+  };
 
-  // 总星标数
-  const stars = state.projects.reduce((sum, p) => sum + (p.stars || 0), 0);
-  totalStars.textContent = formatStars(stars);
+  projectCount.textContent = stats.projects;
+  languageCount.textContent = stats.languages;
+  totalStars.textContent = formatStars(stats.stars);
 
   // 添加数字动画效果
-  animateNumber(projectCount, state.projects.length);
-  animateNumber(languageCount, languages.size);
+  animateNumber(projectCount, stats.projects);
+  animateNumber(languageCount, stats.languages);
 }
 
 /**
@@ -272,10 +330,99 @@ function initFilterPanel() {
   container.appendChild(filterPanel);
 }
 
+/**
+ * 初始化加载更多按钮
+ */
+function initLoadMore() {
+  document.getElementById('loadMoreBtn').addEventListener('click', loadMoreProjects);
+}
+
+/**
+ * 更新加载更多区域的显示状态
+ */
+function updateLoadMore() {
+  const container = document.getElementById('loadMore');
+  const info = document.getElementById('loadMoreInfo');
+  const { remote, page, totalPages, total } = state.pagination;
+
+  if (!remote || total === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.style.display = 'flex';
+  info.textContent = `已显示 ${state.filteredProjects.length} / ${total} 个项目`;
+  document.getElementById('loadMoreBtn').style.display = page < totalPages ? '' : 'none';
+}
+
 /**
  * 刷新项目列表
+ * 优先请求服务端第一页，失败时回退到本地数据筛选
+ */
+async function refreshProjects() {
+  const grid = document.getElementById('projectsGrid');
+  const requestId = ++latestListRequest;
+
+  try {
+    const result = await fetchProjectsPage(1);
+    if (requestId !== latestListRequest) return;
+
+    state.filteredProjects = result.projects;
+    state.pagination = {
+      remote: true,
+      page: result.page,
+      totalPages: result.totalPages,
+      total: result.total
+    };
+    if (result.stats) state.stats = result.stats;
+
+    renderProjectCards(grid, result.projects);
+  } catch (error) {
+    if (requestId !== latestListRequest) return;
+    console.warn('[App] 获取云端项目失败，使用本地数据:', error);
+    refreshProjectsLocally();
+  }
+
+  updateLoadMore();
+}
+
+/**
+ * 加载下一页项目
+ */
+async function loadMoreProjects() {
+  const { remote, page, totalPages } = state.pagination;
+  if (!remote || page >= totalPages) return;
+
+  const grid = document.getElementById('projectsGrid');
+  const button = document.getElementById('loadMoreBtn');
+  const requestId = latestListRequest;
+
+  button.disabled = true;
+  button.textContent = '加载中...';
+
+  try {
+    const result = await fetchProjectsPage(page + 1);
+    // 期间筛选条件已变化，丢弃结果
+    if (requestId !== latestListRequest) return;
+
+    state.filteredProjects = [...state.filteredProjects, ...result.projects];
+    state.pagination = { ...state.pagination, page: result.page, totalPages: result.totalPages, total: result.total };
+
+    renderProjectCards(grid, result.projects, true);
+  } catch (error) {
+    console.error('[App] 加载更多失败:', error);
+    showToast('加载失败，请稍后重试', 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = '加载更多';
+    updateLoadMore();
+  }
+}
+
+/**
+ * 使用本地数据刷新项目列表（离线回退）
  */
-function refreshProjects() {
+function refreshProjectsLocally() {
   const grid = document.getElementById('projectsGrid');
   const favorites = getFavorites();
 
@@ -286,6 +433,7 @@ function refreshProjects() {
   projects = applyFilters(projects, state.filters, favorites);
 
   state.filteredProjects = projects;
+  state.pagination = { remote: false, page: 1, totalPages: 1, total: projects.length };
 
   // 渲染卡片
   renderProjectCards(grid, projects);
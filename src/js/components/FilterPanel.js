@@ -3,6 +3,8 @@
  * 提供语言、分类和排序筛选功能
  */
 
+import { getProjectCategoryIds } from '../utils/categories.js';
+
 // 预定义的语言列表
 const LANGUAGES = [
   'JavaScript', 'TypeScript', 'Python', 'Go', 'Rust',
@@ -16,44 +18,14 @@ const SORT_OPTIONS = [
   { value: 'name-asc', label: '名称 A-Z' },
   { value: 'name-desc', label: '名称 Z-A' },
   { value: 'updated-desc', label: '最近更新' },
-  { value: 'updated-asc', label: '最早更新' }
+  { value: 'updated-asc', label: '最早更新' },
+  { value: 'growth-desc', label: '增长最快' }
 ];
 
 // 图标
 const ARROW_DOWN = `<svg class="select-arrow" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><polyline points="6 9 12 15 18 9"></polyline></svg>`;
 const CHECK_ICON = `<svg class="option-check" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
 
-/**
- * 统一解析项目分类
- * @param {Object} project
- * @returns {string[]}
- */
-function getProjectCategoryIds(project) {
-  const value = Array.isArray(project?.categories) ? project.categories : project?.category;
-
-  if (Array.isArray(value)) {
-    return value.map(v => String(v).trim()).filter(Boolean);
-  }
-
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return [];
-
-    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(trimmed);
-        return Array.isArray(parsed) ? parsed.map(v => String(v).trim()).filter(Boolean) : [];
-      } catch {
-        return [];
-      }
-    }
-
-    return [trimmed];
-  }
-
-  return [];
-}
-
 /**
  * 创建筛选面板
  * @param {Object} options - 配置选项
@@ -270,6 +242,11 @@ export function applyFilters(projects, filters, favorites = []) {
           valueA = new Date(a.updated_at).getTime();
           valueB = new Date(b.updated_at).getTime();
           break;
+        case 'growth':
+          // 本地数据没有增长数时按星标数排序
+          valueA = a.stars_gained ?? a.stars;
+          valueB = b.stars_gained ?? b.stars;
+          break;
         default:
           return 0;
       }
@@ -5,6 +5,7 @@
 
 import { formatStars } from '../utils/github-api.js';
 import { isFavorite, toggleFavorite } from '../utils/storage.js';
+import { createStarTrend } from './Sparkline.js';
 
 // 星标 SVG 图标
 const STAR_ICON = `<svg viewBox="0 0 16 16" fill="currentColor"><path d="M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z"/></svg>`;
@@ -30,6 +31,9 @@ export function createProjectCard(project, index = 0) {
 
   const favorited = isFavorite(project.id);
 
+  // 有星标历史时显示趋势图，否则不占位
+  const trend = createStarTrend(project);
+
   card.innerHTML = `
     <button class="favorite-btn ${favorited ? 'active' : ''}" 
             title="${favorited ? '取消收藏' : '添加收藏'}"
@@ -41,6 +45,7 @@ export function createProjectCard(project, index = 0) {
       <div class="card-title-wrapper">
         <span class="card-owner">${escapeHtml(project.owner)}</span>
         <h3 class="card-title">${escapeHtml(project.name)}</h3>
+        ${project.archived ? '<span class="card-archived" title="仓库已在 GitHub 归档">已归档</span>' : ''}
       </div>
       <div class="card-stars">
         ${STAR_ICON}
@@ -49,6 +54,7 @@ export function createProjectCard(project, index = 0) {
     </div>
     
     <p class="card-description">${escapeHtml(project.description || '暂无描述')}</p>
+    ${trend ? `<div class="card-trend">${trend}</div>` : ''}
     
     <div class="card-footer">
       <div class="card-language">
@@ -0,0 +1,130 @@
+/**
+ * 星标趋势迷你图组件
+ * 用 SVG 折线展示最近 90 天的星标变化，不依赖图表库
+ * 数据来自 /api/projects?history=90 返回的 star_history（每天一个点）
+ */
+
+import { formatStars } from '../utils/github-api.js';
+
+// 迷你图覆盖的天数
+export const SPARKLINE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 日期字符串（YYYY-MM-DD，UTC，与服务端快照日期一致）
+ * @param {number} time - 毫秒时间戳
+ * @returns {string}
+ */
+function toDateString(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * 整理历史数据，末尾补上今天的当前星标数
+ * @param {Array<{date: string, stars: number}>} history
+ * @param {number} [currentStars]
+ * @returns {Array<{date: string, stars: number}>}
+ */
+function normalizeHistory(history, currentStars) {
+  const points = (Array.isArray(history) ? history : [])
+    .filter(point => point && point.date && Number.isFinite(Number(point.stars)))
+    .map(point => ({ date: point.date, stars: Number(point.stars) }));
+
+  if (points.length === 0) return points;
+
+  const today = toDateString(Date.now());
+  const stars = Number.isFinite(currentStars) ? currentStars : points[points.length - 1].stars;
+  if (points[points.length - 1].date === today) {
+    points[points.length - 1].stars = stars;
+  } else {
+    points.push({ date: today, stars });
+  }
+
+  return points;
+}
+
+/**
+ * 计算最近 7 天增长的星标数
+ * 以 7 天前（含）最后一个点为基准，没有更早的点时以最早的点为基准
+ * @param {Array<{date: string, stars: number}>} history
+ * @param {number} [currentStars]
+ * @returns {number|null} 没有历史数据时为 null
+ */
+export function getWeeklyDelta(history, currentStars) {
+  const points = normalizeHistory(history, currentStars);
+  if (points.length === 0) return null;
+
+  const weekAgo = toDateString(Date.now() - 7 * DAY_MS);
+  const base = [...points].reverse().find(point => point.date <= weekAgo) || points[0];
+  return points[points.length - 1].stars - base.stars;
+}
+
+/**
+ * 生成增长徽标 HTML，没有变化时返回空字符串
+ * @param {number|null} delta - getWeeklyDelta 的返回值
+ * @returns {string}
+ */
+export function createDeltaBadge(delta) {
+  if (!delta) return '';
+
+  const sign = delta > 0 ? '+' : '-';
+  return `<span class="star-delta ${delta > 0 ? 'up' : 'down'}" title="最近 7 天${delta > 0 ? '增加' : '减少'} ${Math.abs(delta).toLocaleString()} 个星标">${sign}${formatStars(Math.abs(delta))}/周</span>`;
+}
+
+/**
+ * 生成星标趋势 SVG，数据点不足两个时返回空字符串
+ * 每个数据点带 <title>，悬停时显示日期和准确的星标数
+ * @param {Array<{date: string, stars: number}>} history
+ * @param {Object} [options]
+ * @param {number} [options.currentStars] - 当前星标数，补为今天的点
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {string}
+ */
+export function createSparkline(history, { currentStars, width = 120, height = 32 } = {}) {
+  const points = normalizeHistory(history, currentStars);
+  if (points.length < 2) return '';
+
+  const end = Date.parse(points[points.length - 1].date);
+  const start = Math.min(Date.parse(points[0].date), end - (SPARKLINE_DAYS - 1) * DAY_MS);
+  const values = points.map(point => point.stars);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  // 上下留出圆点半径的空间，数值不变时画在中间
+  const padding = 3;
+  const x = date => padding + (Date.parse(date) - start) / (end - start) * (width - padding * 2);
+  const y = stars => max === min
+    ? height / 2
+    : height - padding - (stars - min) / (max - min) * (height - padding * 2);
+
+  const coords = points.map(point => `${x(point.date).toFixed(1)},${y(point.stars).toFixed(1)}`).join(' ');
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return `
+    <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+         role="img" aria-label="${first.date} 至 ${last.date} 星标从 ${first.stars.toLocaleString()} 变为 ${last.stars.toLocaleString()}">
+      <polyline class="sparkline-line" points="${coords}" />
+      ${points.map(point => `
+        <circle class="sparkline-point" cx="${x(point.date).toFixed(1)}" cy="${y(point.stars).toFixed(1)}" r="2.5">
+          <title>${point.date}：${point.stars.toLocaleString()} ⭐</title>
+        </circle>
+      `).join('')}
+    </svg>
+  `;
+}
+
+/**
+ * 生成迷你图和增长徽标，没有历史数据时返回空字符串
+ * @param {Object} project - 带 star_history 的项目
+ * @param {Object} [options] - 同 createSparkline
+ * @returns {string}
+ */
+export function createStarTrend(project, options = {}) {
+  const sparkline = createSparkline(project.star_history, { currentStars: project.stars, ...options });
+  if (!sparkline) return '';
+
+  return `${sparkline}${createDeltaBadge(getWeeklyDelta(project.star_history, project.stars))}`;
+}
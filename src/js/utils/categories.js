@@ -0,0 +1,61 @@
+/**
+ * 项目分类工具模块
+ * 统一解析项目的分类字段，兼容旧数据格式
+ */
+
+/**
+ * 统一解析分类字段（兼容字符串、JSON 字符串、数组）
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function normalizeCategoryIds(value) {
+  if (Array.isArray(value)) {
+    return [...new Set(value.map(v => String(v).trim()).filter(Boolean))];
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return normalizeCategoryIds(parsed);
+      } catch {
+        return [];
+      }
+    }
+
+    return [trimmed];
+  }
+
+  return [];
+}
+
+/**
+ * 获取项目的分类 ID 列表
+ * 优先使用 API 返回的 categories 数组，其次兼容旧的 category 字段
+ * @param {Object} project
+ * @returns {string[]}
+ */
+export function getProjectCategoryIds(project) {
+  if (!project) return [];
+  if (Array.isArray(project.categories)) {
+    return normalizeCategoryIds(project.categories);
+  }
+  return normalizeCategoryIds(project.category);
+}
+
+/**
+ * 规范化项目分类字段，统一供前端消费
+ * @param {Object} project
+ * @returns {Object}
+ */
+export function normalizeProjectForClient(project) {
+  const categories = getProjectCategoryIds(project);
+  return {
+    ...project,
+    category: categories,
+    categories
+  };
+}
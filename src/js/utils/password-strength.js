@@ -0,0 +1,66 @@
+/**
+ * 密码强度检查
+ * 规则与服务端 functions/_lib/passwords.js 保持一致
+ */
+
+// 密码最小长度
+export const MIN_PASSWORD_LENGTH = 8;
+
+// 至少需要包含的字符类别数（小写、大写、数字、符号）
+const MIN_CHARACTER_CLASSES = 3;
+
+// 常见弱密码，包括旧版本的默认密码
+const COMMON_PASSWORDS = new Set([
+  'admin123', 'password', 'password1', 'password123', '12345678', '123456789',
+  '1234567890', 'qwerty123', 'abc12345', 'admin1234', 'iloveyou', '11111111',
+]);
+
+/**
+ * 统计密码包含的字符类别数
+ * @param {string} password
+ * @returns {number}
+ */
+function countCharacterClasses(password) {
+  return [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter(re => re.test(password)).length;
+}
+
+/**
+ * 检查密码强度
+ * @param {string} password
+ * @param {string} [username] - 密码中不能包含用户名
+ * @returns {string|null} 不满足要求时返回错误提示
+ */
+export function checkPasswordStrength(password, username = '') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`;
+  }
+
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return '密码过于常见，请更换';
+  }
+
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return '密码不能包含用户名';
+  }
+
+  if (countCharacterClasses(password) < MIN_CHARACTER_CLASSES) {
+    return '密码需至少包含小写字母、大写字母、数字、符号中的三类';
+  }
+
+  return null;
+}
+
+/**
+ * 计算密码强度等级，用于强度条展示
+ * @param {string} password
+ * @param {string} [username]
+ * @returns {number} 0-4，不满足要求时不超过 1
+ */
+export function scorePassword(password, username = '') {
+  if (!password) return 0;
+
+  let score = Math.min(countCharacterClasses(password), 3);
+  if (password.length >= 12) score++;
+
+  return checkPasswordStrength(password, username) ? Math.min(score, 1) : Math.max(score, 2);
+}
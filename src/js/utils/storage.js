@@ -14,7 +14,8 @@ export const KEYS = {
   FAVORITES: `${STORAGE_PREFIX}favorites`,
   SETTINGS: `${STORAGE_PREFIX}settings`,
   ADMIN_AUTH: `${STORAGE_PREFIX}admin_auth`,
-  DATA_VERSION: `${STORAGE_PREFIX}data_version`
+  DATA_VERSION: `${STORAGE_PREFIX}data_version`,
+  ETAGS: `${STORAGE_PREFIX}etags`
 };
 
 // 当前数据版本
@@ -228,6 +229,32 @@ export function setSettings(settings) {
   set(KEYS.SETTINGS, { ...getSettings(), ...settings });
 }
 
+// ===== HTTP 缓存 =====
+
+/**
+ * 获取接口上次响应的 ETag
+ * @param {string} endpoint - 接口路径
+ * @returns {string|null}
+ */
+export function getEtag(endpoint) {
+  return get(KEYS.ETAGS, {})[endpoint] || null;
+}
+
+/**
+ * 保存接口响应的 ETag，传入空值时删除
+ * @param {string} endpoint - 接口路径
+ * @param {string|null} etag
+ */
+export function setEtag(endpoint, etag) {
+  const etags = get(KEYS.ETAGS, {});
+  if (etag) {
+    etags[endpoint] = etag;
+  } else {
+    delete etags[endpoint];
+  }
+  set(KEYS.ETAGS, etags);
+}
+
 // ===== 初始化 =====
 
 /**
@@ -0,0 +1,138 @@
+/**
+ * 测试用的接口调用环境
+ * 在 Miniflare 中创建内存中的 D1（见 d1.js），按 schema.sql 和迁移建表，
+ * 再按 Pages Functions 的文件路由找到 functions/api 下的处理函数，经 _middleware.js 调用
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { onRequest } from '../../functions/_middleware.js';
+import { applyMigrations, splitSqlStatements } from '../../functions/_lib/migrations.js';
+import { createTestDatabase } from './d1.js';
+
+const API_DIR = fileURLToPath(new URL('../../functions/api/', import.meta.url));
+const SCHEMA_FILE = fileURLToPath(new URL('../../schema.sql', import.meta.url));
+
+// 请求使用的站点地址
+const BASE_URL = 'https://example.com';
+
+export const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+
+/**
+ * HTTP 方法对应的处理函数名
+ * @param {string} method - get / post ...
+ * @returns {string}
+ */
+export function handlerName(method) {
+  const lower = method.toLowerCase();
+  return `onRequest${lower[0].toUpperCase()}${lower.slice(1)}`;
+}
+
+/**
+ * 递归列出目录下的 .js 文件
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listRouteFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return listRouteFiles(path);
+    return entry.name.endsWith('.js') ? [path] : [];
+  }));
+  return files.flat();
+}
+
+/**
+ * 文件路径转为文档中的路由（[id] 转为 {id}，index.js 对应目录本身）
+ * @param {string} file
+ * @returns {string}
+ */
+function toRoutePath(file) {
+  const route = relative(API_DIR, file)
+    .split(sep)
+    .join('/')
+    .replace(/\.js$/, '')
+    .replace(/(^|\/)index$/, '')
+    .replace(/\[([^\]]+)\]/g, '{$1}');
+  return `/api${route ? `/${route}` : ''}`;
+}
+
+/**
+ * 路由转为匹配请求路径的正则，{name} 匹配一段路径
+ * @param {string} path
+ * @returns {RegExp}
+ */
+function toRoutePattern(path) {
+  const source = path
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, '(?<$1>[^/]+)');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 加载 functions/api 下的全部路由
+ * @returns {Promise<Array<{path: string, pattern: RegExp, module: Object}>>}
+ */
+export async function loadRoutes() {
+  const files = (await listRouteFiles(API_DIR)).sort();
+  return Promise.all(files.map(async file => {
+    const path = toRoutePath(file);
+    return { path, pattern: toRoutePattern(path), module: await import(pathToFileURL(file).href) };
+  }));
+}
+
+/**
+ * 创建内存数据库并执行全部迁移
+ * @param {Object} vars - 环境变量
+ * @returns {Promise<{env: Object, dispose: Function}>}
+ */
+export async function createTestEnv(vars) {
+  const { db, dispose } = await createTestDatabase();
+
+  const schema = await readFile(SCHEMA_FILE, 'utf8');
+  await db.batch(splitSqlStatements(schema).map(sql => db.prepare(sql)));
+
+  const migration = await applyMigrations(db);
+  if (migration.failed) {
+    await dispose();
+    throw new Error(`迁移 ${migration.failed.version} 执行失败: ${migration.failed.error}`);
+  }
+
+  return { env: { ...vars, DB: db }, dispose };
+}
+
+/**
+ * 经中间件调用接口，等待 waitUntil 中的任务（如 Webhook 推送）完成后返回
+ * @param {Array} routes - loadRoutes 的返回值
+ * @param {Object} env
+ * @param {string} method
+ * @param {string} url - 以 /api 开头的路径，可带查询参数
+ * @param {{headers?: Object, body?: string}} [init]
+ * @returns {Promise<{route: Object, response: Response}>}
+ */
+export async function callApi(routes, env, method, url, { headers = {}, body } = {}) {
+  const request = new Request(new URL(url, BASE_URL), { method, headers, body });
+  const { pathname } = new URL(request.url);
+
+  const route = routes.find(candidate => candidate.pattern.test(pathname));
+  const handler = route?.module[handlerName(method)];
+  if (!handler) {
+    throw new Error(`${method} ${pathname} 没有对应的处理函数`);
+  }
+
+  const pending = [];
+  const context = {
+    request,
+    env,
+    params: { ...route.pattern.exec(pathname).groups },
+    data: {},
+    waitUntil: promise => pending.push(promise),
+    next: () => handler(context),
+  };
+
+  const response = await onRequest(context);
+  await Promise.all(pending);
+  return { route, response };
+}
@@ -0,0 +1,105 @@
+/**
+ * 测试用的内存 D1
+ * 在 Miniflare 中运行一个转发 D1 调用的 Worker，Node 端的语句对象只记录 SQL 和参数，执行时以异步请求交给 Worker
+ * 不使用 getPlatformProxy 的绑定代理：代理在 prepare / bind 时发起同步请求，偶发响应错位后之后的调用会全部失败
+ * 只实现处理函数用到的接口：prepare、bind、first、all、run、batch
+ */
+
+import { Miniflare } from 'miniflare';
+
+const WORKER_SCRIPT = `
+export default {
+  async fetch(request, env) {
+    const { mode, statements } = await request.json();
+    try {
+      const prepared = statements.map(({ sql, params }) => env.DB.prepare(sql).bind(...params));
+      const result = mode === 'batch' ? await env.DB.batch(prepared) : await prepared[0][mode]();
+      return Response.json({ result });
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 500 });
+    }
+  },
+};
+`;
+
+class TestD1PreparedStatement {
+  /**
+   * @param {TestD1Database} db
+   * @param {string} sql
+   * @param {Array} [params]
+   */
+  constructor(db, sql, params = []) {
+    this.db = db;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    // 与 D1 一致，不接受 undefined（JSON 序列化会将其变为 null，掩盖漏传的参数）
+    const index = params.indexOf(undefined);
+    if (index !== -1) {
+      throw new Error(`D1_TYPE_ERROR: Type 'undefined' not supported for value 'undefined' at index ${index}`);
+    }
+    return new TestD1PreparedStatement(this.db, this.sql, params);
+  }
+
+  first() {
+    return this.db.execute('first', [this]);
+  }
+
+  all() {
+    return this.db.execute('all', [this]);
+  }
+
+  run() {
+    return this.db.execute('run', [this]);
+  }
+}
+
+class TestD1Database {
+  /**
+   * @param {Miniflare} mf
+   */
+  constructor(mf) {
+    this.mf = mf;
+  }
+
+  prepare(sql) {
+    return new TestD1PreparedStatement(this, sql);
+  }
+
+  batch(statements) {
+    return this.execute('batch', statements);
+  }
+
+  /**
+   * 交给 Worker 执行，D1 的错误以相同的信息重新抛出
+   * @param {string} mode - first / all / run / batch
+   * @param {TestD1PreparedStatement[]} statements
+   * @returns {Promise<*>}
+   */
+  async execute(mode, statements) {
+    const response = await this.mf.dispatchFetch('http://d1.test/', {
+      method: 'POST',
+      body: JSON.stringify({ mode, statements: statements.map(({ sql, params }) => ({ sql, params })) }),
+    });
+    const { result, error } = await response.json();
+    if (error) throw new Error(error);
+    return result;
+  }
+}
+
+/**
+ * 创建内存中的 D1 数据库
+ * @returns {Promise<{db: TestD1Database, dispose: Function}>}
+ */
+export async function createTestDatabase() {
+  const mf = new Miniflare({
+    modules: true,
+    script: WORKER_SCRIPT,
+    d1Databases: ['DB'],
+  });
+  await mf.ready;
+
+  return { db: new TestD1Database(mf), dispose: () => mf.dispose() };
+}
@@ -0,0 +1,160 @@
+/**
+ * OpenAPI 3.0 结构校验
+ * 只实现 functions/_lib/openapi.js 中用到的关键字：$ref、type、nullable、enum、minimum、maximum、
+ * required、properties、additionalProperties、items、allOf、oneOf
+ * 对象中未在 properties 声明的字段同样视为不一致（additionalProperties 为 true 或结构时除外），
+ * 这样处理函数新增返回字段而未同步文档时也能发现
+ */
+
+import { OPENAPI_SPEC } from '../../functions/_lib/openapi.js';
+
+/**
+ * 解析 $ref，返回引用的结构
+ * @param {Object} node
+ * @returns {Object}
+ */
+export function resolveRef(node) {
+  let current = node;
+  while (current && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    current = ref.startsWith('#/')
+      ? ref.slice(2).split('/').reduce((target, key) => target?.[key], OPENAPI_SPEC)
+      : undefined;
+    if (current === undefined) {
+      throw new Error(`无法解析引用 ${ref}`);
+    }
+  }
+  return current;
+}
+
+/**
+ * 值的类型名称（用于错误信息）
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 值是否符合 type
+ * @param {string} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 结构（含 allOf 的各部分）声明的字段，任一部分允许额外字段时返回 null
+ * @param {Object} schema
+ * @returns {Set<string>|null}
+ */
+function collectDeclaredProperties(schema) {
+  const resolved = resolveRef(schema);
+  if (resolved.additionalProperties) return null;
+
+  const declared = new Set(Object.keys(resolved.properties || {}));
+  for (const part of resolved.allOf || []) {
+    const partDeclared = collectDeclaredProperties(part);
+    if (!partDeclared) return null;
+    partDeclared.forEach(name => declared.add(name));
+  }
+  return declared;
+}
+
+/**
+ * 递归校验
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path - 错误信息中的位置，如 $.projects[0].id
+ * @param {string[]} errors - 原地追加
+ * @param {boolean} checkUnknown - 是否检查本层未声明的字段（allOf 的各部分由外层统一检查）
+ */
+function validate(schema, value, path, errors, checkUnknown = true) {
+  const resolved = resolveRef(schema);
+
+  if (value === null) {
+    if (!resolved.nullable) errors.push(`${path}: 不能为 null`);
+    return;
+  }
+
+  for (const part of resolved.allOf || []) {
+    validate(part, value, path, errors, false);
+  }
+
+  if (resolved.oneOf) {
+    const matched = resolved.oneOf.filter(part => validateSchema(part, value).length === 0).length;
+    if (matched !== 1) errors.push(`${path}: 应恰好符合 oneOf 中的一个结构，实际符合 ${matched} 个`);
+  }
+
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    errors.push(`${path}: 应为 ${resolved.type}，实际为 ${describeType(value)}`);
+    return;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} 不在 ${JSON.stringify(resolved.enum)} 中`);
+  }
+  if (resolved.minimum !== undefined && value < resolved.minimum) {
+    errors.push(`${path}: 不能小于 ${resolved.minimum}`);
+  }
+  if (resolved.maximum !== undefined && value > resolved.maximum) {
+    errors.push(`${path}: 不能大于 ${resolved.maximum}`);
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => validate(resolved.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (!matchesType('object', value)) return;
+
+  for (const name of resolved.required || []) {
+    if (value[name] === undefined) errors.push(`${path}: 缺少必填字段 ${name}`);
+  }
+
+  const properties = resolved.properties || {};
+  for (const [name, fieldValue] of Object.entries(value)) {
+    if (properties[name]) {
+      validate(properties[name], fieldValue, `${path}.${name}`, errors);
+    } else if (typeof resolved.additionalProperties === 'object') {
+      validate(resolved.additionalProperties, fieldValue, `${path}.${name}`, errors);
+    }
+  }
+
+  if (checkUnknown && (resolved.properties || resolved.allOf)) {
+    const declared = collectDeclaredProperties(resolved);
+    if (declared) {
+      Object.keys(value)
+        .filter(name => !declared.has(name))
+        .forEach(name => errors.push(`${path}: 文档中没有字段 ${name}`));
+    }
+  }
+}
+
+/**
+ * 按结构校验值
+ * @param {Object} schema - OpenAPI 结构，可为 $ref
+ * @param {*} value
+ * @returns {string[]} 错误信息，符合时为空数组
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  validate(schema, value, '$', errors);
+  return errors;
+}
@@ -0,0 +1,1101 @@
+/**
+ * OpenAPI 文档与处理函数一致性测试
+ * 在内存 D1 上经中间件实际调用 functions/api 下的每个接口，与 functions/_lib/openapi.js 逐一比对：
+ *   - 路由和方法：处理函数导出的 onRequestXxx 与文档中的 paths 一一对应
+ *   - 请求体：用例发送的请求体符合文档中的 requestBody 结构（有意构造的错误请求除外）
+ *   - 响应：状态码在文档中声明，JSON 响应符合该状态码的结构（含未声明的字段），其他响应的 Content-Type 一致
+ *   - 权限：需要登录的接口不带认证时返回 401，角色低于 x-min-role 时返回 403，
+ *     API Key 只能访问 x-api-key-scope 声明的接口
+ *   - 覆盖：文档中的每个接口至少有一次成功响应通过校验，新增接口未补充用例时测试失败
+ *
+ * GitHub API 和 Webhook 推送地址由本地 HTTP 服务模拟
+ *
+ * 用法:
+ *   npm test
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { OPENAPI_SPEC } from '../functions/_lib/openapi.js';
+import { API_KEY_SCOPES, getApiKeyScope } from '../functions/_lib/api-keys.js';
+import { HTTP_METHODS, callApi, createTestEnv, handlerName, loadRoutes } from './helpers/api.js';
+import { resolveRef, validateSchema } from './helpers/openapi-schema.js';
+
+const OWNER = { username: 'owner', password: 'Root-pass-2024' };
+const MEMBER_PASSWORD = 'Member-pass-2024';
+const GITHUB_WEBHOOK_SECRET = 'github-webhook-secret';
+
+// 默认客户端 IP（登录失败按 IP 统计，锁定用例使用单独的 IP）
+const CLIENT_IP = '203.0.113.10';
+
+// 角色从低到高
+const ROLE_ORDER = ['viewer', 'editor', 'owner'];
+
+// 已通过校验的响应：`GET /api/projects 200`
+const covered = new Set();
+
+let routes;
+let env;
+let dispose;
+let mockServer;
+let mockBaseUrl;
+const receivedHooks = [];
+
+// 各角色的 Token 和 API Key
+const tokens = {};
+const apiKeys = {};
+
+/**
+ * 请求路径对应的文档路由
+ * @param {string} url
+ * @returns {string}
+ */
+function findDocumentedPath(url) {
+  const { pathname } = new URL(url, 'https://example.com');
+  return routes.find(route => route.pattern.test(pathname))?.path;
+}
+
+/**
+ * 校验响应并记录覆盖
+ * @param {string} method
+ * @param {string} path - 文档路由
+ * @param {Response} response
+ * @returns {Promise<{status: number, headers: Headers, data: *, text: string}>}
+ */
+async function checkResponse(method, path, response) {
+  const label = `${method} ${path}`;
+  const operation = OPENAPI_SPEC.paths[path]?.[method.toLowerCase()];
+  assert.ok(operation, `${label}: 文档中缺少该接口`);
+
+  const { status, headers } = response;
+  const documented = operation.responses[status];
+  const text = await response.text();
+  assert.ok(documented, `${label}: 返回 ${status}，但文档中没有该状态码（响应：${text.slice(0, 200)}）`);
+
+  const { content } = resolveRef(documented);
+  let data = text;
+  if (content) {
+    const contentType = headers.get('Content-Type') || '';
+    const mediaType = Object.keys(content).find(type => contentType.startsWith(type));
+    assert.ok(mediaType, `${label} ${status}: Content-Type ${contentType} 与文档中的 ${Object.keys(content).join(' / ')} 不一致`);
+
+    if (mediaType === 'application/json') {
+      data = JSON.parse(text);
+      assert.deepEqual(validateSchema(content[mediaType].schema, data), [], `${label} ${status}: 响应与文档结构不一致`);
+    }
+  }
+
+  covered.add(`${label} ${status}`);
+  return { status, headers, data, text };
+}
+
+/**
+ * 调用接口并按文档校验请求体和响应
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.token] - Bearer Token
+ * @param {string} [options.apiKey] - X-API-Key
+ * @param {*} [options.body] - JSON 请求体
+ * @param {string} [options.rawBody] - 原样发送的请求体
+ * @param {Object} [options.headers]
+ * @param {boolean} [options.invalid] - 有意发送不符合文档的请求体（测试错误响应）
+ * @param {Object} [options.envOverrides] - 覆盖本次请求的环境变量（测试配置错误）
+ * @returns {Promise<{status: number, headers: Headers, data: *, text: string}>}
+ */
+async function request(method, url, {
+  token,
+  apiKey,
+  body,
+  rawBody,
+  headers = {},
+  invalid = false,
+  envOverrides = {},
+} = {}) {
+  const path = findDocumentedPath(url);
+  const operation = OPENAPI_SPEC.paths[path]?.[method.toLowerCase()];
+
+  if (body !== undefined && !invalid) {
+    const schema = operation?.requestBody?.content['application/json'].schema;
+    assert.ok(schema, `${method} ${path}: 文档中没有请求体`);
+    assert.deepEqual(validateSchema(schema, body), [], `${method} ${path}: 用例的请求体与文档结构不一致`);
+  }
+
+  const requestHeaders = { 'CF-Connecting-IP': CLIENT_IP, ...headers };
+  if (token) requestHeaders.Authorization = `Bearer ${token}`;
+  if (apiKey) requestHeaders['X-API-Key'] = apiKey;
+  if (body !== undefined) requestHeaders['Content-Type'] ??= 'application/json';
+
+  const { route, response } = await callApi(routes, { ...env, ...envOverrides }, method, url, {
+    headers: requestHeaders,
+    body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+  return checkResponse(method, route.path, response);
+}
+
+/**
+ * 对 GitHub Webhook 请求体签名
+ * @param {string} body
+ * @returns {string}
+ */
+function signGitHubPayload(body) {
+  return `sha256=${createHmac('sha256', GITHUB_WEBHOOK_SECRET).update(body).digest('hex')}`;
+}
+
+/**
+ * 启动模拟 GitHub API（GET /repos/:owner/:repo）和 Webhook 接收地址（POST /hooks）的本地服务
+ * @returns {Promise<void>}
+ */
+async function startMockServer() {
+  mockServer = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const repo = /^\/repos\/([^/]+)\/([^/]+)$/.exec(req.url);
+      if (req.method === 'GET' && repo) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-RateLimit-Remaining': '4999' });
+        res.end(JSON.stringify({
+          full_name: `${repo[1]}/${repo[2]}`,
+          stargazers_count: 1234,
+          language: 'TypeScript',
+          description: 'Refreshed from GitHub',
+          updated_at: '2026-01-02T03:04:05Z',
+        }));
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/hooks') {
+        receivedHooks.push({ event: req.headers['x-webhook-event'], body });
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+  mockBaseUrl = `http://127.0.0.1:${mockServer.address().port}`;
+}
+
+before(async () => {
+  await startMockServer();
+  routes = await loadRoutes();
+  ({ env, dispose } = await createTestEnv({
+    AUTH_SECRET: 'test-auth-secret',
+    GITHUB_API_BASE_URL: mockBaseUrl,
+    GITHUB_WEBHOOK_SECRET,
+  }));
+});
+
+after(async () => {
+  await dispose?.();
+  await new Promise(resolve => (mockServer ? mockServer.close(resolve) : resolve()));
+});
+
+describe('路由', () => {
+  it('functions/api 下的路由和方法与文档一一对应', () => {
+    const documentedPaths = new Set(Object.keys(OPENAPI_SPEC.paths));
+
+    for (const route of routes) {
+      const documented = OPENAPI_SPEC.paths[route.path];
+      assert.ok(documented, `${route.path}: 文档中缺少该路由`);
+      documentedPaths.delete(route.path);
+
+      const implemented = HTTP_METHODS.filter(method => typeof route.module[handlerName(method)] === 'function');
+      assert.deepEqual(
+        Object.keys(documented).sort(),
+        implemented.sort(),
+        `${route.path}: 文档中的方法与处理函数不一致`
+      );
+    }
+
+    assert.deepEqual([...documentedPaths], [], '文档中的路由没有对应的处理文件');
+  });
+
+  it('x-api-key-scope 与中间件按权限范围放行的路由一致', () => {
+    for (const [path, methods] of Object.entries(OPENAPI_SPEC.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        const url = `https://example.com${path.replace(/\{[^}]+\}/g, 'example')}`;
+        const scope = getApiKeyScope(new Request(url, { method: method.toUpperCase() }));
+        assert.equal(operation['x-api-key-scope'] || null, scope, `${method.toUpperCase()} ${path}`);
+      }
+    }
+  });
+});
+
+describe('初始化和认证', () => {
+  it('创建首个管理员前只允许初始化设置', async () => {
+    const status = await request('GET', '/api/auth/setup');
+    assert.equal(status.status, 200);
+    assert.equal(status.data.setupRequired, true);
+
+    const blocked = await request('POST', '/api/projects', {
+      body: { name: 'early', owner: 'someone' },
+    });
+    assert.equal(blocked.status, 503);
+    assert.equal(blocked.data.setupRequired, true);
+
+    const weak = await request('POST', '/api/auth/setup', { body: { username: OWNER.username, password: '123' } });
+    assert.equal(weak.status, 400);
+  });
+
+  it('创建首个管理员账号', async () => {
+    const created = await request('POST', '/api/auth/setup', { body: OWNER });
+    assert.equal(created.status, 200);
+    tokens.owner = created.data.token;
+
+    const again = await request('POST', '/api/auth/setup', { body: OWNER });
+    assert.equal(again.status, 409);
+  });
+
+  it('登录、查询当前账号和续期', async () => {
+    const wrong = await request('POST', '/api/auth', { body: { username: OWNER.username, password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+
+    const malformed = await request('POST', '/api/auth', {
+      rawBody: '{not json',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    assert.equal(malformed.status, 400);
+
+    const login = await request('POST', '/api/auth', { body: OWNER });
+    assert.equal(login.status, 200);
+    assert.deepEqual(login.data.user, { username: OWNER.username, role: 'owner' });
+
+    const me = await request('GET', '/api/auth/me', { token: login.data.token });
+    assert.equal(me.status, 200);
+
+    const refreshed = await request('POST', '/api/auth/refresh', { token: login.data.token });
+    assert.equal(refreshed.status, 200);
+
+    const revoked = await request('GET', '/api/auth/me', { token: login.data.token });
+    assert.equal(revoked.status, 401);
+
+    const logout = await request('POST', '/api/auth/logout', { token: refreshed.data.token });
+    assert.equal(logout.status, 200);
+  });
+
+  it('连续登录失败后锁定，owner 可查看和清除记录', async () => {
+    const headers = { 'CF-Connecting-IP': '198.51.100.7' };
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const result = await request('POST', '/api/auth', { headers, body: { username: 'ghost', password: 'nope' } });
+      statuses.push(result.status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+
+    const lockouts = await request('GET', '/api/admin/lockouts', { token: tokens.owner });
+    assert.equal(lockouts.status, 200);
+    assert.ok(lockouts.data.attempts.some(attempt => attempt.key === 'user:ghost' && attempt.lockedUntil));
+
+    const cleared = await request('DELETE', '/api/admin/lockouts?key=user:ghost', { token: tokens.owner });
+    assert.equal(cleared.status, 200);
+
+    const missing = await request('DELETE', '/api/admin/lockouts?key=user:ghost', { token: tokens.owner });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe('账号', () => {
+  /**
+   * 邀请账号并接受邀请，返回登录 Token
+   * @param {string} username
+   * @param {string} role
+   * @returns {Promise<string>}
+   */
+  async function inviteAndAccept(username, role) {
+    const invited = await request('POST', '/api/users', { token: tokens.owner, body: { username, role } });
+    assert.equal(invited.status, 200);
+
+    const info = await request('GET', `/api/auth/invite?token=${encodeURIComponent(invited.data.inviteToken)}`);
+    assert.equal(info.status, 200);
+    assert.deepEqual(info.data, { username, role });
+
+    const accepted = await request('POST', '/api/auth/invite', {
+      body: { token: invited.data.inviteToken, password: MEMBER_PASSWORD },
+    });
+    assert.equal(accepted.status, 200);
+    return accepted.data.token;
+  }
+
+  it('邀请 editor 和 viewer 账号', async () => {
+    tokens.editor = await inviteAndAccept('editor', 'editor');
+    tokens.viewer = await inviteAndAccept('viewer', 'viewer');
+
+    const duplicate = await request('POST', '/api/users', {
+      token: tokens.owner,
+      body: { username: 'editor', role: 'editor' },
+    });
+    assert.equal(duplicate.status, 409);
+
+    const invalidInvite = await request('GET', '/api/auth/invite?token=unknown');
+    assert.equal(invalidInvite.status, 404);
+
+    const acceptInvalid = await request('POST', '/api/auth/invite', { body: { token: 'unknown', password: 'Whatever-2024!' } });
+    assert.equal(acceptInvalid.status, 404);
+  });
+
+  it('查看、修改角色、停用和重新邀请账号', async () => {
+    const invited = await request('POST', '/api/users', { token: tokens.owner, body: { username: 'temp', role: 'viewer' } });
+    assert.equal(invited.status, 200);
+    const { id } = invited.data.user;
+
+    const list = await request('GET', '/api/users', { token: tokens.owner });
+    assert.equal(list.status, 200);
+    assert.equal(list.data.users.length, 4);
+
+    const promoted = await request('PUT', '/api/users', { token: tokens.owner, body: { id, role: 'editor' } });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.data.user.role, 'editor');
+
+    const resent = await request('PUT', '/api/users', { token: tokens.owner, body: { id, resendInvite: true } });
+    assert.equal(resent.status, 200);
+    assert.ok(resent.data.inviteToken);
+
+    const disabled = await request('PUT', '/api/users', { token: tokens.owner, body: { id, disabled: true } });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.data.user.disabled, true);
+
+    const missing = await request('PUT', '/api/users', { token: tokens.owner, body: { id: 9999, disabled: true } });
+    assert.equal(missing.status, 404);
+
+    const ownerId = list.data.users.find(user => user.username === OWNER.username).id;
+    const self = await request('PUT', '/api/users', { token: tokens.owner, body: { id: ownerId, role: 'viewer' } });
+    assert.equal(self.status, 400);
+
+    const accepted = await request('PUT', '/api/users', { token: tokens.owner, body: { id: ownerId, resendInvite: true } });
+    assert.equal(accepted.status, 409);
+  });
+
+  it('修改密码后此前签发的 Token 失效', async () => {
+    const login = await request('POST', '/api/auth', { body: { username: 'editor', password: MEMBER_PASSWORD } });
+    assert.equal(login.status, 200);
+
+    const wrong = await request('POST', '/api/auth/password', {
+      token: tokens.editor,
+      body: { currentPassword: 'wrong', newPassword: 'Changed-Pass-2024!' },
+    });
+    assert.equal(wrong.status, 422);
+    assert.ok(wrong.data.fields.currentPassword);
+
+    const changed = await request('POST', '/api/auth/password', {
+      token: tokens.editor,
+      body: { currentPassword: MEMBER_PASSWORD, newPassword: 'Changed-Pass-2024!' },
+    });
+    assert.equal(changed.status, 200);
+
+    assert.equal((await request('GET', '/api/auth/me', { token: tokens.editor })).status, 401);
+    assert.equal((await request('GET', '/api/auth/me', { token: login.data.token })).status, 401);
+    assert.equal((await request('GET', '/api/auth/me', { token: changed.data.token })).status, 200);
+    tokens.editor = changed.data.token;
+  });
+
+  it('当前密码错误与登录失败共用计数，超过次数后锁定', async () => {
+    // 使用单独的 IP，不影响其他用例的 IP 计数
+    const headers = { 'CF-Connecting-IP': '203.0.113.7' };
+    const change = currentPassword => request('POST', '/api/auth/password', {
+      token: tokens.viewer,
+      headers,
+      body: { currentPassword, newPassword: 'Viewer-Changed-2024!' },
+    });
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await change('wrong')).status, 422);
+    }
+
+    const locked = await change('wrong');
+    assert.equal(locked.status, 429);
+    assert.ok(locked.data.retryAfter > 0);
+
+    // 锁定期间不校验密码
+    assert.equal((await change(MEMBER_PASSWORD)).status, 429);
+  });
+});
+
+describe('分类和项目', () => {
+  it('添加分类', async () => {
+    const created = await request('POST', '/api/categories', {
+      token: tokens.editor,
+      body: { name: '前端框架', slug: 'frontend', description: 'UI 框架' },
+    });
+    assert.equal(created.status, 200);
+
+    const extra = await request('POST', '/api/categories', { token: tokens.editor, body: { name: '工具', slug: 'tools' } });
+    assert.equal(extra.status, 200);
+
+    const duplicate = await request('POST', '/api/categories', { token: tokens.editor, body: { name: '前端', slug: 'frontend' } });
+    assert.equal(duplicate.status, 409);
+
+    const invalid = await request('POST', '/api/categories', { token: tokens.editor, body: { name: '', slug: 'Bad Slug' } });
+    assert.equal(invalid.status, 422);
+  });
+
+  it('添加项目', async () => {
+    const react = await request('POST', '/api/projects', {
+      token: tokens.editor,
+      body: {
+        id: 'react',
+        name: 'react',
+        owner: 'facebook',
+        description: 'A JavaScript library for building user interfaces',
+        github_url: 'https://github.com/facebook/react',
+        stars: 200000,
+        language: 'JavaScript',
+        categories: ['frontend'],
+        tags: ['ui', 'ml'],
+      },
+    });
+    assert.equal(react.status, 200);
+
+    const vue = await request('POST', '/api/projects', {
+      token: tokens.editor,
+      body: { id: 'vue', name: 'vue', owner: 'vuejs', stars: 45000, categories: ['frontend'], tags: ['machine-learning'] },
+    });
+    assert.equal(vue.status, 200);
+
+    const duplicate = await request('POST', '/api/projects', { token: tokens.editor, body: { id: 'react', name: 'react', owner: 'facebook' } });
+    assert.equal(duplicate.status, 409);
+
+    const invalid = await request('POST', '/api/projects', { token: tokens.editor, body: { name: '', owner: 'x', stars: -1 } });
+    assert.equal(invalid.status, 422);
+  });
+
+  it('查询项目列表、统计和条件请求', async () => {
+    const all = await request('GET', '/api/projects');
+    assert.equal(all.status, 200);
+    assert.equal(all.data.total, 2);
+
+    const paged = await request('GET', '/api/projects?page=1&limit=1&sort=name-asc&history=30');
+    assert.equal(paged.status, 200);
+    assert.deepEqual(paged.data.stats, { projects: 2, languages: 1, stars: 245000 });
+    assert.ok(Array.isArray(paged.data.projects[0].star_history));
+
+    const growth = await request('GET', '/api/projects?sort=growth-desc&category=frontend&q=react');
+    assert.equal(growth.status, 200);
+
+    const notModified = await request('GET', '/api/projects', { headers: { 'If-None-Match': all.headers.get('ETag') } });
+    assert.equal(notModified.status, 304);
+  });
+
+  it('按收藏的 ID 筛选，ID 数量超过 D1 单条语句的参数上限', async () => {
+    const ids = ['vue', ...Array.from({ length: 150 }, (_, index) => `missing-${index}`), 'react'];
+
+    const favorites = await request('GET', `/api/projects?page=1&limit=24&ids=${ids.join(',')}`);
+    assert.equal(favorites.status, 200);
+    assert.deepEqual(favorites.data.projects.map(project => project.id).sort(), ['react', 'vue']);
+    assert.equal(favorites.data.total, 2);
+
+    const none = await request('GET', '/api/projects?ids=');
+    assert.equal(none.status, 200);
+    assert.equal(none.data.total, 0);
+
+    const tooMany = Array.from({ length: 501 }, (_, index) => `id-${index}`).join(',');
+    const rejected = await request('GET', `/api/projects?ids=${tooMany}`);
+    assert.equal(rejected.status, 400);
+  });
+
+  it('更新项目', async () => {
+    const updated = await request('PUT', '/api/projects', {
+      token: tokens.editor,
+      body: {
+        id: 'vue',
+        name: 'vue',
+        owner: 'vuejs',
+        description: 'The Progressive JavaScript Framework',
+        language: 'TypeScript',
+        categories: ['frontend', 'tools'],
+        tags: ['machine-learning'],
+      },
+    });
+    assert.equal(updated.status, 200);
+
+    const missing = await request('PUT', '/api/projects', { token: tokens.editor, body: { id: 'nope', name: 'n', owner: 'o' } });
+    assert.equal(missing.status, 404);
+
+    const noId = await request('PUT', '/api/projects', { token: tokens.editor, body: { name: 'n', owner: 'o' }, invalid: true });
+    assert.equal(noId.status, 400);
+
+    const invalid = await request('PUT', '/api/projects', { token: tokens.editor, body: { id: 'vue', name: '', owner: 'o' } });
+    assert.equal(invalid.status, 422);
+  });
+
+  it('星标历史和增长排行', async () => {
+    const history = await request('GET', '/api/projects/react/history?days=30');
+    assert.equal(history.status, 200);
+    assert.equal(history.data.stars, 200000);
+
+    const missing = await request('GET', '/api/projects/nope/history');
+    assert.equal(missing.status, 404);
+
+    const trending = await request('GET', '/api/trending?window=30d&limit=5');
+    assert.equal(trending.status, 200);
+
+    const invalid = await request('GET', '/api/trending?window=1y');
+    assert.equal(invalid.status, 400);
+  });
+
+  it('版本历史和回滚', async () => {
+    const revisions = await request('GET', '/api/projects/vue/revisions', { token: tokens.viewer });
+    assert.equal(revisions.status, 200);
+    assert.equal(revisions.data.revisions.length, 2);
+
+    const original = revisions.data.revisions.at(-1);
+    const rolledBack = await request('POST', '/api/projects/vue/revisions', {
+      token: tokens.editor,
+      body: { revisionId: original.id },
+    });
+    assert.equal(rolledBack.status, 200);
+    assert.equal(rolledBack.data.project.description, '');
+
+    const invalid = await request('POST', '/api/projects/vue/revisions', {
+      token: tokens.editor,
+      body: { revisionId: 'latest' },
+      invalid: true,
+    });
+    assert.equal(invalid.status, 400);
+
+    const missingRevision = await request('POST', '/api/projects/vue/revisions', { token: tokens.editor, body: { revisionId: 9999 } });
+    assert.equal(missingRevision.status, 404);
+
+    const missingProject = await request('GET', '/api/projects/nope/revisions', { token: tokens.viewer });
+    assert.equal(missingProject.status, 404);
+  });
+
+  it('订阅源', async () => {
+    const atom = await request('GET', '/api/feed.xml?category=frontend');
+    assert.equal(atom.status, 200);
+    assert.match(atom.text, /<feed/);
+
+    const rss = await request('GET', '/api/feed.rss?language=javascript');
+    assert.equal(rss.status, 200);
+    assert.match(rss.text, /<rss/);
+  });
+
+  it('查询和更新分类', async () => {
+    const list = await request('GET', '/api/categories');
+    assert.equal(list.status, 200);
+    assert.ok(['frontend', 'tools'].every(id => list.data.categories.some(category => category.id === id)));
+
+    const renamed = await request('PUT', '/api/categories', {
+      token: tokens.editor,
+      body: { id: 'frontend', name: '前端', slug: 'web' },
+    });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.data.previousId, 'frontend');
+
+    const missing = await request('PUT', '/api/categories', { token: tokens.editor, body: { id: 'nope', name: 'x' } });
+    assert.equal(missing.status, 404);
+
+    const conflict = await request('PUT', '/api/categories', { token: tokens.editor, body: { id: 'tools', slug: 'web' } });
+    assert.equal(conflict.status, 409);
+
+    const noId = await request('PUT', '/api/categories', { token: tokens.editor, body: { name: 'x' }, invalid: true });
+    assert.equal(noId.status, 400);
+
+    const invalid = await request('PUT', '/api/categories', { token: tokens.editor, body: { id: 'tools', name: '' } });
+    assert.equal(invalid.status, 422);
+  });
+
+  it('删除分类', async () => {
+    const inUse = await request('DELETE', '/api/categories?id=web', { token: tokens.editor });
+    assert.equal(inUse.status, 409);
+
+    const forced = await request('DELETE', '/api/categories?id=web&force=1', { token: tokens.editor });
+    assert.equal(forced.status, 200);
+    assert.deepEqual(forced.data.affectedProjects.sort(), ['react', 'vue']);
+
+    const unused = await request('DELETE', '/api/categories?id=tools', { token: tokens.editor });
+    assert.equal(unused.status, 200);
+
+    const missing = await request('DELETE', '/api/categories?id=tools', { token: tokens.editor });
+    assert.equal(missing.status, 404);
+
+    const noId = await request('DELETE', '/api/categories', { token: tokens.editor });
+    assert.equal(noId.status, 400);
+  });
+
+  it('标签', async () => {
+    const list = await request('GET', '/api/tags');
+    assert.equal(list.status, 200);
+
+    const merged = await request('PUT', '/api/tags', {
+      token: tokens.editor,
+      body: { from: ['ml'], to: 'machine-learning' },
+    });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.data.affectedProjects, 1);
+
+    const missing = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: 'ml', to: 'ai' } });
+    assert.equal(missing.status, 404);
+
+    const invalid = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: [], to: '' } });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(Object.keys(invalid.data.fields).sort(), ['from', 'to']);
+
+    const tooLong = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: 'machine-learning', to: 'x'.repeat(51) } });
+    assert.equal(tooLong.status, 422);
+
+    const same = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: 'ai', to: 'ai' } });
+    assert.equal(same.status, 400);
+
+    // 源标签数超过 D1 单条语句的参数上限
+    const sources = ['machine-learning', ...Array.from({ length: 99 }, (_, index) => `unused-${index}`)];
+    const bulk = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: sources, to: 'ai' } });
+    assert.equal(bulk.status, 200);
+    assert.equal(bulk.data.affectedProjects, 2);
+
+    const tooMany = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: [...sources, 'one-more'], to: 'ai' } });
+    assert.equal(tooMany.status, 422);
+
+    const removed = await request('DELETE', '/api/tags?name=ui', { token: tokens.editor });
+    assert.equal(removed.status, 200);
+
+    const removedAgain = await request('DELETE', '/api/tags?name=ui', { token: tokens.editor });
+    assert.equal(removedAgain.status, 404);
+
+    const noName = await request('DELETE', '/api/tags', { token: tokens.editor });
+    assert.equal(noName.status, 400);
+  });
+
+  it('删除项目、回收站恢复和彻底删除', async () => {
+    const deleted = await request('DELETE', '/api/projects?id=vue', { token: tokens.editor });
+    assert.equal(deleted.status, 200);
+
+    const deletedAgain = await request('DELETE', '/api/projects?id=vue', { token: tokens.editor });
+    assert.equal(deletedAgain.status, 404);
+
+    const noId = await request('DELETE', '/api/projects', { token: tokens.editor });
+    assert.equal(noId.status, 400);
+
+    const trash = await request('GET', '/api/trash', { token: tokens.editor });
+    assert.equal(trash.status, 200);
+    assert.deepEqual(trash.data.projects.map(project => project.id), ['vue']);
+
+    // 回收站中的项目不计入受影响的项目数
+    const renamed = await request('PUT', '/api/tags', { token: tokens.editor, body: { from: 'ai', to: 'artificial-intelligence' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.data.affectedProjects, 1);
+
+    const restored = await request('POST', '/api/trash', { token: tokens.editor, body: { type: 'project', id: 'vue' } });
+    assert.equal(restored.status, 200);
+
+    const notInTrash = await request('POST', '/api/trash', { token: tokens.editor, body: { type: 'project', id: 'vue' } });
+    assert.equal(notInTrash.status, 404);
+
+    const badType = await request('POST', '/api/trash', { token: tokens.editor, body: { type: 'tag', id: 'x' }, invalid: true });
+    assert.equal(badType.status, 400);
+
+    const purged = await request('DELETE', '/api/trash?type=category&id=tools', { token: tokens.owner });
+    assert.equal(purged.status, 200);
+
+    const purgedAgain = await request('DELETE', '/api/trash?type=category&id=tools', { token: tokens.owner });
+    assert.equal(purgedAgain.status, 404);
+
+    const purgeBadType = await request('DELETE', '/api/trash?type=tag&id=x', { token: tokens.owner });
+    assert.equal(purgeBadType.status, 400);
+  });
+});
+
+describe('数据同步和刷新', () => {
+  it('预览和执行同步', async () => {
+    const body = {
+      categories: [{ id: 'cli', name: '命令行', slug: 'cli' }],
+      projects: [{ id: 'ripgrep', name: 'ripgrep', owner: 'BurntSushi', stars: 50000, language: 'Rust', categories: ['cli'] }],
+    };
+
+    const preview = await request('POST', '/api/sync', { token: tokens.owner, body: { ...body, dryRun: true } });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.data.diff.projects.added.length, 1);
+
+    const synced = await request('POST', '/api/sync', { token: tokens.owner, body });
+    assert.equal(synced.status, 200);
+    assert.equal(synced.data.results.projects, 1);
+  });
+
+  it('校验失败时一次返回全部错误', async () => {
+    const rejected = await request('POST', '/api/sync', {
+      token: tokens.owner,
+      body: {
+        projects: [
+          { id: 'broken', name: '', owner: 'someone' },
+          { id: 'orphan', name: 'orphan', owner: 'someone', categories: ['missing'] },
+        ],
+      },
+    });
+    assert.equal(rejected.status, 422);
+    assert.deepEqual(rejected.data.errors.map(error => [error.index, Object.keys(error.fields)]), [
+      [0, ['name']],
+      [1, ['categories']],
+    ]);
+
+    const badMode = await request('POST', '/api/sync', { token: tokens.owner, body: { mode: 'replace' }, invalid: true });
+    assert.equal(badMode.status, 400);
+  });
+
+  it('从 GitHub 刷新项目', async () => {
+    const refreshed = await request('POST', '/api/refresh', { token: tokens.editor, body: { ids: ['react'] } });
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.data.updated[0].id, 'react');
+    assert.equal(refreshed.data.updated[0].fields.stars.to, 1234);
+
+    // 与 GitHub Webhook 的更新一样写入版本历史（首次写入时补记原始版本）
+    const revisions = await request('GET', '/api/projects/react/revisions', { token: tokens.viewer });
+    assert.equal(revisions.data.revisions[0].actor, 'editor');
+    assert.equal(revisions.data.revisions[0].snapshot.description, 'Refreshed from GitHub');
+
+    const all = await request('POST', '/api/refresh', { token: tokens.editor, body: {} });
+    assert.equal(all.status, 200);
+
+    const invalid = await request('POST', '/api/refresh', { token: tokens.editor, body: { ids: [] } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('接收 GitHub Webhook', async () => {
+    /**
+     * 发送签名后的 GitHub 事件
+     * @param {string} event
+     * @param {Object} payload
+     * @param {Object} [options] - { signature, rawBody, delivery }，delivery 默认每次生成新的推送 ID
+     */
+    let deliveries = 0;
+    const send = (event, payload, { signature, rawBody, delivery = `delivery-${++deliveries}` } = {}) => {
+      const body = rawBody ?? JSON.stringify(payload);
+      return request('POST', '/api/github-webhook', {
+        rawBody: body,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': event,
+          'X-GitHub-Delivery': delivery,
+          'X-Hub-Signature-256': signature ?? signGitHubPayload(body),
+        },
+      });
+    };
+    const repository = {
+      name: 'react',
+      owner: { login: 'facebook' },
+      html_url: 'https://github.com/facebook/react',
+      stargazers_count: 1300,
+      archived: false,
+      updated_at: '2026-03-01T10:00:00Z',
+    };
+    const reactStars = async () => (await request('GET', '/api/projects/react/history')).data.stars;
+
+    const ping = await send('ping', { zen: 'Keep it logically awesome.' });
+    assert.equal(ping.status, 200);
+
+    const star = await send('star', { action: 'created', repository }, { delivery: 'star-1' });
+    assert.equal(star.status, 200);
+    assert.deepEqual(star.data.updated.map(item => item.id), ['react']);
+
+    // 在 GitHub 后台重新推送同一事件
+    const redelivered = await send('star', { action: 'created', repository }, { delivery: 'star-1' });
+    assert.equal(redelivered.status, 200);
+    assert.equal(redelivered.data.ignored, true);
+
+    // 较早的 star 事件晚到，不回退星标
+    const late = await send('star', {
+      action: 'deleted',
+      repository: { ...repository, stargazers_count: 1299, updated_at: '2026-03-01T09:59:00Z' },
+    });
+    assert.equal(late.status, 200);
+    assert.deepEqual(late.data.stale, ['react']);
+    assert.equal(await reactStars(), 1300);
+
+    const newer = await send('star', {
+      action: 'created',
+      repository: { ...repository, stargazers_count: 1301, updated_at: '2026-03-01T10:01:00Z' },
+    });
+    assert.deepEqual(newer.data.updated.map(item => item.id), ['react']);
+    assert.equal(await reactStars(), 1301);
+
+    const ignored = await send('push', { repository });
+    assert.equal(ignored.status, 200);
+    assert.equal(ignored.data.ignored, true);
+
+    const forged = await send('star', { action: 'created', repository }, { signature: `sha256=${'0'.repeat(64)}` });
+    assert.equal(forged.status, 401);
+
+    const malformed = await send('star', null, { rawBody: '{not json' });
+    assert.equal(malformed.status, 400);
+  });
+
+  it('查询操作日志', async () => {
+    const audit = await request('GET', '/api/audit?entity=project&entityId=react&page=1&limit=10', { token: tokens.viewer });
+    assert.equal(audit.status, 200);
+    assert.ok(audit.data.entries.some(entry => entry.action === 'refresh'));
+  });
+});
+
+describe('API Key', () => {
+  it('创建、查看和撤销 Key', async () => {
+    for (const scope of Object.keys(API_KEY_SCOPES)) {
+      const created = await request('POST', '/api/api-keys', {
+        token: tokens.owner,
+        body: { name: `key-${scope}`, scopes: [scope], rateLimit: 1000 },
+      });
+      assert.equal(created.status, 200);
+      apiKeys[scope] = created.data.key;
+    }
+
+    const all = await request('POST', '/api/api-keys', {
+      token: tokens.owner,
+      body: { name: 'key-all', scopes: Object.keys(API_KEY_SCOPES) },
+    });
+    assert.equal(all.status, 200);
+    apiKeys.all = all.data.key;
+
+    const invalid = await request('POST', '/api/api-keys', { token: tokens.owner, body: { name: '', scopes: [] } });
+    assert.equal(invalid.status, 422);
+
+    const list = await request('GET', '/api/api-keys', { token: tokens.owner });
+    assert.equal(list.status, 200);
+
+    const temporary = await request('POST', '/api/api-keys', {
+      token: tokens.owner,
+      body: { name: 'temporary', scopes: ['projects:read'], rateLimit: 1 },
+    });
+    const first = await request('GET', '/api/categories', { apiKey: temporary.data.key });
+    assert.equal(first.status, 200);
+    const limited = await request('GET', '/api/categories', { apiKey: temporary.data.key });
+    assert.equal(limited.status, 429);
+
+    const revoked = await request('DELETE', `/api/api-keys?id=${temporary.data.apiKey.id}`, { token: tokens.owner });
+    assert.equal(revoked.status, 200);
+
+    const revokedAgain = await request('DELETE', `/api/api-keys?id=${temporary.data.apiKey.id}`, { token: tokens.owner });
+    assert.equal(revokedAgain.status, 404);
+
+    const noId = await request('DELETE', '/api/api-keys', { token: tokens.owner });
+    assert.equal(noId.status, 400);
+
+    const rejected = await request('GET', '/api/categories', { apiKey: temporary.data.key });
+    assert.equal(rejected.status, 401);
+  });
+
+  it('Key 可以访问权限范围内的接口', async () => {
+    const projects = await request('GET', '/api/projects', { apiKey: apiKeys['projects:read'] });
+    assert.equal(projects.status, 200);
+
+    const revisions = await request('GET', '/api/projects/react/revisions', { apiKey: apiKeys['projects:read'] });
+    assert.equal(revisions.status, 200);
+
+    const audit = await request('GET', '/api/audit', { apiKey: apiKeys['audit:read'] });
+    assert.equal(audit.status, 200);
+
+    const sync = await request('POST', '/api/sync', { apiKey: apiKeys.sync, body: { projects: [], dryRun: true } });
+    assert.equal(sync.status, 200);
+  });
+});
+
+describe('Webhook', () => {
+  let webhookId;
+
+  it('创建、查看和更新 Webhook', async () => {
+    const created = await request('POST', '/api/webhooks', {
+      token: tokens.owner,
+      body: { name: 'mirror', url: `${mockBaseUrl}/hooks`, events: ['project.created', 'project.updated'] },
+    });
+    assert.equal(created.status, 200);
+    webhookId = created.data.webhook.id;
+
+    const invalid = await request('POST', '/api/webhooks', {
+      token: tokens.owner,
+      body: { name: 'bad', url: 'ftp://example.com', events: ['unknown'] },
+      invalid: true,
+    });
+    assert.equal(invalid.status, 422);
+
+    const updated = await request('PUT', '/api/webhooks', {
+      token: tokens.owner,
+      body: { id: webhookId, events: ['project.created', 'project.updated', 'project.deleted'], rotateSecret: true },
+    });
+    assert.equal(updated.status, 200);
+    assert.ok(updated.data.secret);
+
+    const missing = await request('PUT', '/api/webhooks', { token: tokens.owner, body: { id: 9999, name: 'x' } });
+    assert.equal(missing.status, 404);
+
+    const noId = await request('PUT', '/api/webhooks', { token: tokens.owner, body: { name: 'x' }, invalid: true });
+    assert.equal(noId.status, 400);
+
+    const invalidUpdate = await request('PUT', '/api/webhooks', { token: tokens.owner, body: { id: webhookId, url: 'not a url' } });
+    assert.equal(invalidUpdate.status, 422);
+
+    const list = await request('GET', '/api/webhooks', { token: tokens.owner });
+    assert.equal(list.status, 200);
+  });
+
+  it('写入后推送事件，推送记录可查询和重放', async () => {
+    const restoredBefore = receivedHooks.length;
+    const deleted = await request('DELETE', '/api/projects?id=ripgrep', { token: tokens.editor });
+    assert.equal(deleted.status, 200);
+    const restored = await request('POST', '/api/trash', { token: tokens.editor, body: { type: 'project', id: 'ripgrep' } });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(receivedHooks.slice(restoredBefore).map(hook => hook.event), ['project.deleted', 'project.created']);
+
+    const deliveries = await request('GET', `/api/webhooks/deliveries?webhookId=${webhookId}&status=success&page=1&limit=10`, {
+      token: tokens.owner,
+    });
+    assert.equal(deliveries.status, 200);
+    assert.equal(deliveries.data.total, 2);
+
+    const badStatus = await request('GET', '/api/webhooks/deliveries?status=unknown', { token: tokens.owner });
+    assert.equal(badStatus.status, 400);
+
+    const replayed = await request('POST', '/api/webhooks/deliveries', {
+      token: tokens.owner,
+      body: { id: deliveries.data.deliveries[0].id },
+    });
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.data.delivery.replayOf, deliveries.data.deliveries[0].id);
+
+    const missing = await request('POST', '/api/webhooks/deliveries', { token: tokens.owner, body: { id: 9999 } });
+    assert.equal(missing.status, 404);
+
+    const noId = await request('POST', '/api/webhooks/deliveries', { token: tokens.owner, body: {}, invalid: true });
+    assert.equal(noId.status, 400);
+  });
+
+  it('从 GitHub 刷新的变化推送 project.updated', async () => {
+    const edited = await request('PUT', '/api/projects', {
+      token: tokens.editor,
+      body: { id: 'ripgrep', name: 'ripgrep', owner: 'BurntSushi', description: 'Edited locally' },
+    });
+    assert.equal(edited.status, 200);
+
+    const refreshedBefore = receivedHooks.length;
+    const refreshed = await request('POST', '/api/refresh', { token: tokens.editor, body: { ids: ['ripgrep'] } });
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.data.updated[0].fields.description.to, 'Refreshed from GitHub');
+
+    const hooks = receivedHooks.slice(refreshedBefore);
+    assert.deepEqual(hooks.map(hook => hook.event), ['project.updated']);
+    const { data } = JSON.parse(hooks[0].body);
+    assert.equal(data.project.description, 'Refreshed from GitHub');
+    assert.deepEqual(data.changes.description, { from: 'Edited locally', to: 'Refreshed from GitHub' });
+  });
+
+  it('删除 Webhook', async () => {
+    const deleted = await request('DELETE', `/api/webhooks?id=${webhookId}`, { token: tokens.owner });
+    assert.equal(deleted.status, 200);
+
+    const missing = await request('DELETE', `/api/webhooks?id=${webhookId}`, { token: tokens.owner });
+    assert.equal(missing.status, 404);
+
+    const noId = await request('DELETE', '/api/webhooks', { token: tokens.owner });
+    assert.equal(noId.status, 400);
+  });
+});
+
+describe('系统', () => {
+  it('OpenAPI 文档', async () => {
+    const spec = await request('GET', '/api/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.deepEqual(spec.data.servers, [{ url: 'https://example.com' }]);
+  });
+
+  it('未配置 AUTH_SECRET 时返回配置错误', async () => {
+    const envOverrides = { AUTH_SECRET: undefined };
+
+    const login = await request('POST', '/api/auth', { body: OWNER, envOverrides });
+    assert.equal(login.status, 503);
+    assert.equal(login.data.missingConfig, 'AUTH_SECRET');
+
+    const me = await request('GET', '/api/auth/me', { token: tokens.viewer, envOverrides });
+    assert.equal(me.status, 503);
+
+    // 不需要 Token 的公开接口不受影响
+    const categories = await request('GET', '/api/categories', { envOverrides });
+    assert.equal(categories.status, 200);
+  });
+
+  it('数据库迁移状态', async () => {
+    const status = await request('GET', '/api/admin/migrate', { token: tokens.viewer });
+    assert.equal(status.status, 200);
+    assert.equal(status.data.pending.length, 0);
+
+    const migrated = await request('POST', '/api/admin/migrate', { token: tokens.owner });
+    assert.equal(migrated.status, 200);
+    assert.deepEqual(migrated.data.applied, []);
+  });
+});
+
+describe('权限', () => {
+  /**
+   * 文档中的全部接口
+   * @returns {Array<{method: string, path: string, url: string, operation: Object}>}
+   */
+  function listOperations() {
+    return Object.entries(OPENAPI_SPEC.paths).flatMap(([path, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({
+        method: method.toUpperCase(),
+        path,
+        url: path.replace(/\{[^}]+\}/g, 'react'),
+        operation,
+      }))
+    );
+  }
+
+  /**
+   * 接口是否必须认证（security 中没有空对象表示的「可不认证」）
+   * @param {Object} operation
+   * @returns {boolean}
+   */
+  function requiresAuth(operation) {
+    return operation.security.length > 0 && operation.security.every(requirement => Object.keys(requirement).length > 0);
+  }
+
+  it('需要登录的接口不带认证时返回 401', async () => {
+    for (const { method, path, url, operation } of listOperations()) {
+      if (!requiresAuth(operation)) continue;
+
+      const result = await request(method, url);
+      assert.equal(result.status, 401, `${method} ${path}`);
+    }
+  });
+
+  it('角色低于 x-min-role 时返回 403', async () => {
+    for (const { method, path, url, operation } of listOperations()) {
+      const minRole = operation['x-min-role'];
+      const lowerRole = ROLE_ORDER[ROLE_ORDER.indexOf(minRole) - 1];
+      if (!lowerRole) continue;
+
+      const result = await request(method, url, { token: tokens[lowerRole] });
+      assert.equal(result.status, 403, `${method} ${path} 以 ${lowerRole} 调用`);
+    }
+  });
+
+  it('API Key 只能访问 x-api-key-scope 声明的接口', async () => {
+    for (const { method, path, url, operation } of listOperations()) {
+      const scope = operation['x-api-key-scope'];
+      if (scope) {
+        const otherScope = Object.keys(API_KEY_SCOPES).find(candidate => candidate !== scope);
+        const result = await request(method, url, { apiKey: apiKeys[otherScope] });
+        assert.equal(result.status, 403, `${method} ${path} 以 ${otherScope} 调用`);
+      } else if (operation['x-min-role']) {
+        const result = await request(method, url, { apiKey: apiKeys.all });
+        assert.equal(result.status, 403, `${method} ${path} 不允许 API Key 访问`);
+      }
+    }
+  });
+});
+
+describe('覆盖', () => {
+  it('文档中的每个接口至少有一次成功响应通过校验', () => {
+    const missing = Object.entries(OPENAPI_SPEC.paths).flatMap(([path, methods]) =>
+      Object.entries(methods)
+        .map(([method, operation]) => ({ label: `${method.toUpperCase()} ${path}`, operation }))
+        .filter(({ label, operation }) => !Object.keys(operation.responses)
+          .some(status => status.startsWith('2') && covered.has(`${label} ${status}`)))
+        .map(({ label }) => label)
+    );
+    assert.deepEqual(missing, [], '以下接口没有通过校验的成功响应，请补充用例');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * GitHub 数据定时刷新 Worker
+ * 由 Cron Trigger 定时触发，与 Pages Functions 共用 D1 数据库和刷新逻辑（functions/_lib/refresh.js）
+ * 每 6 小时刷新最久未刷新的一批项目，多次触发后轮流覆盖全部项目，并清理回收站中超过保留天数的数据
+ * 另每 5 分钟重试一次到达重试时间的 Webhook 推送
+ *
+ * 部署：npm run cron:deploy（配置见同目录 wrangler.toml）
+ */
+
+import { refreshProjects } from '../../functions/_lib/refresh.js';
+import { purgeExpiredTrash } from '../../functions/_lib/trash.js';
+import { getSchemaVersion, LATEST_VERSION } from '../../functions/_lib/migrations.js';
+import { deliverDueWebhooks } from '../../functions/_lib/webhooks.js';
+
+// 写入操作日志的操作者
+const CRON_ACTOR = 'cron';
+
+// 刷新 GitHub 数据的触发规则（与 wrangler.toml 保持一致），其余触发重试 Webhook 推送
+const REFRESH_CRON = '0 */6 * * *';
+
+export default {
+  async scheduled(controller, env, ctx) {
+    // 数据库结构落后时跳过，等待在后台执行迁移
+    const currentVersion = await getSchemaVersion(env.DB);
+    if (currentVersion < LATEST_VERSION) {
+      console.warn(`数据库结构版本落后（${currentVersion} / ${LATEST_VERSION}），跳过本次刷新`);
+      return;
+    }
+
+    // 与刷新分开触发，各自占用子请求额度
+    if (controller.cron !== REFRESH_CRON) {
+      const deliveries = await deliverDueWebhooks(env.DB);
+      if (deliveries.success + deliveries.pending + deliveries.failed > 0) {
+        console.log(
+          `Webhook 重试完成：成功 ${deliveries.success}，待重试 ${deliveries.pending}，失败 ${deliveries.failed}`
+        );
+      }
+      return;
+    }
+
+    // project.updated 事件的推送在 ctx.waitUntil 中进行，失败的推送由 Webhook 重试触发补发
+    const result = await refreshProjects(
+      { env, waitUntil: promise => ctx.waitUntil(promise) },
+      { actor: CRON_ACTOR }
+    );
+    console.log(
+      `[${controller.cron}] GitHub 数据刷新完成：更新 ${result.updated.length}，未变化 ${result.unchanged.length}，`
+      + `失败 ${result.failed.length}，跳过 ${result.skipped.length}，API 剩余次数 ${result.rateLimit.remaining ?? '-'}`
+    );
+    result.failed.forEach(({ id, error }) => console.warn(`  刷新失败 ${id}: ${error}`));
+
+    const purged = await purgeExpiredTrash(env, { actor: CRON_ACTOR });
+    if (purged.projects.length + purged.categories.length > 0) {
+      console.log(`回收站清理完成：项目 ${purged.projects.length}，分类 ${purged.categories.length}`);
+    }
+  },
+};